@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Ranking Sensitivity Analysis
+ *
+ * Re-ranks primary and secondary schools many times with the published
+ * primary weights randomly perturbed (see src/utils/rankingSensitivity.js)
+ * and reports how stable each school's rank is: the median rank, the likely
+ * range (5th-95th percentile of runs) and the best and worst rank seen.
+ *
+ * Usage:
+ *   node scripts/analyzeRankingSensitivity.js [--runs <n>] [--spread <fraction>] [--seed <n>]
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  calculateSchoolRankings,
+  DEFAULT_RANKING_WEIGHTS,
+  getRankingProvenance
+} from '../src/utils/schoolRanking.js';
+import {
+  analyzeRankingSensitivity,
+  LIKELY_RANK_BAND,
+  SENSITIVITY_DEFAULTS
+} from '../src/utils/rankingSensitivity.js';
+import { describeSchoolsInput } from './rankingOutputs.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ROOT_DIR = join(__dirname, '..');
+const SCHOOLS_INPUT = join(ROOT_DIR, 'public', 'data', 'schools.json');
+const OUTPUT_PATH = join(ROOT_DIR, 'public', 'data', 'schools', 'ranking_sensitivity.json');
+
+// Schools listed in the console summary for each level
+const SUMMARY_LIMIT = 20;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = { ...SENSITIVITY_DEFAULTS };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--runs':
+        options.runs = parseInt(args[++i], 10);
+        break;
+      case '--spread':
+        options.spread = parseFloat(args[++i]);
+        break;
+      case '--seed':
+        options.seed = parseInt(args[++i], 10);
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Ranking Sensitivity Analysis
+============================
+
+Usage:
+  node scripts/analyzeRankingSensitivity.js [options]
+
+Options:
+  --runs <n>            Number of perturbed rankings (default: ${SENSITIVITY_DEFAULTS.runs})
+  --spread <fraction>   Largest relative change to each weight (default: ${SENSITIVITY_DEFAULTS.spread})
+  --seed <n>            Random seed, for repeatable results (default: ${SENSITIVITY_DEFAULTS.seed})
+  --help, -h            Show this help message
+
+Input Files:
+  public/data/schools.json
+
+Output Files:
+  public/data/schools/ranking_sensitivity.json - Rank spread of every ranked school
+`);
+}
+
+/**
+ * Rank one level and analyse it; rows are sorted by published rank
+ */
+function analyzeLevel(schools, level, options) {
+  const ranked = calculateSchoolRankings(schools, { filterByLevel: level });
+  const rankings = Object.fromEntries(ranked.map(({ School_code: code, ranking }) => [String(code), ranking]));
+  const sensitivity = analyzeRankingSensitivity(rankings, DEFAULT_RANKING_WEIGHTS, options);
+
+  return ranked.map((school) => {
+    const stats = sensitivity[String(school.School_code)];
+    return {
+      school_code: school.School_code,
+      name: school.School_name,
+      suburb: school.Town_suburb,
+      rank: stats.rank,
+      score: school.ranking.percentage_score,
+      median_rank: stats.median,
+      likely_range: [stats.likelyLow, stats.likelyHigh],
+      full_range: [stats.best, stats.worst],
+    };
+  });
+}
+
+function logSummary(label, rows) {
+  const widths = rows.map((row) => row.likely_range[1] - row.likely_range[0]).sort((a, b) => a - b);
+  const top = rows.slice(0, SUMMARY_LIMIT);
+  const canDropOut = top.filter((row) => row.likely_range[1] > SUMMARY_LIMIT).length;
+
+  console.log(`\n=== ${label.toUpperCase()} (${rows.length} schools) ===`);
+  console.log(`Median width of likely range: ${widths[Math.floor(widths.length / 2)]} places`);
+  console.log(`Top ${SUMMARY_LIMIT} schools that could fall outside the top ${SUMMARY_LIMIT}: ${canDropOut}`);
+  top.forEach((row) => {
+    const [low, high] = row.likely_range;
+    console.log(`  #${row.rank} ${row.name} (${row.suburb}) - likely ${low}-${high}`);
+  });
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const options = parseArgs();
+
+  if (!(options.runs > 0) || !(options.spread >= 0 && options.spread < 1)) {
+    console.error('Error: --runs must be positive and --spread between 0 and 1');
+    process.exit(1);
+  }
+
+  console.log('Ranking Sensitivity Analysis');
+  console.log('============================\n');
+  console.log(`Runs: ${options.runs}, spread: ±${Math.round(options.spread * 100)}%, seed: ${options.seed}`);
+
+  const schools = JSON.parse(readFileSync(SCHOOLS_INPUT, 'utf8'));
+  console.log(`✓ Loaded ${schools.length} schools`);
+
+  const primary = analyzeLevel(schools, 'primary', options);
+  const secondary = analyzeLevel(schools, 'secondary', options);
+
+  const output = {
+    provenance: getRankingProvenance({
+      inputs: { schools: describeSchoolsInput(relative(ROOT_DIR, SCHOOLS_INPUT), schools) },
+    }),
+    analysis: {
+      runs: options.runs,
+      spread: options.spread,
+      seed: options.seed,
+      likelyBand: LIKELY_RANK_BAND,
+    },
+    primary,
+    secondary,
+  };
+  writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
+
+  logSummary('Primary', primary);
+  logSummary('Secondary', secondary);
+
+  console.log(`\n✅ Saved rank spreads to ${OUTPUT_PATH}`);
+}
+
+main().catch((error) => {
+  console.error('Error analysing ranking sensitivity:', error);
+  process.exit(1);
+});
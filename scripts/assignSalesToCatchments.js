@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * Assign Property Sales to Catchments
+ *
+ * Places every geocoded sale (see geocodeSales.js) inside the primary and
+ * secondary catchment polygons that contain it and stores the result in the
+ * sale_catchments table. exportSalesData.js then writes per-catchment price
+ * statistics keyed by USE_ID.
+ *
+ * Only sales matched to an address or street are used; sales placed at a
+ * suburb centre would land in whichever catchment happens to cover the centre.
+ *
+ * Usage:
+ *   node scripts/assignSalesToCatchments.js [--include-locality]
+ */
+
+import Database from 'better-sqlite3';
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { geometryContainsPoint, getGeometryBounds } from '../src/utils/geometry.js';
+import { MATCH_QUALITY } from '../src/utils/addressMatcher.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '..', 'public', 'data');
+const DB_PATH = join(__dirname, '..', 'data', 'property_sales.db');
+const SCHEMA_PATH = join(__dirname, 'db', 'schema.sql');
+const BATCH_SIZE = 5000;
+
+const CATCHMENT_FILES = {
+  primary: 'catchments_primary.geojson',
+  secondary: 'catchments_secondary.geojson'
+};
+
+// Grid cell size (degrees) for the polygon lookup index, roughly 2km
+const GRID_SIZE = 0.02;
+
+/**
+ * Load a GeoJSON file from public/data, or null if missing
+ */
+function loadGeoJSON(filename) {
+  const path = join(DATA_DIR, filename);
+  if (!existsSync(path)) {
+    console.warn(`  Not found: ${path}`);
+    return null;
+  }
+  const data = JSON.parse(readFileSync(path, 'utf8'));
+  console.log(`  ✓ ${filename}: ${data.features?.length || 0} features`);
+  return data;
+}
+
+const cellKey = (x, y) => `${x}:${y}`;
+
+/**
+ * Bucket catchment features by the grid cells their bounding boxes touch
+ */
+function buildGridIndex(collection) {
+  const grid = new Map();
+
+  for (const feature of collection.features || []) {
+    const useId = feature.properties?.USE_ID;
+    const bounds = getGeometryBounds(feature.geometry);
+    if (!useId || !bounds) continue;
+
+    const entry = { useId: String(useId), geometry: feature.geometry, bounds };
+    for (let x = Math.floor(bounds[0] / GRID_SIZE); x <= Math.floor(bounds[2] / GRID_SIZE); x++) {
+      for (let y = Math.floor(bounds[1] / GRID_SIZE); y <= Math.floor(bounds[3] / GRID_SIZE); y++) {
+        const key = cellKey(x, y);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(entry);
+      }
+    }
+  }
+
+  return grid;
+}
+
+/**
+ * USE_IDs of the catchments containing a point
+ */
+function findCatchments(grid, lng, lat) {
+  const candidates = grid.get(cellKey(Math.floor(lng / GRID_SIZE), Math.floor(lat / GRID_SIZE))) || [];
+  const useIds = new Set();
+
+  for (const { useId, geometry, bounds } of candidates) {
+    if (lng < bounds[0] || lng > bounds[2] || lat < bounds[1] || lat > bounds[3]) continue;
+    if (geometryContainsPoint(geometry, [lng, lat])) useIds.add(useId);
+  }
+
+  return [...useIds];
+}
+
+/**
+ * Rebuild sale_catchments from the geocoded sales
+ */
+function assignSales(db, grids, qualities) {
+  const sales = db.prepare(`
+    SELECT sale_id, latitude, longitude
+    FROM sale_geocodes
+    WHERE latitude IS NOT NULL
+      AND match_quality IN (${qualities.map(() => '?').join(', ')})
+  `).all(...qualities);
+
+  console.log(`\nAssigning ${sales.length.toLocaleString()} geocoded sales...`);
+
+  const insertStmt = db.prepare(`
+    INSERT OR IGNORE INTO sale_catchments (sale_id, catchment_type, use_id)
+    VALUES (?, ?, ?)
+  `);
+
+  const insertBatch = db.transaction((rows) => {
+    for (const row of rows) insertStmt.run(...row);
+  });
+
+  const stats = { sales: sales.length, outside: 0, byType: {} };
+  Object.keys(grids).forEach(type => {
+    stats.byType[type] = { sales: 0, catchments: new Set() };
+  });
+
+  db.prepare('DELETE FROM sale_catchments').run();
+
+  let batch = [];
+  sales.forEach((sale, index) => {
+    let placed = false;
+
+    for (const [type, grid] of Object.entries(grids)) {
+      const useIds = findCatchments(grid, sale.longitude, sale.latitude);
+      if (useIds.length === 0) continue;
+
+      placed = true;
+      stats.byType[type].sales++;
+      useIds.forEach(useId => {
+        stats.byType[type].catchments.add(useId);
+        batch.push([sale.sale_id, type, useId]);
+      });
+    }
+
+    if (!placed) stats.outside++;
+
+    if (batch.length >= BATCH_SIZE || index === sales.length - 1) {
+      insertBatch(batch);
+      batch = [];
+      process.stdout.write(`\r  Processed ${(index + 1).toLocaleString()} sales...`);
+    }
+  });
+  process.stdout.write('\n');
+
+  return stats;
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    includeLocality: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--include-locality':
+        options.includeLocality = true;
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Assign Property Sales to Catchments
+===================================
+
+Usage:
+  node scripts/assignSalesToCatchments.js [options]
+
+Options:
+  --include-locality    Also assign sales only located at their suburb centre
+  --help, -h            Show this help message
+
+Input Files:
+  public/data/catchments_primary.geojson
+  public/data/catchments_secondary.geojson
+  sale_geocodes table (npm run data:geocode-sales)
+
+Afterwards run "npm run data:export" to write public/data/sales/catchment_stats.json.
+`);
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const options = parseArgs();
+
+  if (!existsSync(DB_PATH)) {
+    console.error(`Error: Database not found at ${DB_PATH}`);
+    console.error('Run the ingestion script first: node scripts/ingestPropertySales.js --source <path>');
+    process.exit(1);
+  }
+
+  console.log('Assign Property Sales to Catchments');
+  console.log('===================================\n');
+
+  console.log('Loading catchments...');
+  const grids = {};
+  for (const [type, filename] of Object.entries(CATCHMENT_FILES)) {
+    const collection = loadGeoJSON(filename);
+    if (collection) grids[type] = buildGridIndex(collection);
+  }
+
+  if (Object.keys(grids).length === 0) {
+    console.error('Error: No catchment files found');
+    process.exit(1);
+  }
+
+  const db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.exec(readFileSync(SCHEMA_PATH, 'utf-8'));
+
+  try {
+    const geocoded = db.prepare('SELECT COUNT(*) as count FROM sale_geocodes').get().count;
+    if (geocoded === 0) {
+      console.error('Error: No geocoded sales');
+      console.error('Geocode sales first: node scripts/geocodeSales.js');
+      process.exitCode = 1;
+      return;
+    }
+
+    const qualities = [MATCH_QUALITY.EXACT, MATCH_QUALITY.STREET];
+    if (options.includeLocality) qualities.push(MATCH_QUALITY.LOCALITY);
+
+    const stats = assignSales(db, grids, qualities);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Sales considered: ${stats.sales.toLocaleString()} (${qualities.join(', ')} matches)`);
+    for (const [type, { sales, catchments }] of Object.entries(stats.byType)) {
+      console.log(`  ${type}: ${sales.toLocaleString()} sales in ${catchments.size.toLocaleString()} catchments`);
+    }
+    console.log(`Outside every catchment: ${stats.outside.toLocaleString()}`);
+
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
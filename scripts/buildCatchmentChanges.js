@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * Build Current vs Future Catchment Boundary Changes
+ *
+ * Compares each school's future catchment with its current primary/secondary
+ * catchment and writes the areas gained ("added"), lost ("removed") and kept
+ * ("unchanged") as a GeoJSON layer, with areas in km² and the suburbs each
+ * changed area covers.
+ *
+ * Suburbs are counted from the address gazetteer (see ingestAddresses.js) when
+ * it has been loaded, otherwise from the suburbs of schools inside the area.
+ *
+ * Usage:
+ *   node scripts/buildCatchmentChanges.js [--min-area <km2>]
+ */
+
+import Database from 'better-sqlite3';
+import polygonClipping from 'polygon-clipping';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  geometryContainsPoint,
+  getGeometryBounds,
+  getGeometryAreaKm2
+} from '../src/utils/geometry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '..', 'public', 'data');
+const DB_PATH = join(__dirname, '..', 'data', 'property_sales.db');
+const OUTPUT_PATH = join(DATA_DIR, 'catchment_changes.geojson');
+
+// Slivers smaller than this come from digitising differences, not real changes
+const DEFAULT_MIN_AREA_KM2 = 0.001;
+
+/**
+ * Load a GeoJSON file from public/data, or null if missing
+ */
+function loadGeoJSON(filename) {
+  const path = join(DATA_DIR, filename);
+  if (!existsSync(path)) {
+    console.warn(`  Not found: ${path}`);
+    return null;
+  }
+  const data = JSON.parse(readFileSync(path, 'utf8'));
+  console.log(`  ✓ ${filename}: ${data.features?.length || 0} features`);
+  return data;
+}
+
+/**
+ * Group features by school code (USE_ID)
+ */
+function groupBySchool(collection) {
+  const groups = new Map();
+  for (const feature of collection?.features || []) {
+    const code = String(feature.properties?.USE_ID);
+    if (!groups.has(code)) groups.set(code, []);
+    groups.get(code).push(feature);
+  }
+  return groups;
+}
+
+/**
+ * Convert features to polygon-clipping input (array of Polygon coordinates)
+ */
+function toPolygons(features) {
+  const polygons = [];
+  for (const feature of features) {
+    const { geometry } = feature;
+    if (geometry?.type === 'Polygon') polygons.push(geometry.coordinates);
+    if (geometry?.type === 'MultiPolygon') polygons.push(...geometry.coordinates);
+  }
+  return polygons;
+}
+
+/**
+ * Drop slivers and wrap the result as a MultiPolygon geometry
+ */
+function toGeometry(multiPolygon, minAreaKm2) {
+  const polygons = multiPolygon.filter(
+    (coords) => getGeometryAreaKm2({ type: 'Polygon', coordinates: coords }) >= minAreaKm2
+  );
+  if (polygons.length === 0) return null;
+  return { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Compare a school's current and future polygons
+ * @returns {object} { added, removed, unchanged } MultiPolygon geometries (or null)
+ */
+function diffCatchment(currentFeatures, futureFeatures, minAreaKm2) {
+  const current = toPolygons(currentFeatures);
+  const future = toPolygons(futureFeatures);
+
+  if (current.length === 0) {
+    return {
+      added: toGeometry(polygonClipping.union(future), minAreaKm2),
+      removed: null,
+      unchanged: null,
+    };
+  }
+
+  return {
+    added: toGeometry(polygonClipping.difference(future, current), minAreaKm2),
+    removed: toGeometry(polygonClipping.difference(current, future), minAreaKm2),
+    unchanged: toGeometry(polygonClipping.intersection(future, current), minAreaKm2),
+  };
+}
+
+/**
+ * Pick the current catchment level a future catchment replaces
+ */
+function getCurrentLevels(catchType) {
+  const type = (catchType || '').toUpperCase();
+  if (type.startsWith('PRIMARY') || type === 'INFANTS') return ['primary'];
+  if (type.startsWith('HIGH')) return ['secondary'];
+  return ['primary', 'secondary'];
+}
+
+/**
+ * Build a suburb lookup from the address gazetteer, falling back to school locations
+ * @returns {object} { source, findPoints(bounds) }
+ */
+function createSuburbLookup() {
+  if (existsSync(DB_PATH)) {
+    const db = new Database(DB_PATH, { readonly: true });
+    const hasAddresses = db.prepare(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'addresses'"
+    ).get() && db.prepare('SELECT 1 FROM addresses LIMIT 1').get();
+
+    if (hasAddresses) {
+      const stmt = db.prepare(`
+        SELECT suburb, latitude as lat, longitude as lng
+        FROM addresses
+        WHERE latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+      `);
+      console.log('  ✓ Counting suburbs from address gazetteer');
+      return {
+        source: 'addresses',
+        findPoints: ([minLng, minLat, maxLng, maxLat]) => stmt.all(minLat, maxLat, minLng, maxLng),
+        close: () => db.close(),
+      };
+    }
+    db.close();
+  }
+
+  const schoolsPath = join(DATA_DIR, 'schools.json');
+  const schools = existsSync(schoolsPath) ? JSON.parse(readFileSync(schoolsPath, 'utf8')) : [];
+  const points = schools
+    .filter((s) => s.Latitude && s.Longitude && s.Town_suburb)
+    .map((s) => ({ suburb: s.Town_suburb.toUpperCase(), lat: s.Latitude, lng: s.Longitude }));
+
+  console.warn('  Address gazetteer not loaded - counting suburbs from school locations');
+  return {
+    source: 'schools',
+    findPoints: ([minLng, minLat, maxLng, maxLat]) => points.filter(
+      (p) => p.lat >= minLat && p.lat <= maxLat && p.lng >= minLng && p.lng <= maxLng
+    ),
+    close: () => {},
+  };
+}
+
+/**
+ * Count lookup points per suburb inside a geometry
+ * @returns {Array} [{ suburb, count }] sorted by count
+ */
+function findSuburbs(geometry, lookup) {
+  const bounds = getGeometryBounds(geometry);
+  if (!bounds) return [];
+
+  const counts = new Map();
+  for (const point of lookup.findPoints(bounds)) {
+    if (geometryContainsPoint(geometry, [point.lng, point.lat])) {
+      counts.set(point.suburb, (counts.get(point.suburb) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .map(([suburb, count]) => ({ suburb, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    minArea: DEFAULT_MIN_AREA_KM2
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--min-area':
+        options.minArea = parseFloat(args[++i]);
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Build Catchment Boundary Changes
+================================
+
+Usage:
+  node scripts/buildCatchmentChanges.js [options]
+
+Options:
+  --min-area <km2>   Ignore changed areas smaller than this (default: ${DEFAULT_MIN_AREA_KM2})
+  --help, -h         Show this help message
+
+Input Files:
+  public/data/catchments_primary.geojson
+  public/data/catchments_secondary.geojson
+  public/data/catchments_future.geojson
+
+Output Files:
+  public/data/catchment_changes.geojson - Added/removed/unchanged areas per school
+`);
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const options = parseArgs();
+
+  console.log('Catchment Boundary Changes');
+  console.log('==========================\n');
+
+  console.log('Loading catchments...');
+  const current = {
+    primary: groupBySchool(loadGeoJSON('catchments_primary.geojson')),
+    secondary: groupBySchool(loadGeoJSON('catchments_secondary.geojson')),
+  };
+  const future = loadGeoJSON('catchments_future.geojson');
+
+  if (!future) {
+    console.error('Error: Future catchments are required');
+    process.exit(1);
+  }
+  if (current.primary.size === 0 && current.secondary.size === 0) {
+    console.error('Error: No current catchments found to compare against');
+    process.exit(1);
+  }
+
+  const lookup = createSuburbLookup();
+  const features = [];
+  const totals = { added: 0, removed: 0, unchanged: 0 };
+
+  console.log('\nComparing boundaries...');
+
+  try {
+    for (const [code, futureFeatures] of groupBySchool(future)) {
+      const props = futureFeatures[0].properties;
+      const currentFeatures = getCurrentLevels(props.CATCH_TYPE)
+        .flatMap((level) => current[level].get(code) || []);
+
+      const diff = diffCatchment(currentFeatures, futureFeatures, options.minArea);
+
+      for (const change of ['added', 'removed', 'unchanged']) {
+        const geometry = diff[change];
+        if (!geometry) continue;
+
+        const areaKm2 = getGeometryAreaKm2(geometry);
+        totals[change] += areaKm2;
+
+        features.push({
+          type: 'Feature',
+          properties: {
+            USE_ID: code,
+            USE_DESC: props.USE_DESC,
+            CATCH_TYPE: props.CATCH_TYPE,
+            CHANGE: change,
+            AREA_KM2: Math.round(areaKm2 * 1000) / 1000,
+            // Unchanged areas are not interesting enough to attribute to suburbs
+            SUBURBS: change === 'unchanged' ? [] : findSuburbs(geometry, lookup),
+          },
+          geometry,
+        });
+      }
+
+      const summary = features
+        .filter((f) => f.properties.USE_ID === code)
+        .map((f) => `${f.properties.CHANGE} ${f.properties.AREA_KM2} km²`)
+        .join(', ');
+      console.log(`  ✓ ${props.USE_DESC}${currentFeatures.length === 0 ? ' (new)' : ''}: ${summary || 'no change'}`);
+    }
+  } finally {
+    lookup.close();
+  }
+
+  writeFileSync(OUTPUT_PATH, JSON.stringify({
+    type: 'FeatureCollection',
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      suburbSource: lookup.source,
+      minAreaKm2: options.minArea,
+    },
+    features,
+  }));
+
+  console.log('\n' + '='.repeat(60));
+  console.log('BUILD COMPLETE');
+  console.log('='.repeat(60));
+  console.log(`Schools compared: ${groupBySchool(future).size}`);
+  console.log(`Added: ${totals.added.toFixed(2)} km²`);
+  console.log(`Removed: ${totals.removed.toFixed(2)} km²`);
+  console.log(`Unchanged: ${totals.unchanged.toFixed(2)} km²`);
+  console.log(`Output: ${OUTPUT_PATH}`);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
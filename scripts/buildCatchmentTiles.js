@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Build Simplified Catchment Tiles
+ *
+ * Simplifies the primary, secondary and future catchment boundaries at each
+ * detail level in src/utils/catchmentTiles.js and splits every level into
+ * Web Mercator tiles. The map then fetches only the tiles for the current
+ * viewport at the detail its zoom needs, instead of the full GeoJSON files.
+ *
+ * Output:
+ *   public/data/catchments/index.json               - Levels, tile lists and feature counts
+ *   public/data/catchments/<type>/<level>/<x>_<y>.json
+ *
+ * Usage:
+ *   node scripts/buildCatchmentTiles.js
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { getGeometryBounds, simplifyGeometry } from '../src/utils/geometry.js';
+import {
+  CATCHMENT_TILE_TYPES,
+  CATCHMENT_TILE_LEVELS,
+  getTileKeysForBounds,
+  getTilePath
+} from '../src/utils/catchmentTiles.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '..', 'public', 'data');
+const OUTPUT_DIR = join(DATA_DIR, 'catchments');
+
+/**
+ * Count coordinate positions in a geometry
+ */
+function countVertices(geometry) {
+  const polygons = geometry?.type === 'Polygon'
+    ? [geometry.coordinates]
+    : geometry?.type === 'MultiPolygon' ? geometry.coordinates : [];
+  return polygons.reduce((sum, rings) => sum + rings.reduce((s, ring) => s + ring.length, 0), 0);
+}
+
+/**
+ * Merge two [minLng, minLat, maxLng, maxLat] boxes
+ */
+function extendBounds(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3])];
+}
+
+/**
+ * Simplify and tile one catchment type at every level
+ * @returns {object|null} Index entry for the type
+ */
+function buildType(type) {
+  const sourcePath = join(DATA_DIR, `catchments_${type}.geojson`);
+  if (!existsSync(sourcePath)) {
+    console.warn(`  Skipping ${type}: ${sourcePath} not found`);
+    return null;
+  }
+
+  const source = JSON.parse(readFileSync(sourcePath, 'utf8'));
+  const features = (source.features || []).filter((f) => f.geometry);
+  const sourceVertices = features.reduce((sum, f) => sum + countVertices(f.geometry), 0);
+
+  console.log(`\n${type}: ${features.length} features, ${sourceVertices.toLocaleString()} vertices`);
+
+  rmSync(join(OUTPUT_DIR, type), { recursive: true, force: true });
+
+  let bounds = null;
+  const tiles = {};
+
+  for (const level of CATCHMENT_TILE_LEVELS) {
+    const tileFeatures = new Map();
+    let vertices = 0;
+
+    features.forEach((feature, index) => {
+      const geometry = simplifyGeometry(feature.geometry, level.tolerance, level.precision);
+      const featureBounds = getGeometryBounds(geometry);
+      if (!featureBounds) return;
+
+      bounds = extendBounds(bounds, featureBounds);
+      vertices += countVertices(geometry);
+
+      const simplified = { type: 'Feature', id: index, properties: feature.properties, geometry };
+      for (const key of getTileKeysForBounds(featureBounds, level.tileZoom)) {
+        if (!tileFeatures.has(key)) tileFeatures.set(key, []);
+        tileFeatures.get(key).push(simplified);
+      }
+    });
+
+    let bytes = 0;
+    for (const [key, tileList] of tileFeatures) {
+      const outputPath = join(DATA_DIR, getTilePath(type, level.id, key));
+      mkdirSync(dirname(outputPath), { recursive: true });
+      const json = JSON.stringify({ type: 'FeatureCollection', features: tileList });
+      writeFileSync(outputPath, json);
+      bytes += json.length;
+    }
+
+    tiles[level.id] = [...tileFeatures.keys()].sort();
+    console.log(
+      `  ✓ Level ${level.id} (zoom ${level.minZoom}+): ${vertices.toLocaleString()} vertices, ` +
+      `${tileFeatures.size} tiles, ${(bytes / 1024 / 1024).toFixed(1)} MB`
+    );
+  }
+
+  return { featureCount: features.length, bounds, tiles };
+}
+
+function printHelp() {
+  console.log(`
+Build Catchment Tiles
+=====================
+
+Usage:
+  node scripts/buildCatchmentTiles.js [options]
+
+Options:
+  --help, -h   Show this help message
+
+Input Files:
+  public/data/catchments_primary.geojson
+  public/data/catchments_secondary.geojson
+  public/data/catchments_future.geojson
+
+Output Files:
+  public/data/catchments/index.json        - Detail levels and available tiles
+  public/data/catchments/<type>/<level>/   - One FeatureCollection per tile
+`);
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    printHelp();
+    process.exit(0);
+  }
+
+  console.log('Catchment Tiles');
+  console.log('===============');
+
+  const layers = {};
+  for (const type of CATCHMENT_TILE_TYPES) {
+    const entry = buildType(type);
+    if (entry) layers[type] = entry;
+  }
+
+  if (Object.keys(layers).length === 0) {
+    console.error('Error: No catchment files found');
+    process.exit(1);
+  }
+
+  const indexPath = join(OUTPUT_DIR, 'index.json');
+  writeFileSync(indexPath, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    levels: CATCHMENT_TILE_LEVELS.map(({ id, minZoom, tileZoom }) => ({ id, minZoom, tileZoom })),
+    layers,
+  }, null, 2));
+
+  console.log('\n' + '='.repeat(60));
+  console.log('BUILD COMPLETE');
+  console.log('='.repeat(60));
+  console.log(`Layers: ${Object.keys(layers).join(', ')}`);
+  console.log(`Output: ${OUTPUT_DIR}`);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
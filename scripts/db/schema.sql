@@ -133,6 +133,57 @@ CREATE TABLE IF NOT EXISTS sale_interests (
     FOREIGN KEY (sale_id) REFERENCES property_sales(id)
 );
 
+-- ============================================
+-- ADDRESS GAZETTEER (G-NAF)
+-- ============================================
+
+-- Geocoded NSW addresses used for offline address search.
+-- Street names are stored normalised (e.g. "SMITH ST") to match sales data.
+CREATE TABLE IF NOT EXISTS addresses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    
+    -- G-NAF ADDRESS_DETAIL_PID
+    address_pid TEXT UNIQUE,
+    
+    unit_number TEXT,
+    house_number TEXT,
+    street_name TEXT NOT NULL,
+    suburb TEXT NOT NULL,
+    postcode TEXT,
+    
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    
+    source_file TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sale locations matched against the gazetteer (scripts/geocodeSales.js).
+-- match_quality: exact, street (nearest number), locality (suburb centre) or none
+CREATE TABLE IF NOT EXISTS sale_geocodes (
+    sale_id INTEGER PRIMARY KEY,
+    
+    latitude REAL,
+    longitude REAL,
+    match_quality TEXT NOT NULL,
+    
+    geocoded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (sale_id) REFERENCES property_sales(id)
+);
+
+-- Catchments containing each geocoded sale (scripts/assignSalesToCatchments.js).
+-- A sale can sit in one primary and one secondary catchment, sometimes more
+-- where boundaries overlap.
+CREATE TABLE IF NOT EXISTS sale_catchments (
+    sale_id INTEGER NOT NULL,
+    catchment_type TEXT NOT NULL,  -- primary, secondary
+    use_id TEXT NOT NULL,          -- catchment USE_ID = School_code
+    
+    PRIMARY KEY (sale_id, catchment_type, use_id),
+    FOREIGN KEY (sale_id) REFERENCES property_sales(id)
+);
+
 -- ============================================
 -- DATA IMPORT TRACKING
 -- ============================================
@@ -183,6 +234,13 @@ CREATE INDEX IF NOT EXISTS idx_sales_suburb_date ON property_sales(suburb, contr
 CREATE INDEX IF NOT EXISTS idx_sales_postcode_date ON property_sales(postcode, contract_date);
 CREATE INDEX IF NOT EXISTS idx_sales_district_property ON property_sales(district_code, property_id);
 
+-- Address gazetteer lookups
+CREATE INDEX IF NOT EXISTS idx_addresses_locality ON addresses(suburb, postcode);
+CREATE INDEX IF NOT EXISTS idx_addresses_street ON addresses(suburb, street_name, house_number);
+CREATE INDEX IF NOT EXISTS idx_addresses_location ON addresses(latitude, longitude);
+CREATE INDEX IF NOT EXISTS idx_sale_geocodes_quality ON sale_geocodes(match_quality);
+CREATE INDEX IF NOT EXISTS idx_sale_catchments_catchment ON sale_catchments(catchment_type, use_id);
+
 -- Import tracking
 CREATE INDEX IF NOT EXISTS idx_import_status ON import_log(status);
 CREATE INDEX IF NOT EXISTS idx_import_file_date ON import_log(file_date);
@@ -218,7 +276,18 @@ LEFT JOIN districts d ON ps.district_code = d.district_code
 ORDER BY ps.contract_date DESC;
 
 -- Suburb statistics view
-CREATE VIEW IF NOT EXISTS v_suburb_stats AS
+-- Median, quartiles (nearest rank) and 10% trimmed mean follow src/utils/priceStats.js.
+-- Dropped first so databases created before these columns pick them up.
+DROP VIEW IF EXISTS v_suburb_stats;
+CREATE VIEW v_suburb_stats AS
+WITH ranked AS (
+    SELECT 
+        *,
+        ROW_NUMBER() OVER (PARTITION BY suburb, postcode ORDER BY purchase_price) as price_rank,
+        COUNT(*) OVER (PARTITION BY suburb, postcode) as group_sales
+    FROM property_sales
+    WHERE purchase_price > 0
+)
 SELECT 
     suburb,
     postcode,
@@ -226,9 +295,15 @@ SELECT
     AVG(purchase_price) as avg_price,
     MIN(purchase_price) as min_price,
     MAX(purchase_price) as max_price,
+    AVG(CASE WHEN price_rank BETWEEN (group_sales + 1) / 2 AND (group_sales + 2) / 2
+        THEN purchase_price END) as median_price,
+    MIN(CASE WHEN price_rank >= group_sales * 0.25 THEN purchase_price END) as p25_price,
+    MIN(CASE WHEN price_rank >= group_sales * 0.75 THEN purchase_price END) as p75_price,
+    AVG(CASE WHEN price_rank > CAST(group_sales * 0.1 AS INTEGER)
+        AND price_rank <= group_sales - CAST(group_sales * 0.1 AS INTEGER)
+        THEN purchase_price END) as trimmed_mean_price,
     AVG(area) as avg_area,
     MIN(contract_date) as earliest_sale,
     MAX(contract_date) as latest_sale
-FROM property_sales
-WHERE purchase_price > 0
+FROM ranked
 GROUP BY suburb, postcode;
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Export Address Gazetteer for Frontend
+ *
+ * Writes the addresses table as one small JSON shard per locality plus an
+ * index, so the browser only downloads the suburb it is searching in.
+ *
+ * Usage:
+ *   node scripts/exportAddressData.js [--postcodes <ranges>]
+ */
+
+import Database from 'better-sqlite3';
+import { writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { localitySlug } from '../src/utils/addressParser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DB_PATH = join(__dirname, '..', 'data', 'property_sales.db');
+const OUTPUT_DIR = join(__dirname, '..', 'public', 'data', 'addresses');
+const LOCALITY_DIR = join(OUTPUT_DIR, 'localities');
+
+// Order of values in each exported address row
+const ADDRESS_FIELDS = ['unit', 'number', 'street', 'lat', 'lng'];
+
+/**
+ * Recreate the output directories so stale locality shards are removed
+ */
+function resetOutputDir() {
+  if (existsSync(LOCALITY_DIR)) {
+    rmSync(LOCALITY_DIR, { recursive: true });
+  }
+  mkdirSync(LOCALITY_DIR, { recursive: true });
+  console.log(`Output directory: ${OUTPUT_DIR}`);
+}
+
+/**
+ * Parse a postcode filter like "2000-2249,2555-2574,2750"
+ */
+function parsePostcodeRanges(value) {
+  if (!value) return null;
+
+  return value.split(',').map(part => {
+    const [from, to] = part.trim().split('-').map(n => parseInt(n, 10));
+    return [from, isNaN(to) ? from : to];
+  });
+}
+
+function postcodeInRanges(postcode, ranges) {
+  if (!ranges) return true;
+  const code = parseInt(postcode, 10);
+  return ranges.some(([from, to]) => code >= from && code <= to);
+}
+
+/**
+ * Export one shard per locality and return the index entries
+ */
+function exportLocalities(db, postcodeRanges) {
+  const localities = db.prepare(`
+    SELECT suburb, postcode, COUNT(*) as count,
+      AVG(latitude) as lat, AVG(longitude) as lng
+    FROM addresses
+    GROUP BY suburb, postcode
+    ORDER BY suburb, postcode
+  `).all().filter(l => postcodeInRanges(l.postcode, postcodeRanges));
+
+  const addressesStmt = db.prepare(`
+    SELECT unit_number, house_number, street_name, latitude, longitude
+    FROM addresses
+    WHERE suburb = ? AND postcode IS ?
+    ORDER BY street_name, CAST(house_number AS INTEGER), house_number, unit_number
+  `);
+
+  console.log(`\nExporting ${localities.length} localities...`);
+
+  const index = [];
+  let totalAddresses = 0;
+
+  for (const locality of localities) {
+    const file = `${localitySlug(locality.suburb, locality.postcode)}.json`;
+    const rows = addressesStmt.all(locality.suburb, locality.postcode);
+
+    const shard = {
+      suburb: locality.suburb,
+      postcode: locality.postcode,
+      fields: ADDRESS_FIELDS,
+      addresses: rows.map(r => [
+        r.unit_number || null,
+        r.house_number,
+        r.street_name,
+        Math.round(r.latitude * 1e6) / 1e6,
+        Math.round(r.longitude * 1e6) / 1e6
+      ])
+    };
+
+    writeFileSync(join(LOCALITY_DIR, file), JSON.stringify(shard));
+
+    index.push({
+      suburb: locality.suburb,
+      postcode: locality.postcode,
+      file,
+      count: locality.count,
+      center: [
+        Math.round(locality.lat * 1e6) / 1e6,
+        Math.round(locality.lng * 1e6) / 1e6
+      ]
+    });
+    totalAddresses += locality.count;
+  }
+
+  console.log(`  ✓ Wrote ${index.length} locality files (${totalAddresses.toLocaleString()} addresses)`);
+
+  return { index, totalAddresses };
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    postcodes: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--postcodes':
+      case '-p':
+        options.postcodes = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Export Address Gazetteer for Frontend
+=====================================
+
+Usage:
+  node scripts/exportAddressData.js [options]
+
+Options:
+  --postcodes, -p <ranges>  Only export these postcodes, e.g. "2000-2249,2555-2574"
+  --help, -h                Show this help message
+
+Output Files:
+  public/data/addresses/index.json            - Locality list with centroids
+  public/data/addresses/localities/<slug>.json - Addresses for one locality
+`);
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const options = parseArgs();
+
+  if (!existsSync(DB_PATH)) {
+    console.error(`Error: Database not found at ${DB_PATH}`);
+    console.error('Run the ingestion script first: node scripts/ingestAddresses.js --source <file>');
+    process.exit(1);
+  }
+
+  console.log('Address Gazetteer Export');
+  console.log('========================\n');
+
+  const db = new Database(DB_PATH, { readonly: true });
+
+  try {
+    const hasTable = db.prepare(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'addresses'"
+    ).get();
+    if (!hasTable) {
+      console.error('Error: No addresses table found');
+      console.error('Run the ingestion script first: node scripts/ingestAddresses.js --source <file>');
+      process.exit(1);
+    }
+
+    resetOutputDir();
+
+    const { index, totalAddresses } = exportLocalities(db, parsePostcodeRanges(options.postcodes));
+
+    writeFileSync(join(OUTPUT_DIR, 'index.json'), JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      totalAddresses,
+      fields: ADDRESS_FIELDS,
+      localities: index
+    }));
+
+    console.log('\n' + '='.repeat(60));
+    console.log('EXPORT COMPLETE');
+    console.log('='.repeat(60));
+    console.log(`Localities: ${index.length.toLocaleString()}`);
+    console.log(`Addresses: ${totalAddresses.toLocaleString()}`);
+    console.log(`Output directory: ${OUTPUT_DIR}`);
+
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -13,6 +13,15 @@ import Database from 'better-sqlite3';
 import { writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { summarizePrices, getPropertyTypeGroup, PROPERTY_TYPE_GROUPS } from '../src/utils/priceStats.js';
+import { addMonths, TREND_PROPERTY_TYPES } from '../src/utils/priceTrends.js';
+import {
+  buildRepeatSalePairs,
+  estimateRepeatSalesIndex,
+  getIndexGrowth,
+  MIN_PAIRS,
+  GROWTH_YEARS
+} from '../src/utils/repeatSales.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -20,6 +29,9 @@ const __dirname = dirname(__filename);
 const DB_PATH = join(__dirname, '..', 'data', 'property_sales.db');
 const OUTPUT_DIR = join(__dirname, '..', 'public', 'data', 'sales');
 
+// Months covered by the price trend series; at least 24 for year-on-year change
+const TREND_MONTHS = 36;
+
 /**
  * Ensure output directory exists
  */
@@ -92,6 +104,42 @@ function exportRecentSales(db, months = 6) {
   return sales.length;
 }
 
+/**
+ * Median, quartiles and trimmed mean per group, overall and by property type.
+ * SQLite has no percentile aggregate, so prices are collected here and
+ * summarised with the same rules the app uses (src/utils/priceStats.js).
+ * @param {string} query - SELECT returning groupKey, propertyType and price per sale
+ * @returns {Map} groupKey → { medianPrice, p25Price, p75Price, trimmedMeanPrice, byPropertyType }
+ */
+function collectPriceDistributions(db, query) {
+  const groups = new Map();
+
+  for (const row of db.prepare(query).iterate()) {
+    if (!groups.has(row.groupKey)) groups.set(row.groupKey, { all: [], byType: {} });
+    const group = groups.get(row.groupKey);
+    group.all.push(row.price);
+
+    const type = getPropertyTypeGroup(row.propertyType);
+    if (type) {
+      if (!group.byType[type]) group.byType[type] = [];
+      group.byType[type].push(row.price);
+    }
+  }
+
+  const distributions = new Map();
+  groups.forEach((group, key) => {
+    // Count and average already come from the SQL aggregates
+    const { medianPrice, p25Price, p75Price, trimmedMeanPrice } = summarizePrices(group.all);
+    const byPropertyType = {};
+    for (const [type, prices] of Object.entries(group.byType)) {
+      byPropertyType[type] = summarizePrices(prices);
+    }
+    distributions.set(key, { medianPrice, p25Price, p75Price, trimmedMeanPrice, byPropertyType });
+  });
+
+  return distributions;
+}
+
 /**
  * Export suburb statistics with enhanced metrics
  */
@@ -131,7 +179,16 @@ function exportSuburbStats(db) {
     ORDER BY suburb
   `;
   
-  const stats = db.prepare(query).all();
+  const distributions = collectPriceDistributions(db, `
+    SELECT suburb || '|' || IFNULL(postcode, '') as groupKey,
+      property_type as propertyType, purchase_price as price
+    FROM property_sales
+    WHERE purchase_price > 0
+  `);
+  const stats = db.prepare(query).all().map(row => ({
+    ...row,
+    ...distributions.get(`${row.suburb}|${row.postcode ?? ''}`)
+  }));
   
   const outputPath = join(OUTPUT_DIR, 'suburb_stats.json');
   writeFileSync(outputPath, JSON.stringify(stats, null, 2));
@@ -162,10 +219,16 @@ function exportSalesByPostcode(db) {
   `;
   
   const data = db.prepare(query).all();
+  const distributions = collectPriceDistributions(db, `
+    SELECT postcode as groupKey, property_type as propertyType, purchase_price as price
+    FROM property_sales
+    WHERE purchase_price > 0 AND postcode IS NOT NULL
+  `);
   
   // Convert suburbs string to array
   const processed = data.map(row => ({
     ...row,
+    ...distributions.get(row.postcode),
     suburbs: row.suburbs ? row.suburbs.split(',') : []
   }));
   
@@ -177,52 +240,313 @@ function exportSalesByPostcode(db) {
 }
 
 /**
- * Export sales for GeoJSON overlay (with coordinates from postcode lookup)
+ * Check whether a table exists (optional pipeline tables may not have been built)
+ */
+function hasTable(db, name) {
+  return Boolean(db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?"
+  ).get(name));
+}
+
+/**
+ * Export price statistics per catchment (USE_ID), from sales placed inside
+ * catchment polygons by scripts/assignSalesToCatchments.js
+ */
+function exportCatchmentStats(db) {
+  console.log('\nExporting catchment statistics...');
+
+  if (!hasTable(db, 'sale_catchments')) {
+    console.log('  ⚠ No catchment assignments - run node scripts/assignSalesToCatchments.js first');
+    return 0;
+  }
+
+  const query = `
+    SELECT 
+      sc.catchment_type as catchmentType,
+      sc.use_id as useId,
+      COUNT(*) as totalSales,
+      ROUND(AVG(ps.purchase_price), 0) as avgPrice,
+      MIN(ps.purchase_price) as minPrice,
+      MAX(ps.purchase_price) as maxPrice,
+      ROUND(AVG(CASE WHEN ps.area > 0 AND ps.area_unit = 'M' THEN ps.purchase_price / ps.area ELSE NULL END), 0) as avgPricePerSqm,
+      COUNT(CASE WHEN ps.property_type = 'RESIDENCE' THEN 1 END) as residenceCount,
+      COUNT(CASE WHEN ps.property_type = 'STRATA' THEN 1 END) as strataCount,
+      COUNT(CASE WHEN ps.property_type = 'VACANT LAND' THEN 1 END) as vacantLandCount,
+      GROUP_CONCAT(DISTINCT ps.suburb) as suburbs,
+      MIN(ps.contract_date) as earliestSale,
+      MAX(ps.contract_date) as latestSale,
+      COUNT(CASE WHEN ps.contract_date >= date('now', '-3 months') THEN 1 END) as salesLast3Months,
+      ROUND(AVG(CASE WHEN ps.contract_date >= date('now', '-3 months') THEN ps.purchase_price ELSE NULL END), 0) as avgPriceLast3Months
+    FROM sale_catchments sc
+    JOIN property_sales ps ON ps.id = sc.sale_id
+    WHERE ps.purchase_price > 0
+    GROUP BY sc.catchment_type, sc.use_id
+    ORDER BY sc.catchment_type, sc.use_id
+  `;
+
+  const distributions = collectPriceDistributions(db, `
+    SELECT sc.catchment_type || ':' || sc.use_id as groupKey,
+      ps.property_type as propertyType, ps.purchase_price as price
+    FROM sale_catchments sc
+    JOIN property_sales ps ON ps.id = sc.sale_id
+    WHERE ps.purchase_price > 0
+  `);
+  const stats = db.prepare(query).all().map(row => ({
+    ...row,
+    ...distributions.get(`${row.catchmentType}:${row.useId}`),
+    suburbs: row.suburbs ? row.suburbs.split(',') : []
+  }));
+
+  const outputPath = join(OUTPUT_DIR, 'catchment_stats.json');
+  writeFileSync(outputPath, JSON.stringify(stats, null, 2));
+
+  console.log(`  ✓ Exported stats for ${stats.length} catchments to ${outputPath}`);
+  return stats.length;
+}
+
+/**
+ * Monthly median price and sale count per group and property type
+ * @param {string} query - SELECT returning groupKey, propertyType, month and price per sale
+ * @returns {object} groupKey → { residence, strata } trend series
+ */
+function collectTrendSeries(db, query, params, endMonth) {
+  const groups = new Map();
+
+  for (const row of db.prepare(query).iterate(params)) {
+    const type = getPropertyTypeGroup(row.propertyType);
+    if (!groups.has(row.groupKey)) groups.set(row.groupKey, {});
+    const byType = groups.get(row.groupKey);
+    if (!byType[type]) byType[type] = new Map();
+    if (!byType[type].has(row.month)) byType[type].set(row.month, []);
+    byType[type].get(row.month).push(row.price);
+  }
+
+  const lastYearStart = addMonths(endMonth, -11);
+  const priorYearStart = addMonths(endMonth, -23);
+  const summarizeYear = (byMonth, from, to) => {
+    const prices = [...byMonth].filter(([month]) => month >= from && month <= to).flatMap(([, p]) => p);
+    const summary = summarizePrices(prices);
+    return summary ? { medianPrice: summary.medianPrice, sales: summary.count } : null;
+  };
+
+  const series = {};
+  groups.forEach((byType, key) => {
+    series[key] = {};
+    for (const [type, byMonth] of Object.entries(byType)) {
+      series[key][type] = {
+        monthly: [...byMonth.keys()].sort().map(month => {
+          const prices = byMonth.get(month);
+          return [month, summarizePrices(prices).medianPrice, prices.length];
+        }),
+        last12Months: summarizeYear(byMonth, lastYearStart, endMonth),
+        prior12Months: summarizeYear(byMonth, priorYearStart, addMonths(lastYearStart, -1))
+      };
+    }
+  });
+
+  return series;
+}
+
+/**
+ * Export monthly median price and volume series per suburb and per catchment
+ * The series end at the latest month with sales rather than today, so a
+ * database that hasn't been refreshed for a while still gets full series.
+ */
+function exportPriceTrends(db, months = TREND_MONTHS) {
+  console.log(`\nExporting monthly price trends (${months} months)...`);
+
+  const latest = db.prepare(`
+    SELECT substr(MAX(contract_date), 1, 7) as month FROM property_sales WHERE purchase_price > 0
+  `).get().month;
+  if (!latest) {
+    console.log('  ⚠ No sales to summarise');
+    return 0;
+  }
+
+  const startMonth = addMonths(latest, -(months - 1));
+  const propertyTypes = TREND_PROPERTY_TYPES.map(type => PROPERTY_TYPE_GROUPS[type].propertyType);
+  const params = [`${startMonth}-01`, ...propertyTypes];
+  const typeFilter = propertyTypes.map(() => '?').join(', ');
+
+  const suburbs = collectTrendSeries(db, `
+    SELECT UPPER(suburb) as groupKey, property_type as propertyType,
+      substr(contract_date, 1, 7) as month, purchase_price as price
+    FROM property_sales
+    WHERE purchase_price > 0 AND suburb IS NOT NULL
+      AND contract_date >= ? AND property_type IN (${typeFilter})
+  `, params, latest);
+
+  const catchments = hasTable(db, 'sale_catchments')
+    ? collectTrendSeries(db, `
+      SELECT sc.catchment_type || ':' || sc.use_id as groupKey, ps.property_type as propertyType,
+        substr(ps.contract_date, 1, 7) as month, ps.purchase_price as price
+      FROM sale_catchments sc
+      JOIN property_sales ps ON ps.id = sc.sale_id
+      WHERE ps.purchase_price > 0
+        AND ps.contract_date >= ? AND ps.property_type IN (${typeFilter})
+    `, params, latest)
+    : {};
+
+  const trends = {
+    generated: new Date().toISOString(),
+    startMonth,
+    endMonth: latest,
+    suburbs,
+    catchments
+  };
+
+  const outputPath = join(OUTPUT_DIR, 'price_trends.json');
+  writeFileSync(outputPath, JSON.stringify(trends));
+
+  const suburbCount = Object.keys(suburbs).length;
+  console.log(`  ✓ Exported trends for ${suburbCount} suburbs and ${Object.keys(catchments).length} catchments to ${outputPath}`);
+  return suburbCount;
+}
+
+/**
+ * Fit a repeat-sales index for every area with enough pairs
+ * @param {Map} pairsByArea - area key → pairs
+ * @returns {object} area key → { pairs, baseYear, index, annualGrowth, growthFromYear, growthToYear }
+ */
+function buildAreaIndexes(pairsByArea) {
+  const indexes = {};
+  pairsByArea.forEach((pairs, key) => {
+    const result = estimateRepeatSalesIndex(pairs);
+    if (!result) return;
+    const growth = getIndexGrowth(result.index);
+    indexes[key] = {
+      ...result,
+      annualGrowth: growth ? Math.round(growth.annualGrowth * 10000) / 10000 : null,
+      growthFromYear: growth?.fromYear ?? null,
+      growthToYear: growth?.toYear ?? null
+    };
+  });
+  return indexes;
+}
+
+/**
+ * Export repeat-sales price indexes per suburb and per catchment
+ * A pair belongs to the suburb and catchments of its later sale.
+ */
+function exportRepeatSalesIndex(db) {
+  console.log('\nExporting repeat-sales price index...');
+
+  const sales = db.prepare(`
+    SELECT 
+      ps.id,
+      ps.district_code || ':' || ps.property_id as propertyKey,
+      ps.contract_date as date,
+      ps.purchase_price as price,
+      UPPER(ps.suburb) as suburb
+    FROM property_sales ps
+    JOIN (
+      SELECT district_code, property_id
+      FROM property_sales
+      WHERE purchase_price > 0 AND property_id IS NOT NULL
+      GROUP BY district_code, property_id
+      HAVING COUNT(*) > 1
+    ) repeated ON repeated.district_code = ps.district_code AND repeated.property_id = ps.property_id
+    WHERE ps.purchase_price > 0 AND ps.contract_date IS NOT NULL
+    ORDER BY propertyKey, ps.contract_date
+  `).all();
+
+  const pairs = buildRepeatSalePairs(sales);
+
+  const catchmentsStmt = hasTable(db, 'sale_catchments')
+    ? db.prepare(`SELECT catchment_type || ':' || use_id as areaKey FROM sale_catchments WHERE sale_id = ?`)
+    : null;
+
+  const bySuburb = new Map();
+  const byCatchment = new Map();
+  const addPair = (groups, key, pair) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(pair);
+  };
+
+  pairs.forEach(pair => {
+    if (pair.sale.suburb) addPair(bySuburb, pair.sale.suburb, pair);
+    catchmentsStmt?.all(pair.sale.id).forEach(({ areaKey }) => addPair(byCatchment, areaKey, pair));
+  });
+
+  const index = {
+    generated: new Date().toISOString(),
+    method: 'Annual repeat-sales regression (Bailey-Muth-Nourse), first year = 100',
+    minPairs: MIN_PAIRS,
+    growthYears: GROWTH_YEARS,
+    totalPairs: pairs.length,
+    suburbs: buildAreaIndexes(bySuburb),
+    catchments: buildAreaIndexes(byCatchment)
+  };
+
+  const outputPath = join(OUTPUT_DIR, 'repeat_sales_index.json');
+  writeFileSync(outputPath, JSON.stringify(index));
+
+  const suburbCount = Object.keys(index.suburbs).length;
+  console.log(`  ✓ ${pairs.length.toLocaleString()} repeat-sale pairs from ${sales.length.toLocaleString()} sales`);
+  console.log(`  ✓ Exported indexes for ${suburbCount} suburbs and ${Object.keys(index.catchments).length} catchments to ${outputPath}`);
+  return suburbCount;
+}
+
+/**
+ * Export geocoded sales as GeoJSON points for the sales layer
+ * Locations come from scripts/geocodeSales.js; sales it could not place are left out.
  */
 function exportSalesGeoJSON(db, months = 3) {
   console.log(`\nExporting sales as GeoJSON (last ${months} months)...`);
-  
-  // Note: We don't have exact coordinates in sales data
-  // This creates a point-based GeoJSON that could be geocoded later
-  // For now, we'll export without coordinates for potential geocoding
-  
+
+  const geocoded = hasTable(db, 'sale_geocodes');
+  if (!geocoded) {
+    console.log('  ⚠ No geocoded sales - run node scripts/geocodeSales.js first');
+  }
+
   const query = `
     SELECT 
-      id,
-      suburb,
-      postcode,
-      street_name,
-      house_number,
-      unit_number,
-      purchase_price,
-      contract_date,
-      area,
-      zone_code,
-      property_type
-    FROM property_sales
-    WHERE contract_date >= date('now', '-' || ? || ' months')
-      AND purchase_price > 0
-    ORDER BY contract_date DESC
+      ps.id,
+      ps.suburb,
+      ps.postcode,
+      ps.street_name,
+      ps.house_number,
+      ps.unit_number,
+      ps.purchase_price,
+      ps.contract_date,
+      ps.area,
+      ps.zone_code,
+      ps.property_type,
+      ${geocoded
+        ? 'g.latitude, g.longitude, g.match_quality'
+        : 'NULL as latitude, NULL as longitude, NULL as match_quality'}
+    FROM property_sales ps
+    ${geocoded ? 'LEFT JOIN sale_geocodes g ON g.sale_id = ps.id' : ''}
+    WHERE ps.contract_date >= date('now', '-' || ? || ' months')
+      AND ps.purchase_price > 0
+    ORDER BY ps.contract_date DESC
     LIMIT 5000
   `;
   
   const sales = db.prepare(query).all(months);
+  const located = sales.filter(sale => sale.latitude !== null && sale.longitude !== null);
+
+  const matchQuality = {};
+  sales.forEach(sale => {
+    const quality = sale.match_quality || 'none';
+    matchQuality[quality] = (matchQuality[quality] || 0) + 1;
+  });
   
-  // Create a summary GeoJSON structure (without actual coordinates)
-  // This can be enhanced with geocoding later
   const geojson = {
     type: "FeatureCollection",
     metadata: {
       generated: new Date().toISOString(),
       totalSales: sales.length,
+      locatedSales: located.length,
       period: `${months} months`,
-      note: "Coordinates not included - requires geocoding"
+      // Sale counts by geocoder match quality (exact, street, locality, none)
+      matchQuality
     },
-    features: sales.map(sale => ({
+    features: located.map(sale => ({
       type: "Feature",
       properties: {
         id: sale.id,
-        address: [sale.unit_number, sale.house_number, sale.street_name]
+        address: [sale.unit_number && sale.house_number ? `${sale.unit_number}/${sale.house_number}` : sale.house_number, sale.street_name]
           .filter(Boolean).join(' '),
         suburb: sale.suburb,
         postcode: sale.postcode,
@@ -230,17 +554,24 @@ function exportSalesGeoJSON(db, months = 3) {
         date: sale.contract_date,
         area: sale.area,
         zoneCode: sale.zone_code,
-        propertyType: sale.property_type
+        propertyType: sale.property_type,
+        matchQuality: sale.match_quality
       },
-      geometry: null  // Would be populated by geocoding
+      geometry: {
+        type: "Point",
+        coordinates: [
+          Math.round(sale.longitude * 1e6) / 1e6,
+          Math.round(sale.latitude * 1e6) / 1e6
+        ]
+      }
     }))
   };
   
   const outputPath = join(OUTPUT_DIR, 'sales_points.geojson');
-  writeFileSync(outputPath, JSON.stringify(geojson, null, 2));
+  writeFileSync(outputPath, JSON.stringify(geojson));
   
-  console.log(`  ✓ Exported ${sales.length} sales to ${outputPath}`);
-  return sales.length;
+  console.log(`  ✓ Exported ${located.length} of ${sales.length} sales with locations to ${outputPath}`);
+  return located.length;
 }
 
 /**
@@ -347,7 +678,10 @@ Output Files:
   public/data/sales/recent_sales.json   - Recent individual sales
   public/data/sales/suburb_stats.json   - Statistics by suburb
   public/data/sales/postcode_stats.json - Statistics by postcode
-  public/data/sales/sales_points.geojson - GeoJSON for mapping
+  public/data/sales/catchment_stats.json - Statistics by school catchment (USE_ID)
+  public/data/sales/price_trends.json   - Monthly median price and volume series
+  public/data/sales/repeat_sales_index.json - Repeat-sales growth index by suburb and catchment
+  public/data/sales/sales_points.geojson - Geocoded sale points for mapping
   public/data/sales/metadata.json       - Database summary
 `);
 }
@@ -375,6 +709,9 @@ async function main() {
     exportRecentSales(db, options.months);
     exportSuburbStats(db);
     exportSalesByPostcode(db);
+    exportCatchmentStats(db);
+    exportPriceTrends(db);
+    exportRepeatSalesIndex(db);
     exportSalesGeoJSON(db, Math.min(options.months, 3));
     const metadata = exportMetadata(db);
     
@@ -10,9 +10,9 @@
  */
 
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
+import { join, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
-import { calculateSchoolRankings } from './schoolRankingUtils.js';
+import { describeSchoolsInput, writeRankingOutputs } from './rankingOutputs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -20,6 +20,7 @@ const __dirname = dirname(__filename);
 const SCHOOLS_INPUT = join(__dirname, '..', 'public', 'data', 'schools.json');
 const SUBURB_STATS_INPUT = join(__dirname, '..', 'public', 'data', 'sales', 'suburb_stats.json');
 const OUTPUT_DIR = join(__dirname, '..', 'public', 'data', 'schools');
+const ROOT_DIR = join(__dirname, '..');
 
 /**
  * Ensure output directory exists
@@ -500,74 +501,20 @@ function exportSchoolsGeoJSON(schools) {
 /**
  * Export ranked schools data
  */
-function exportRankedSchools(schools) {
+function exportRankedSchools(schools, inputs) {
   console.log('\nCalculating school rankings...');
-  
-  // Calculate rankings for all schools
-  const allRanked = calculateSchoolRankings(schools, { sortBy: 'percentage_score' });
-  
-  // Calculate separate rankings for primary and secondary
-  const primaryRanked = calculateSchoolRankings(schools, { 
-    filterByLevel: 'primary', 
-    sortBy: 'percentage_score' 
-  });
-  
-  const secondaryRanked = calculateSchoolRankings(schools, { 
-    filterByLevel: 'secondary', 
-    sortBy: 'percentage_score' 
-  });
-
-  // Export overall rankings
-  const allRankedPath = join(OUTPUT_DIR, 'schools_ranked.json');
-  writeFileSync(allRankedPath, JSON.stringify(allRanked, null, 2));
-  console.log(`  ✓ Exported ${allRanked.length} ranked schools to ${allRankedPath}`);
-
-  // Export primary school rankings
-  const primaryRankedPath = join(OUTPUT_DIR, 'primary_schools_ranked.json');
-  writeFileSync(primaryRankedPath, JSON.stringify(primaryRanked, null, 2));
-  console.log(`  ✓ Exported ${primaryRanked.length} ranked primary schools to ${primaryRankedPath}`);
 
-  // Export secondary school rankings
-  const secondaryRankedPath = join(OUTPUT_DIR, 'secondary_schools_ranked.json');
-  writeFileSync(secondaryRankedPath, JSON.stringify(secondaryRanked, null, 2));
-  console.log(`  ✓ Exported ${secondaryRanked.length} ranked secondary schools to ${secondaryRankedPath}`);
-
-  // Export top schools summary
-  const topSchools = {
-    generated: new Date().toISOString(),
-    top_overall: allRanked.slice(0, 20).map(s => ({
-      rank: s.ranking.rank,
-      school_code: s.School_code,
-      name: s.School_name,
-      level: s.Level_of_schooling,
-      suburb: s.Town_suburb,
-      score: s.ranking.percentage_score,
-      icsea: s.ICSEA_value,
-      selective: s.Selective_school
-    })),
-    top_primary: primaryRanked.slice(0, 20).map(s => ({
-      rank: s.ranking.rank,
-      school_code: s.School_code,
-      name: s.School_name,
-      suburb: s.Town_suburb,
-      score: s.ranking.percentage_score,
-      icsea: s.ICSEA_value,
-      opportunity_class: s.Opportunity_class
-    })),
-    top_secondary: secondaryRanked.slice(0, 20).map(s => ({
-      rank: s.ranking.rank,
-      school_code: s.School_code,
-      name: s.School_name,
-      suburb: s.Town_suburb,
-      score: s.ranking.percentage_score,
-      icsea: s.ICSEA_value,
-      selective: s.Selective_school
-    }))
-  };
+  const { allRanked, primaryRanked, secondaryRanked, topSchools, files } = writeRankingOutputs(schools, {
+    outputDir: OUTPUT_DIR,
+    inputs,
+  });
 
-  const topSchoolsPath = join(OUTPUT_DIR, 'top_schools.json');
-  writeFileSync(topSchoolsPath, JSON.stringify(topSchools, null, 2));
-  console.log(`  ✓ Exported top schools summary to ${topSchoolsPath}`);
+  console.log(`  ✓ Ranked with methodology v${topSchools.provenance.version}`);
+  console.log(`  ✓ Value-add for ${allRanked.filter(s => s.valueAdd).length} schools with NAPLAN or HSC results`);
+  console.log(`  ✓ Exported ${allRanked.length} ranked schools to ${files['schools_ranked.json']}`);
+  console.log(`  ✓ Exported ${primaryRanked.length} ranked primary schools to ${files['primary_schools_ranked.json']}`);
+  console.log(`  ✓ Exported ${secondaryRanked.length} ranked secondary schools to ${files['secondary_schools_ranked.json']}`);
+  console.log(`  ✓ Exported top schools summary to ${files['top_schools.json']}`);
 
   return {
     total: allRanked.length,
@@ -664,7 +611,12 @@ async function main() {
     exportSelectiveSchools(schoolsWithPrices);
     exportSchoolsBySuburb(schoolsWithPrices);
     exportSchoolsGeoJSON(schoolsWithPrices);
-    const rankingStats = exportRankedSchools(schoolsWithPrices);
+    const rankingStats = exportRankedSchools(schoolsWithPrices, {
+      schools: describeSchoolsInput(relative(ROOT_DIR, SCHOOLS_INPUT), schools),
+      suburbStats: priceData.bySuburb.size > 0
+        ? { file: relative(ROOT_DIR, SUBURB_STATS_INPUT), records: priceData.bySuburb.size, use: 'propertyPrices (display only)' }
+        : null,
+    });
     exportSchoolsSchemaInfo(schoolsWithPrices);
     
     console.log('\n' + '='.repeat(60));
@@ -690,4 +642,4 @@ async function main() {
 main().catch(error => {
   console.error('Fatal error:', error);
   process.exit(1);
-});
\ No newline at end of file
+});
\ No newline at end of file
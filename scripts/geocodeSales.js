@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * Geocode Property Sales
+ *
+ * Matches each sale's house number, street, suburb and postcode against the
+ * locally imported address gazetteer (scripts/ingestAddresses.js) and stores
+ * the point and a match-quality flag in the sale_geocodes table. Nothing is
+ * sent to an external service.
+ *
+ * Match quality follows src/utils/addressMatcher.js:
+ *   exact    - house number found on the street
+ *   street   - street found; nearest number on the same side used
+ *   locality - only the suburb matched; suburb centre used
+ *   none     - suburb not in the gazetteer
+ *
+ * Usage:
+ *   node scripts/geocodeSales.js [--all]
+ */
+
+import Database from 'better-sqlite3';
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeStreetName, normalizeHouseNumber, normalizeSuburb } from '../src/utils/addressParser.js';
+import { MATCH_QUALITY, MATCH_QUALITY_LABELS, matchAddressRows } from '../src/utils/addressMatcher.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DB_PATH = join(__dirname, '..', 'data', 'property_sales.db');
+const SCHEMA_PATH = join(__dirname, 'db', 'schema.sql');
+
+/**
+ * Open the database and make sure the sale_geocodes table exists
+ */
+function openDatabase() {
+  const db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.exec(readFileSync(SCHEMA_PATH, 'utf-8'));
+  return db;
+}
+
+/**
+ * Gazetteer rows and centre for a locality, falling back to the suburb alone
+ * when the sale's postcode is missing or differs from G-NAF
+ */
+function loadLocality(statements, suburb, postcode) {
+  let rows = postcode ? statements.addressesByPostcode.all(suburb, postcode) : [];
+  let center = postcode ? statements.centerByPostcode.get(suburb, postcode) : null;
+
+  if (rows.length === 0) {
+    rows = statements.addressesBySuburb.all(suburb);
+    center = statements.centerBySuburb.get(suburb);
+  }
+
+  return {
+    rows: rows.map(r => [r.unit_number || null, r.house_number, r.street_name, r.latitude, r.longitude]),
+    center: center && center.lat !== null ? [center.lat, center.lng] : null
+  };
+}
+
+/**
+ * Resolve one sale against its locality
+ * @returns {object} { latitude, longitude, quality }
+ */
+function geocodeSale(sale, locality) {
+  if (sale.street_name) {
+    const match = matchAddressRows(locality.rows, {
+      unit: sale.unit_number || null,
+      number: sale.house_number ? normalizeHouseNumber(sale.house_number) : null,
+      street: normalizeStreetName(sale.street_name)
+    });
+    if (match) {
+      return { latitude: match.row[3], longitude: match.row[4], quality: match.quality };
+    }
+  }
+
+  if (locality.center) {
+    return { latitude: locality.center[0], longitude: locality.center[1], quality: MATCH_QUALITY.LOCALITY };
+  }
+
+  return { latitude: null, longitude: null, quality: MATCH_QUALITY.NONE };
+}
+
+/**
+ * Geocode pending sales one locality at a time
+ */
+function geocodeSales(db, all) {
+  const localities = db.prepare(`
+    SELECT DISTINCT ps.suburb, ps.postcode
+    FROM property_sales ps
+    LEFT JOIN sale_geocodes g ON g.sale_id = ps.id
+    WHERE (@all = 1 OR g.sale_id IS NULL)
+    ORDER BY ps.suburb, ps.postcode
+  `).all({ all: all ? 1 : 0 });
+
+  const salesStmt = db.prepare(`
+    SELECT ps.id, ps.unit_number, ps.house_number, ps.street_name
+    FROM property_sales ps
+    LEFT JOIN sale_geocodes g ON g.sale_id = ps.id
+    WHERE (@all = 1 OR g.sale_id IS NULL)
+      AND ps.suburb IS @suburb AND ps.postcode IS @postcode
+  `);
+
+  const statements = {
+    addressesByPostcode: db.prepare(`
+      SELECT unit_number, house_number, street_name, latitude, longitude
+      FROM addresses WHERE suburb = ? AND postcode = ?
+    `),
+    addressesBySuburb: db.prepare(`
+      SELECT unit_number, house_number, street_name, latitude, longitude
+      FROM addresses WHERE suburb = ?
+    `),
+    centerByPostcode: db.prepare(`
+      SELECT AVG(latitude) as lat, AVG(longitude) as lng
+      FROM addresses WHERE suburb = ? AND postcode = ?
+    `),
+    centerBySuburb: db.prepare(`
+      SELECT AVG(latitude) as lat, AVG(longitude) as lng
+      FROM addresses WHERE suburb = ?
+    `)
+  };
+
+  const upsertStmt = db.prepare(`
+    INSERT OR REPLACE INTO sale_geocodes (sale_id, latitude, longitude, match_quality, geocoded_at)
+    VALUES (@saleId, @latitude, @longitude, @quality, CURRENT_TIMESTAMP)
+  `);
+
+  const saveBatch = db.transaction((rows) => {
+    for (const row of rows) upsertStmt.run(row);
+  });
+
+  const counts = Object.fromEntries(Object.values(MATCH_QUALITY).map(q => [q, 0]));
+  let processed = 0;
+
+  console.log(`Geocoding sales in ${localities.length} localities...`);
+
+  localities.forEach(({ suburb, postcode }, index) => {
+    const sales = salesStmt.all({ all: all ? 1 : 0, suburb, postcode });
+    const locality = suburb
+      ? loadLocality(statements, normalizeSuburb(suburb), postcode)
+      : { rows: [], center: null };
+
+    const results = sales.map(sale => {
+      const result = geocodeSale(sale, locality);
+      counts[result.quality]++;
+      return { saleId: sale.id, ...result };
+    });
+
+    saveBatch(results);
+    processed += sales.length;
+    if ((index + 1) % 100 === 0 || index === localities.length - 1) {
+      process.stdout.write(`\r  Processed ${processed.toLocaleString()} sales...`);
+    }
+  });
+  process.stdout.write('\n');
+
+  return { processed, counts };
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    all: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--all':
+      case '-a':
+        options.all = true;
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Geocode Property Sales
+======================
+
+Usage:
+  node scripts/geocodeSales.js [options]
+
+Options:
+  --all, -a     Re-geocode every sale, not just sales without a location
+                (use after importing a newer gazetteer)
+  --help, -h    Show this help message
+
+Prerequisites:
+  npm run data:ingest            - property sales
+  npm run data:ingest-addresses  - G-NAF address gazetteer
+
+Afterwards run "npm run data:export" to write public/data/sales/sales_points.geojson.
+`);
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const options = parseArgs();
+
+  if (!existsSync(DB_PATH)) {
+    console.error(`Error: Database not found at ${DB_PATH}`);
+    console.error('Run the ingestion script first: node scripts/ingestPropertySales.js --source <path>');
+    process.exit(1);
+  }
+
+  console.log('Property Sales Geocoding');
+  console.log('========================\n');
+
+  const db = openDatabase();
+
+  try {
+    const addressCount = db.prepare('SELECT COUNT(*) as count FROM addresses').get().count;
+    if (addressCount === 0) {
+      console.error('Error: The address gazetteer is empty');
+      console.error('Import G-NAF first: node scripts/ingestAddresses.js --source <file>');
+      process.exitCode = 1;
+      return;
+    }
+
+    const { processed, counts } = geocodeSales(db, options.all);
+    const located = db.prepare(`
+      SELECT COUNT(*) as count FROM sale_geocodes WHERE match_quality != ?
+    `).get(MATCH_QUALITY.NONE).count;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Sales geocoded this run: ${processed.toLocaleString()}`);
+    for (const [quality, count] of Object.entries(counts)) {
+      const share = processed > 0 ? ` (${(count / processed * 100).toFixed(1)}%)` : '';
+      console.log(`  ${MATCH_QUALITY_LABELS[quality]}: ${count.toLocaleString()}${share}`);
+    }
+    console.log(`Sales with a location in database: ${located.toLocaleString()}`);
+    console.log(`Gazetteer addresses: ${addressCount.toLocaleString()}`);
+
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * NSW Address Gazetteer Ingestion
+ *
+ * Loads geocoded addresses from a G-NAF extract (CSV or pipe-separated) into
+ * the local SQLite database so address search can run entirely offline.
+ *
+ * The expected input is a flattened G-NAF address view, e.g. the
+ * ADDRESS_VIEW export from https://data.gov.au/dataset/geocoded-national-address-file-g-naf
+ * Street types are normalised to the abbreviations used by Valuer General sales data.
+ *
+ * Usage:
+ *   node scripts/ingestAddresses.js --source <file> [--state NSW] [--replace]
+ */
+
+import Database from 'better-sqlite3';
+import { createReadStream, readFileSync, existsSync, mkdirSync } from 'fs';
+import { createInterface } from 'readline';
+import { join, basename, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeStreetName, normalizeHouseNumber, normalizeSuburb } from '../src/utils/addressParser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Configuration
+const DB_PATH = join(__dirname, '..', 'data', 'property_sales.db');
+const SCHEMA_PATH = join(__dirname, 'db', 'schema.sql');
+const BATCH_SIZE = 5000;
+
+// Accepted header names for each field (first match wins)
+const COLUMN_ALIASES = {
+  pid: ['ADDRESS_DETAIL_PID', 'ADDRESS_PID', 'PID', 'ID'],
+  flatNumber: ['FLAT_NUMBER', 'UNIT_NUMBER', 'UNIT'],
+  numberFirst: ['NUMBER_FIRST', 'HOUSE_NUMBER', 'STREET_NUMBER', 'NUMBER'],
+  numberFirstSuffix: ['NUMBER_FIRST_SUFFIX'],
+  streetName: ['STREET_NAME', 'STREET'],
+  streetType: ['STREET_TYPE_CODE', 'STREET_TYPE'],
+  streetSuffix: ['STREET_SUFFIX_CODE', 'STREET_SUFFIX'],
+  locality: ['LOCALITY_NAME', 'LOCALITY', 'SUBURB'],
+  state: ['STATE_ABBREVIATION', 'STATE'],
+  postcode: ['POSTCODE'],
+  latitude: ['LATITUDE', 'LAT'],
+  longitude: ['LONGITUDE', 'LON', 'LNG'],
+};
+
+// G-NAF street suffix codes → words kept after the street type
+const STREET_SUFFIXES = {
+  N: 'NORTH',
+  S: 'SOUTH',
+  E: 'EAST',
+  W: 'WEST',
+};
+
+/**
+ * Initialize the database
+ */
+function initDatabase() {
+  const dataDir = dirname(DB_PATH);
+  if (!existsSync(dataDir)) {
+    mkdirSync(dataDir, { recursive: true });
+    console.log(`Created data directory: ${dataDir}`);
+  }
+
+  const db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+
+  const schema = readFileSync(SCHEMA_PATH, 'utf-8');
+  db.exec(schema);
+
+  console.log(`Database initialized at: ${DB_PATH}`);
+  return db;
+}
+
+/**
+ * Split a delimited line, honouring double-quoted values
+ */
+function splitLine(line, delimiter) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+
+  return values;
+}
+
+/**
+ * Map header names to column indexes using COLUMN_ALIASES
+ */
+function resolveColumns(headers) {
+  const upper = headers.map(h => h.toUpperCase());
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = aliases.map(alias => upper.indexOf(alias)).find(i => i !== -1);
+    columns[field] = index === undefined ? -1 : index;
+  }
+
+  const required = ['numberFirst', 'streetName', 'locality', 'latitude', 'longitude'];
+  const missing = required.filter(field => columns[field] === -1);
+  if (missing.length > 0) {
+    throw new Error(`Missing required columns: ${missing.join(', ')}`);
+  }
+
+  return columns;
+}
+
+/**
+ * Convert a parsed row into an address record, or null if unusable
+ */
+function toAddress(values, columns, sourceFile) {
+  const get = (field) => (columns[field] === -1 ? '' : values[columns[field]] || '');
+
+  const latitude = parseFloat(get('latitude'));
+  const longitude = parseFloat(get('longitude'));
+  const numberFirst = get('numberFirst');
+  const streetName = get('streetName');
+  const locality = get('locality');
+
+  if (!numberFirst || !streetName || !locality || isNaN(latitude) || isNaN(longitude)) {
+    return null;
+  }
+
+  const suffix = get('streetSuffix');
+  const fullStreet = [streetName, get('streetType'), STREET_SUFFIXES[suffix] || suffix]
+    .filter(Boolean)
+    .join(' ');
+
+  return {
+    pid: get('pid') || null,
+    unitNumber: get('flatNumber') || null,
+    houseNumber: normalizeHouseNumber(`${numberFirst}${get('numberFirstSuffix')}`),
+    streetName: normalizeStreetName(fullStreet),
+    suburb: normalizeSuburb(locality),
+    postcode: get('postcode') || null,
+    latitude,
+    longitude,
+    sourceFile,
+  };
+}
+
+/**
+ * Stream the source file into the addresses table
+ */
+async function ingestFile(db, filePath, state) {
+  const sourceFile = basename(filePath);
+  const insertStmt = db.prepare(`
+    INSERT OR IGNORE INTO addresses (
+      address_pid, unit_number, house_number, street_name, suburb, postcode,
+      latitude, longitude, source_file
+    ) VALUES (
+      @pid, @unitNumber, @houseNumber, @streetName, @suburb, @postcode,
+      @latitude, @longitude, @sourceFile
+    )
+  `);
+
+  const insertBatch = db.transaction((rows) => {
+    let inserted = 0;
+    for (const row of rows) {
+      inserted += insertStmt.run(row).changes;
+    }
+    return inserted;
+  });
+
+  const stats = { processed: 0, inserted: 0, skipped: 0, otherState: 0 };
+  const reader = createInterface({ input: createReadStream(filePath, 'utf-8'), crlfDelay: Infinity });
+
+  let delimiter = null;
+  let columns = null;
+  let batch = [];
+
+  for await (const line of reader) {
+    if (!line.trim()) continue;
+
+    if (!columns) {
+      delimiter = line.includes('|') ? '|' : ',';
+      columns = resolveColumns(splitLine(line.replace(/^\uFEFF/, ''), delimiter));
+      continue;
+    }
+
+    stats.processed++;
+    const values = splitLine(line, delimiter);
+
+    if (state && columns.state !== -1 && values[columns.state] && values[columns.state].toUpperCase() !== state) {
+      stats.otherState++;
+      continue;
+    }
+
+    const address = toAddress(values, columns, sourceFile);
+    if (!address) {
+      stats.skipped++;
+      continue;
+    }
+
+    batch.push(address);
+    if (batch.length >= BATCH_SIZE) {
+      stats.inserted += insertBatch(batch);
+      batch = [];
+      process.stdout.write(`\r  Processed ${stats.processed.toLocaleString()} rows...`);
+    }
+  }
+
+  if (batch.length > 0) {
+    stats.inserted += insertBatch(batch);
+  }
+  process.stdout.write('\n');
+
+  return stats;
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    source: null,
+    state: 'NSW',
+    replace: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--source':
+      case '-s':
+        options.source = args[++i];
+        break;
+      case '--state':
+        options.state = args[++i]?.toUpperCase() || null;
+        break;
+      case '--replace':
+      case '-r':
+        options.replace = true;
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+NSW Address Gazetteer Ingestion
+===============================
+
+Usage:
+  node scripts/ingestAddresses.js --source <file> [options]
+
+Options:
+  --source, -s <file>   G-NAF address CSV or pipe-separated file (required)
+  --state <code>        Only keep rows for this state (default: NSW)
+  --replace, -r         Clear existing addresses before importing
+  --help, -h            Show this help message
+
+Required columns (any of the listed aliases):
+  NUMBER_FIRST, STREET_NAME, LOCALITY_NAME, LATITUDE, LONGITUDE
+Optional columns:
+  ADDRESS_DETAIL_PID, FLAT_NUMBER, NUMBER_FIRST_SUFFIX, STREET_TYPE_CODE,
+  STREET_SUFFIX_CODE, STATE_ABBREVIATION, POSTCODE
+
+Data Source:
+  Download G-NAF from: https://data.gov.au/dataset/geocoded-national-address-file-g-naf
+`);
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const options = parseArgs();
+
+  if (!options.source) {
+    console.error('Error: --source is required');
+    console.error('Run with --help for usage information');
+    process.exit(1);
+  }
+
+  if (!existsSync(options.source)) {
+    console.error(`Error: Source file does not exist: ${options.source}`);
+    process.exit(1);
+  }
+
+  console.log('NSW Address Gazetteer Ingestion');
+  console.log('===============================\n');
+
+  const db = initDatabase();
+
+  try {
+    if (options.replace) {
+      db.prepare('DELETE FROM addresses').run();
+      console.log('Cleared existing addresses');
+    }
+
+    console.log(`\nReading: ${options.source}`);
+    const stats = await ingestFile(db, options.source, options.state);
+
+    const total = db.prepare('SELECT COUNT(*) as count FROM addresses').get();
+    const localities = db.prepare('SELECT COUNT(DISTINCT suburb || postcode) as count FROM addresses').get();
+
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Rows processed: ${stats.processed.toLocaleString()}`);
+    console.log(`Addresses inserted: ${stats.inserted.toLocaleString()}`);
+    console.log(`Rows skipped (incomplete): ${stats.skipped.toLocaleString()}`);
+    if (options.state) {
+      console.log(`Rows skipped (not ${options.state}): ${stats.otherState.toLocaleString()}`);
+    }
+    console.log(`Total addresses in database: ${total.count.toLocaleString()}`);
+    console.log(`Localities: ${localities.count.toLocaleString()}`);
+    console.log(`Database location: ${DB_PATH}`);
+
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
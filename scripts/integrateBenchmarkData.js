@@ -7,7 +7,10 @@
  * 2. Loads NAPLAN/HSC ranking data
  * 3. Matches schools by name (fuzzy matching for better accuracy)
  * 4. Updates school records with academic performance data
- * 5. Updates the ranking weights to include academic performance
+ *
+ * It does not rank schools. Rankings come only from the canonical engine in
+ * src/utils/schoolRanking.js - run updateRankingsWithAcademicData.js (or
+ * exportSchoolsData.js) afterwards to re-rank with the new academic data.
  */
 
 import { readFileSync, writeFileSync, existsSync } from 'fs';
@@ -18,6 +21,10 @@ const NAPLAN_DATA_FILE = 'public/data/rankings/naplan_rankings_2025.json';
 const HSC_DATA_FILE = 'public/data/rankings/hsc_rankings_2025.json';
 const COMBINED_DATA_FILE = 'public/data/rankings/academic_rankings_2025.json';
 
+// Scores written into schools.json by an older, separate ranking calculation.
+// They disagreed with the canonical rankings, so they are dropped on every run.
+const LEGACY_RANKING_FIELDS = ['rankingFactors', 'overallScore', 'factorBreakdown', 'rank'];
+
 /**
  * Simple fuzzy string matching for school names
  */
@@ -118,65 +125,6 @@ function matchAcademicData(schools, naplanData, hscData) {
   return { matches, unmatchedAcademic };
 }
 
-/**
- * Update school ranking weights to include academic performance
- */
-function updateRankingWeights(school, academicData) {
-  const weights = { ...school.rankingFactors };
-  
-  // Add academic performance weights
-  if (academicData.naplanRanking) {
-    // NAPLAN ranking: Higher weight for better ranking (lower number = better)
-    // Convert ranking to score (1-100 scale, where 1st place = 100 points)
-    const naplanScore = Math.max(1, 101 - academicData.naplanRanking);
-    weights.naplanPerformance = naplanScore;
-    weights.teacherStudentRatio = academicData.teacherStudentRatio || 0;
-    weights.studentDiversity = (academicData.studentsNonEnglish || 0) + (academicData.studentsIndigenous || 0);
-  }
-  
-  if (academicData.hscRanking) {
-    // HSC ranking: Similar scoring system
-    const hscScore = Math.max(1, 101 - academicData.hscRanking);
-    weights.hscPerformance = hscScore;
-    weights.teacherStudentRatio = academicData.teacherStudentRatio || 0;
-    weights.studentDiversity = (academicData.studentsNonEnglish || 0) + (academicData.studentsIndigenous || 0);
-  }
-  
-  return weights;
-}
-
-/**
- * Calculate new overall ranking score including academic data
- */
-function calculateEnhancedRanking(school) {
-  const weights = school.rankingFactors;
-  
-  // Enhanced scoring system with academic performance
-  const factors = {
-    // Existing factors (reduced weights to make room for academic)
-    socioeconomic: (weights.socioeconomicDecile || 5) * 8,          // Max 80 points
-    facilities: (weights.facilities || 5) * 6,                      // Max 60 points
-    reputation: (weights.reputation || 5) * 4,                      // Max 40 points
-    
-    // Academic performance (high weights)
-    naplan: (weights.naplanPerformance || 0) * 15,                  // Max 1500 points
-    hsc: (weights.hscPerformance || 0) * 15,                        // Max 1500 points
-    
-    // Teacher quality and ratios
-    teacherRatio: Math.max(0, 100 - (weights.teacherStudentRatio || 20)) * 3, // Max 300 points
-    
-    // Diversity bonus (small positive factor)
-    diversity: Math.min(20, (weights.studentDiversity || 0)) * 1    // Max 20 points
-  };
-  
-  const totalScore = Object.values(factors).reduce((sum, score) => sum + score, 0);
-  
-  return {
-    overallScore: Math.round(totalScore),
-    factorBreakdown: factors
-  };
-}
-
 /**
  * Main integration function
  */
@@ -247,23 +195,12 @@ async function main() {
         };
       }
       
-      // Update ranking factors with academic data
-      school.rankingFactors = updateRankingWeights(school, academic);
-      
-      // Calculate new overall ranking
-      const newRanking = calculateEnhancedRanking(school);
-      school.overallScore = newRanking.overallScore;
-      school.factorBreakdown = newRanking.factorBreakdown;
-      
       updatedCount++;
     }
     
-    // Sort schools by new overall score
-    schools.sort((a, b) => (b.overallScore || 0) - (a.overallScore || 0));
-    
-    // Update ranks based on new sorting
-    schools.forEach((school, index) => {
-      school.rank = index + 1;
+    // Remove stale scores from the old ranking calculation
+    schools.forEach(school => {
+      LEGACY_RANKING_FIELDS.forEach(field => delete school[field]);
     });
     
     // Save updated schools data
@@ -271,23 +208,10 @@ async function main() {
     console.log(`\n✓ Updated ${updatedCount} schools with academic performance data`);
     console.log(`✓ Saved updated schools data to ${SCHOOLS_DATA_FILE}`);
     
-    // Generate summary report
-    const topSchools = schools.slice(0, 10);
-    console.log(`\nTop 10 Schools (Enhanced Ranking):`);
-    console.log('==================================');
-    topSchools.forEach((school, i) => {
-      const academic = school.academicPerformance;
-      const naplan = academic?.naplan ? `NAPLAN:#${academic.naplan.ranking}` : '';
-      const hsc = academic?.hsc ? `HSC:#${academic.hsc.ranking}` : '';
-      const academicInfo = [naplan, hsc].filter(Boolean).join(', ');
-      
-      console.log(`${i + 1}. ${school.School_name || school.name} (${school.Town_suburb || school.suburb}) - Score: ${school.overallScore}`);
-      if (academicInfo) console.log(`   Academic: ${academicInfo}`);
-    });
-    
     console.log(`\n✅ Integration completed successfully!`);
     console.log(`   - ${updatedCount}/${schools.length} schools updated with academic data`);
     console.log(`   - ${unmatchedAcademic.length} academic records could not be matched`);
+    console.log(`\nRun scripts/updateRankingsWithAcademicData.js to re-rank schools with this data.`);
     
   } catch (error) {
     console.error('Error during integration:', error);
@@ -296,4 +220,4 @@ async function main() {
 }
 
 // Run the script
-main();
\ No newline at end of file
+main();
\ No newline at end of file
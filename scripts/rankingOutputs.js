@@ -0,0 +1,137 @@
+/**
+ * Ranked School Outputs
+ *
+ * Every script that ranks schools writes its results through here, so the
+ * ranking files in public/data/schools always come from the canonical engine
+ * (src/utils/schoolRanking.js) in one shape:
+ *
+ *   schools_ranked.json, primary_schools_ranked.json, secondary_schools_ranked.json
+ *     { provenance, valueAdd, schools: [school with `ranking` and `valueAdd`, ...] }
+ *   top_schools.json
+ *     { provenance, valueAdd, top_overall, top_primary, top_secondary }
+ *
+ * `provenance` records the methodology version, weights and inputs used;
+ * `valueAdd` the ICSEA/LBOTE models behind each school's value-add
+ * (src/utils/valueAdd.js).
+ *
+ * It also checks that every school with a current catchment is in a ranking
+ * level, so no catchment on the map is left without a rank.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  calculateSchoolRankings,
+  findUnrankedCatchmentSchools,
+  getRankingProvenance,
+  toTopSchoolEntry,
+} from '../src/utils/schoolRanking.js';
+import { RELIABLE_VALUE_ADD, withValueAdd } from '../src/utils/valueAdd.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '..', 'public', 'data');
+
+const TOP_SCHOOLS_LIMIT = 20;
+
+// Catchment types schools are ranked on (future boundaries aren't in force yet)
+const CURRENT_CATCHMENT_TYPES = ['primary', 'secondary'];
+
+/**
+ * Input description for a schools file: where it came from, how many records
+ * it held and which academic data sources were matched into it
+ */
+export function describeSchoolsInput(file, schools) {
+  const academicSources = new Set(
+    schools.map((school) => school.academicPerformance?.dataSource).filter(Boolean)
+  );
+  return {
+    file,
+    records: schools.length,
+    withAcademicData: schools.filter((school) => (
+      school.academicPerformance?.naplan || school.academicPerformance?.hsc
+    )).length,
+    academicSources: [...academicSources].sort(),
+  };
+}
+
+/**
+ * The valueAdd block of a ranking file: how the value-add was modelled and
+ * the fitted model per test
+ */
+function describeValueAdd(models) {
+  return {
+    model: 'Least squares: results rank ~ ICSEA_value + LBOTE_pct',
+    residual: 'Expected minus actual rank; positive is better than the intake predicts',
+    reliableWhen: RELIABLE_VALUE_ADD,
+    models,
+  };
+}
+
+/**
+ * Warn about schools with a current catchment but no ranking level. Skipped
+ * when the catchment GeoJSON files aren't there.
+ */
+function checkRankingLevels(schools) {
+  const features = CURRENT_CATCHMENT_TYPES.flatMap((type) => {
+    const sourcePath = join(DATA_DIR, `catchments_${type}.geojson`);
+    if (!existsSync(sourcePath)) return [];
+    return JSON.parse(readFileSync(sourcePath, 'utf8')).features || [];
+  });
+  if (features.length === 0) return;
+
+  const unranked = findUnrankedCatchmentSchools(schools, features);
+  if (unranked.length === 0) {
+    console.log('✓ Every school with a catchment has a ranking level');
+    return;
+  }
+  console.warn(`⚠️  ${unranked.length} schools with a catchment have no ranking level:`);
+  unranked.forEach((school) => console.warn(`  ${school.School_code} ${school.School_name} (${school.Level_of_schooling})`));
+}
+
+/**
+ * Rank all, primary and secondary schools and write the ranking files
+ * @param {Array} schools - School records (with any joined data, e.g. propertyPrices)
+ * @param {Object} options
+ * @param {string} options.outputDir - Directory to write to
+ * @param {Object} options.inputs - Input descriptions for the provenance block
+ * @param {Object} [options.weights] - Primary weights, defaults to the published ones
+ * @returns {Object} { allRanked, primaryRanked, secondaryRanked, topSchools, valueAdd, files }
+ */
+export function writeRankingOutputs(schools, { outputDir, inputs, weights }) {
+  const provenance = getRankingProvenance({ weights, inputs });
+  const { models, schools: schoolsWithValueAdd } = withValueAdd(schools);
+  const valueAdd = describeValueAdd(models);
+  const rank = (filterByLevel) => calculateSchoolRankings(schoolsWithValueAdd, {
+    filterByLevel,
+    sortBy: 'percentage_score',
+    weights,
+  });
+
+  const allRanked = rank(null);
+  const primaryRanked = rank('primary');
+  const secondaryRanked = rank('secondary');
+  const topSchools = {
+    provenance,
+    valueAdd,
+    top_overall: allRanked.slice(0, TOP_SCHOOLS_LIMIT).map(toTopSchoolEntry),
+    top_primary: primaryRanked.slice(0, TOP_SCHOOLS_LIMIT).map(toTopSchoolEntry),
+    top_secondary: secondaryRanked.slice(0, TOP_SCHOOLS_LIMIT).map(toTopSchoolEntry),
+  };
+
+  const files = {};
+  const write = (name, data) => {
+    files[name] = join(outputDir, name);
+    writeFileSync(files[name], JSON.stringify(data, null, 2));
+  };
+  write('schools_ranked.json', { provenance, valueAdd, schools: allRanked });
+  write('primary_schools_ranked.json', { provenance, valueAdd, schools: primaryRanked });
+  write('secondary_schools_ranked.json', { provenance, valueAdd, schools: secondaryRanked });
+  write('top_schools.json', topSchools);
+
+  checkRankingLevels(schools);
+
+  return { allRanked, primaryRanked, secondaryRanked, topSchools, valueAdd, files };
+}
@@ -2,20 +2,18 @@
 /**
  * Update School Rankings with Academic Performance Data
  * 
- * This script recalculates school rankings using the updated weighting system
- * that includes NAPLAN and HSC performance data
+ * This script recalculates school rankings using the canonical ranking engine
+ * (src/utils/schoolRanking.js), which includes NAPLAN and HSC performance data
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { calculateSchoolRankings } from './schoolRankingUtils.js';
+import { readFileSync, existsSync } from 'fs';
+import { describeSchoolsInput, writeRankingOutputs } from './rankingOutputs.js';
+import { VALUE_ADD_TESTS, RELIABLE_VALUE_ADD, formatValueAdd, describeValueAdd } from '../src/utils/valueAdd.js';
 
 // File paths
 const SCHOOLS_DATA_FILE = 'public/data/schools.json';
 const SUBURB_STATS_INPUT = 'public/data/sales/suburb_stats.json';
-const OUTPUT_ALL_SCHOOLS = 'public/data/schools/schools_ranked.json';
-const OUTPUT_PRIMARY = 'public/data/schools/primary_schools_ranked.json';
-const OUTPUT_SECONDARY = 'public/data/schools/secondary_schools_ranked.json';
-const OUTPUT_TOP_SCHOOLS = 'public/data/schools/top_schools.json';
+const OUTPUT_DIR = 'public/data/schools';
 
 /**
  * Load and parse suburb property price data
@@ -175,98 +173,25 @@ async function updateSchoolRankings() {
     const schoolsWithPrices = schools.map(school => addPropertyPriceData(school, priceData));
     console.log(`✓ Added property data to schools\n`);
     
-    // Calculate rankings for all schools
-    console.log('Calculating rankings for all schools...');
-    const allRanked = calculateSchoolRankings(schoolsWithPrices, {
-      sortBy: 'percentage_score'
+    // Rank with the canonical engine and write the ranking files
+    console.log('Calculating rankings with the canonical ranking engine...');
+    const { allRanked, primaryRanked, secondaryRanked, topSchools, valueAdd, files } = writeRankingOutputs(schoolsWithPrices, {
+      outputDir: OUTPUT_DIR,
+      inputs: {
+        schools: describeSchoolsInput(SCHOOLS_DATA_FILE, schools),
+        suburbStats: priceData.bySuburb.size > 0
+          ? { file: SUBURB_STATS_INPUT, records: priceData.bySuburb.size, use: 'propertyPrices (display only)' }
+          : null,
+      },
     });
-    console.log(`✓ Ranked ${allRanked.length} schools`);
-    
-    // Calculate primary school rankings
-    console.log('Calculating primary school rankings...');
-    const primaryRanked = calculateSchoolRankings(schoolsWithPrices, {
-      filterByLevel: 'primary',
-      sortBy: 'percentage_score'
-    });
-    console.log(`✓ Ranked ${primaryRanked.length} primary schools`);
-    
-    // Calculate secondary school rankings
-    console.log('Calculating secondary school rankings...');
-    const secondaryRanked = calculateSchoolRankings(schoolsWithPrices, {
-      filterByLevel: 'secondary',
-      sortBy: 'percentage_score'
-    });
-    console.log(`✓ Ranked ${secondaryRanked.length} secondary schools`);
-    
-    // Get top schools with proper structure for DataExplorer
-    const topSchools = {
-      top_overall: allRanked.slice(0, 20).map((school, index) => ({
-        school_code: school.School_code,
-        rank: index + 1,
-        name: school.School_name,
-        level: school.Level_of_schooling,
-        suburb: school.Town_suburb,
-        score: Math.round(school.ranking.percentage_score * 100) / 100,
-        icsea: school.ICSEA_value,
-        selective: school.Selective_school,
-        opportunity_class: school.Opportunity_class,
-        naplan_ranking: school.academicPerformance?.naplan?.ranking || null,
-        hsc_ranking: school.academicPerformance?.hsc?.ranking || null,
-        academic_score: school.academicPerformance?.naplan?.score || school.academicPerformance?.hsc?.score || null,
-        teacherStudentRatio: school.teacherStudentRatio || null,
-        studentsEnglish: school.demographics?.studentsEnglish || null,
-        studentsNonEnglish: school.demographics?.studentsNonEnglish || null,
-        propertyPrices: school.propertyPrices || null
-      })),
-      top_primary: primaryRanked.slice(0, 20).map((school, index) => ({
-        school_code: school.School_code,
-        rank: index + 1,
-        name: school.School_name,
-        suburb: school.Town_suburb,
-        score: Math.round(school.ranking.percentage_score * 100) / 100,
-        icsea: school.ICSEA_value,
-        opportunity_class: school.Opportunity_class,
-        naplan_ranking: school.academicPerformance?.naplan?.ranking || null,
-        naplan_score: school.academicPerformance?.naplan?.score || null,
-        teacherStudentRatio: school.teacherStudentRatio || null,
-        studentsEnglish: school.demographics?.studentsEnglish || null,
-        studentsNonEnglish: school.demographics?.studentsNonEnglish || null,
-        propertyPrices: school.propertyPrices || null
-      })),
-      top_secondary: secondaryRanked.slice(0, 20).map((school, index) => ({
-        school_code: school.School_code,
-        rank: index + 1,
-        name: school.School_name,
-        suburb: school.Town_suburb,
-        score: Math.round(school.ranking.percentage_score * 100) / 100,
-        icsea: school.ICSEA_value,
-        selective: school.Selective_school,
-        hsc_ranking: school.academicPerformance?.hsc?.ranking || null,
-        hsc_score: school.academicPerformance?.hsc?.score || null,
-        teacherStudentRatio: school.teacherStudentRatio || null,
-        studentsEnglish: school.demographics?.studentsEnglish || null,
-        studentsNonEnglish: school.demographics?.studentsNonEnglish || null,
-        propertyPrices: school.propertyPrices || null
-      }))
-    };
+    console.log(`✓ Methodology v${topSchools.provenance.version}`);
+    console.log(`✓ Ranked ${allRanked.length} schools (${primaryRanked.length} primary, ${secondaryRanked.length} secondary)`);
     
     // Count schools with academic data
-    const schoolsWithAcademic = schoolsWithPrices.filter(school => 
-      school.academicPerformance && 
-      (school.academicPerformance.naplan || school.academicPerformance.hsc)
-    ).length;
+    const schoolsWithAcademic = topSchools.provenance.inputs.schools.withAcademicData;
     
-    // Save rankings
-    console.log('\nSaving ranking results...');
-    writeFileSync(OUTPUT_ALL_SCHOOLS, JSON.stringify(allRanked, null, 2));
-    writeFileSync(OUTPUT_PRIMARY, JSON.stringify(primaryRanked, null, 2));
-    writeFileSync(OUTPUT_SECONDARY, JSON.stringify(secondaryRanked, null, 2));
-    writeFileSync(OUTPUT_TOP_SCHOOLS, JSON.stringify(topSchools, null, 2));
-    
-    console.log(`✓ All schools ranking saved to ${OUTPUT_ALL_SCHOOLS}`);
-    console.log(`✓ Primary schools ranking saved to ${OUTPUT_PRIMARY}`);
-    console.log(`✓ Secondary schools ranking saved to ${OUTPUT_SECONDARY}`);
-    console.log(`✓ Top schools saved to ${OUTPUT_TOP_SCHOOLS}`);
+    console.log('\nSaved ranking results:');
+    Object.values(files).forEach(file => console.log(`✓ ${file}`));
     
     // Display summary
     console.log('\n=== RANKING SUMMARY ===');
@@ -299,6 +224,26 @@ async function updateSchoolRankings() {
     console.log(`Primary schools with NAPLAN data: ${primaryWithNAPLAN}/${primaryRanked.length}`);
     console.log(`Secondary schools with HSC data: ${secondaryWithHSC}/${secondaryRanked.length}`);
     
+    // Value-add: how well each test's position is explained by intake
+    console.log('\n=== VALUE-ADD (results relative to ICSEA and LBOTE) ===');
+    Object.entries(valueAdd.models).forEach(([test, model]) => {
+      const { label } = VALUE_ADD_TESTS[test];
+      if (!model) {
+        console.log(`${label}: too few schools to fit`);
+        return;
+      }
+      console.log(`${label}: ${model.n} schools, R² ${model.r2.toFixed(2)}, residual SD ${model.residualSd.toFixed(1)} places`);
+      if (!model.reliable) {
+        console.log(`   Too weak to show (needs R² ≥ ${RELIABLE_VALUE_ADD.minR2} and ${RELIABLE_VALUE_ADD.minSchools}+ schools)`);
+        return;
+      }
+      allRanked
+        .filter(s => s.valueAdd?.test === test)
+        .sort((a, b) => b.valueAdd.z - a.valueAdd.z)
+        .slice(0, 5)
+        .forEach(s => console.log(`   ${formatValueAdd(s.valueAdd)} ${s.School_name} - ${describeValueAdd(s.valueAdd)}`));
+    });
+    
     console.log('\n✅ School rankings updated successfully with academic performance data!');
     
   } catch (error) {
@@ -308,4 +253,4 @@ async function updateSchoolRankings() {
 }
 
 // Run the ranking update
-updateSchoolRankings();
\ No newline at end of file
+updateSchoolRankings();
\ No newline at end of file
@@ -1,9 +1,21 @@
 import { useState, useEffect } from 'react';
 import { MapView } from './components/Map';
-import { ControlPanel, SchoolInfoPanel, SelectiveSchoolsPanel, PropertySalesPanel } from './components/Panels';
+import {
+  ControlPanel,
+  SchoolInfoPanel,
+  SelectiveSchoolsPanel,
+  PropertySalesPanel,
+  PointLookupPanel,
+  CatchmentFinderPanel,
+  ComparisonDrawer,
+  ShortlistPanel,
+} from './components/Panels';
 import { DataExplorer } from './components/DataExplorer';
+import { SchoolProfile } from './components/SchoolProfile';
 import { useDataLoader } from './hooks/useDataLoader';
+import { useMapUrlState } from './hooks/useMapUrlState';
 import { useAppStore } from './stores/appStore';
+import { parseHash } from './utils/mapUrlState';
 import './App.css';
 
 function LoadingScreen() {
@@ -30,14 +42,15 @@ function ErrorScreen({ message }) {
 }
 
 /**
- * Simple hash-based router hook
+ * Simple hash-based router hook. Returns the path only; the map route keeps
+ * its shareable state in the query part (see useMapUrlState).
  */
 function useHashRoute() {
-  const [route, setRoute] = useState(window.location.hash.slice(1) || '/');
+  const [route, setRoute] = useState(() => parseHash(window.location.hash).path);
 
   useEffect(() => {
     const handleHashChange = () => {
-      setRoute(window.location.hash.slice(1) || '/');
+      setRoute(parseHash(window.location.hash).path);
     };
     
     window.addEventListener('hashchange', handleHashChange);
@@ -48,8 +61,8 @@ function useHashRoute() {
 }
 
 function MapApp() {
-  // Load data on mount
-  useDataLoader();
+  // Restore the view from a shared link and keep the URL up to date
+  useMapUrlState();
   
   const isLoading = useAppStore((state) => state.isLoading);
   const error = useAppStore((state) => state.error);
@@ -68,19 +81,51 @@ function MapApp() {
       <ControlPanel />
       <SchoolInfoPanel />
       <SelectiveSchoolsPanel />
+      <CatchmentFinderPanel />
+      <ShortlistPanel />
       <PropertySalesPanel />
+      <PointLookupPanel />
+      <ComparisonDrawer />
     </div>
   );
 }
 
+function SchoolProfileApp({ schoolCode }) {
+  const isLoading = useAppStore((state) => state.isLoading);
+  const error = useAppStore((state) => state.error);
+
+  // Start each profile at the top, e.g. after following a nearby school
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [schoolCode]);
+
+  if (error) {
+    return <ErrorScreen message={error} />;
+  }
+
+  if (isLoading) {
+    return <LoadingScreen />;
+  }
+
+  return <SchoolProfile key={schoolCode} schoolCode={schoolCode} />;
+}
+
 function App() {
   const route = useHashRoute();
+  // Load data once; the map and school profile routes both read it from the store
+  useDataLoader();
 
   // Route to Data Explorer page
   if (route === '/data' || route === '/data-explorer') {
     return <DataExplorer />;
   }
 
+  // Route to a school's profile page: #/school/:code
+  const schoolMatch = route.match(/^\/school\/(\d+)\/?$/);
+  if (schoolMatch) {
+    return <SchoolProfileApp schoolCode={Number(schoolMatch[1])} />;
+  }
+
   // Default: Map application
   return <MapApp />;
 }
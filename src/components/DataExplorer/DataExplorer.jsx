@@ -1,4 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useAppStore } from '../../stores/appStore';
+import {
+  RANKING_METHODOLOGY,
+  calculateSchoolRankings,
+  getRankingLevel,
+  isDefaultRankingWeights,
+  toTopSchoolEntry,
+} from '../../utils/schoolRanking';
+import {
+  analyzeRankingSensitivity,
+  LIKELY_RANK_BAND,
+  SENSITIVITY_DEFAULTS,
+} from '../../utils/rankingSensitivity';
+import { describeValueAdd, formatValueAdd, formatValueAddFit, withValueAdd } from '../../utils/valueAdd';
+import { RankingWeightsEditor } from '../Panels';
 import './DataExplorer.css';
 
 /**
@@ -1334,9 +1349,157 @@ function SchoolColumnAnalysisTab() {
   );
 }
 
+const SENSITIVITY_SPREADS = [0.1, 0.25, 0.5];
+const SENSITIVITY_RUNS = [100, 200, 500];
+const SENSITIVITY_LIMITS = [20, 50, 100];
+
+/**
+ * How stable each rank is when the primary weights are varied at random
+ */
+function RankingSensitivity({ schools, weights }) {
+  const [level, setLevel] = useState('primary');
+  const [spread, setSpread] = useState(SENSITIVITY_DEFAULTS.spread);
+  const [runs, setRuns] = useState(SENSITIVITY_DEFAULTS.runs);
+  const [limit, setLimit] = useState(SENSITIVITY_LIMITS[0]);
+
+  const ranked = useMemo(() => (
+    calculateSchoolRankings(schools, { filterByLevel: level, weights })
+  ), [schools, level, weights]);
+
+  const sensitivity = useMemo(() => {
+    const rankings = Object.fromEntries(ranked.map(({ School_code: code, ranking }) => [String(code), ranking]));
+    return analyzeRankingSensitivity(rankings, weights, { runs, spread, seed: SENSITIVITY_DEFAULTS.seed });
+  }, [ranked, weights, runs, spread]);
+
+  const rows = ranked.slice(0, limit).map((school) => ({
+    school,
+    stats: sensitivity[String(school.School_code)],
+  }));
+  const widths = Object.values(sensitivity)
+    .map((stats) => stats.likelyHigh - stats.likelyLow)
+    .sort((a, b) => a - b);
+  const medianWidth = widths.length > 0 ? widths[Math.floor(widths.length / 2)] : 0;
+  const canDropOut = rows.filter(({ stats }) => stats.likelyHigh > limit).length;
+  const scaleMax = Math.max(limit, ...rows.map(({ stats }) => stats.worst));
+  const toPercent = (rank) => `${((rank - 1) / Math.max(1, scaleMax - 1)) * 100}%`;
+
+  return (
+    <div className="ranking-content ranking-sensitivity">
+      <section className="filtering-section">
+        <h3>🎲 Ranking Sensitivity</h3>
+        <p className="hint">
+          The weights are judgement calls, so schools are re-ranked {runs} times with every primary weight
+          varied at random by up to ±{Math.round(spread * 100)}%. The likely range covers
+          {' '}{Math.round(LIKELY_RANK_BAND * 100)}% of those rankings; the full range is the best and worst rank seen.
+        </p>
+        <div className="filter-row">
+          <div className="filter-group">
+            <label htmlFor="sensitivity-level">School Level:</label>
+            <select id="sensitivity-level" value={level} onChange={(e) => setLevel(e.target.value)}>
+              <option value="primary">Primary Schools</option>
+              <option value="secondary">Secondary Schools</option>
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="sensitivity-spread">Weight Variation:</label>
+            <select id="sensitivity-spread" value={spread} onChange={(e) => setSpread(Number(e.target.value))}>
+              {SENSITIVITY_SPREADS.map((value) => (
+                <option key={value} value={value}>±{Math.round(value * 100)}%</option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="sensitivity-runs">Re-rankings:</label>
+            <select id="sensitivity-runs" value={runs} onChange={(e) => setRuns(Number(e.target.value))}>
+              {SENSITIVITY_RUNS.map((value) => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="sensitivity-limit">Show:</label>
+            <select id="sensitivity-limit" value={limit} onChange={(e) => setLimit(Number(e.target.value))}>
+              {SENSITIVITY_LIMITS.map((value) => (
+                <option key={value} value={value}>Top {value}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </section>
+
+      <div className="stat-cards">
+        <div className="stat-card">
+          <div className="stat-value">{medianWidth}</div>
+          <div className="stat-label">Median width of likely range (places)</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{canDropOut}</div>
+          <div className="stat-label">Of the top {limit} could fall outside it</div>
+        </div>
+      </div>
+
+      <section className="ranking-section">
+        <table className="data-table ranking-table sensitivity-table">
+          <thead>
+            <tr>
+              <th>Rank</th>
+              <th>School Name</th>
+              <th>Suburb</th>
+              <th>Score</th>
+              <th>Likely</th>
+              <th>Full Range</th>
+              <th className="sensitivity-table__band-header">Rank spread (1–{scaleMax})</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ school, stats }) => (
+              <tr key={school.School_code}>
+                <td className="rank-cell">#{stats.rank}</td>
+                <td className="school-name">{school.School_name}</td>
+                <td>{school.Town_suburb || '-'}</td>
+                <td className="score-cell">{school.ranking.percentage_score}%</td>
+                <td>{stats.likelyLow === stats.likelyHigh ? stats.likelyLow : `${stats.likelyLow}–${stats.likelyHigh}`}</td>
+                <td>{stats.best === stats.worst ? stats.best : `${stats.best}–${stats.worst}`}</td>
+                <td>
+                  <div className="sensitivity-band">
+                    <span
+                      className="sensitivity-band__full"
+                      style={{ left: toPercent(stats.best), right: `calc(100% - ${toPercent(stats.worst)})` }}
+                    />
+                    <span
+                      className="sensitivity-band__likely"
+                      style={{ left: toPercent(stats.likelyLow), right: `calc(100% - ${toPercent(stats.likelyHigh)})` }}
+                    />
+                    <span className="sensitivity-band__rank" style={{ left: toPercent(stats.rank) }} />
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+}
+
+// NAPLAN/HSC position against what the school's ICSEA and LBOTE predict,
+// with the fit of the model behind it. Values from a model too weak to go by
+// are greyed out rather than marked above or below expected.
+function ValueAddCell({ valueAdd, models }) {
+  const direction = !valueAdd?.reliable ? 'unreliable'
+    : valueAdd.z >= 0.33 ? 'above'
+    : valueAdd.z <= -0.33 ? 'below'
+    : 'expected';
+  return (
+    <td className={`value-add-cell value-add-cell--${direction}`} title={describeValueAdd(valueAdd, models)}>
+      {formatValueAdd(valueAdd)}
+      {valueAdd && <span className="value-add-cell__fit">{formatValueAddFit(models[valueAdd.test])}</span>}
+    </td>
+  );
+}
+
 function RankingsTab() {
-  const [topSchools, setTopSchools] = useState(null);
-  const [rankedSchools, setRankedSchools] = useState(null);
+  const [loadedSchools, setLoadedSchools] = useState(null);
   const [filteredSchools, setFilteredSchools] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -1354,23 +1517,18 @@ function RankingsTab() {
   });
   const [sortBy, setSortBy] = useState('ranking');
   const [sortOrder, setSortOrder] = useState('asc');
+  const rankingWeights = useAppStore((state) => state.rankingWeights);
 
   useEffect(() => {
     const base = import.meta.env.BASE_URL;
-    Promise.all([
-      fetch(`${base}data/schools/top_schools.json`).then(res => {
-        if (!res.ok) throw new Error('Failed to load top schools data');
-        return res.json();
-      }),
-      fetch(`${base}data/schools/schools_ranked.json`).then(res => {
+    fetch(`${base}data/schools/schools_ranked.json`)
+      .then(res => {
         if (!res.ok) throw new Error('Failed to load detailed rankings data');
         return res.json();
       })
-    ])
-      .then(([topData, rankedData]) => {
-        setTopSchools(topData);
-        setRankedSchools(rankedData);
-        setFilteredSchools(rankedData);
+      .then(rankedData => {
+        // Older exports are a bare array; current ones are { provenance, schools }
+        setLoadedSchools(Array.isArray(rankedData) ? rankedData : rankedData.schools);
         setLoading(false);
       })
       .catch(err => {
@@ -1379,6 +1537,32 @@ function RankingsTab() {
       });
   }, []);
 
+  // Value-add doesn't depend on the weights, so it's worked out once here,
+  // which also fills it in for exports made before it was added
+  const valueAddData = useMemo(() => loadedSchools && withValueAdd(loadedSchools), [loadedSchools]);
+  const valueAddSchools = valueAddData?.schools;
+  const valueAddModels = valueAddData?.models;
+
+  // Re-rank with the weights set in the editor; the published weights
+  // reproduce the exported ranks
+  const rankedSchools = useMemo(() => (
+    valueAddSchools && calculateSchoolRankings(valueAddSchools, { weights: rankingWeights })
+  ), [valueAddSchools, rankingWeights]);
+
+  const topSchools = useMemo(() => {
+    if (!valueAddSchools) return null;
+    const topForLevel = (level) => calculateSchoolRankings(valueAddSchools, {
+      filterByLevel: level,
+      weights: rankingWeights,
+      limit: 20
+    }).map(toTopSchoolEntry);
+    return {
+      top_overall: rankedSchools.slice(0, 20).map(toTopSchoolEntry),
+      top_primary: topForLevel('primary'),
+      top_secondary: topForLevel('secondary')
+    };
+  }, [valueAddSchools, rankedSchools, rankingWeights]);
+
   const toggleSchoolDetails = (schoolCode) => {
     const newExpanded = new Set(expandedSchools);
     if (newExpanded.has(schoolCode)) {
@@ -1399,11 +1583,7 @@ function RankingsTab() {
 
     let filtered = rankedSchools.filter(school => {
       // Level filter
-      if (filters.level !== 'all') {
-        const level = school.Level_of_schooling?.toLowerCase() || '';
-        if (filters.level === 'primary' && !level.includes('primary')) return false;
-        if (filters.level === 'secondary' && !level.includes('secondary')) return false;
-      }
+      if (filters.level !== 'all' && getRankingLevel(school) !== filters.level) return false;
 
       // Selective filter
       if (filters.selective !== 'all') {
@@ -1458,6 +1638,12 @@ function RankingsTab() {
           aValue = a.propertyPrices?.avgPrice || 0;
           bValue = b.propertyPrices?.avgPrice || 0;
           break;
+        case 'valueAdd':
+          // Ascending puts the largest value-add first, and schools without a
+          // reliable one last
+          aValue = a.valueAdd?.reliable ? -a.valueAdd.z : Number.MAX_VALUE;
+          bValue = b.valueAdd?.reliable ? -b.valueAdd.z : Number.MAX_VALUE;
+          break;
         case 'name':
           aValue = a.School_name || '';
           bValue = b.School_name || '';
@@ -1538,7 +1724,10 @@ function RankingsTab() {
     <div className="tab-content rankings-tab">
       <header className="rankings-header">
         <h2>🏆 School Rankings</h2>
-        <p className="subtitle">Based on the weighted scoring system defined in SCHOOL_RANKING_WEIGHTS.md</p>
+        <p className="subtitle">
+          Based on the weighted scoring system defined in SCHOOL_RANKING_WEIGHTS.md (methodology v{RANKING_METHODOLOGY.version})
+          {!isDefaultRankingWeights(rankingWeights) && ' • re-ranked with your custom weights'}
+        </p>
         <p className="hint">Rankings consider ICSEA, selective status, opportunity classes, enrollment, and other quality indicators</p>
         <div className="interaction-hint">
           <strong>💡 Tip:</strong> Click on any school name to see detailed ranking breakdown showing exactly how it earned its score
@@ -1570,8 +1759,35 @@ function RankingsTab() {
         >
           🔍 Explore All Schools
         </button>
+        <button 
+          className={activeRankingTab === 'weights' ? 'active' : ''} 
+          onClick={() => setActiveRankingTab('weights')}
+        >
+          ⚙️ Weights
+        </button>
+        <button 
+          className={activeRankingTab === 'sensitivity' ? 'active' : ''} 
+          onClick={() => setActiveRankingTab('sensitivity')}
+        >
+          🎲 Sensitivity
+        </button>
       </nav>
 
+      {activeRankingTab === 'sensitivity' && (
+        <RankingSensitivity schools={loadedSchools} weights={rankingWeights} />
+      )}
+
+      {activeRankingTab === 'weights' && (
+        <div className="ranking-content ranking-weights-section">
+          <h3>⚙️ Ranking Weights</h3>
+          <p className="hint">
+            Change the primary weight of each factor or switch it off. Rankings here and on the map
+            are recalculated straight away, and the weights are remembered in this browser.
+          </p>
+          <RankingWeightsEditor />
+        </div>
+      )}
+
       {activeRankingTab === 'overview' && (
         <div className="ranking-content">
           <section className="ranking-section">
@@ -1586,6 +1802,7 @@ function RankingsTab() {
                   <th>Score</th>
                   <th>ICSEA</th>
                   <th>Academic</th>
+                  <th title="NAPLAN or HSC position against what ICSEA and LBOTE predict, in standard deviations">Value-add</th>
                   <th>T/S Ratio</th>
                   <th>English %</th>
                   <th>Enrollment</th>
@@ -1618,6 +1835,7 @@ function RankingsTab() {
                           {school.hsc_ranking ? `HSC #${school.hsc_ranking}` : ''}
                           {!school.naplan_ranking && !school.hsc_ranking ? '-' : ''}
                         </td>
+                        <ValueAddCell valueAdd={school.value_add} models={valueAddModels} />
                         <td className="teacher-ratio-cell">{school.teacherStudentRatio != null ? Math.round(school.teacherStudentRatio) : '-'}</td>
                         <td className="language-cell">{school.studentsEnglish != null ? Math.round(school.studentsEnglish) + '%' : '-'}</td>
                         <td className="enrollment-cell">{formatEnrollment(schoolDetails?.latest_year_enrolment_FTE)}</td>
@@ -1628,7 +1846,7 @@ function RankingsTab() {
                       </tr>
                       {isExpanded && schoolDetails && (
                         <tr className="breakdown-row">
-                          <td colSpan="12">
+                          <td colSpan="13">
                             <SchoolRankingBreakdown 
                               school={schoolDetails} 
                               onClose={() => toggleSchoolDetails(school.school_code)}
@@ -1674,6 +1892,7 @@ function RankingsTab() {
                   <th>Score</th>
                   <th>ICSEA</th>
                   <th>NAPLAN</th>
+                  <th title="NAPLAN position against what ICSEA and LBOTE predict, in standard deviations">Value-add</th>
                   <th>T/S Ratio</th>
                   <th>English %</th>
                   <th>Enrollment</th>
@@ -1703,6 +1922,7 @@ function RankingsTab() {
                         <td className="naplan-cell">
                           {school.naplan_ranking ? `#${school.naplan_ranking}` : '-'}
                         </td>
+                        <ValueAddCell valueAdd={school.value_add} models={valueAddModels} />
                         <td className="teacher-ratio-cell">{school.teacherStudentRatio != null ? Math.round(school.teacherStudentRatio) : '-'}</td>
                         <td className="language-cell">{school.studentsEnglish != null ? Math.round(school.studentsEnglish) + '%' : '-'}</td>
                         <td className="enrollment-cell">{formatEnrollment(schoolDetails?.latest_year_enrolment_FTE)}</td>
@@ -1713,7 +1933,7 @@ function RankingsTab() {
                       </tr>
                       {isExpanded && schoolDetails && (
                         <tr className="breakdown-row">
-                          <td colSpan="11">
+                          <td colSpan="12">
                             <SchoolRankingBreakdown 
                               school={schoolDetails} 
                               onClose={() => toggleSchoolDetails(school.school_code)}
@@ -1743,6 +1963,7 @@ function RankingsTab() {
                   <th>Score</th>
                   <th>ICSEA</th>
                   <th>HSC</th>
+                  <th title="HSC position against what ICSEA and LBOTE predict, in standard deviations">Value-add</th>
                   <th>T/S Ratio</th>
                   <th>English %</th>
                   <th>Enrollment</th>
@@ -1772,6 +1993,7 @@ function RankingsTab() {
                         <td className="hsc-cell">
                           {school.hsc_ranking ? `#${school.hsc_ranking}` : '-'}
                         </td>
+                        <ValueAddCell valueAdd={school.value_add} models={valueAddModels} />
                         <td className="teacher-ratio-cell">{school.teacherStudentRatio != null ? Math.round(school.teacherStudentRatio) : '-'}</td>
                         <td className="language-cell">{school.studentsEnglish != null ? Math.round(school.studentsEnglish) + '%' : '-'}</td>
                         <td className="enrollment-cell">{formatEnrollment(schoolDetails?.latest_year_enrolment_FTE)}</td>
@@ -1782,7 +2004,7 @@ function RankingsTab() {
                       </tr>
                       {isExpanded && schoolDetails && (
                         <tr className="breakdown-row">
-                          <td colSpan="11">
+                          <td colSpan="12">
                             <SchoolRankingBreakdown 
                               school={schoolDetails} 
                               onClose={() => toggleSchoolDetails(school.school_code)}
@@ -1917,6 +2139,12 @@ function RankingsTab() {
                 >
                   ICSEA {sortBy === 'icsea' && (sortOrder === 'asc' ? '↑' : '↓')}
                 </button>
+                <button 
+                  className={sortBy === 'valueAdd' ? 'active' : ''}
+                  onClick={() => handleSortChange('valueAdd')}
+                >
+                  Value-add {sortBy === 'valueAdd' && (sortOrder === 'asc' ? '↑' : '↓')}
+                </button>
                 <button 
                   className={sortBy === 'enrollment' ? 'active' : ''}
                   onClick={() => handleSortChange('enrollment')}
@@ -1956,6 +2184,13 @@ function RankingsTab() {
                   <th onClick={() => handleSortChange('icsea')} className="sortable">
                     ICSEA {sortBy === 'icsea' && (sortOrder === 'asc' ? '↑' : '↓')}
                   </th>
+                  <th
+                    onClick={() => handleSortChange('valueAdd')}
+                    className="sortable"
+                    title="NAPLAN or HSC position against what ICSEA and LBOTE predict, in standard deviations"
+                  >
+                    Value-add {sortBy === 'valueAdd' && (sortOrder === 'asc' ? '↑' : '↓')}
+                  </th>
                   <th>T/S Ratio</th>
                   <th>English %</th>
                   <th onClick={() => handleSortChange('enrollment')} className="sortable">
@@ -1987,6 +2222,7 @@ function RankingsTab() {
                         <td>{school.Town_suburb || '-'}</td>
                         <td className="score-cell">{school.ranking.percentage_score}%</td>
                         <td>{school.ICSEA_value || '-'}</td>
+                        <ValueAddCell valueAdd={school.valueAdd} models={valueAddModels} />
                         <td className="teacher-ratio-cell">{school.teacherStudentRatio != null ? Math.round(school.teacherStudentRatio) : '-'}</td>
                         <td className="language-cell">{school.demographics?.studentsEnglish != null ? Math.round(school.demographics.studentsEnglish) + '%' : '-'}</td>
                         <td className="enrollment-cell">{formatEnrollment(school.latest_year_enrolment_FTE)}</td>
@@ -2001,7 +2237,7 @@ function RankingsTab() {
                       </tr>
                       {isExpanded && (
                         <tr className="breakdown-row">
-                          <td colSpan="12">
+                          <td colSpan="13">
                             <SchoolRankingBreakdown 
                               school={school} 
                               onClose={() => toggleSchoolDetails(school.School_code)}
@@ -0,0 +1,48 @@
+import { Marker, Popup, useMap } from 'react-leaflet';
+import { useEffect, useMemo } from 'react';
+import L from 'leaflet';
+import { useAppStore } from '../../stores/appStore';
+import { MATCH_QUALITY, MATCH_QUALITY_LABELS } from '../../utils/addressGeocoder';
+
+// Suburb-centre matches are imprecise, so don't zoom in as far
+const EXACT_ZOOM = 16;
+const LOCALITY_ZOOM = 14;
+
+export function AddressMarker() {
+  const map = useMap();
+  const addressSearch = useAppStore((state) => state.addressSearch);
+
+  const icon = useMemo(() => L.divIcon({
+    className: 'address-pin',
+    html: '📍',
+    iconSize: [28, 28],
+    iconAnchor: [14, 28],
+    popupAnchor: [0, -28],
+  }), []);
+
+  useEffect(() => {
+    if (addressSearch) {
+      const zoom = addressSearch.quality === MATCH_QUALITY.LOCALITY ? LOCALITY_ZOOM : EXACT_ZOOM;
+      map.flyTo([addressSearch.lat, addressSearch.lng], zoom, { duration: 0.8 });
+    }
+  }, [map, addressSearch]);
+
+  if (!addressSearch) return null;
+
+  return (
+    <Marker
+      position={[addressSearch.lat, addressSearch.lng]}
+      icon={icon}
+      zIndexOffset={1000}
+    >
+      <Popup>
+        <div style={{ fontSize: '13px', fontWeight: '600', color: '#1f2937' }}>
+          {addressSearch.label}
+        </div>
+        <div style={{ fontSize: '11px', color: '#6b7280', marginTop: '4px' }}>
+          {MATCH_QUALITY_LABELS[addressSearch.quality]}
+        </div>
+      </Popup>
+    </Marker>
+  );
+}
@@ -0,0 +1,79 @@
+import { GeoJSON } from 'react-leaflet';
+import { useCallback, useMemo } from 'react';
+import { useAppStore } from '../../stores/appStore';
+import { CATCHMENT_CHANGE_COLORS } from '../../utils/constants';
+import { hasActiveFilters, filterSchools, filterCatchmentsBySchools } from '../../utils/schoolFilters';
+
+/**
+ * Areas each school gains, loses or keeps when its future boundary takes effect
+ */
+export function CatchmentChangesLayer() {
+  const allChanges = useAppStore((state) => state.catchmentChanges);
+  const schools = useAppStore((state) => state.schools);
+  const filters = useAppStore((state) => state.filters);
+  const selectSchool = useAppStore((state) => state.selectSchool);
+  const getSchoolByCode = useAppStore((state) => state.getSchoolByCode);
+
+  const catchmentChanges = useMemo(() => {
+    if (!hasActiveFilters(filters)) return allChanges;
+    const codes = new Set(filterSchools(schools, filters).map((s) => s.School_code));
+    return filterCatchmentsBySchools(allChanges, codes);
+  }, [allChanges, schools, filters]);
+
+  const style = useCallback((feature) => {
+    const colors = CATCHMENT_CHANGE_COLORS[feature.properties?.CHANGE] || CATCHMENT_CHANGE_COLORS.unchanged;
+    const isUnchanged = feature.properties?.CHANGE === 'unchanged';
+    return {
+      fillColor: colors.fill,
+      fillOpacity: isUnchanged ? 0.1 : 0.45,
+      color: colors.stroke,
+      weight: isUnchanged ? 1 : 1.5,
+      opacity: 0.8,
+      dashArray: isUnchanged ? '4 4' : null,
+    };
+  }, []);
+
+  const onEachFeature = useCallback((feature, layer) => {
+    const props = feature.properties;
+    const colors = CATCHMENT_CHANGE_COLORS[props.CHANGE] || CATCHMENT_CHANGE_COLORS.unchanged;
+    const suburbs = (props.SUBURBS || []).slice(0, 5).map((s) => s.suburb).join(', ');
+
+    layer.bindPopup(`
+      <div class="catchment-popup">
+        <h3 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600; color: #1f2937;">
+          ${props.USE_DESC || 'Unknown School'}
+        </h3>
+        <p style="margin: 0; font-size: 12px; font-weight: 600; color: ${colors.stroke};">
+          ${colors.label} area • ${props.AREA_KM2} km²
+        </p>
+        ${suburbs ? `
+          <p style="margin: 4px 0 0 0; font-size: 11px; color: #6b7280;">
+            ${suburbs}
+          </p>
+        ` : ''}
+      </div>
+    `);
+
+    layer.on({
+      click: (e) => {
+        if (useAppStore.getState().pointLookupMode) {
+          e.target.closePopup();
+          return;
+        }
+        const school = getSchoolByCode(parseInt(props.USE_ID));
+        if (school) selectSchool(school);
+      },
+    });
+  }, [getSchoolByCode, selectSchool]);
+
+  if (!catchmentChanges?.features?.length) return null;
+
+  return (
+    <GeoJSON
+      key={`catchment-changes-${catchmentChanges.features.length}-${catchmentChanges.metadata?.generatedAt}`}
+      data={catchmentChanges}
+      style={style}
+      onEachFeature={onEachFeature}
+    />
+  );
+}
@@ -1,5 +1,6 @@
 import { GeoJSON } from 'react-leaflet';
-import { useCallback, useMemo } from 'react';
+import L from 'leaflet';
+import { useCallback, useEffect, useMemo, useRef } from 'react';
 import { useAppStore } from '../../stores/appStore';
 import { CATCHMENT_COLORS, CATCHMENT_HOVER_COLORS } from '../../utils/constants';
 import {
@@ -13,14 +14,55 @@ import {
   getRankingOpacity,
   getRankingTier,
 } from '../../utils/rankingHeatMap';
+import { PRICE_METRICS, PROPERTY_TYPE_GROUPS } from '../../utils/priceStats';
+import {
+  getGrowthColor,
+  getGrowthOpacity,
+  getGrowthTier,
+  formatGrowth,
+} from '../../utils/growthHeatMap';
+import {
+  getValueAddColor,
+  getValueAddOpacity,
+  getValueAddTier,
+} from '../../utils/valueAddHeatMap';
+import { formatValueAdd, describeValueAdd } from '../../utils/valueAdd';
 
-export function CatchmentLayer({ data, type }) {
+// Layers of each GeoJSON group by feature, including ones hidden by a
+// filter. A group starts out holding every feature it was created with.
+const featureLayers = new WeakMap();
+
+function getFeatureLayers(group) {
+  if (!featureLayers.has(group)) {
+    featureLayers.set(group, new Map(group.getLayers().map((layer) => [layer.feature, layer])));
+  }
+  return featureLayers.get(group);
+}
+
+function isVisible(feature, visibleCodes) {
+  return !visibleCodes || visibleCodes.has(parseInt(feature.properties?.USE_ID));
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.data - Catchment FeatureCollection
+ * @param {string} props.type - 'primary' | 'secondary' | 'future'
+ * @param {Set|null} [props.visibleCodes] - School codes whose catchments are
+ *   shown, or null to show every catchment
+ */
+export function CatchmentLayer({ data, type, visibleCodes = null }) {
   const selectSchool = useAppStore((state) => state.selectSchool);
   const getSchoolByCode = useAppStore((state) => state.getSchoolByCode);
   const setHoveredCatchment = useAppStore((state) => state.setHoveredCatchment);
   const getCatchmentPriceData = useAppStore((state) => state.getCatchmentPriceData);
+  const selectedSchoolCode = useAppStore((state) => state.selectedSchool?.School_code);
+  const highlightedSchools = useAppStore((state) => state.highlightedSchools);
   const priceRange = useAppStore((state) => state.priceRange);
   const showHeatMap = useAppStore((state) => state.layers.priceHeatMap);
+  const priceHeatMapMetric = useAppStore((state) => state.priceHeatMapMetric);
+  const getCatchmentGrowthData = useAppStore((state) => state.getCatchmentGrowthData);
+  const growthRange = useAppStore((state) => state.growthRange);
+  const showGrowthHeatMap = useAppStore((state) => state.layers.growthHeatMap);
   const schoolRankings = useAppStore((state) => {
     if (type === 'primary') return state.primarySchoolRankings;
     if (type === 'secondary') return state.secondarySchoolRankings;
@@ -36,6 +78,9 @@ export function CatchmentLayer({ data, type }) {
     if (type === 'secondary') return state.layers.secondaryRankingHeatMap;
     return false;
   });
+  const schoolValueAdd = useAppStore((state) => state.schoolValueAdd);
+  const valueAddModels = useAppStore((state) => state.valueAddModels);
+  const showValueAddHeatMap = useAppStore((state) => state.layers.valueAddHeatMap);
 
   const colors = CATCHMENT_COLORS[type] || CATCHMENT_COLORS.primary;
   const hoverColors = CATCHMENT_HOVER_COLORS[type] || CATCHMENT_HOVER_COLORS.primary;
@@ -48,11 +93,21 @@ export function CatchmentLayer({ data, type }) {
     data.features.forEach(feature => {
       const schoolCode = feature.properties?.USE_ID;
       if (schoolCode) {
-        map[schoolCode] = getCatchmentPriceData(schoolCode);
+        map[schoolCode] = getCatchmentPriceData(schoolCode, type, priceHeatMapMetric);
       }
     });
     return map;
-  }, [showHeatMap, data, getCatchmentPriceData]);
+  }, [showHeatMap, data, type, getCatchmentPriceData, priceHeatMapMetric]);
+
+  const growthDataMap = useMemo(() => {
+    if (!showGrowthHeatMap || !data?.features) return {};
+    const map = {};
+    data.features.forEach(feature => {
+      const code = feature.properties?.USE_ID;
+      if (code) map[code] = getCatchmentGrowthData(code, type);
+    });
+    return map;
+  }, [showGrowthHeatMap, data, type, getCatchmentGrowthData]);
 
   const rankingDataMap = useMemo(() => {
     if (!showRankingHeatMap || !data?.features) return {};
@@ -64,9 +119,23 @@ export function CatchmentLayer({ data, type }) {
     return map;
   }, [showRankingHeatMap, data, schoolRankings]);
 
-  const activeHeatMap = showHeatMap ? 'price' : showRankingHeatMap ? 'ranking' : 'none';
+  const valueAddDataMap = useMemo(() => {
+    if (!showValueAddHeatMap || !data?.features) return {};
+    const map = {};
+    data.features.forEach(feature => {
+      const code = feature.properties?.USE_ID;
+      if (code) map[code] = schoolValueAdd[String(code)] || null;
+    });
+    return map;
+  }, [showValueAddHeatMap, data, schoolValueAdd]);
 
-  const style = useCallback((feature) => {
+  const activeHeatMap = showHeatMap ? 'price'
+    : showGrowthHeatMap ? 'growth'
+    : showRankingHeatMap ? 'ranking'
+    : showValueAddHeatMap ? 'valueAdd'
+    : 'none';
+
+  const baseStyle = useCallback((feature) => {
     if (activeHeatMap === 'none') {
       return {
         fillColor: colors.fill,
@@ -81,10 +150,10 @@ export function CatchmentLayer({ data, type }) {
 
     if (activeHeatMap === 'price') {
       const priceData = priceDataMap[schoolCode];
-      const avgPrice = priceData?.avgPrice;
-      const hasData = avgPrice && avgPrice > 0;
+      const price = priceData?.price;
+      const hasData = price && price > 0;
       return {
-        fillColor: getPriceColor(avgPrice, priceRange),
+        fillColor: getPriceColor(price, priceRange),
         fillOpacity: getPriceOpacity(hasData),
         color: hasData ? '#1e293b' : '#94a3b8',
         weight: hasData ? 1.5 : 1,
@@ -92,6 +161,32 @@ export function CatchmentLayer({ data, type }) {
       };
     }
 
+    if (activeHeatMap === 'growth') {
+      const growth = growthDataMap[schoolCode]?.annualGrowth;
+      const hasData = growth != null;
+      return {
+        fillColor: getGrowthColor(growth, growthRange),
+        fillOpacity: getGrowthOpacity(hasData),
+        color: hasData ? '#1e293b' : '#94a3b8',
+        weight: hasData ? 1.5 : 1,
+        opacity: hasData ? 0.7 : 0.4,
+      };
+    }
+
+    if (activeHeatMap === 'valueAdd') {
+      // Residuals of a model too weak to go by aren't coloured as above or below
+      const valueAdd = valueAddDataMap[schoolCode];
+      const z = valueAdd?.reliable ? valueAdd.z : null;
+      const hasData = z != null;
+      return {
+        fillColor: getValueAddColor(z),
+        fillOpacity: getValueAddOpacity(hasData),
+        color: hasData ? '#1e293b' : '#94a3b8',
+        weight: hasData ? 1.5 : 1,
+        opacity: hasData ? 0.7 : 0.4,
+      };
+    }
+
     const ranking = rankingDataMap[schoolCode];
     const rank = ranking?.rank;
     const hasData = rank != null && rank > 0;
@@ -102,27 +197,59 @@ export function CatchmentLayer({ data, type }) {
       weight: hasData ? 1.5 : 1,
       opacity: hasData ? 0.7 : 0.4,
     };
-  }, [activeHeatMap, colors, priceDataMap, priceRange, rankingDataMap, rankingRange]);
+  }, [
+    activeHeatMap, colors, priceDataMap, priceRange, growthDataMap, growthRange,
+    rankingDataMap, rankingRange, valueAddDataMap,
+  ]);
 
-  const onEachFeature = useCallback((feature, layer) => {
+  // Catchments of the selected and Alt-highlighted schools get an emphasised outline
+  const style = useCallback((feature) => {
+    const base = baseStyle(feature);
+    const schoolCode = parseInt(feature.properties?.USE_ID);
+    if (highlightedSchools.includes(schoolCode)) {
+      return { ...base, color: '#fbbf24', weight: 3, opacity: 1 };
+    }
+    if (schoolCode === selectedSchoolCode) {
+      return { ...base, color: '#1f2937', weight: 3, opacity: 1 };
+    }
+    return base;
+  }, [baseStyle, highlightedSchools, selectedSchoolCode]);
+
+  const hoverStyle = useCallback((feature) => {
+    if (activeHeatMap === 'none') {
+      return {
+        ...style(feature),
+        fillColor: hoverColors.fill,
+        fillOpacity: hoverColors.fillOpacity,
+        weight: 3,
+      };
+    }
+    return { ...style(feature), fillOpacity: 0.8, weight: 3 };
+  }, [activeHeatMap, hoverColors, style]);
+
+  // Built when a popup opens rather than bound up front for every feature
+  const buildPopupContent = useCallback((feature) => {
     const props = feature.properties;
     const schoolName = props.USE_DESC || 'Unknown School';
     const schoolCode = props.USE_ID;
     const catchmentType = props.CATCH_TYPE || '';
     
     const priceData = priceDataMap[schoolCode];
+    const growthData = growthDataMap[schoolCode];
     const rankingData = rankingDataMap[schoolCode];
+    const valueAddData = valueAddDataMap[schoolCode];
 
     let extraSection = '';
-    if (showHeatMap && priceData) {
-      const tier = getPriceTier(priceData.avgPrice, priceRange);
+    if (showHeatMap && priceData?.price) {
+      const tier = getPriceTier(priceData.price, priceRange);
+      const typeLabel = PROPERTY_TYPE_GROUPS[priceHeatMapMetric.propertyType]?.label;
       extraSection = `
         <div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #e5e7eb;">
           <p style="margin: 0 0 4px 0; font-size: 11px; font-weight: 600; color: #374151; text-transform: uppercase; letter-spacing: 0.5px;">
-            Property Prices (${priceData.suburb})
+            Property Prices (${priceData.source === 'catchment' ? 'within catchment' : priceData.suburb})
           </p>
           <p style="margin: 0; font-size: 16px; font-weight: 700; color: #1f2937;">
-            ${formatPriceShort(priceData.avgPrice)} avg
+            ${formatPriceShort(priceData.price)} ${PRICE_METRICS[priceHeatMapMetric.metric]?.shortLabel || ''}${typeLabel ? ` • ${typeLabel}` : ''}
           </p>
           <p style="margin: 4px 0 0 0; font-size: 11px; color: #6b7280;">
             ${tier} • ${priceData.totalSales} sales
@@ -142,6 +269,28 @@ export function CatchmentLayer({ data, type }) {
           </p>
         </div>
       `;
+    } else if (showGrowthHeatMap && growthData?.annualGrowth != null) {
+      extraSection = `
+        <div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #e5e7eb;">
+          <p style="margin: 0 0 4px 0; font-size: 11px; font-weight: 600; color: #374151; text-transform: uppercase; letter-spacing: 0.5px;">
+            Price Growth (${growthData.source === 'catchment' ? 'within catchment' : growthData.suburb})
+          </p>
+          <p style="margin: 0; font-size: 16px; font-weight: 700; color: #1f2937;">
+            ${formatGrowth(growthData.annualGrowth)}
+          </p>
+          <p style="margin: 4px 0 0 0; font-size: 11px; color: #6b7280;">
+            ${getGrowthTier(growthData.annualGrowth, growthRange)} • ${growthData.growthFromYear}–${growthData.growthToYear} • ${growthData.pairs} repeat sales
+          </p>
+        </div>
+      `;
+    } else if (showGrowthHeatMap) {
+      extraSection = `
+        <div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #e5e7eb;">
+          <p style="margin: 0; font-size: 11px; color: #9ca3af; font-style: italic;">
+            Too few repeat sales for a growth index
+          </p>
+        </div>
+      `;
     } else if (showRankingHeatMap && rankingData) {
       const tier = getRankingTier(rankingData.rank, rankingRange);
       extraSection = `
@@ -165,9 +314,42 @@ export function CatchmentLayer({ data, type }) {
           </p>
         </div>
       `;
+    } else if (showValueAddHeatMap && valueAddData && !valueAddData.reliable) {
+      extraSection = `
+        <div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #e5e7eb;">
+          <p style="margin: 0 0 4px 0; font-size: 11px; font-weight: 600; color: #374151; text-transform: uppercase; letter-spacing: 0.5px;">
+            Value-Add (vs intake)
+          </p>
+          <p style="margin: 0; font-size: 11px; color: #6b7280;">
+            Not shown: ${describeValueAdd(valueAddData, valueAddModels)}
+          </p>
+        </div>
+      `;
+    } else if (showValueAddHeatMap && valueAddData) {
+      extraSection = `
+        <div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #e5e7eb;">
+          <p style="margin: 0 0 4px 0; font-size: 11px; font-weight: 600; color: #374151; text-transform: uppercase; letter-spacing: 0.5px;">
+            Value-Add (vs intake)
+          </p>
+          <p style="margin: 0; font-size: 16px; font-weight: 700; color: #1f2937;">
+            ${formatValueAdd(valueAddData)} SD • ${getValueAddTier(valueAddData.z)}
+          </p>
+          <p style="margin: 4px 0 0 0; font-size: 11px; color: #6b7280;">
+            ${describeValueAdd(valueAddData, valueAddModels)}
+          </p>
+        </div>
+      `;
+    } else if (showValueAddHeatMap) {
+      extraSection = `
+        <div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #e5e7eb;">
+          <p style="margin: 0; font-size: 11px; color: #9ca3af; font-style: italic;">
+            No NAPLAN or HSC results to measure value-add
+          </p>
+        </div>
+      `;
     }
 
-    const popupContent = `
+    return `
       <div class="catchment-popup">
         <h3 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600; color: #1f2937;">
           ${schoolName}
@@ -181,86 +363,92 @@ export function CatchmentLayer({ data, type }) {
         ${extraSection}
       </div>
     `;
+  }, [
+    showHeatMap, showGrowthHeatMap, showRankingHeatMap, showValueAddHeatMap,
+    priceDataMap, growthDataMap, rankingDataMap, valueAddDataMap,
+    priceRange, growthRange, rankingRange, priceHeatMapMetric, valueAddModels,
+  ]);
 
-    layer.bindPopup(popupContent);
+  // Leaflet handlers are bound once per feature, so they read the latest
+  // callbacks from here instead of forcing the layer to be rebuilt
+  const latest = useRef({ style, hoverStyle, buildPopupContent });
+  useEffect(() => {
+    latest.current = { style, hoverStyle, buildPopupContent };
+  }, [style, hoverStyle, buildPopupContent]);
+
+  const onEachFeature = useCallback((feature, layer) => {
+    const props = feature.properties;
+
+    layer.bindPopup(() => latest.current.buildPopupContent(feature));
 
     // Event handlers
     layer.on({
       mouseover: (e) => {
         const layer = e.target;
-        const schoolCode = feature.properties?.USE_ID;
-
-        if (activeHeatMap === 'price') {
-          const priceData = priceDataMap[schoolCode];
-          const avgPrice = priceData?.avgPrice;
-          layer.setStyle({
-            fillColor: getPriceColor(avgPrice, priceRange),
-            fillOpacity: 0.8,
-            weight: 3,
-          });
-        } else if (activeHeatMap === 'ranking') {
-          const ranking = rankingDataMap[schoolCode];
-          const rank = ranking?.rank;
-          layer.setStyle({
-            fillColor: getRankingColor(rank, rankingRange),
-            fillOpacity: 0.8,
-            weight: 3,
-          });
-        } else {
-          layer.setStyle({
-            fillColor: hoverColors.fill,
-            fillOpacity: hoverColors.fillOpacity,
-            weight: 3,
-          });
-        }
+        layer.setStyle(latest.current.hoverStyle(feature));
         layer.bringToFront();
         setHoveredCatchment(props);
       },
       mouseout: (e) => {
-        const layer = e.target;
-        const schoolCode = feature.properties?.USE_ID;
-
-        if (activeHeatMap === 'price') {
-          const priceData = priceDataMap[schoolCode];
-          const avgPrice = priceData?.avgPrice;
-          const hasData = avgPrice && avgPrice > 0;
-          layer.setStyle({
-            fillColor: getPriceColor(avgPrice, priceRange),
-            fillOpacity: getPriceOpacity(hasData),
-            weight: hasData ? 1.5 : 1,
-          });
-        } else if (activeHeatMap === 'ranking') {
-          const ranking = rankingDataMap[schoolCode];
-          const rank = ranking?.rank;
-          const hasData = rank != null && rank > 0;
-          layer.setStyle({
-            fillColor: getRankingColor(rank, rankingRange),
-            fillOpacity: getRankingOpacity(hasData),
-            weight: hasData ? 1.5 : 1,
-          });
-        } else {
-          layer.setStyle({
-            fillColor: colors.fill,
-            fillOpacity: colors.fillOpacity,
-            weight: colors.weight,
-          });
-        }
+        e.target.setStyle(latest.current.style(feature));
         setHoveredCatchment(null);
       },
-      click: () => {
+      click: (e) => {
+        // In point lookup mode the map click handler lists every covering catchment
+        if (useAppStore.getState().pointLookupMode) {
+          e.target.closePopup();
+          return;
+        }
+
         // Find and select the corresponding school
-        const school = getSchoolByCode(parseInt(schoolCode));
+        const school = getSchoolByCode(parseInt(props.USE_ID));
         if (school) {
           selectSchool(school);
         }
       },
     });
-  }, [colors, hoverColors, selectSchool, getSchoolByCode, setHoveredCatchment, activeHeatMap, showHeatMap, showRankingHeatMap, priceDataMap, rankingDataMap, priceRange, rankingRange]);
+  }, [selectSchool, getSchoolByCode, setHoveredCatchment]);
 
-  const key = useMemo(() =>
-    `${type}-${activeHeatMap}-${Date.now()}`,
-    [type, data, activeHeatMap, priceRange, rankingRange]
-  );
+  // GeoJSON only reads `data` when it mounts. Later collections (timeline
+  // years, tiles loaded as the map pans) are diffed against the group by
+  // feature, so only the features that came or went are built or removed.
+  // Catchments hidden by the filters leave the group and come back with the
+  // current style.
+  const layerGroup = useRef(null);
+  useEffect(() => {
+    const group = layerGroup.current;
+    if (!group || !data?.features) return;
+    const layers = getFeatureLayers(group);
+    const features = new Set(data.features);
+
+    layers.forEach((layer, feature) => {
+      if (features.has(feature)) return;
+      layer.closePopup();
+      group.removeLayer(layer);
+      layers.delete(feature);
+    });
+
+    data.features.forEach((feature) => {
+      let layer = layers.get(feature);
+      if (!layer) {
+        layer = L.GeoJSON.geometryToLayer(feature, group.options);
+        if (!layer) return;
+        layer.feature = feature;
+        layer.defaultOptions = layer.options;
+        onEachFeature(feature, layer);
+        layers.set(feature, layer);
+      }
+
+      const visible = isVisible(feature, visibleCodes);
+      if (visible && !group.hasLayer(layer)) {
+        layer.setStyle(latest.current.style(feature));
+        group.addLayer(layer);
+      } else if (!visible && group.hasLayer(layer)) {
+        layer.closePopup();
+        group.removeLayer(layer);
+      }
+    });
+  }, [data, visibleCodes, onEachFeature]);
 
   if (!data || !data.features) {
     return null;
@@ -268,11 +456,11 @@ export function CatchmentLayer({ data, type }) {
 
   return (
     <GeoJSON
-      key={key}
+      key={type}
+      ref={layerGroup}
       data={data}
       style={style}
       onEachFeature={onEachFeature}
     />
   );
 }
-
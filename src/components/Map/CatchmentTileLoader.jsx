@@ -0,0 +1,65 @@
+import { useMap } from 'react-leaflet';
+import { useEffect } from 'react';
+import { useAppStore } from '../../stores/appStore';
+import {
+  getTileLevel,
+  getTileKeysForBounds,
+  mergeTileFeatures,
+} from '../../utils/catchmentTiles';
+import { loadCatchmentTile } from '../../utils/catchmentTileCache';
+
+// Load a little beyond the viewport so short pans don't reveal empty edges
+const VIEWPORT_PADDING = 0.25;
+
+/**
+ * Keeps the store's displayCatchments in sync with the viewport when a tile
+ * index is available: picks the detail level for the zoom and swaps in the
+ * features of the tiles in view once they have loaded. These are for drawing
+ * only; lookups and areas use the full-detail `catchments`.
+ */
+export function CatchmentTileLoader() {
+  const map = useMap();
+  const tileIndex = useAppStore((state) => state.catchmentTileIndex);
+  const setDisplayCatchments = useAppStore((state) => state.setDisplayCatchments);
+
+  useEffect(() => {
+    if (!tileIndex) return;
+
+    const shown = {};
+    let requestId = 0;
+
+    const update = () => {
+      const currentRequest = ++requestId;
+      const level = getTileLevel(tileIndex.levels, map.getZoom());
+      const bounds = map.getBounds().pad(VIEWPORT_PADDING);
+      const keys = getTileKeysForBounds(
+        [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()],
+        level.tileZoom
+      );
+
+      Object.entries(tileIndex.layers).forEach(async ([type, layer]) => {
+        const available = new Set(layer.tiles[level.id] || []);
+        const needed = keys.filter((key) => available.has(key));
+        const signature = `${level.id}:${needed.join(',')}`;
+        if (shown[type] === signature) return;
+
+        try {
+          const tiles = await Promise.all(needed.map((key) => loadCatchmentTile(type, level.id, key)));
+          // A later move has already asked for different tiles
+          if (currentRequest !== requestId) return;
+
+          shown[type] = signature;
+          setDisplayCatchments(type, mergeTileFeatures(tiles));
+        } catch (error) {
+          console.warn(`Catchment tiles not available for ${type}:`, error.message);
+        }
+      });
+    };
+
+    update();
+    map.on('moveend', update);
+    return () => map.off('moveend', update);
+  }, [map, tileIndex, setDisplayCatchments]);
+
+  return null;
+}
@@ -1,7 +1,15 @@
-import { MapContainer, TileLayer, ZoomControl } from 'react-leaflet';
+import { MapContainer, TileLayer, ZoomControl, useMap } from 'react-leaflet';
+import { useEffect, useMemo } from 'react';
 import { useAppStore } from '../../stores/appStore';
 import { CatchmentLayer } from './CatchmentLayer';
 import { SchoolMarkers } from './SchoolMarkers';
+import { AddressMarker } from './AddressMarker';
+import { PointLookupLayer } from './PointLookupLayer';
+import { CatchmentChangesLayer } from './CatchmentChangesLayer';
+import { CatchmentTileLoader } from './CatchmentTileLoader';
+import { SalesPointsLayer } from './SalesPointsLayer';
+import { getCatchmentsForYear } from '../../utils/catchmentTimeline';
+import { hasActiveFilters, filterSchools } from '../../utils/schoolFilters';
 import { 
   SYDNEY_CENTER, 
   DEFAULT_ZOOM, 
@@ -12,9 +20,69 @@ import {
 } from '../../utils/constants';
 import './MapView.css';
 
+// Fits the map when the ControlPanel asks to show the filtered results
+function FitBoundsHandler() {
+  const map = useMap();
+  const fitBoundsRequest = useAppStore((state) => state.fitBoundsRequest);
+
+  useEffect(() => {
+    if (fitBoundsRequest) {
+      map.flyToBounds(fitBoundsRequest.bounds, { padding: [40, 40], maxZoom: 15, duration: 0.8 });
+    }
+  }, [map, fitBoundsRequest]);
+
+  return null;
+}
+
+// Keeps the store's mapCenter/mapZoom and the Leaflet view in step: user
+// moves are written to the store, and store changes (e.g. restoring a shared
+// link) move the map
+function MapViewSync() {
+  const map = useMap();
+  const mapCenter = useAppStore((state) => state.mapCenter);
+  const mapZoom = useAppStore((state) => state.mapZoom);
+  const setMapView = useAppStore((state) => state.setMapView);
+
+  useEffect(() => {
+    const handleMoveEnd = () => {
+      const center = map.getCenter();
+      setMapView([center.lat, center.lng], map.getZoom());
+    };
+    map.on('moveend', handleMoveEnd);
+    return () => map.off('moveend', handleMoveEnd);
+  }, [map, setMapView]);
+
+  useEffect(() => {
+    const center = map.getCenter();
+    const moved = Math.abs(center.lat - mapCenter[0]) > 1e-6 || Math.abs(center.lng - mapCenter[1]) > 1e-6;
+    if (moved || map.getZoom() !== mapZoom) {
+      map.setView(mapCenter, mapZoom);
+    }
+  }, [map, mapCenter, mapZoom]);
+
+  return null;
+}
+
 export function MapView() {
   const layers = useAppStore((state) => state.layers);
-  const catchments = useAppStore((state) => state.catchments);
+  const catchments = useAppStore((state) => state.displayCatchments);
+  const catchmentTimeline = useAppStore((state) => state.catchmentTimeline);
+  const schools = useAppStore((state) => state.schools);
+  const filters = useAppStore((state) => state.filters);
+
+  // Only catchments of schools that pass the ControlPanel filters are shown.
+  // The layers keep the full collections and hide the rest, so changing a
+  // filter doesn't rebuild every polygon.
+  const visibleCodes = useMemo(() => {
+    if (!hasActiveFilters(filters)) return null;
+    return new Set(filterSchools(schools, filters).map((s) => s.School_code));
+  }, [schools, filters]);
+
+  // In timeline mode only the boundaries in force for the chosen grade and year are drawn
+  const timelineCatchments = useMemo(() => {
+    if (!catchmentTimeline.enabled) return null;
+    return getCatchmentsForYear(catchments, catchmentTimeline.grade, catchmentTimeline.year);
+  }, [catchments, catchmentTimeline]);
 
   return (
     <MapContainer
@@ -31,33 +99,74 @@ export function MapView() {
       />
       
       <ZoomControl position="bottomright" />
+
+      <FitBoundsHandler />
+
+      <MapViewSync />
+
+      {/* Fetches simplified catchment tiles for the viewport, when built */}
+      <CatchmentTileLoader />
       
       {/* Render catchment layers */}
-      {layers.primary && catchments.primary && (
+      {timelineCatchments && (
+        <>
+          <CatchmentLayer
+            data={timelineCatchments.current}
+            type={timelineCatchments.level}
+            visibleCodes={visibleCodes}
+          />
+          <CatchmentLayer
+            data={timelineCatchments.future}
+            type="future"
+            visibleCodes={visibleCodes}
+          />
+        </>
+      )}
+
+      {!timelineCatchments && layers.primary && catchments.primary && (
         <CatchmentLayer 
           data={catchments.primary} 
           type="primary" 
+          visibleCodes={visibleCodes}
         />
       )}
       
-      {layers.secondary && catchments.secondary && (
+      {!timelineCatchments && layers.secondary && catchments.secondary && (
         <CatchmentLayer 
           data={catchments.secondary} 
           type="secondary" 
+          visibleCodes={visibleCodes}
         />
       )}
       
-      {layers.future && catchments.future && (
+      {!timelineCatchments && layers.future && catchments.future && (
         <CatchmentLayer 
           data={catchments.future} 
           type="future" 
+          visibleCodes={visibleCodes}
         />
       )}
       
+      {/* Current vs future boundary diff */}
+      {layers.catchmentChanges && (
+        <CatchmentChangesLayer />
+      )}
+
+      {/* Geocoded property sales */}
+      {layers.salesPoints && (
+        <SalesPointsLayer />
+      )}
+
       {/* Render school markers */}
       {layers.schoolMarkers && (
         <SchoolMarkers />
       )}
+
+      {/* Address search result pin */}
+      <AddressMarker />
+
+      {/* Click-to-lookup handler and marker */}
+      <PointLookupLayer />
     </MapContainer>
   );
 }
@@ -0,0 +1,44 @@
+import { CircleMarker, useMap, useMapEvents } from 'react-leaflet';
+import { useEffect } from 'react';
+import { useAppStore } from '../../stores/appStore';
+
+const LOOKUP_CURSOR_CLASS = 'map-container--lookup';
+
+export function PointLookupLayer() {
+  const map = useMap();
+  const pointLookupMode = useAppStore((state) => state.pointLookupMode);
+  const pointLookup = useAppStore((state) => state.pointLookup);
+  const setPointLookup = useAppStore((state) => state.setPointLookup);
+
+  // Catchment polygon clicks bubble up to the map, so overlapping polygons
+  // are all picked up by the point-in-polygon lookup rather than the top one
+  useMapEvents({
+    click: (e) => {
+      if (pointLookupMode) {
+        setPointLookup({ lat: e.latlng.lat, lng: e.latlng.lng });
+      }
+    },
+  });
+
+  useEffect(() => {
+    const container = map.getContainer();
+    container.classList.toggle(LOOKUP_CURSOR_CLASS, pointLookupMode);
+    return () => container.classList.remove(LOOKUP_CURSOR_CLASS);
+  }, [map, pointLookupMode]);
+
+  if (!pointLookup) return null;
+
+  return (
+    <CircleMarker
+      center={[pointLookup.lat, pointLookup.lng]}
+      radius={7}
+      interactive={false}
+      pathOptions={{
+        color: '#ffffff',
+        weight: 3,
+        fillColor: '#e11d48',
+        fillOpacity: 1,
+      }}
+    />
+  );
+}
@@ -0,0 +1,68 @@
+import { GeoJSON } from 'react-leaflet';
+import { useCallback } from 'react';
+import L from 'leaflet';
+import { useAppStore } from '../../stores/appStore';
+import { getPriceColor, DEFAULT_PRICE_RANGE } from '../../utils/priceHeatMap';
+import { MATCH_QUALITY, MATCH_QUALITY_LABELS } from '../../utils/addressMatcher';
+
+const POINT_RADIUS = 4;
+
+/**
+ * Geocoded recent sales coloured by price. Sales only placed at their suburb
+ * centre are drawn faded so they don't read as exact locations.
+ */
+export function SalesPointsLayer() {
+  const salesPoints = useAppStore((state) => state.salesPoints);
+  const priceRange = useAppStore((state) => state.priceRange);
+
+  const style = useCallback((feature) => {
+    const { price, matchQuality } = feature.properties;
+    const approximate = matchQuality === MATCH_QUALITY.LOCALITY;
+    const color = getPriceColor(price, priceRange || DEFAULT_PRICE_RANGE);
+    return {
+      radius: POINT_RADIUS,
+      fillColor: color,
+      fillOpacity: approximate ? 0.25 : 0.85,
+      color: approximate ? color : '#ffffff',
+      weight: 1,
+      opacity: approximate ? 0.6 : 1,
+    };
+  }, [priceRange]);
+
+  const pointToLayer = useCallback((feature, latlng) => L.circleMarker(latlng, style(feature)), [style]);
+
+  const onEachFeature = useCallback((feature, layer) => {
+    layer.bindPopup(() => {
+      const props = feature.properties;
+      const approximate = props.matchQuality === MATCH_QUALITY.LOCALITY;
+      return `
+        <div class="sale-popup">
+          <h3 style="margin: 0 0 4px 0; font-size: 14px; font-weight: 600; color: #1f2937;">
+            $${props.price.toLocaleString()}
+          </h3>
+          <p style="margin: 0; font-size: 12px; color: #374151;">
+            ${props.address || 'Address not recorded'}, ${props.suburb} ${props.postcode || ''}
+          </p>
+          <p style="margin: 4px 0 0 0; font-size: 11px; color: #6b7280;">
+            ${props.date}${props.propertyType ? ` • ${props.propertyType}` : ''}
+          </p>
+          <p style="margin: 4px 0 0 0; font-size: 11px; color: ${approximate ? '#b45309' : '#6b7280'};">
+            Location: ${MATCH_QUALITY_LABELS[props.matchQuality] || 'Unknown'}${approximate ? ' (approximate)' : ''}
+          </p>
+        </div>
+      `;
+    });
+  }, []);
+
+  if (!salesPoints?.features?.length) return null;
+
+  return (
+    <GeoJSON
+      key={`sales-points-${salesPoints.metadata?.generated}`}
+      data={salesPoints}
+      style={style}
+      pointToLayer={pointToLayer}
+      onEachFeature={onEachFeature}
+    />
+  );
+}
@@ -1,12 +1,20 @@
-import { CircleMarker, Popup, useMap, Pane } from 'react-leaflet';
-import { useEffect, useMemo } from 'react';
+import { CircleMarker, Marker, Popup, Tooltip, useMap, useMapEvents, Pane } from 'react-leaflet';
+import { useEffect, useMemo, useState } from 'react';
+import L from 'leaflet';
+import Supercluster from 'supercluster';
 import { useAppStore } from '../../stores/appStore';
-import { SCHOOL_MARKER_COLORS } from '../../utils/constants';
+import { SCHOOL_MARKER_COLORS, MAX_ZOOM } from '../../utils/constants';
+import { filterSchools } from '../../utils/schoolFilters';
 
 // Custom pane names for z-index control
 const HIGHLIGHTED_PANE = 'highlightedMarkers';
 const HIGHLIGHTED_PANE_ZINDEX = 650; // Above overlayPane (400) and shadowPane (500)
 
+// Clustering stops above this zoom; selecting a school flies to zoom 14, so
+// its neighbours are always shown individually there
+const CLUSTER_MAX_ZOOM = 13;
+const CLUSTER_RADIUS = 60;
+
 function SchoolPopup({ school }) {
   const level = school.Level_of_schooling || 'School';
   const enrolment = school.latest_year_enrolment_FTE 
@@ -164,6 +172,73 @@ function SchoolMarker({ school }) {
   );
 }
 
+// Conic-gradient ring showing each level's share of a cluster
+function getClusterIcon(count, levels) {
+  let start = 0;
+  const stops = Object.entries(levels).map(([level, n]) => {
+    const end = start + (n / count) * 360;
+    const color = SCHOOL_MARKER_COLORS[level] || SCHOOL_MARKER_COLORS.default;
+    const stop = `${color} ${start}deg ${end}deg`;
+    start = end;
+    return stop;
+  });
+
+  const size = count < 10 ? 34 : count < 100 ? 40 : 48;
+  return L.divIcon({
+    className: 'school-cluster',
+    html: `<div class="school-cluster__ring" style="background: conic-gradient(${stops.join(', ')})">
+      <span class="school-cluster__count">${count}</span>
+    </div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+}
+
+function SchoolCluster({ cluster, clusterIndex }) {
+  const map = useMap();
+  const [lng, lat] = cluster.geometry.coordinates;
+  const { cluster_id: clusterId, point_count: count, levels } = cluster.properties;
+
+  const icon = useMemo(() => getClusterIcon(count, levels), [count, levels]);
+  const breakdown = Object.entries(levels).sort((a, b) => b[1] - a[1]);
+
+  const handleClick = () => {
+    const zoom = Math.min(clusterIndex.getClusterExpansionZoom(clusterId), MAX_ZOOM);
+    map.flyTo([lat, lng], zoom, { duration: 0.5 });
+  };
+
+  return (
+    <Marker
+      position={[lat, lng]}
+      icon={icon}
+      eventHandlers={{ click: handleClick }}
+    >
+      <Tooltip direction="top" offset={[0, -16]}>
+        <div className="school-cluster-tooltip">
+          <strong>{count} schools</strong>
+          {breakdown.map(([level, n]) => (
+            <div key={level} className="school-cluster-tooltip__row">
+              <span
+                className="school-cluster-tooltip__swatch"
+                style={{ backgroundColor: SCHOOL_MARKER_COLORS[level] || SCHOOL_MARKER_COLORS.default }}
+              ></span>
+              {level}: {n}
+            </div>
+          ))}
+        </div>
+      </Tooltip>
+    </Marker>
+  );
+}
+
+function getViewport(map) {
+  const bounds = map.getBounds();
+  return {
+    bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()],
+    zoom: Math.floor(map.getZoom()),
+  };
+}
+
 // Component to handle flying to selected school
 function MapController() {
   const map = useMap();
@@ -198,14 +273,23 @@ function PaneCreator() {
 }
 
 export function SchoolMarkers() {
+  const map = useMap();
   const schools = useAppStore((state) => state.schools);
   const selectedSchool = useAppStore((state) => state.selectedSchool);
   const highlightedSchools = useAppStore((state) => state.highlightedSchools);
+  const filters = useAppStore((state) => state.filters);
+  const [viewport, setViewport] = useState(() => getViewport(map));
+
+  useMapEvents({
+    moveend: () => setViewport(getViewport(map)),
+  });
   
-  // Memoize the separation of regular vs highlighted schools for performance
+  // Memoize the separation of regular vs highlighted schools for performance.
+  // Filters hide regular schools only; selected/highlighted ones always show.
   const { regularSchools, highlightedSchoolsList } = useMemo(() => {
     const highlighted = [];
     const regular = [];
+    const visibleCodes = new Set(filterSchools(schools, filters).map((s) => s.School_code));
     
     schools.forEach((school) => {
       const isSelected = selectedSchool?.School_code === school.School_code;
@@ -213,25 +297,65 @@ export function SchoolMarkers() {
       
       if (isSelected || isHighlighted) {
         highlighted.push(school);
-      } else {
+      } else if (visibleCodes.has(school.School_code)) {
         regular.push(school);
       }
     });
     
     return { regularSchools: regular, highlightedSchoolsList: highlighted };
-  }, [schools, selectedSchool, highlightedSchools]);
+  }, [schools, filters, selectedSchool, highlightedSchools]);
+
+  // Only regular schools are clustered; selected/highlighted ones stay visible
+  const clusterIndex = useMemo(() => {
+    const index = new Supercluster({
+      radius: CLUSTER_RADIUS,
+      maxZoom: CLUSTER_MAX_ZOOM,
+      map: (props) => ({ levels: { [props.school.Level_of_schooling || 'default']: 1 } }),
+      reduce: (acc, props) => {
+        const levels = { ...acc.levels };
+        Object.entries(props.levels).forEach(([level, n]) => {
+          levels[level] = (levels[level] || 0) + n;
+        });
+        acc.levels = levels;
+      },
+    });
+
+    index.load(
+      regularSchools
+        .filter((school) => school.Latitude && school.Longitude)
+        .map((school) => ({
+          type: 'Feature',
+          properties: { school },
+          geometry: { type: 'Point', coordinates: [school.Longitude, school.Latitude] },
+        }))
+    );
+    return index;
+  }, [regularSchools]);
+
+  const clusters = useMemo(
+    () => clusterIndex.getClusters(viewport.bbox, viewport.zoom),
+    [clusterIndex, viewport]
+  );
   
   return (
     <>
       <PaneCreator />
       <MapController />
       
-      {/* Render regular markers first */}
-      {regularSchools.map((school) => (
-        <SchoolMarker 
-          key={school.School_code} 
-          school={school} 
-        />
+      {/* Render regular markers and clusters in view first */}
+      {clusters.map((cluster) => (
+        cluster.properties.cluster ? (
+          <SchoolCluster
+            key={`cluster-${cluster.properties.cluster_id}`}
+            cluster={cluster}
+            clusterIndex={clusterIndex}
+          />
+        ) : (
+          <SchoolMarker
+            key={cluster.properties.school.School_code}
+            school={cluster.properties.school}
+          />
+        )
       ))}
       
       {/* Render highlighted/selected markers last so they're on top */}
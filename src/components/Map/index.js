@@ -1,4 +1,9 @@
 export { MapView } from './MapView';
 export { CatchmentLayer } from './CatchmentLayer';
 export { SchoolMarkers } from './SchoolMarkers';
+export { AddressMarker } from './AddressMarker';
+export { PointLookupLayer } from './PointLookupLayer';
+export { CatchmentChangesLayer } from './CatchmentChangesLayer';
+export { CatchmentTileLoader } from './CatchmentTileLoader';
+export { SalesPointsLayer } from './SalesPointsLayer';
 
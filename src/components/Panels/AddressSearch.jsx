@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { useAppStore } from '../../stores/appStore';
+import { useCatchmentsAtPoints } from '../../hooks/useCatchmentsAtPoints';
+import { geocodeAddress, MATCH_QUALITY_LABELS } from '../../utils/addressGeocoder';
+import { CatchmentMatchList } from './CatchmentMatchList';
+import './AddressSearch.css';
+
+export function AddressSearch() {
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState('idle'); // 'idle' | 'loading' | 'not-found' | 'error'
+  const addressSearch = useAppStore((state) => state.addressSearch);
+  const setAddressSearch = useAppStore((state) => state.setAddressSearch);
+  const clearAddressSearch = useAppStore((state) => state.clearAddressSearch);
+  const addAddressToShortlist = useAppStore((state) => state.addAddressToShortlist);
+  const isShortlisted = useAppStore((state) => {
+    if (!state.addressSearch) return false;
+    const shortlist = state.shortlists.find((s) => s.id === state.activeShortlistId) || state.shortlists[0];
+    return shortlist?.addresses.some(
+      (a) => a.lat === state.addressSearch.lat && a.lng === state.addressSearch.lng
+    ) ?? false;
+  });
+  const getCatchmentsAtPoint = useAppStore((state) => state.getCatchmentsAtPoint);
+  // Subscribe so matches refresh once catchments and schools finish loading
+  useAppStore((state) => state.catchments);
+  useAppStore((state) => state.schools);
+  useCatchmentsAtPoints([addressSearch && [addressSearch.lat, addressSearch.lng]]);
+
+  const matches = addressSearch
+    ? getCatchmentsAtPoint(addressSearch.lat, addressSearch.lng)
+    : [];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const text = query.trim();
+    if (!text) return;
+
+    setStatus('loading');
+    try {
+      const result = await geocodeAddress(text);
+      if (!result) {
+        clearAddressSearch();
+        setStatus('not-found');
+        return;
+      }
+      setAddressSearch({ ...result, query: text });
+      setStatus('idle');
+    } catch (err) {
+      console.warn('Address search failed:', err.message);
+      clearAddressSearch();
+      setStatus('error');
+    }
+  };
+
+  const handleClear = () => {
+    setQuery('');
+    setStatus('idle');
+    clearAddressSearch();
+  };
+
+  return (
+    <div className="address-search">
+      <form className="address-search__form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          className="control-input"
+          placeholder="e.g. 12 Smith St, Epping"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoComplete="off"
+        />
+        <button
+          type="submit"
+          className="address-search__button"
+          disabled={status === 'loading' || !query.trim()}
+        >
+          {status === 'loading' ? '…' : 'Go'}
+        </button>
+      </form>
+
+      {status === 'not-found' && (
+        <p className="address-search__message">
+          No matching address found. Include the suburb, e.g. "12 Smith St, Epping".
+        </p>
+      )}
+
+      {status === 'error' && (
+        <p className="address-search__message address-search__message--error">
+          Address data not available. Run npm run data:export-addresses.
+        </p>
+      )}
+
+      {addressSearch && (
+        <div className="address-result">
+          <div className="address-result__header">
+            <div>
+              <div className="address-result__label">📍 {addressSearch.label}</div>
+              <span className={`address-result__quality address-result__quality--${addressSearch.quality}`}>
+                {MATCH_QUALITY_LABELS[addressSearch.quality]}
+              </span>
+            </div>
+            <div className="address-result__actions">
+              <button
+                className="address-result__clear"
+                onClick={() => addAddressToShortlist(addressSearch)}
+                disabled={isShortlisted}
+                title="Save this address to your shortlist"
+              >
+                {isShortlisted ? '★ Saved' : '☆ Save'}
+              </button>
+              <button className="address-result__clear" onClick={handleClear}>
+                Clear
+              </button>
+            </div>
+          </div>
+
+          <CatchmentMatchList matches={matches} showPriceStats />
+        </div>
+      )}
+    </div>
+  );
+}
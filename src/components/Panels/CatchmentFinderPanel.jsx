@@ -0,0 +1,249 @@
+import { useState } from 'react';
+import { useAppStore } from '../../stores/appStore';
+import { useIsMobile } from '../../hooks/useIsMobile';
+import { PROPERTY_TYPE_GROUPS } from '../../utils/priceStats';
+import { getPriceColor, formatPriceShort, DEFAULT_PRICE_RANGE } from '../../utils/priceHeatMap';
+import {
+  DEFAULT_FINDER_CRITERIA,
+  RANK_FILTER_OPTIONS,
+  sortFinderResults,
+} from '../../utils/catchmentFinder';
+import './CatchmentFinderPanel.css';
+
+const BUDGET_STEP = 50000;
+
+function formatOrdinal(n) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : suffixes[n % 10] || 'th';
+  return `${n}${suffix}`;
+}
+
+/**
+ * Catchment Finder - ranked school catchments whose typical price fits a budget
+ */
+export function CatchmentFinderPanel() {
+  const isMobile = useIsMobile();
+  const [isOpen, setIsOpen] = useState(false);
+  const [isCollapsed, setIsCollapsed] = useState(isMobile);
+  const [criteria, setCriteria] = useState(DEFAULT_FINDER_CRITERIA);
+  const [sortBy, setSortBy] = useState('rank');
+
+  const findCatchmentsWithinBudget = useAppStore((state) => state.findCatchmentsWithinBudget);
+  const selectSchool = useAppStore((state) => state.selectSchool);
+  const selectedSchool = useAppStore((state) => state.selectedSchool);
+  const highlightedSchools = useAppStore((state) => state.highlightedSchools);
+  const setHighlightedSchools = useAppStore((state) => state.setHighlightedSchools);
+  const clearHighlightedSchools = useAppStore((state) => state.clearHighlightedSchools);
+  const priceRange = useAppStore((state) => state.priceRange);
+  const hasSalesData = useAppStore((state) => state.propertySales.suburbStats.length > 0);
+  // Re-render once rankings and sales finish loading
+  useAppStore((state) => state.primarySchoolRankings);
+  useAppStore((state) => state.secondarySchoolRankings);
+  useAppStore((state) => state.propertySales);
+
+  const results = isOpen && hasSalesData
+    ? sortFinderResults(findCatchmentsWithinBudget(criteria), sortBy)
+    : [];
+  const resultCodes = results.map((r) => r.school.School_code);
+  const isShownOnMap = results.length > 0 &&
+    resultCodes.length === highlightedSchools.length &&
+    resultCodes.every((code) => highlightedSchools.includes(code));
+
+  const updateCriteria = (key, value) => {
+    setCriteria((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const updateNumber = (key) => (e) => {
+    const value = Number(e.target.value);
+    if (Number.isFinite(value) && value >= 0) updateCriteria(key, value);
+  };
+
+  return (
+    <>
+      <button
+        className={`finder-toggle-btn ${isOpen ? 'finder-toggle-btn--active' : ''}`}
+        onClick={() => setIsOpen(!isOpen)}
+        title="Find catchments of well-ranked schools within a budget"
+      >
+        <span className="finder-toggle-btn__icon">🎯</span>
+        <span>Finder</span>
+      </button>
+
+      {isOpen && (
+        <div className={`finder-panel ${isCollapsed ? 'finder-panel--collapsed' : ''}`}>
+          <div className="finder-panel__header" onClick={() => setIsCollapsed(!isCollapsed)}>
+            <h2 className="finder-panel__title">
+              <span>🎯</span> Catchment Finder
+            </h2>
+            <div className="finder-panel__header-actions">
+              <span className={`finder-panel__chevron ${isCollapsed ? '' : 'finder-panel__chevron--open'}`}>
+                ‹
+              </span>
+              <button
+                className="finder-panel__close"
+                onClick={(e) => { e.stopPropagation(); setIsOpen(false); }}
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+
+          <div className="finder-panel__body">
+            <div className="finder-panel__form">
+              <label className="finder-field">
+                <span className="finder-field__label">Budget</span>
+                <input
+                  type="number"
+                  min="0"
+                  step={BUDGET_STEP}
+                  value={criteria.budget}
+                  onChange={updateNumber('budget')}
+                />
+                <span className="finder-field__hint">{formatPriceShort(criteria.budget)}</span>
+              </label>
+
+              <label className="finder-field">
+                <span className="finder-field__label">Property type</span>
+                <select
+                  value={criteria.propertyType}
+                  onChange={(e) => updateCriteria('propertyType', e.target.value)}
+                >
+                  <option value="all">All property types</option>
+                  {Object.entries(PROPERTY_TYPE_GROUPS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+
+              <div className="finder-field">
+                <span className="finder-field__label">School level</span>
+                <div className="finder-segmented">
+                  {['primary', 'secondary'].map((level) => (
+                    <button
+                      key={level}
+                      className={criteria.level === level ? 'finder-segmented__option--active' : ''}
+                      onClick={() => updateCriteria('level', level)}
+                    >
+                      {level === 'primary' ? 'Primary' : 'Secondary'}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="finder-field">
+                <span className="finder-field__label">Ranking</span>
+                <div className="finder-field__row">
+                  <select
+                    value={criteria.rankFilter}
+                    onChange={(e) => updateCriteria('rankFilter', e.target.value)}
+                    aria-label="Ranking threshold type"
+                  >
+                    {RANK_FILTER_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min={criteria.rankFilter === 'percentile' ? 0 : 1}
+                    max={criteria.rankFilter === 'percentile' ? 100 : undefined}
+                    value={criteria.rankValue}
+                    onChange={updateNumber('rankValue')}
+                    aria-label={criteria.rankFilter === 'percentile' ? 'Minimum percentile' : 'Top N schools'}
+                  />
+                </div>
+              </div>
+            </div>
+
+            {!hasSalesData ? (
+              <p className="finder-panel__empty">Property sales data is not available.</p>
+            ) : (
+              <>
+                <div className="finder-panel__summary">
+                  <span>
+                    <strong>{results.length}</strong> {criteria.level} catchments with a median under {formatPriceShort(criteria.budget)}
+                  </span>
+                  {results.length > 0 && (
+                    <button
+                      className="finder-panel__highlight"
+                      onClick={() => (isShownOnMap ? clearHighlightedSchools() : setHighlightedSchools(resultCodes))}
+                    >
+                      {isShownOnMap ? 'Clear map' : 'Highlight on map'}
+                    </button>
+                  )}
+                </div>
+
+                {results.length > 0 ? (
+                  <table className="finder-table">
+                    <thead>
+                      <tr>
+                        <th>School</th>
+                        <th
+                          className={`finder-table__sortable ${sortBy === 'rank' ? 'finder-table__sortable--active' : ''}`}
+                          onClick={() => setSortBy('rank')}
+                        >
+                          Rank
+                        </th>
+                        <th
+                          className={`finder-table__sortable ${sortBy === 'price' ? 'finder-table__sortable--active' : ''}`}
+                          onClick={() => setSortBy('price')}
+                        >
+                          Median
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.map((result) => {
+                        const { school } = result;
+                        const isSelected = selectedSchool?.School_code === school.School_code;
+                        return (
+                          <tr
+                            key={school.School_code}
+                            className={isSelected ? 'finder-table__row--selected' : ''}
+                            onClick={() => selectSchool(school)}
+                          >
+                            <td>
+                              <span className="finder-table__name">{school.School_name}</span>
+                              <span className="finder-table__suburb">{school.Town_suburb}</span>
+                            </td>
+                            <td>
+                              <span className="finder-table__rank">#{result.rank}</span>
+                              <span className="finder-table__percentile">{formatOrdinal(result.percentile)} pct</span>
+                            </td>
+                            <td>
+                              <span
+                                className="finder-table__swatch"
+                                style={{ backgroundColor: getPriceColor(result.price, priceRange || DEFAULT_PRICE_RANGE) }}
+                              />
+                              {formatPriceShort(result.price)}
+                              {result.source === 'suburb' && (
+                                <span
+                                  className="finder-table__source"
+                                  title={`No sales located in the catchment; median for ${result.suburb}`}
+                                >
+                                  *
+                                </span>
+                              )}
+                              <span className="finder-table__sales">{result.totalSales} sales</span>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                ) : (
+                  <p className="finder-panel__empty">
+                    No catchments match. Try a higher budget or a lower ranking threshold.
+                  </p>
+                )}
+              </>
+            )}
+
+            <p className="finder-panel__hint">
+              💡 Click a school to select it • * suburb median, no sales located in the catchment
+            </p>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,88 @@
+import { useAppStore } from '../../stores/appStore';
+import { CATCHMENT_TYPE_LABELS } from '../../utils/constants';
+import { formatPriceShort } from '../../utils/priceHeatMap';
+import { getFutureStartYear } from '../../utils/catchmentTimeline';
+import { PRICE_METRICS } from '../../utils/priceStats';
+import './CatchmentMatchList.css';
+
+const TYPE_LABELS = {
+  primary: 'Primary',
+  secondary: 'Secondary',
+  future: 'Future',
+};
+
+function CatchmentMatch({ match, showPriceStats, onSelect }) {
+  const { type, feature, school } = match;
+  const props = feature.properties || {};
+  const isPrimary = type === 'primary' || (type === 'future' && props.CATCH_TYPE === 'PRIMARY');
+
+  const ranking = useAppStore((state) => {
+    const code = String(props.USE_ID);
+    return (isPrimary ? state.primarySchoolRankings[code] : state.secondarySchoolRankings[code]) || null;
+  });
+  const totalRanked = useAppStore((state) =>
+    isPrimary ? state.totalPrimaryRankedSchools : state.totalSecondaryRankedSchools
+  );
+  const getCatchmentPriceData = useAppStore((state) => state.getCatchmentPriceData);
+  const priceHeatMapMetric = useAppStore((state) => state.priceHeatMapMetric);
+  // Subscribe so price stats appear once sales data finishes loading
+  useAppStore((state) => state.propertySales.suburbStats);
+
+  const priceData = showPriceStats ? getCatchmentPriceData(props.USE_ID, type, priceHeatMapMetric) : null;
+  const startYear = type === 'future' ? getFutureStartYear(props) : null;
+
+  return (
+    <li
+      className={`catchment-match catchment-match--${type} ${school ? '' : 'catchment-match--disabled'}`}
+      onClick={() => school && onSelect(school)}
+    >
+      <div className="catchment-match__header">
+        <span className="catchment-match__type">{TYPE_LABELS[type]}</span>
+        {ranking && (
+          <span className="catchment-match__rank" title={`${ranking.percentage_score}% score`}>
+            #{ranking.rank}
+            {totalRanked > 0 && <span className="catchment-match__rank-total"> / {totalRanked}</span>}
+          </span>
+        )}
+      </div>
+      <span className="catchment-match__name">{school?.School_name || props.USE_DESC}</span>
+      <span className="catchment-match__info">
+        {CATCHMENT_TYPE_LABELS[props.CATCH_TYPE] || props.CATCH_TYPE}
+        {startYear && ` • from ${startYear}`}
+      </span>
+      {priceData?.price > 0 && (
+        <span className="catchment-match__price">
+          🏠 {formatPriceShort(priceData.price)} {PRICE_METRICS[priceHeatMapMetric.metric]?.shortLabel} • {priceData.totalSales} sales {priceData.source === 'catchment' ? 'in catchment' : `in ${priceData.suburb}`}
+        </span>
+      )}
+    </li>
+  );
+}
+
+/**
+ * List of catchment polygons covering a point, as returned by getCatchmentsAtPoint
+ */
+export function CatchmentMatchList({ matches, showPriceStats = false }) {
+  const selectSchool = useAppStore((state) => state.selectSchool);
+
+  if (matches.length === 0) {
+    return (
+      <p className="catchment-match-list__empty">
+        No catchment zones cover this location.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="catchment-match-list">
+      {matches.map((match, index) => (
+        <CatchmentMatch
+          key={`${match.type}-${match.feature.properties?.USE_ID}-${index}`}
+          match={match}
+          showPriceStats={showPriceStats}
+          onSelect={selectSchool}
+        />
+      ))}
+    </ul>
+  );
+}
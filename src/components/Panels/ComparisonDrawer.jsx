@@ -0,0 +1,129 @@
+import { useAppStore } from '../../stores/appStore';
+import { useCatchmentsAtPoints } from '../../hooks/useCatchmentsAtPoints';
+import { COMPARISON_SECTIONS, getBestWorst } from '../../utils/schoolComparison';
+import './ComparisonDrawer.css';
+
+/**
+ * Comparison Drawer - highlighted schools side by side, one column each,
+ * with the best and worst value of each row marked
+ */
+export function ComparisonDrawer() {
+  const isOpen = useAppStore((state) => state.isComparisonOpen);
+  const setComparisonOpen = useAppStore((state) => state.setComparisonOpen);
+  const highlightedSchools = useAppStore((state) => state.highlightedSchools);
+  const toggleHighlightSchool = useAppStore((state) => state.toggleHighlightSchool);
+  const selectSchool = useAppStore((state) => state.selectSchool);
+  const getSchoolComparisonEntry = useAppStore((state) => state.getSchoolComparisonEntry);
+  // Re-render as rankings, sales and catchment boundaries load
+  useAppStore((state) => state.primarySchoolRankings);
+  useAppStore((state) => state.secondarySchoolRankings);
+  useAppStore((state) => state.propertySales);
+  useAppStore((state) => state.catchments);
+  const getSchoolByCode = useAppStore((state) => state.getSchoolByCode);
+
+  // Catchment areas are measured on the full-detail boundary at each school
+  useCatchmentsAtPoints(isOpen ? highlightedSchools.map((code) => {
+    const school = getSchoolByCode(code);
+    return school?.Latitude && school?.Longitude ? [school.Latitude, school.Longitude] : null;
+  }) : []);
+
+  if (!isOpen || highlightedSchools.length === 0) {
+    return null;
+  }
+
+  const entries = highlightedSchools
+    .map((code) => getSchoolComparisonEntry(code))
+    .filter(Boolean);
+
+  return (
+    <div className="comparison-drawer">
+      <div className="comparison-drawer__header">
+        <h2 className="comparison-drawer__title">
+          <span>⚖️</span> Compare Schools
+          <span className="comparison-drawer__count">{entries.length}</span>
+        </h2>
+        <button
+          className="comparison-drawer__close"
+          onClick={() => setComparisonOpen(false)}
+          title="Close comparison"
+        >
+          ✕
+        </button>
+      </div>
+
+      {entries.length < 2 && (
+        <p className="comparison-drawer__hint">
+          Alt + Click another school on the map to compare it with this one.
+        </p>
+      )}
+
+      <div className="comparison-drawer__body">
+        <table className="comparison-table">
+          <thead>
+            <tr>
+              <th className="comparison-table__corner" />
+              {entries.map(({ school, level }) => (
+                <th key={school.School_code} className="comparison-table__school">
+                  <button
+                    className="comparison-table__name"
+                    onClick={() => selectSchool(school)}
+                    title="Show school details"
+                  >
+                    {school.School_name}
+                  </button>
+                  <span className="comparison-table__meta">
+                    {school.Town_suburb} • {level === 'secondary' ? 'Secondary' : 'Primary'}
+                  </span>
+                  <button
+                    className="comparison-table__remove"
+                    onClick={() => toggleHighlightSchool(school.School_code)}
+                    title="Remove from comparison"
+                  >
+                    ✕
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          {COMPARISON_SECTIONS.map((section) => (
+            <tbody key={section.title}>
+              <tr className="comparison-table__section">
+                <th colSpan={entries.length + 1}>{section.title}</th>
+              </tr>
+              {section.rows.map((row) => {
+                const values = entries.map((entry) => row.get(entry));
+                if (row.optional && values.every((value) => value === null)) return null;
+                const { best, worst } = getBestWorst(values, row.better);
+                return (
+                  <tr key={row.key}>
+                    <th className="comparison-table__label">{row.label}</th>
+                    {entries.map((entry, i) => {
+                      const value = values[i];
+                      const text = row.display
+                        ? row.display(entry)
+                        : value !== null ? row.format(value) : null;
+                      let modifier = '';
+                      if (value !== null && value === best) modifier = 'comparison-table__cell--best';
+                      else if (value !== null && value === worst) modifier = 'comparison-table__cell--worst';
+                      return (
+                        <td key={entry.school.School_code} className={`comparison-table__cell ${modifier}`}>
+                          {text ?? <span className="comparison-table__na">—</span>}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          ))}
+        </table>
+      </div>
+
+      <p className="comparison-drawer__legend">
+        <span className="comparison-drawer__key comparison-drawer__key--best">Best</span>
+        <span className="comparison-drawer__key comparison-drawer__key--worst">Worst</span>
+        Lower FOEI, ranks and prices count as better • Area is measured on the detailed boundary, loaded at each school
+      </p>
+    </div>
+  );
+}
@@ -1,9 +1,21 @@
 import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { useAppStore } from '../../stores/appStore';
 import { useIsMobile } from '../../hooks/useIsMobile';
-import { SCHOOL_LEVEL_OPTIONS } from '../../utils/constants';
+import { SCHOOL_LEVEL_OPTIONS, SELECTIVE_OPTIONS, CATCHMENT_CHANGE_COLORS } from '../../utils/constants';
+import { hasActiveFilters, filterSchools, getSchoolsBounds, countAdvancedFilters } from '../../utils/schoolFilters';
 import { generateLegendStops } from '../../utils/priceHeatMap';
 import { generateRankingLegendStops } from '../../utils/rankingHeatMap';
+import { generateGrowthLegendStops } from '../../utils/growthHeatMap';
+import { generateValueAddLegendStops } from '../../utils/valueAddHeatMap';
+import { formatValueAddFit, VALUE_ADD_TESTS } from '../../utils/valueAdd';
+import { GROWTH_YEARS } from '../../utils/repeatSales';
+import { searchSchools } from '../../utils/schoolSearch';
+import { isDefaultRankingWeights } from '../../utils/schoolRanking';
+import { PRICE_METRICS, PROPERTY_TYPE_GROUPS } from '../../utils/priceStats';
+import { AddressSearch } from './AddressSearch';
+import { SchoolFilterBuilder } from './SchoolFilterBuilder';
+import { RankingWeightsEditor } from './RankingWeightsEditor';
+import { GRADE_OPTIONS, getFutureYearRange, getCatchmentsForYear, getGradeLabel } from '../../utils/catchmentTimeline';
 import './ControlPanel.css';
 
 // Debounce helper for search input
@@ -21,6 +33,22 @@ function useDebounce(value, delay) {
   return debouncedValue;
 }
 
+// Wrap the matched character ranges of a suggestion field in <mark>
+function HighlightedText({ text, ranges }) {
+  const value = String(text ?? '');
+  if (!ranges?.length) return value;
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push(value.slice(cursor, start));
+    parts.push(<mark key={start} className="search-suggestion__match">{value.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  if (cursor < value.length) parts.push(value.slice(cursor));
+  return parts;
+}
+
 export function ControlPanel() {
   const isMobile = useIsMobile();
   const [isCollapsed, setIsCollapsed] = useState(isMobile);
@@ -28,20 +56,42 @@ export function ControlPanel() {
   const toggleLayer = useAppStore((state) => state.toggleLayer);
   const filters = useAppStore((state) => state.filters);
   const setFilter = useAppStore((state) => state.setFilter);
+  const clearFilters = useAppStore((state) => state.clearFilters);
+  const fitMapToBounds = useAppStore((state) => state.fitMapToBounds);
   const schools = useAppStore((state) => state.schools);
   const catchments = useAppStore((state) => state.catchments);
+  const catchmentChanges = useAppStore((state) => state.catchmentChanges);
+  const catchmentTileIndex = useAppStore((state) => state.catchmentTileIndex);
+  const salesPoints = useAppStore((state) => state.salesPoints);
+  const hasCatchmentStats = useAppStore((state) => state.propertySales.catchmentStats.length > 0);
+  const salePointCount = salesPoints?.features?.length || 0;
   const selectSchool = useAppStore((state) => state.selectSchool);
-  const getSchoolSuggestions = useAppStore((state) => state.getSchoolSuggestions);
   const highlightedSchools = useAppStore((state) => state.highlightedSchools);
   const clearHighlightedSchools = useAppStore((state) => state.clearHighlightedSchools);
+  const isComparisonOpen = useAppStore((state) => state.isComparisonOpen);
+  const setComparisonOpen = useAppStore((state) => state.setComparisonOpen);
+  const pointLookupMode = useAppStore((state) => state.pointLookupMode);
+  const togglePointLookupMode = useAppStore((state) => state.togglePointLookupMode);
+  const catchmentTimeline = useAppStore((state) => state.catchmentTimeline);
+  const setCatchmentTimeline = useAppStore((state) => state.setCatchmentTimeline);
   const priceRange = useAppStore((state) => state.priceRange);
   const propertySales = useAppStore((state) => state.propertySales);
   const activeHeatMap = useAppStore((state) => state.activeHeatMap);
   const setActiveHeatMap = useAppStore((state) => state.setActiveHeatMap);
+  const priceHeatMapMetric = useAppStore((state) => state.priceHeatMapMetric);
+  const growthRange = useAppStore((state) => state.growthRange);
+  const setPriceHeatMapMetric = useAppStore((state) => state.setPriceHeatMapMetric);
   const primaryRankingRange = useAppStore((state) => state.primaryRankingRange);
   const secondaryRankingRange = useAppStore((state) => state.secondaryRankingRange);
   const totalPrimaryRankedSchools = useAppStore((state) => state.totalPrimaryRankedSchools);
   const totalSecondaryRankedSchools = useAppStore((state) => state.totalSecondaryRankedSchools);
+  // Only schools measured by a model reliable enough to colour the map
+  const valueAddCount = useAppStore((state) => (
+    Object.values(state.schoolValueAdd).filter((valueAdd) => valueAdd.reliable).length
+  ));
+  const valueAddModels = useAppStore((state) => state.valueAddModels);
+  const hasCustomRankingWeights = useAppStore((state) => !isDefaultRankingWeights(state.rankingWeights));
+  const [showRankingWeights, setShowRankingWeights] = useState(false);
 
   const [showSuggestions, setShowSuggestions] = useState(false);
   
@@ -51,6 +101,14 @@ export function ControlPanel() {
     return generateLegendStops(priceRange, 5);
   }, [priceRange]);
 
+  const growthLegend = useMemo(() => {
+    if (!growthRange) return [];
+    return generateGrowthLegendStops(growthRange, 5);
+  }, [growthRange]);
+  // The growth map colours by catchment indexes when exported, otherwise by suburb
+  const growthCatchmentCount = Object.keys(propertySales.repeatSalesIndex?.catchments || {}).length;
+  const growthIndexCount = growthCatchmentCount || Object.keys(propertySales.repeatSalesIndex?.suburbs || {}).length;
+
   const activeRankingRange = activeHeatMap === 'primaryRanking' ? primaryRankingRange : secondaryRankingRange;
 
   const rankingLegend = useMemo(() => {
@@ -58,16 +116,42 @@ export function ControlPanel() {
     return generateRankingLegendStops(activeRankingRange);
   }, [activeRankingRange]);
 
+  const valueAddLegend = useMemo(() => generateValueAddLegendStops(5), []);
+
   const [activeSuggestionIndex, setActiveSuggestionIndex] = useState(-1);
+  const [showFilterBuilder, setShowFilterBuilder] = useState(false);
+  const [linkStatus, setLinkStatus] = useState('idle'); // 'idle' | 'copied' | 'failed'
   const searchInputRef = useRef(null);
   const suggestionsRef = useRef(null);
   
   const debouncedSearchQuery = useDebounce(filters.searchQuery, 150);
-  const suggestions = getSchoolSuggestions(debouncedSearchQuery, 10);
+  const suggestions = useMemo(
+    () => (debouncedSearchQuery.trim() ? searchSchools(schools, debouncedSearchQuery, 10) : []),
+    [schools, debouncedSearchQuery]
+  );
 
-  const primaryCount = catchments.primary?.features?.length || 0;
-  const secondaryCount = catchments.secondary?.features?.length || 0;
-  const futureCount = catchments.future?.features?.length || 0;
+  // Slider runs from the year before the first change to the last change
+  const futureYearRange = useMemo(() => getFutureYearRange(catchments.future), [catchments.future]);
+
+  const timelineChangedCount = useMemo(() => {
+    if (!catchmentTimeline.enabled) return 0;
+    const { future } = getCatchmentsForYear(catchments, catchmentTimeline.grade, catchmentTimeline.year);
+    return future.features.length;
+  }, [catchments, catchmentTimeline]);
+
+  // Tiled catchments only hold the features in view, so count from the index
+  const getCatchmentCount = (type) =>
+    catchmentTileIndex?.layers[type]?.featureCount ?? catchments[type]?.features?.length ?? 0;
+  const filtersActive = hasActiveFilters(filters);
+  const advancedFilterCount = countAdvancedFilters(filters);
+  const filteredSchools = useMemo(() => filterSchools(schools, filters), [schools, filters]);
+
+  const primaryCount = getCatchmentCount('primary');
+  const secondaryCount = getCatchmentCount('secondary');
+  const futureCount = getCatchmentCount('future');
+  const changedSchoolCount = useMemo(() => new Set(
+    (catchmentChanges?.features || []).map((f) => f.properties?.USE_ID)
+  ).size, [catchmentChanges]);
 
   // Handle selecting a school from suggestions
   const handleSelectSuggestion = useCallback((school) => {
@@ -97,7 +181,7 @@ export function ControlPanel() {
       case 'Enter':
         e.preventDefault();
         if (activeSuggestionIndex >= 0 && activeSuggestionIndex < suggestions.length) {
-          handleSelectSuggestion(suggestions[activeSuggestionIndex]);
+          handleSelectSuggestion(suggestions[activeSuggestionIndex].school);
         }
         break;
       case 'Escape':
@@ -107,6 +191,18 @@ export function ControlPanel() {
     }
   }, [showSuggestions, suggestions, activeSuggestionIndex, handleSelectSuggestion]);
 
+  // The URL always carries the current view (useMapUrlState)
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkStatus('copied');
+    } catch (err) {
+      console.warn('Could not copy link:', err.message);
+      setLinkStatus('failed');
+    }
+    setTimeout(() => setLinkStatus('idle'), 2000);
+  };
+
   // Close suggestions when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -164,16 +260,25 @@ export function ControlPanel() {
           />
           {showSuggestions && suggestions.length > 0 && (
             <ul ref={suggestionsRef} className="search-suggestions">
-              {suggestions.map((school, index) => (
+              {suggestions.map(({ school, highlights }, index) => (
                 <li
                   key={school.School_code}
                   className={`search-suggestion ${index === activeSuggestionIndex ? 'search-suggestion--active' : ''}`}
                   onClick={() => handleSelectSuggestion(school)}
                   onMouseEnter={() => setActiveSuggestionIndex(index)}
                 >
-                  <span className="search-suggestion__name">{school.School_name}</span>
+                  <span className="search-suggestion__name">
+                    <HighlightedText text={school.School_name} ranges={highlights.name} />
+                  </span>
                   <span className="search-suggestion__info">
-                    {school.Town_suburb} • {school.Level_of_schooling || 'School'}
+                    <HighlightedText text={school.Town_suburb} ranges={highlights.suburb} />
+                    {school.Postcode && (
+                      <> <HighlightedText text={school.Postcode} ranges={highlights.postcode} /></>
+                    )}
+                    {' • '}{school.Level_of_schooling || 'School'}
+                    {highlights.lga && (
+                      <> • <HighlightedText text={school.LGA} ranges={highlights.lga} /></>
+                    )}
                   </span>
                 </li>
               ))}
@@ -182,6 +287,24 @@ export function ControlPanel() {
         </div>
       </div>
 
+      {/* Address Search */}
+      <div className="control-section">
+        <label className="control-section__label">Search Address</label>
+        <AddressSearch />
+
+        <label className="layer-toggle">
+          <input
+            type="checkbox"
+            checked={pointLookupMode}
+            onChange={togglePointLookupMode}
+          />
+          <span className="layer-toggle__indicator layer-toggle__indicator--lookup"></span>
+          <span className="layer-toggle__label">
+            Click map to list catchments
+          </span>
+        </label>
+      </div>
+
       {/* Highlighted Schools Count */}
       {highlightedSchools.length > 0 && (
         <div className="control-section control-section--highlighted">
@@ -189,12 +312,21 @@ export function ControlPanel() {
             <span className="highlighted-info__count">
               ⭐ {highlightedSchools.length} school{highlightedSchools.length !== 1 ? 's' : ''} highlighted
             </span>
-            <button 
-              className="highlighted-info__clear"
-              onClick={clearHighlightedSchools}
-            >
-              Clear
-            </button>
+            <div className="highlighted-info__actions">
+              <button
+                className={`highlighted-info__compare ${isComparisonOpen ? 'highlighted-info__compare--active' : ''}`}
+                onClick={() => setComparisonOpen(!isComparisonOpen)}
+                title="Compare highlighted schools side by side"
+              >
+                Compare
+              </button>
+              <button 
+                className="highlighted-info__clear"
+                onClick={clearHighlightedSchools}
+              >
+                Clear
+              </button>
+            </div>
           </div>
           <p className="highlighted-info__hint">
             Hold Alt + Click to highlight more schools
@@ -202,20 +334,69 @@ export function ControlPanel() {
         </div>
       )}
 
-      {/* School Level Filter */}
+      {/* School Filters */}
       <div className="control-section">
-        <label className="control-section__label">School Level</label>
-        <select
-          className="control-select"
-          value={filters.schoolLevel}
-          onChange={(e) => setFilter('schoolLevel', e.target.value)}
+        <label className="control-section__label">Filter Schools</label>
+        <div className="filter-controls">
+          <select
+            className="control-select"
+            value={filters.schoolLevel}
+            onChange={(e) => setFilter('schoolLevel', e.target.value)}
+          >
+            {SCHOOL_LEVEL_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select
+            className="control-select"
+            value={filters.selective}
+            onChange={(e) => setFilter('selective', e.target.value)}
+          >
+            {SELECTIVE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <button
+          className={`filter-builder-toggle ${showFilterBuilder ? 'filter-builder-toggle--open' : ''}`}
+          onClick={() => setShowFilterBuilder(!showFilterBuilder)}
         >
-          {SCHOOL_LEVEL_OPTIONS.map((option) => (
-            <option key={option.value} value={option.value}>
-              {option.label}
-            </option>
-          ))}
-        </select>
+          More filters
+          {advancedFilterCount > 0 && (
+            <span className="filter-builder-toggle__count">{advancedFilterCount}</span>
+          )}
+          <span className="filter-builder-toggle__chevron">‹</span>
+        </button>
+
+        {showFilterBuilder && <SchoolFilterBuilder />}
+
+        <div className="filter-summary">
+          <span className="filter-summary__count">
+            {filteredSchools.length.toLocaleString()} of {schools.length.toLocaleString()} schools shown
+          </span>
+          <div className="filter-summary__actions">
+            <button
+              className="filter-summary__button"
+              onClick={() => fitMapToBounds(getSchoolsBounds(filteredSchools))}
+              disabled={filteredSchools.length === 0}
+            >
+              Fit map
+            </button>
+            {filtersActive && (
+              <button
+                className="filter-summary__button filter-summary__button--secondary"
+                onClick={clearFilters}
+              >
+                Reset
+              </button>
+            )}
+          </div>
+        </div>
       </div>
 
       {/* Layer Toggles */}
@@ -275,6 +456,139 @@ export function ControlPanel() {
         </label>
       </div>
 
+      {/* Future Catchment Timeline */}
+      <div className="control-section">
+        <label className="control-section__label">Catchment Timeline</label>
+
+        <label className="layer-toggle">
+          <input
+            type="checkbox"
+            checked={catchmentTimeline.enabled}
+            onChange={() => setCatchmentTimeline({
+              enabled: !catchmentTimeline.enabled,
+              year: Math.min(
+                Math.max(catchmentTimeline.year, futureYearRange.min - 1),
+                futureYearRange.max
+              ),
+            })}
+            disabled={!futureYearRange}
+          />
+          <span className="layer-toggle__indicator layer-toggle__indicator--future"></span>
+          <span className="layer-toggle__label">
+            Show boundaries by grade & year
+            {!futureYearRange && (
+              <span className="layer-toggle__count layer-toggle__count--disabled">No data</span>
+            )}
+          </span>
+        </label>
+
+        {catchmentTimeline.enabled && futureYearRange && (
+          <div className="timeline-controls">
+            <select
+              className="control-select"
+              value={catchmentTimeline.grade}
+              onChange={(e) => setCatchmentTimeline({ grade: e.target.value })}
+            >
+              {GRADE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+
+            <div className="timeline-controls__year">
+              <input
+                type="range"
+                className="timeline-controls__slider"
+                min={futureYearRange.min - 1}
+                max={futureYearRange.max}
+                step={1}
+                value={catchmentTimeline.year}
+                onChange={(e) => setCatchmentTimeline({ year: Number(e.target.value) })}
+              />
+              <span className="timeline-controls__year-value">{catchmentTimeline.year}</span>
+            </div>
+
+            <p className="timeline-controls__note">
+              {getGradeLabel(catchmentTimeline.grade)} in {catchmentTimeline.year}:{' '}
+              {timelineChangedCount > 0
+                ? `${timelineChangedCount} new boundar${timelineChangedCount !== 1 ? 'ies' : 'y'} in force`
+                : 'current boundaries apply'}
+            </p>
+          </div>
+        )}
+
+        <label className="layer-toggle">
+          <input
+            type="checkbox"
+            checked={layers.catchmentChanges}
+            onChange={() => toggleLayer('catchmentChanges')}
+            disabled={changedSchoolCount === 0}
+          />
+          <span className="layer-toggle__indicator layer-toggle__indicator--changes"></span>
+          <span className="layer-toggle__label">
+            Boundary changes (current vs future)
+            {changedSchoolCount > 0 ? (
+              <span className="layer-toggle__count">{changedSchoolCount}</span>
+            ) : (
+              <span className="layer-toggle__count layer-toggle__count--disabled">No data</span>
+            )}
+          </span>
+        </label>
+
+        {layers.catchmentChanges && changedSchoolCount > 0 && (
+          <div className="legend legend--changes">
+            {Object.entries(CATCHMENT_CHANGE_COLORS).map(([change, colors]) => (
+              <div key={change} className="legend-item">
+                <span className="legend-color" style={{ backgroundColor: colors.fill }}></span>
+                <span>{colors.label} area</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <label className="layer-toggle">
+          <input
+            type="checkbox"
+            checked={layers.salesPoints}
+            onChange={() => toggleLayer('salesPoints')}
+            disabled={salePointCount === 0}
+          />
+          <span className="layer-toggle__indicator layer-toggle__indicator--sales"></span>
+          <span className="layer-toggle__label">
+            Recent sales
+            {salePointCount > 0 ? (
+              <span className="layer-toggle__count">{salePointCount.toLocaleString()}</span>
+            ) : (
+              <span className="layer-toggle__count layer-toggle__count--disabled">No data</span>
+            )}
+          </span>
+        </label>
+
+        {layers.salesPoints && salePointCount > 0 && heatMapLegend.length > 0 && (
+          <div className="heatmap-legend">
+            <div className="heatmap-legend__gradient">
+              {heatMapLegend.map((stop, index) => (
+                <div
+                  key={index}
+                  className="heatmap-legend__stop"
+                  style={{ backgroundColor: stop.color }}
+                  title={stop.label}
+                />
+              ))}
+            </div>
+            <div className="heatmap-legend__labels">
+              <span>{heatMapLegend[0]?.label}</span>
+              <span>Sale price</span>
+              <span>{heatMapLegend[heatMapLegend.length - 1]?.label}</span>
+            </div>
+            <p className="heatmap-legend__note">
+              Faded points are placed at the suburb centre
+            </p>
+          </div>
+        )}
+      </div>
+
       {/* Heat Map Overlays */}
       <div className="control-section">
         <label className="control-section__label">Heat Map Overlay</label>
@@ -313,6 +627,29 @@ export function ControlPanel() {
           </span>
         </label>
 
+        <label className="layer-toggle layer-toggle--heatmap">
+          <input
+            type="radio"
+            name="heatmap"
+            checked={activeHeatMap === 'growth'}
+            onChange={() => setActiveHeatMap('growth')}
+            disabled={!growthIndexCount}
+          />
+          <span className="layer-toggle__indicator layer-toggle__indicator--growth"></span>
+          <span className="layer-toggle__label">
+            Price Growth
+            {growthIndexCount > 0 ? (
+              <span className="layer-toggle__count">
+                {growthIndexCount} {growthCatchmentCount > 0 ? 'catchments' : 'suburbs'}
+              </span>
+            ) : (
+              <span className="layer-toggle__count layer-toggle__count--disabled">
+                No data
+              </span>
+            )}
+          </span>
+        </label>
+
         <label className="layer-toggle layer-toggle--ranking">
           <input
             type="radio"
@@ -351,8 +688,50 @@ export function ControlPanel() {
           </span>
         </label>
 
+        <label className="layer-toggle layer-toggle--ranking">
+          <input
+            type="radio"
+            name="heatmap"
+            checked={activeHeatMap === 'valueAdd'}
+            onChange={() => setActiveHeatMap('valueAdd')}
+            disabled={!valueAddCount}
+          />
+          <span className="layer-toggle__indicator layer-toggle__indicator--value-add"></span>
+          <span className="layer-toggle__label">
+            Value-Add vs Intake
+            {valueAddCount > 0 ? (
+              <span className="layer-toggle__count">{valueAddCount} schools</span>
+            ) : (
+              <span className="layer-toggle__count layer-toggle__count--disabled">No data</span>
+            )}
+          </span>
+        </label>
+
         {activeHeatMap === 'price' && heatMapLegend.length > 0 && (
           <div className="heatmap-legend">
+            <div className="heatmap-legend__metric">
+              <select
+                className="control-select"
+                value={priceHeatMapMetric.metric}
+                onChange={(e) => setPriceHeatMapMetric({ metric: e.target.value })}
+                aria-label="Price statistic"
+              >
+                {Object.entries(PRICE_METRICS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <select
+                className="control-select"
+                value={priceHeatMapMetric.propertyType}
+                onChange={(e) => setPriceHeatMapMetric({ propertyType: e.target.value })}
+                aria-label="Property type"
+              >
+                <option value="all">All property types</option>
+                {Object.entries(PROPERTY_TYPE_GROUPS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
             <div className="heatmap-legend__gradient">
               {heatMapLegend.map((stop, index) => (
                 <div
@@ -365,11 +744,36 @@ export function ControlPanel() {
             </div>
             <div className="heatmap-legend__labels">
               <span>{heatMapLegend[0]?.label}</span>
-              <span>Median</span>
+              <span>{heatMapLegend[Math.floor(heatMapLegend.length / 2)]?.label}</span>
               <span>{heatMapLegend[heatMapLegend.length - 1]?.label}</span>
             </div>
             <p className="heatmap-legend__note">
-              Based on recent sales in school suburb
+              {hasCatchmentStats
+                ? 'Based on sales inside each catchment'
+                : 'Based on recent sales in school suburb'}
+            </p>
+          </div>
+        )}
+
+        {activeHeatMap === 'growth' && growthLegend.length > 0 && (
+          <div className="heatmap-legend heatmap-legend--growth">
+            <div className="heatmap-legend__gradient">
+              {growthLegend.map((stop, index) => (
+                <div
+                  key={index}
+                  className="heatmap-legend__stop"
+                  style={{ backgroundColor: stop.color }}
+                  title={stop.label}
+                />
+              ))}
+            </div>
+            <div className="heatmap-legend__labels">
+              <span>{growthLegend[0]?.label}</span>
+              <span>Annual growth</span>
+              <span>{growthLegend[growthLegend.length - 1]?.label}</span>
+            </div>
+            <p className="heatmap-legend__note">
+              Repeat sales of the same property, latest {GROWTH_YEARS} years
             </p>
           </div>
         )}
@@ -396,6 +800,44 @@ export function ControlPanel() {
             </p>
           </div>
         )}
+
+        {activeHeatMap === 'valueAdd' && (
+          <div className="heatmap-legend">
+            <div className="heatmap-legend__gradient">
+              {valueAddLegend.map((stop, index) => (
+                <div
+                  key={index}
+                  className="heatmap-legend__stop"
+                  style={{ backgroundColor: stop.color }}
+                  title={stop.label}
+                />
+              ))}
+            </div>
+            <div className="heatmap-legend__labels">
+              <span>{valueAddLegend[0]?.label}</span>
+              <span>vs expected</span>
+              <span>{valueAddLegend[valueAddLegend.length - 1]?.label}</span>
+            </div>
+            <p className="heatmap-legend__note">
+              NAPLAN (primary) or HSC (secondary) position against what ICSEA and LBOTE predict
+            </p>
+            <p className="heatmap-legend__note">
+              {Object.entries(valueAddModels).map(([test, model]) => (
+                `${VALUE_ADD_TESTS[test].label}: ${formatValueAddFit(model)}${model?.reliable ? '' : ' (too weak, not shown)'}`
+              )).join(' • ')}
+            </p>
+          </div>
+        )}
+
+        <button
+          className={`ranking-weights-toggle ${showRankingWeights ? 'ranking-weights-toggle--open' : ''}`}
+          onClick={() => setShowRankingWeights(!showRankingWeights)}
+          aria-expanded={showRankingWeights}
+        >
+          ⚙️ Ranking weights
+          {hasCustomRankingWeights && <span className="ranking-weights-toggle__badge">Custom</span>}
+        </button>
+        {showRankingWeights && <RankingWeightsEditor />}
       </div>
 
       {/* Legend */}
@@ -425,8 +867,13 @@ export function ControlPanel() {
         </div>
       </div>
 
-      {/* Data Explorer Link */}
+      {/* Share link and Data Explorer Link */}
       <div className="control-section">
+        <button className="share-link-button" onClick={handleCopyLink}>
+          {linkStatus === 'copied' && '✓ Link copied'}
+          {linkStatus === 'failed' && 'Copy the link from the address bar'}
+          {linkStatus === 'idle' && '🔗 Copy link to this view'}
+        </button>
         <a href="#/data" className="data-explorer-link">
           📊 Data Explorer
           <span className="data-explorer-link__hint">View all database tables & sample data</span>
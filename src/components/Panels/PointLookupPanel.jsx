@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { useAppStore } from '../../stores/appStore';
+import { useIsMobile } from '../../hooks/useIsMobile';
+import { useCatchmentsAtPoints } from '../../hooks/useCatchmentsAtPoints';
+import { CatchmentMatchList } from './CatchmentMatchList';
+import './PointLookupPanel.css';
+
+/**
+ * Point Lookup Panel - Every catchment (primary, secondary, future) covering
+ * the point clicked on the map while point lookup mode is on
+ */
+export function PointLookupPanel() {
+  const pointLookup = useAppStore((state) => state.pointLookup);
+  const clearPointLookup = useAppStore((state) => state.clearPointLookup);
+  const getCatchmentsAtPoint = useAppStore((state) => state.getCatchmentsAtPoint);
+  // Subscribe so matches refresh when catchment tiles or schools load after the click
+  useAppStore((state) => state.catchments);
+  useAppStore((state) => state.schools);
+  useCatchmentsAtPoints([pointLookup && [pointLookup.lat, pointLookup.lng]]);
+  const isMobile = useIsMobile();
+  const [isCollapsed, setIsCollapsed] = useState(isMobile);
+
+  if (!pointLookup) {
+    return null;
+  }
+
+  const matches = getCatchmentsAtPoint(pointLookup.lat, pointLookup.lng);
+
+  return (
+    <div className={`point-lookup-panel ${isCollapsed ? 'point-lookup-panel--collapsed' : ''}`}>
+      <div className="point-lookup-panel__header" onClick={() => setIsCollapsed(!isCollapsed)}>
+        <div>
+          <h3 className="point-lookup-panel__title">Schools serving this spot</h3>
+          <span className="point-lookup-panel__coords">
+            {pointLookup.lat.toFixed(5)}, {pointLookup.lng.toFixed(5)}
+            {' • '}{matches.length} catchment{matches.length !== 1 ? 's' : ''}
+          </span>
+        </div>
+        <div className="point-lookup-panel__actions">
+          <span className={`point-lookup-panel__chevron ${isCollapsed ? '' : 'point-lookup-panel__chevron--open'}`}>
+            ‹
+          </span>
+          <button
+            className="point-lookup-panel__close"
+            onClick={(e) => { e.stopPropagation(); clearPointLookup(); }}
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="point-lookup-panel__body">
+        <CatchmentMatchList matches={matches} showPriceStats />
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,11 @@
 import { useState, useMemo } from 'react';
 import { useAppStore } from '../../stores/appStore';
 import { useIsMobile } from '../../hooks/useIsMobile';
+import { PROPERTY_TYPE_GROUPS } from '../../utils/priceStats';
+import { TREND_PROPERTY_TYPES, fillMonths, getYearOnYearChange } from '../../utils/priceTrends';
+import { formatPriceShort } from '../../utils/priceHeatMap';
+
+const TREND_CHART = { width: 340, height: 120, volumeHeight: 28, padding: 4 };
 import './PropertySalesPanel.css';
 
 /**
@@ -28,6 +33,16 @@ function formatDate(dateStr) {
   });
 }
 
+/**
+ * Format a 'YYYY-MM' month as e.g. "Mar 2025"
+ */
+function formatMonth(month) {
+  return new Date(`${month}-01`).toLocaleDateString('en-AU', {
+    month: 'short',
+    year: 'numeric',
+  });
+}
+
 /**
  * Format zone code to readable label
  */
@@ -119,10 +134,28 @@ function SuburbStats({ stats }) {
           <span className="stat-label">Total Sales</span>
           <span className="stat-value">{stats.totalSales}</span>
         </div>
+        {stats.medianPrice && (
+          <div className="stat-item">
+            <span className="stat-label">Median Price</span>
+            <span className="stat-value">{formatPrice(stats.medianPrice)}</span>
+          </div>
+        )}
         <div className="stat-item">
           <span className="stat-label">Average Price</span>
           <span className="stat-value">{formatPrice(stats.avgPrice)}</span>
         </div>
+        {stats.p25Price && (
+          <div className="stat-item">
+            <span className="stat-label">Middle 50%</span>
+            <span className="stat-value">{formatPrice(stats.p25Price)} – {formatPrice(stats.p75Price)}</span>
+          </div>
+        )}
+        {stats.trimmedMeanPrice && (
+          <div className="stat-item">
+            <span className="stat-label">Trimmed Mean</span>
+            <span className="stat-value">{formatPrice(stats.trimmedMeanPrice)}</span>
+          </div>
+        )}
         <div className="stat-item">
           <span className="stat-label">Min Price</span>
           <span className="stat-value">{formatPrice(stats.minPrice)}</span>
@@ -138,6 +171,170 @@ function SuburbStats({ stats }) {
           </div>
         )}
       </div>
+      {stats.byPropertyType && Object.keys(stats.byPropertyType).length > 0 && (
+        <table className="type-stats">
+          <thead>
+            <tr>
+              <th>Type</th>
+              <th>Sales</th>
+              <th>Median</th>
+              <th>Middle 50%</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(PROPERTY_TYPE_GROUPS)
+              .filter(([key]) => stats.byPropertyType[key])
+              .map(([key, { label }]) => {
+                const typeStats = stats.byPropertyType[key];
+                return (
+                  <tr key={key}>
+                    <td>{label}</td>
+                    <td>{typeStats.count}</td>
+                    <td>{formatPrice(typeStats.medianPrice)}</td>
+                    <td>{formatPrice(typeStats.p25Price)} – {formatPrice(typeStats.p75Price)}</td>
+                  </tr>
+                );
+              })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Monthly median price line over sales volume bars, for the suburb or the
+ * school's catchment, with the 12-month year-on-year change
+ */
+function PriceTrend({ trends }) {
+  const [propertyType, setPropertyType] = useState(TREND_PROPERTY_TYPES[0]);
+  const [area, setArea] = useState('suburb');
+
+  const activeArea = area === 'catchment' && trends.catchment ? 'catchment' : 'suburb';
+  const series = trends[activeArea]?.[propertyType];
+
+  const points = useMemo(() => {
+    if (!series) return [];
+    return fillMonths(series.monthly, trends.startMonth, trends.endMonth);
+  }, [series, trends.startMonth, trends.endMonth]);
+
+  const chart = useMemo(() => {
+    const priced = points.filter((p) => p.medianPrice);
+    if (priced.length === 0) return null;
+
+    const { width, height, volumeHeight, padding } = TREND_CHART;
+    const minPrice = Math.min(...priced.map((p) => p.medianPrice));
+    const maxPrice = Math.max(...priced.map((p) => p.medianPrice));
+    const maxSales = Math.max(...points.map((p) => p.sales));
+    const step = width / points.length;
+    const priceTop = padding;
+    const priceBottom = height - volumeHeight - padding;
+
+    const x = (index) => step * index + step / 2;
+    const y = (price) => maxPrice === minPrice
+      ? (priceTop + priceBottom) / 2
+      : priceBottom - ((price - minPrice) / (maxPrice - minPrice)) * (priceBottom - priceTop);
+
+    return {
+      minPrice,
+      maxPrice,
+      bars: points.map((p, index) => ({
+        ...p,
+        x: step * index + 1,
+        width: Math.max(1, step - 2),
+        height: maxSales > 0 ? (p.sales / maxSales) * volumeHeight : 0,
+      })),
+      dots: points
+        .map((p, index) => (p.medianPrice ? { ...p, cx: x(index), cy: y(p.medianPrice) } : null))
+        .filter(Boolean),
+    };
+  }, [points]);
+
+  const yoy = getYearOnYearChange(series);
+  const typeLabel = PROPERTY_TYPE_GROUPS[propertyType].label.toLowerCase();
+
+  return (
+    <div className="price-trend">
+      <div className="price-trend__header">
+        <h4>Price Trend</h4>
+        <div className="sort-controls price-trend__controls">
+          {TREND_PROPERTY_TYPES.map((type) => (
+            <button
+              key={type}
+              className={propertyType === type ? 'active' : ''}
+              onClick={() => setPropertyType(type)}
+            >
+              {PROPERTY_TYPE_GROUPS[type].label}
+            </button>
+          ))}
+          {trends.catchment && (
+            <button
+              className={activeArea === 'catchment' ? 'active' : ''}
+              onClick={() => setArea(activeArea === 'catchment' ? 'suburb' : 'catchment')}
+              title="Use sales inside the school's catchment instead of its suburb"
+            >
+              Catchment
+            </button>
+          )}
+        </div>
+      </div>
+
+      {chart ? (
+        <>
+          <div className="price-trend__yoy">
+            {yoy ? (
+              <>
+                <span className="price-trend__median">{formatPrice(yoy.current)}</span>
+                <span> 12-month median </span>
+                <span className={`price-trend__change ${yoy.change >= 0 ? 'price-trend__change--up' : 'price-trend__change--down'}`}>
+                  {yoy.change >= 0 ? '▲' : '▼'} {Math.abs(yoy.change * 100).toFixed(1)}% year on year
+                </span>
+              </>
+            ) : (
+              <span className="price-trend__note">Not enough {typeLabel} sales for a year-on-year change</span>
+            )}
+          </div>
+          <svg
+            className="price-trend__chart"
+            viewBox={`0 0 ${TREND_CHART.width} ${TREND_CHART.height}`}
+            role="img"
+            aria-label={`Monthly median ${typeLabel} price and sales`}
+          >
+            {chart.bars.map((bar) => (
+              <rect
+                key={bar.month}
+                className="price-trend__bar"
+                x={bar.x}
+                y={TREND_CHART.height - bar.height}
+                width={bar.width}
+                height={bar.height}
+              >
+                <title>{`${formatMonth(bar.month)}: ${bar.sales} sales`}</title>
+              </rect>
+            ))}
+            <polyline
+              className="price-trend__line"
+              points={chart.dots.map((dot) => `${dot.cx},${dot.cy}`).join(' ')}
+            />
+            {chart.dots.map((dot) => (
+              <circle key={dot.month} className="price-trend__dot" cx={dot.cx} cy={dot.cy} r="2.5">
+                <title>{`${formatMonth(dot.month)}: median ${formatPrice(dot.medianPrice)} (${dot.sales} sales)`}</title>
+              </circle>
+            ))}
+          </svg>
+          <div className="price-trend__axis">
+            <span>{formatMonth(trends.startMonth)}</span>
+            <span>
+              Median {formatPriceShort(chart.minPrice)} – {formatPriceShort(chart.maxPrice)}
+            </span>
+            <span>{formatMonth(trends.endMonth)}</span>
+          </div>
+        </>
+      ) : (
+        <p className="price-trend__note">
+          No {typeLabel} sales in the {activeArea === 'catchment' ? 'catchment' : 'suburb'} since {formatMonth(trends.startMonth)}.
+        </p>
+      )}
     </div>
   );
 }
@@ -150,6 +347,7 @@ export function PropertySalesPanel() {
   const propertySales = useAppStore((state) => state.propertySales);
   const getSalesBySuburb = useAppStore((state) => state.getSalesBySuburb);
   const getSuburbStats = useAppStore((state) => state.getSuburbStats);
+  const getPriceTrends = useAppStore((state) => state.getPriceTrends);
   
   const isMobile = useIsMobile();
   const [isExpanded, setIsExpanded] = useState(!isMobile);
@@ -169,6 +367,9 @@ export function PropertySalesPanel() {
     return getSuburbStats(suburb);
   }, [suburb, getSuburbStats]);
 
+  const trends = getPriceTrends(suburb, selectedSchool?.School_code);
+  const hasTrends = Boolean(trends?.suburb || trends?.catchment);
+
   // Sort sales
   const sortedSales = useMemo(() => {
     if (!sales.length) return [];
@@ -223,6 +424,8 @@ export function PropertySalesPanel() {
             <>
               <SuburbStats stats={stats} />
 
+              {hasTrends && <PriceTrend key={suburb} trends={trends} />}
+
               <div className="sort-controls">
                 <span>Sort by:</span>
                 <button 
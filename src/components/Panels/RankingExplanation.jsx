@@ -0,0 +1,110 @@
+import { useMemo } from 'react';
+import { useAppStore } from '../../stores/appStore';
+import { explainRanking, getMedianRanking } from '../../utils/rankingExplanation';
+import './RankingExplanation.css';
+
+const MISSING_LABELS = {
+  np: { tag: 'np', title: 'Not published for this school; scored with the fallback for missing data' },
+  none: { tag: 'no data', title: 'No data for this school; scored with the fallback for missing data' },
+};
+
+function formatDifference(points) {
+  const rounded = Math.round(points);
+  if (rounded === 0) return '±0';
+  return rounded > 0 ? `+${rounded}` : `−${Math.abs(rounded)}`;
+}
+
+/**
+ * Ranking Explanation - the points each factor added to a school's score,
+ * how it compares with the median school at its level, and nearby schools
+ * ranked above it
+ */
+export function RankingExplanation({ school, ranking, level }) {
+  const rankings = useAppStore((state) => (
+    level === 'secondary' ? state.secondarySchoolRankings : state.primarySchoolRankings
+  ));
+  const getNearbyHigherRankedSchools = useAppStore((state) => state.getNearbyHigherRankedSchools);
+  const selectSchool = useAppStore((state) => state.selectSchool);
+
+  const medianRanking = useMemo(() => getMedianRanking(rankings), [rankings]);
+  const factors = explainRanking(school, ranking, medianRanking);
+  const missingCount = factors.filter((factor) => factor.missing).length;
+  const higherRanked = getNearbyHigherRankedSchools(school.School_code);
+
+  return (
+    <div className="ranking-explanation">
+      {medianRanking && (
+        <p className="ranking-explanation__summary">
+          Scores <strong>{ranking.percentage_score}%</strong> against{' '}
+          <strong>{medianRanking.percentage_score}%</strong> for the median {level} school (#{medianRanking.rank}).
+        </p>
+      )}
+
+      <ul className="ranking-explanation__factors">
+        {factors.map((factor) => (
+          <li
+            key={factor.key}
+            className={`ranking-explanation__factor ${factor.missing ? 'ranking-explanation__factor--missing' : ''}`}
+          >
+            <span className="ranking-explanation__label">
+              {factor.label}
+              {factor.missing && (
+                <span className="ranking-explanation__missing" title={MISSING_LABELS[factor.missing].title}>
+                  {MISSING_LABELS[factor.missing].tag}
+                </span>
+              )}
+            </span>
+            <span className="ranking-explanation__bar">
+              <span
+                className="ranking-explanation__fill"
+                style={{ width: `${(factor.points / factor.maxPossible) * 100}%` }}
+              />
+              {factor.medianPoints !== null && (
+                <span
+                  className="ranking-explanation__median"
+                  style={{ left: `${(factor.medianPoints / factor.maxPossible) * 100}%` }}
+                  title={`Median ${level} school: ${Math.round(factor.medianPoints)} points`}
+                />
+              )}
+            </span>
+            <span className="ranking-explanation__points">
+              {Math.round(factor.points)}/{factor.maxPossible}
+            </span>
+            {factor.medianPoints !== null && (
+              <span
+                className={`ranking-explanation__diff ${
+                  factor.points > factor.medianPoints ? 'ranking-explanation__diff--up' : ''
+                } ${factor.points < factor.medianPoints ? 'ranking-explanation__diff--down' : ''}`}
+              >
+                {formatDifference(factor.points - factor.medianPoints)}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <p className="ranking-explanation__note">
+        Bars show points out of each factor&apos;s maximum; the line marks the median {level} school.
+        {missingCount > 0 && ' Factors tagged np or no data have nothing on record and get the fallback score for missing data.'}
+      </p>
+
+      {higherRanked.length > 0 && (
+        <div className="ranking-explanation__nearby">
+          <h4 className="ranking-explanation__subtitle">Nearest higher-ranked schools</h4>
+          <ul className="ranking-explanation__schools">
+            {higherRanked.map(({ school: other, distanceKm, ranking: otherRanking }) => (
+              <li key={other.School_code}>
+                <button className="ranking-explanation__school" onClick={() => selectSchool(other)}>
+                  <span className="ranking-explanation__school-name">{other.School_name}</span>
+                  <span className="ranking-explanation__school-meta">
+                    #{otherRanking.rank} • {distanceKm.toFixed(1)} km
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import { useAppStore } from '../../stores/appStore';
+import { MAX_RANKING_WEIGHT, RANKING_FACTORS, isDefaultRankingWeights } from '../../utils/schoolRanking';
+import './RankingWeightsEditor.css';
+
+// Weight a factor returns with when switched back on, if it's off by default
+const SWITCH_ON_WEIGHT = 5;
+
+/**
+ * Ranking Weights Editor - adjust the primary weight of each ranking factor
+ * or switch it off; every change re-ranks schools straight away
+ */
+export function RankingWeightsEditor() {
+  const rankingWeights = useAppStore((state) => state.rankingWeights);
+  const rankingPresets = useAppStore((state) => state.rankingPresets);
+  const setRankingWeight = useAppStore((state) => state.setRankingWeight);
+  const resetRankingWeights = useAppStore((state) => state.resetRankingWeights);
+  const saveRankingPreset = useAppStore((state) => state.saveRankingPreset);
+  const applyRankingPreset = useAppStore((state) => state.applyRankingPreset);
+  const deleteRankingPreset = useAppStore((state) => state.deleteRankingPreset);
+  const [presetName, setPresetName] = useState('');
+
+  const isDefault = isDefaultRankingWeights(rankingWeights);
+  const activePreset = rankingPresets.find((preset) => (
+    RANKING_FACTORS.every(({ key }) => preset.weights[key] === rankingWeights[key])
+  ));
+
+  const handleToggle = (factor) => {
+    const isOn = rankingWeights[factor.key] > 0;
+    setRankingWeight(factor.key, isOn ? 0 : factor.weight || SWITCH_ON_WEIGHT);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!presetName.trim()) return;
+    saveRankingPreset(presetName);
+    setPresetName('');
+  };
+
+  return (
+    <div className="ranking-weights">
+      <div className="ranking-weights__header">
+        <span className="ranking-weights__status">
+          {isDefault ? 'Published weights' : activePreset ? `Preset: ${activePreset.name}` : 'Custom weights'}
+        </span>
+        <button
+          className="ranking-weights__reset"
+          onClick={resetRankingWeights}
+          disabled={isDefault}
+        >
+          Reset
+        </button>
+      </div>
+
+      <ul className="ranking-weights__factors">
+        {RANKING_FACTORS.map((factor) => {
+          const weight = rankingWeights[factor.key];
+          const isOn = weight > 0;
+          return (
+            <li
+              key={factor.key}
+              className={`ranking-weights__factor ${isOn ? '' : 'ranking-weights__factor--off'}`}
+            >
+              <label className="ranking-weights__label">
+                <input
+                  type="checkbox"
+                  checked={isOn}
+                  onChange={() => handleToggle(factor)}
+                />
+                {factor.label}
+                {factor.level && (
+                  <span className="ranking-weights__level">{factor.level} only</span>
+                )}
+              </label>
+              <input
+                type="range"
+                className="ranking-weights__slider"
+                min="0"
+                max={MAX_RANKING_WEIGHT}
+                step="1"
+                value={weight}
+                onChange={(e) => setRankingWeight(factor.key, Number(e.target.value))}
+                aria-label={`${factor.label} weight`}
+              />
+              <span
+                className={`ranking-weights__value ${weight !== factor.weight ? 'ranking-weights__value--changed' : ''}`}
+                title={`Published weight: ${factor.weight}`}
+              >
+                {weight}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+
+      <form className="ranking-weights__save" onSubmit={handleSave}>
+        <input
+          className="ranking-weights__preset-name"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Preset name"
+          aria-label="Preset name"
+        />
+        <button type="submit" className="ranking-weights__button" disabled={!presetName.trim()}>
+          Save preset
+        </button>
+      </form>
+
+      {rankingPresets.length > 0 && (
+        <ul className="ranking-weights__presets">
+          {rankingPresets.map((preset) => (
+            <li key={preset.id} className="ranking-weights__preset">
+              <button
+                className={`ranking-weights__preset-apply ${preset === activePreset ? 'ranking-weights__preset-apply--active' : ''}`}
+                onClick={() => applyRankingPreset(preset.id)}
+              >
+                {preset.name}
+              </button>
+              <button
+                className="ranking-weights__preset-delete"
+                onClick={() => deleteRankingPreset(preset.id)}
+                aria-label={`Delete preset ${preset.name}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
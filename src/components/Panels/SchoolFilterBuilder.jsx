@@ -0,0 +1,151 @@
+import { useMemo } from 'react';
+import { useAppStore } from '../../stores/appStore';
+import { ADVANCED_FILTER_FIELDS, getFilterDomain } from '../../utils/schoolFilters';
+import './SchoolFilterBuilder.css';
+
+// Fields with more options than this use a dropdown instead of chips
+const MAX_CHIP_OPTIONS = 16;
+
+function RangeFilter({ def, domain, value, onChange }) {
+  const min = value?.min ?? domain.min;
+  const max = value?.max ?? domain.max;
+
+  // Dragging both handles back to the ends clears the filter
+  const update = (nextMin, nextMax) => {
+    const lower = Math.min(nextMin, nextMax);
+    const upper = Math.max(nextMin, nextMax);
+    onChange(lower <= domain.min && upper >= domain.max ? null : { min: lower, max: upper });
+  };
+
+  return (
+    <div className="filter-field">
+      <div className="filter-field__header">
+        <span className="filter-field__label">{def.label}</span>
+        <span className="filter-field__value">
+          {min.toLocaleString()} – {max.toLocaleString()}
+        </span>
+      </div>
+      <div className="range-filter">
+        <input
+          type="range"
+          className="range-filter__input"
+          min={domain.min}
+          max={domain.max}
+          step={def.step}
+          value={min}
+          onChange={(e) => update(Number(e.target.value), max)}
+          aria-label={`Minimum ${def.label}`}
+        />
+        <input
+          type="range"
+          className="range-filter__input"
+          min={domain.min}
+          max={domain.max}
+          step={def.step}
+          value={max}
+          onChange={(e) => update(min, Number(e.target.value))}
+          aria-label={`Maximum ${def.label}`}
+        />
+      </div>
+    </div>
+  );
+}
+
+function MultiFilter({ def, domain, value, onChange }) {
+  const selected = value || [];
+
+  const toggle = (optionValue) => {
+    onChange(selected.includes(optionValue)
+      ? selected.filter((v) => v !== optionValue)
+      : [...selected, optionValue]);
+  };
+
+  if (domain.options.length <= MAX_CHIP_OPTIONS) {
+    return (
+      <div className="filter-field">
+        <span className="filter-field__label">{def.label}</span>
+        <div className="filter-chips">
+          {domain.options.map((option) => (
+            <button
+              key={option.value}
+              className={`filter-chip ${selected.includes(option.value) ? 'filter-chip--active' : ''}`}
+              onClick={() => toggle(option.value)}
+            >
+              {option.label}
+              <span className="filter-chip__count">{option.count}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const labels = Object.fromEntries(domain.options.map((o) => [o.value, o.label]));
+
+  return (
+    <div className="filter-field">
+      <span className="filter-field__label">{def.label}</span>
+      <select
+        className="control-select"
+        value=""
+        onChange={(e) => e.target.value && toggle(e.target.value)}
+      >
+        <option value="">Add {def.label}...</option>
+        {domain.options
+          .filter((option) => !selected.includes(option.value))
+          .map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label} ({option.count})
+            </option>
+          ))}
+      </select>
+      {selected.length > 0 && (
+        <div className="filter-chips">
+          {selected.map((v) => (
+            <button
+              key={v}
+              className="filter-chip filter-chip--active"
+              onClick={() => toggle(v)}
+              aria-label={`Remove ${labels[v] || v}`}
+            >
+              {labels[v] || v} ✕
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Range sliders and multi-selects over school attributes, combined with AND
+ */
+export function SchoolFilterBuilder() {
+  const schools = useAppStore((state) => state.schools);
+  const advanced = useAppStore((state) => state.filters.advanced);
+  const setAdvancedFilter = useAppStore((state) => state.setAdvancedFilter);
+
+  // Fields with no usable values in the data are left out
+  const fields = useMemo(() => ADVANCED_FILTER_FIELDS
+    .map((def) => ({ def, domain: getFilterDomain(schools, def) }))
+    .filter(({ def, domain }) => (
+      def.type === 'range' ? domain.min !== null && domain.max > domain.min : domain.options.length > 0
+    )), [schools]);
+
+  return (
+    <div className="filter-builder">
+      {fields.map(({ def, domain }) => {
+        const FieldComponent = def.type === 'range' ? RangeFilter : MultiFilter;
+        return (
+          <FieldComponent
+            key={def.key}
+            def={def}
+            domain={domain}
+            value={advanced[def.key]}
+            onChange={(value) => setAdvancedFilter(def.key, value)}
+          />
+        );
+      })}
+    </div>
+  );
+}
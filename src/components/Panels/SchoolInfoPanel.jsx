@@ -1,25 +1,70 @@
-import { useState } from 'react';
-import { useAppStore } from '../../stores/appStore';
+import { useMemo, useState } from 'react';
+import { getSchoolLevel, useAppStore } from '../../stores/appStore';
 import { useIsMobile } from '../../hooks/useIsMobile';
+import { getSchoolTimeline, getSchoolBoundaryForYear, getGradeLabel } from '../../utils/catchmentTimeline';
+import { getSchoolProfileHash } from '../../utils/mapUrlState';
+import { isDefaultRankingWeights } from '../../utils/schoolRanking';
+import {
+  analyzeRankingSensitivity,
+  formatLikelyRankRange,
+  LIKELY_RANK_BAND,
+  SENSITIVITY_DEFAULTS,
+} from '../../utils/rankingSensitivity';
+import { RankingExplanation } from './RankingExplanation';
 import './SchoolInfoPanel.css';
 
+const AREA_CHANGES = [
+  { change: 'added', label: 'Gained' },
+  { change: 'removed', label: 'Lost' },
+  { change: 'unchanged', label: 'Unchanged' },
+];
+
+// Unique suburb names, largest first, trimmed to a readable list
+function formatSuburbs(suburbs, limit = 6) {
+  const unique = [...new Set(suburbs)];
+  const shown = unique.slice(0, limit).join(', ');
+  return unique.length > limit ? `${shown} +${unique.length - limit} more` : shown;
+}
+
 export function SchoolInfoPanel() {
   const selectedSchool = useAppStore((state) => state.selectedSchool);
   const clearSelection = useAppStore((state) => state.clearSelection);
   const isMobile = useIsMobile();
   const [isCollapsed, setIsCollapsed] = useState(isMobile);
+  const [showRankingExplanation, setShowRankingExplanation] = useState(false);
+
+  const level = getSchoolLevel(selectedSchool);
+  const ranking = useAppStore((state) => state.getSchoolRanking(state.selectedSchool?.School_code, level));
+  const totalRanked = useAppStore((state) => (
+    level === 'secondary' ? state.totalSecondaryRankedSchools : state.totalPrimaryRankedSchools
+  ));
+  const rankingWeights = useAppStore((state) => state.rankingWeights);
+  const hasCustomRankingWeights = !isDefaultRankingWeights(rankingWeights);
+  const levelRankings = useAppStore((state) => (
+    level === 'secondary' ? state.secondarySchoolRankings : state.primarySchoolRankings
+  ));
+
+  // How far the rank moves when the weights are varied
+  const selectedCode = selectedSchool ? String(selectedSchool.School_code) : null;
+  const rankSpread = useMemo(() => (
+    selectedCode && levelRankings[selectedCode]
+      ? analyzeRankingSensitivity(levelRankings, rankingWeights, { schoolCodes: [selectedCode] })[selectedCode]
+      : null
+  ), [selectedCode, levelRankings, rankingWeights]);
+  const likelyRankRange = formatLikelyRankRange(rankSpread);
 
-  const ranking = useAppStore((state) => {
-    const code = String(state.selectedSchool?.School_code);
-    const level = (state.selectedSchool?.Level_of_schooling || '').toLowerCase();
-    if (level.includes('secondary')) return state.secondarySchoolRankings[code] || null;
-    return state.primarySchoolRankings[code] || null;
-  });
-  const totalRanked = useAppStore((state) => {
-    const level = (state.selectedSchool?.Level_of_schooling || '').toLowerCase();
-    if (level.includes('secondary')) return state.totalSecondaryRankedSchools;
-    return state.totalPrimaryRankedSchools;
-  });
+  const futureCatchments = useAppStore((state) => state.catchments.future);
+  const catchmentTimeline = useAppStore((state) => state.catchmentTimeline);
+  const getSchoolCatchmentChanges = useAppStore((state) => state.getSchoolCatchmentChanges);
+  // Subscribe so the area summary appears once the diff finishes loading
+  useAppStore((state) => state.catchmentChanges);
+
+  // Shortlist the ☆ button adds to: the active one, else the first
+  const shortlist = useAppStore((state) => (
+    state.shortlists.find((s) => s.id === state.activeShortlistId) || state.shortlists[0] || null
+  ));
+  const addSchoolToShortlist = useAppStore((state) => state.addSchoolToShortlist);
+  const removeSchoolFromShortlist = useAppStore((state) => state.removeSchoolFromShortlist);
 
   if (!selectedSchool) {
     return null;
@@ -39,6 +84,13 @@ export function SchoolInfoPanel() {
 
   const tier = ranking ? getRankTier(ranking.rank) : null;
 
+  const boundaryChanges = getSchoolTimeline(futureCatchments, school.School_code);
+  const timelineBoundary = catchmentTimeline.enabled && boundaryChanges.length > 0
+    ? getSchoolBoundaryForYear(futureCatchments, school.School_code, catchmentTimeline.grade, catchmentTimeline.year)
+    : null;
+  const areaChanges = getSchoolCatchmentChanges(school.School_code);
+  const isShortlisted = shortlist?.schools.some((s) => s.code === school.School_code) ?? false;
+
   return (
     <div className={`school-info-panel ${isCollapsed ? 'school-info-panel--collapsed' : ''}`}>
       <button
@@ -77,16 +129,91 @@ export function SchoolInfoPanel() {
           <div className={`ranking-banner ${tier ? `ranking-banner--${tier.cls}` : ''}`}>
             <div className="ranking-banner__rank">
               #{ranking.rank}
+              {likelyRankRange && (
+                <span
+                  className="ranking-banner__likely"
+                  title={`Rank in ${Math.round(LIKELY_RANK_BAND * 100)}% of ${SENSITIVITY_DEFAULTS.runs} re-rankings with each weight varied by up to ±${Math.round(SENSITIVITY_DEFAULTS.spread * 100)}%`}
+                >
+                  {' '}({likelyRankRange})
+                </span>
+              )}
               <span className="ranking-banner__total"> of {totalRanked} schools</span>
             </div>
             <div className="ranking-banner__score">
               Score: {ranking.percentage_score}%
+              {hasCustomRankingWeights && (
+                <span className="ranking-banner__custom">your weights</span>
+              )}
             </div>
             {tier && (
               <span className={`ranking-banner__badge ranking-banner__badge--${tier.cls}`}>
                 {tier.label}
               </span>
             )}
+            <button
+              className={`ranking-banner__why ${showRankingExplanation ? 'ranking-banner__why--open' : ''}`}
+              onClick={() => setShowRankingExplanation(!showRankingExplanation)}
+              aria-expanded={showRankingExplanation}
+            >
+              Why ranked here?
+            </button>
+          </div>
+        )}
+        {ranking && showRankingExplanation && (
+          <RankingExplanation
+            school={school}
+            ranking={ranking}
+            level={level}
+          />
+        )}
+
+        {/* Future boundary changes */}
+        {(boundaryChanges.length > 0 || areaChanges) && (
+          <div className="info-section">
+            <h3 className="info-section__title">🗓️ Boundary Changes</h3>
+            {timelineBoundary && (
+              <p className={`timeline-status timeline-status--${timelineBoundary.boundary}`}>
+                {getGradeLabel(catchmentTimeline.grade)} in {catchmentTimeline.year}:{' '}
+                {timelineBoundary.boundary === 'future' && 'new boundary applies'}
+                {timelineBoundary.boundary === 'current' && `current boundary (new from ${timelineBoundary.startYear})`}
+                {timelineBoundary.boundary === 'unchanged' && 'boundary unchanged'}
+              </p>
+            )}
+            {boundaryChanges.length > 0 && (
+              <div className="details-list">
+                {boundaryChanges.map((change, index) => (
+                  <div key={index} className="detail-item">
+                    <span className="detail-item__label">
+                      {change.from === change.to ? change.from : `${change.from} – ${change.to}`}
+                    </span>
+                    <span className="detail-item__value">
+                      From {change.year}
+                      {change.priority && ' • Priority area'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+            {areaChanges && (
+              <div className="stats-grid stats-grid--changes">
+                {AREA_CHANGES.map(({ change, label }) => (
+                  <div key={change} className={`stat-item stat-item--${change}`}>
+                    <span className="stat-item__label">{label}</span>
+                    <span className="stat-item__value">{areaChanges[change].areaKm2.toFixed(2)} km²</span>
+                  </div>
+                ))}
+              </div>
+            )}
+            {areaChanges?.added.suburbs.length > 0 && (
+              <p className="info-section__text info-section__text--small">
+                <strong>Gains:</strong> {formatSuburbs(areaChanges.added.suburbs)}
+              </p>
+            )}
+            {areaChanges?.removed.suburbs.length > 0 && (
+              <p className="info-section__text info-section__text--small">
+                <strong>Loses:</strong> {formatSuburbs(areaChanges.removed.suburbs)}
+              </p>
+            )}
           </div>
         )}
 
@@ -184,13 +311,28 @@ export function SchoolInfoPanel() {
               Visit School Website →
             </a>
           )}
+          <a
+            href={getSchoolProfileHash(school.School_code)}
+            className="school-info-panel__profile-link"
+          >
+            Full school profile →
+          </a>
         </div>
 
         {/* School Code */}
-        <div className="info-section info-section--muted">
+        <div className="info-section info-section--muted school-info-panel__footer">
           <span className="school-code">
             School Code: {school.School_code}
           </span>
+          <button
+            className={`school-info-panel__shortlist ${isShortlisted ? 'school-info-panel__shortlist--saved' : ''}`}
+            onClick={() => (isShortlisted
+              ? removeSchoolFromShortlist(shortlist.id, school.School_code)
+              : addSchoolToShortlist(school))}
+            title={isShortlisted ? `Remove from ${shortlist.name}` : 'Save to your shortlist'}
+          >
+            {isShortlisted ? '★ Shortlisted' : '☆ Shortlist'}
+          </button>
         </div>
       </div>
       </div>
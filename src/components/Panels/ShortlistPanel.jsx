@@ -0,0 +1,309 @@
+import { useRef, useState } from 'react';
+import { useAppStore } from '../../stores/appStore';
+import { useIsMobile } from '../../hooks/useIsMobile';
+import {
+  getShortlistFileName,
+  parseShortlistFile,
+  serializeShortlists,
+} from '../../utils/shortlists';
+import './ShortlistPanel.css';
+
+function downloadFile(fileName, contents) {
+  const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Shortlist name, edited as a draft and saved on blur or Enter so typing
+ * isn't interrupted by trimming
+ */
+function ShortlistName({ shortlist, onRename }) {
+  const [draft, setDraft] = useState(shortlist.name);
+
+  return (
+    <input
+      className="shortlist-panel__name"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => onRename(shortlist.id, draft)}
+      onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+      aria-label="Shortlist name"
+    />
+  );
+}
+
+/**
+ * Shortlists - named lists of schools and addresses with notes, saved in the
+ * browser and shareable as a JSON file
+ */
+export function ShortlistPanel() {
+  const isMobile = useIsMobile();
+  const [isOpen, setIsOpen] = useState(false);
+  const [isCollapsed, setIsCollapsed] = useState(isMobile);
+  const [importMessage, setImportMessage] = useState(null); // { type: 'success' | 'error', text }
+  const fileInputRef = useRef(null);
+
+  const shortlists = useAppStore((state) => state.shortlists);
+  const activeShortlistId = useAppStore((state) => state.activeShortlistId);
+  const highlightedSchools = useAppStore((state) => state.highlightedSchools);
+  const createShortlist = useAppStore((state) => state.createShortlist);
+  const setActiveShortlist = useAppStore((state) => state.setActiveShortlist);
+  const renameShortlist = useAppStore((state) => state.renameShortlist);
+  const setShortlistNotes = useAppStore((state) => state.setShortlistNotes);
+  const deleteShortlist = useAppStore((state) => state.deleteShortlist);
+  const addSchoolToShortlist = useAppStore((state) => state.addSchoolToShortlist);
+  const removeSchoolFromShortlist = useAppStore((state) => state.removeSchoolFromShortlist);
+  const setShortlistSchoolNote = useAppStore((state) => state.setShortlistSchoolNote);
+  const removeAddressFromShortlist = useAppStore((state) => state.removeAddressFromShortlist);
+  const setShortlistAddressNote = useAppStore((state) => state.setShortlistAddressNote);
+  const importShortlists = useAppStore((state) => state.importShortlists);
+  const setHighlightedSchools = useAppStore((state) => state.setHighlightedSchools);
+  const getSchoolByCode = useAppStore((state) => state.getSchoolByCode);
+  const selectSchool = useAppStore((state) => state.selectSchool);
+  const setAddressSearch = useAppStore((state) => state.setAddressSearch);
+
+  const shortlist = shortlists.find((s) => s.id === activeShortlistId) || shortlists[0] || null;
+  const itemCount = shortlists.reduce((sum, s) => sum + s.schools.length + s.addresses.length, 0);
+
+  const handleNew = () => {
+    createShortlist(`Shortlist ${shortlists.length + 1}`);
+    setImportMessage(null);
+  };
+
+  const handleDelete = () => {
+    const itemTotal = shortlist.schools.length + shortlist.addresses.length;
+    if (itemTotal === 0 || window.confirm(`Delete "${shortlist.name}" and its ${itemTotal} saved items?`)) {
+      deleteShortlist(shortlist.id);
+    }
+  };
+
+  const handleAddHighlighted = () => {
+    highlightedSchools.forEach((code) => {
+      const school = getSchoolByCode(code);
+      if (school) addSchoolToShortlist(school);
+    });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parseShortlistFile(await file.text());
+      importShortlists(imported);
+      setImportMessage({
+        type: 'success',
+        text: `Imported ${imported.length} shortlist${imported.length !== 1 ? 's' : ''} from ${file.name}.`,
+      });
+    } catch (err) {
+      setImportMessage({ type: 'error', text: `Could not import ${file.name}: ${err.message}` });
+    }
+  };
+
+  const showSchool = (code) => {
+    const school = getSchoolByCode(code);
+    if (school) selectSchool(school);
+  };
+
+  const showAddress = (address) => {
+    setAddressSearch({
+      query: address.label,
+      label: address.label,
+      lat: address.lat,
+      lng: address.lng,
+      quality: address.quality,
+      suburb: address.suburb,
+      postcode: address.postcode,
+    });
+  };
+
+  return (
+    <>
+      <button
+        className={`shortlist-toggle-btn ${isOpen ? 'shortlist-toggle-btn--active' : ''}`}
+        onClick={() => setIsOpen(!isOpen)}
+        title="Saved shortlists of schools and addresses"
+      >
+        <span className="shortlist-toggle-btn__icon">📋</span>
+        <span>Shortlists</span>
+        {itemCount > 0 && <span className="shortlist-toggle-btn__count">{itemCount}</span>}
+      </button>
+
+      {isOpen && (
+        <div className={`shortlist-panel ${isCollapsed ? 'shortlist-panel--collapsed' : ''}`}>
+          <div className="shortlist-panel__header" onClick={() => setIsCollapsed(!isCollapsed)}>
+            <h2 className="shortlist-panel__title">
+              <span>📋</span> Shortlists
+            </h2>
+            <div className="shortlist-panel__header-actions">
+              <span className={`shortlist-panel__chevron ${isCollapsed ? '' : 'shortlist-panel__chevron--open'}`}>
+                ‹
+              </span>
+              <button
+                className="shortlist-panel__close"
+                onClick={(e) => { e.stopPropagation(); setIsOpen(false); }}
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+
+          <div className="shortlist-panel__body">
+            <div className="shortlist-panel__toolbar">
+              {shortlists.length > 0 && (
+                <select
+                  className="shortlist-panel__select"
+                  value={shortlist.id}
+                  onChange={(e) => setActiveShortlist(e.target.value)}
+                  aria-label="Active shortlist"
+                >
+                  {shortlists.map((s) => (
+                    <option key={s.id} value={s.id}>
+                      {s.name} ({s.schools.length + s.addresses.length})
+                    </option>
+                  ))}
+                </select>
+              )}
+              <button className="shortlist-panel__button" onClick={handleNew}>+ New</button>
+              <button className="shortlist-panel__button" onClick={() => fileInputRef.current?.click()}>
+                Import
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="shortlist-panel__file"
+                onChange={handleImport}
+              />
+            </div>
+
+            {importMessage && (
+              <p className={`shortlist-panel__message shortlist-panel__message--${importMessage.type}`}>
+                {importMessage.text}
+              </p>
+            )}
+
+            {!shortlist ? (
+              <p className="shortlist-panel__empty">
+                No shortlists yet. Save a school from its info panel or an address from the search
+                box, or start a new list.
+              </p>
+            ) : (
+              <div className="shortlist-panel__content">
+                <div className="shortlist-panel__details">
+                  <ShortlistName key={shortlist.id} shortlist={shortlist} onRename={renameShortlist} />
+                  <textarea
+                    className="shortlist-panel__notes"
+                    placeholder="Notes for this shortlist…"
+                    value={shortlist.notes}
+                    onChange={(e) => setShortlistNotes(shortlist.id, e.target.value)}
+                    rows={2}
+                  />
+                  <div className="shortlist-panel__actions">
+                    <button
+                      className="shortlist-panel__button"
+                      onClick={() => setHighlightedSchools(shortlist.schools.map((s) => s.code))}
+                      disabled={shortlist.schools.length === 0}
+                    >
+                      Highlight on map
+                    </button>
+                    <button
+                      className="shortlist-panel__button"
+                      onClick={handleAddHighlighted}
+                      disabled={highlightedSchools.length === 0}
+                      title="Add the Alt+Clicked schools to this shortlist"
+                    >
+                      Add highlighted ({highlightedSchools.length})
+                    </button>
+                    <button
+                      className="shortlist-panel__button"
+                      onClick={() => downloadFile(getShortlistFileName(shortlist.name), serializeShortlists([shortlist]))}
+                    >
+                      Export
+                    </button>
+                    <button
+                      className="shortlist-panel__button shortlist-panel__button--danger"
+                      onClick={handleDelete}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+
+                <h3 className="shortlist-panel__section-title">Schools ({shortlist.schools.length})</h3>
+                {shortlist.schools.length === 0 ? (
+                  <p className="shortlist-panel__empty">Use ☆ Shortlist in a school's info panel to add it here.</p>
+                ) : (
+                  <ul className="shortlist-items">
+                    {shortlist.schools.map((school) => (
+                      <li key={school.code} className="shortlist-item">
+                        <div className="shortlist-item__header">
+                          <button className="shortlist-item__name" onClick={() => showSchool(school.code)}>
+                            {school.name}
+                          </button>
+                          <span className="shortlist-item__meta">{school.suburb}</span>
+                          <button
+                            className="shortlist-item__remove"
+                            onClick={() => removeSchoolFromShortlist(shortlist.id, school.code)}
+                            title="Remove from shortlist"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                        <input
+                          className="shortlist-item__note"
+                          placeholder="Add a note…"
+                          value={school.note}
+                          onChange={(e) => setShortlistSchoolNote(shortlist.id, school.code, e.target.value)}
+                        />
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <h3 className="shortlist-panel__section-title">Addresses ({shortlist.addresses.length})</h3>
+                {shortlist.addresses.length === 0 ? (
+                  <p className="shortlist-panel__empty">Search for an address and press Save to add it here.</p>
+                ) : (
+                  <ul className="shortlist-items">
+                    {shortlist.addresses.map((address) => (
+                      <li key={address.id} className="shortlist-item">
+                        <div className="shortlist-item__header">
+                          <button className="shortlist-item__name" onClick={() => showAddress(address)}>
+                            📍 {address.label}
+                          </button>
+                          <button
+                            className="shortlist-item__remove"
+                            onClick={() => removeAddressFromShortlist(shortlist.id, address.id)}
+                            title="Remove from shortlist"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                        <input
+                          className="shortlist-item__note"
+                          placeholder="Add a note…"
+                          value={address.note}
+                          onChange={(e) => setShortlistAddressNote(shortlist.id, address.id, e.target.value)}
+                        />
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            <p className="shortlist-panel__hint">
+              💡 Saved in this browser • Export a list to share it as a file
+            </p>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
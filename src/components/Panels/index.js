@@ -2,4 +2,9 @@ export { ControlPanel } from './ControlPanel';
 export { SchoolInfoPanel } from './SchoolInfoPanel';
 export { SelectiveSchoolsPanel } from './SelectiveSchoolsPanel';
 export { PropertySalesPanel } from './PropertySalesPanel';
+export { PointLookupPanel } from './PointLookupPanel';
+export { CatchmentFinderPanel } from './CatchmentFinderPanel';
+export { ComparisonDrawer } from './ComparisonDrawer';
+export { ShortlistPanel } from './ShortlistPanel';
+export { RankingWeightsEditor } from './RankingWeightsEditor';
 
@@ -0,0 +1,92 @@
+import { MapContainer, TileLayer, GeoJSON, CircleMarker, useMap } from 'react-leaflet';
+import { useEffect, useRef } from 'react';
+import { useAppStore } from '../../stores/appStore';
+import { useCatchmentsAtPoints } from '../../hooks/useCatchmentsAtPoints';
+import { getGeometryBounds } from '../../utils/geometry';
+import { CATCHMENT_COLORS, TILE_URL, TILE_ATTRIBUTION } from '../../utils/constants';
+
+const SCHOOL_ZOOM = 14;
+
+// GeoJSON only reads `data` on mount; key each feature object so a boundary
+// that loads later is drawn
+const featureIds = new WeakMap();
+let nextFeatureId = 0;
+
+function getFeatureId(feature) {
+  if (!featureIds.has(feature)) featureIds.set(feature, ++nextFeatureId);
+  return featureIds.get(feature);
+}
+
+// Zoom to the catchment the first time its boundary is available
+function FitToCatchment({ features }) {
+  const map = useMap();
+  const hasFitted = useRef(false);
+
+  useEffect(() => {
+    if (hasFitted.current || features.length === 0) return;
+
+    const bounds = features
+      .map((feature) => getGeometryBounds(feature.geometry))
+      .filter(Boolean)
+      .reduce((all, [minLng, minLat, maxLng, maxLat]) => [
+        Math.min(all[0], minLng),
+        Math.min(all[1], minLat),
+        Math.max(all[2], maxLng),
+        Math.max(all[3], maxLat),
+      ], [Infinity, Infinity, -Infinity, -Infinity]);
+    if (bounds[0] === Infinity) return;
+
+    hasFitted.current = true;
+    map.fitBounds([[bounds[1], bounds[0]], [bounds[3], bounds[2]]], { padding: [16, 16] });
+  }, [map, features]);
+
+  return null;
+}
+
+/**
+ * Small map of a school's current catchment with the school marked
+ */
+export function CatchmentMiniMap({ school, level }) {
+  const getSchoolCatchmentFeatures = useAppStore((state) => state.getSchoolCatchmentFeatures);
+  // Re-render as catchments (or their tiles) load
+  useAppStore((state) => state.catchments);
+  const position = [school.Latitude, school.Longitude];
+  // Its own boundary from the full-detail store copy, fetched at the school
+  // rather than through the main map's viewport tiles
+  useCatchmentsAtPoints([position]);
+
+  const features = getSchoolCatchmentFeatures(school.School_code, level);
+  const colors = CATCHMENT_COLORS[level];
+
+  return (
+    <MapContainer
+      center={position}
+      zoom={SCHOOL_ZOOM}
+      scrollWheelZoom={false}
+      className="catchment-mini-map"
+    >
+      <TileLayer attribution={TILE_ATTRIBUTION} url={TILE_URL} />
+      <FitToCatchment features={features} />
+
+      {features.map((feature) => (
+        <GeoJSON
+          key={getFeatureId(feature)}
+          data={feature}
+          style={{
+            fillColor: colors.fill,
+            fillOpacity: colors.fillOpacity,
+            color: colors.stroke,
+            opacity: colors.strokeOpacity,
+            weight: colors.weight,
+          }}
+        />
+      ))}
+
+      <CircleMarker
+        center={position}
+        radius={7}
+        pathOptions={{ color: '#ffffff', weight: 2, fillColor: '#1e293b', fillOpacity: 1 }}
+      />
+    </MapContainer>
+  );
+}
@@ -0,0 +1,317 @@
+import { useAppStore } from '../../stores/appStore';
+import { CatchmentMiniMap } from './CatchmentMiniMap';
+import { toComparableNumber } from '../../utils/schoolComparison';
+import { RANKING_FACTORS } from '../../utils/schoolRanking';
+import { PROPERTY_TYPE_GROUPS } from '../../utils/priceStats';
+import { formatPriceShort } from '../../utils/priceHeatMap';
+import { formatGrowth } from '../../utils/growthHeatMap';
+import { getSchoolMapHash, getSchoolProfileHash } from '../../utils/mapUrlState';
+import './SchoolProfile.css';
+
+const RECENT_SALES_LIMIT = 8;
+
+function formatPrice(price) {
+  if (!price) return 'N/A';
+  return `$${Math.round(price).toLocaleString('en-AU')}`;
+}
+
+function formatValue(value, suffix = '') {
+  const number = toComparableNumber(value);
+  return number === null ? 'N/A' : `${Math.round(number).toLocaleString('en-AU')}${suffix}`;
+}
+
+function ProfileCard({ title, children, className = '' }) {
+  return (
+    <section className={`profile-card ${className}`}>
+      <h2 className="profile-card__title">{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+function Fact({ label, value }) {
+  return (
+    <div className="profile-fact">
+      <span className="profile-fact__label">{label}</span>
+      <span className="profile-fact__value">{value}</span>
+    </div>
+  );
+}
+
+/**
+ * Ranking with the points each factor scored out of its maximum
+ */
+function RankingBreakdown({ ranking, totalRanked }) {
+  if (!ranking) {
+    return <p className="profile-card__empty">This school is not ranked.</p>;
+  }
+
+  const factors = RANKING_FACTORS
+    .map(({ key, label }) => ({ key, label, ...ranking.breakdown?.[key] }))
+    .filter((factor) => factor.applicable);
+
+  return (
+    <>
+      <div className="profile-rank">
+        <span className="profile-rank__number">#{ranking.rank}</span>
+        <span className="profile-rank__detail">
+          of {totalRanked} ranked {totalRanked === 1 ? 'school' : 'schools'} •
+          top {Math.max(1, Math.round((ranking.rank / totalRanked) * 100))}% • score {ranking.percentage_score}%
+        </span>
+      </div>
+      {factors.length > 0 && (
+        <ul className="profile-factors">
+          {factors.map((factor) => (
+            <li key={factor.key} className="profile-factor">
+              <span className="profile-factor__label">{factor.label}</span>
+              <span className="profile-factor__bar">
+                <span className="profile-factor__fill" style={{ width: `${(factor.score / factor.maxPossible) * 100}%` }} />
+              </span>
+              <span className="profile-factor__value">
+                {Math.round(factor.score).toLocaleString('en-AU')}
+                <span className="profile-factor__share"> / {factor.maxPossible}</span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
+function AcademicResults({ academic }) {
+  const results = [
+    { key: 'naplan', label: 'NAPLAN' },
+    { key: 'hsc', label: 'HSC' },
+  ].filter(({ key }) => academic?.[key]);
+
+  if (results.length === 0) {
+    return <p className="profile-card__empty">No NAPLAN or HSC results are matched to this school.</p>;
+  }
+
+  return (
+    <>
+      <div className="profile-facts">
+        {results.map(({ key, label }) => (
+          <Fact
+            key={key}
+            label={`${label} ${academic[key].year || ''}`}
+            value={(
+              <>
+                #{academic[key].ranking}
+                <span className="profile-fact__note"> score {toComparableNumber(academic[key].score)?.toFixed(2) ?? 'N/A'}</span>
+              </>
+            )}
+          />
+        ))}
+      </div>
+      {academic.dataSource && (
+        <p className="profile-card__note">Source: {academic.dataSource}</p>
+      )}
+    </>
+  );
+}
+
+function CatchmentSales({ school, priceData, growthData, recentSales }) {
+  if (!priceData) {
+    return <p className="profile-card__empty">No sales data for this catchment or suburb.</p>;
+  }
+
+  const byType = Object.entries(PROPERTY_TYPE_GROUPS)
+    .filter(([key]) => priceData.byPropertyType?.[key]);
+
+  return (
+    <>
+      <p className="profile-card__note profile-card__note--lead">
+        {priceData.source === 'catchment'
+          ? 'Sales inside the catchment boundary'
+          : `No sales located in the catchment; figures for ${priceData.suburb}`}
+      </p>
+      <div className="profile-facts">
+        <Fact label="Median" value={formatPrice(priceData.medianPrice ?? priceData.avgPrice)} />
+        {priceData.p25Price && (
+          <Fact label="Middle 50%" value={`${formatPriceShort(priceData.p25Price)} – ${formatPriceShort(priceData.p75Price)}`} />
+        )}
+        <Fact label="Sales" value={priceData.totalSales?.toLocaleString('en-AU') ?? 'N/A'} />
+        {priceData.avgPricePerSqm && <Fact label="Avg $/m²" value={formatPrice(priceData.avgPricePerSqm)} />}
+        {growthData && (
+          <Fact
+            label={`Growth ${growthData.growthFromYear}–${growthData.growthToYear}`}
+            value={formatGrowth(growthData.annualGrowth)}
+          />
+        )}
+      </div>
+
+      {byType.length > 0 && (
+        <table className="profile-table">
+          <thead>
+            <tr>
+              <th>Type</th>
+              <th>Sales</th>
+              <th>Median</th>
+              <th>Middle 50%</th>
+            </tr>
+          </thead>
+          <tbody>
+            {byType.map(([key, { label }]) => {
+              const typeStats = priceData.byPropertyType[key];
+              return (
+                <tr key={key}>
+                  <td>{label}</td>
+                  <td>{typeStats.count}</td>
+                  <td>{formatPriceShort(typeStats.medianPrice)}</td>
+                  <td>{formatPriceShort(typeStats.p25Price)} – {formatPriceShort(typeStats.p75Price)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {recentSales.length > 0 && (
+        <>
+          <h3 className="profile-card__subtitle">Recent sales in {school.Town_suburb}</h3>
+          <table className="profile-table">
+            <tbody>
+              {recentSales.map((sale) => (
+                <tr key={sale.id}>
+                  <td>
+                    {[sale.unitNumber, sale.houseNumber, sale.streetName].filter(Boolean).join(' ') || 'Address not available'}
+                    {sale.propertyType && <span className="profile-table__tag">{sale.propertyType.toLowerCase()}</span>}
+                  </td>
+                  <td>{sale.contractDate ? new Date(sale.contractDate).toLocaleDateString('en-AU') : ''}</td>
+                  <td className="profile-table__number">{formatPrice(sale.price)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </>
+  );
+}
+
+function NearbySchools({ nearby }) {
+  if (nearby.length === 0) {
+    return <p className="profile-card__empty">No nearby schools found.</p>;
+  }
+
+  return (
+    <ul className="profile-nearby">
+      {nearby.map(({ school, distanceKm, ranking }) => (
+        <li key={school.School_code} className="profile-nearby__item">
+          <a href={getSchoolProfileHash(school.School_code)} className="profile-nearby__name">
+            {school.School_name}
+          </a>
+          <span className="profile-nearby__meta">
+            {school.Level_of_schooling} • {distanceKm.toFixed(1)} km
+            {ranking && <> • #{ranking.rank}</>}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * School Profile Page (#/school/:code) - everything known about one school
+ */
+export function SchoolProfile({ schoolCode }) {
+  const school = useAppStore((state) => state.getSchoolByCode(schoolCode));
+  const getSchoolComparisonEntry = useAppStore((state) => state.getSchoolComparisonEntry);
+  const getNearbySchools = useAppStore((state) => state.getNearbySchools);
+  const getSalesBySuburb = useAppStore((state) => state.getSalesBySuburb);
+  // Re-render as rankings and sales finish loading
+  useAppStore((state) => state.primarySchoolRankings);
+  useAppStore((state) => state.secondarySchoolRankings);
+  useAppStore((state) => state.propertySales);
+
+  if (!school) {
+    return (
+      <div className="school-profile">
+        <div className="school-profile__missing">
+          <h1>School not found</h1>
+          <p>There is no school with code {schoolCode}.</p>
+          <a href="#/" className="school-profile__button">← Back to map</a>
+        </div>
+      </div>
+    );
+  }
+
+  const { level, ranking, totalRanked, priceData, growthData } = getSchoolComparisonEntry(school.School_code);
+  const nearby = getNearbySchools(school.School_code, { limit: 8 });
+  const recentSales = [...getSalesBySuburb(school.Town_suburb)]
+    .sort((a, b) => new Date(b.contractDate) - new Date(a.contractDate))
+    .slice(0, RECENT_SALES_LIMIT);
+
+  return (
+    <div className="school-profile">
+      <header className="school-profile__header">
+        <a href={getSchoolMapHash(school)} className="school-profile__back">← Map</a>
+        <div className="school-profile__heading">
+          <h1 className="school-profile__name">{school.School_name}</h1>
+          <p className="school-profile__subtitle">
+            {school.Level_of_schooling} • {school.Street}, {school.Town_suburb} {school.Postcode}
+            {school.Selective_school && school.Selective_school !== 'Not Selective' && (
+              <span className="school-profile__badge">{school.Selective_school}</span>
+            )}
+            {school.Opportunity_class === 'Y' && <span className="school-profile__badge">OC</span>}
+          </p>
+        </div>
+        <a href={getSchoolMapHash(school)} className="school-profile__button">
+          View on map
+        </a>
+      </header>
+
+      <main className="school-profile__grid">
+        <ProfileCard title="Catchment" className="profile-card--map">
+          {school.Latitude && school.Longitude ? (
+            <CatchmentMiniMap school={school} level={level} />
+          ) : (
+            <p className="profile-card__empty">This school has no location on record.</p>
+          )}
+        </ProfileCard>
+
+        <ProfileCard title="Ranking">
+          <RankingBreakdown ranking={ranking} totalRanked={totalRanked} />
+        </ProfileCard>
+
+        <ProfileCard title="School">
+          <div className="profile-facts">
+            <Fact label="Enrolment (FTE)" value={formatValue(school.latest_year_enrolment_FTE)} />
+            <Fact label="ICSEA" value={formatValue(school.ICSEA_value)} />
+            <Fact label="FOEI" value={formatValue(school.FOEI_Value)} />
+            <Fact label="LBOTE" value={formatValue(school.LBOTE_pct, '%')} />
+            <Fact label="Indigenous" value={formatValue(school.Indigenous_pct, '%')} />
+            <Fact label="Gender" value={school.School_gender || 'N/A'} />
+            <Fact label="Type" value={school.School_subtype || school.School_specialty_type || 'N/A'} />
+            <Fact label="LGA" value={school.LGA || 'N/A'} />
+          </div>
+          <p className="profile-card__note">
+            {school.Phone && <>📞 {school.Phone} </>}
+            {school.Website && (
+              <a href={school.Website} target="_blank" rel="noopener noreferrer">School website →</a>
+            )}
+          </p>
+        </ProfileCard>
+
+        <ProfileCard title="Academic Results">
+          <AcademicResults academic={school.academicPerformance} />
+        </ProfileCard>
+
+        <ProfileCard title="Catchment Sales" className="profile-card--wide">
+          <CatchmentSales
+            school={school}
+            priceData={priceData}
+            growthData={growthData}
+            recentSales={recentSales}
+          />
+        </ProfileCard>
+
+        <ProfileCard title="Nearby Schools">
+          <NearbySchools nearby={nearby} />
+        </ProfileCard>
+      </main>
+    </div>
+  );
+}
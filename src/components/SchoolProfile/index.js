@@ -0,0 +1 @@
+export { SchoolProfile } from './SchoolProfile';
@@ -0,0 +1,22 @@
+import { useEffect } from 'react';
+import { useAppStore } from '../stores/appStore';
+
+/**
+ * Make sure the full-detail catchments covering each point are loaded. Only
+ * does anything with a catchment tile index; without one the full files are
+ * already in the store.
+ * @param {Array} points - [lat, lng] pairs; null entries are skipped
+ */
+export function useCatchmentsAtPoints(points) {
+  const tileIndex = useAppStore((state) => state.catchmentTileIndex);
+  const loadCatchmentsAtPoint = useAppStore((state) => state.loadCatchmentsAtPoint);
+  const pointsKey = points.filter(Boolean).map(([lat, lng]) => `${lat},${lng}`).join(';');
+
+  useEffect(() => {
+    if (!tileIndex || !pointsKey) return;
+    pointsKey.split(';').forEach((point) => {
+      const [lat, lng] = point.split(',').map(Number);
+      loadCatchmentsAtPoint(lat, lng);
+    });
+  }, [tileIndex, pointsKey, loadCatchmentsAtPoint]);
+}
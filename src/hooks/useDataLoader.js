@@ -4,9 +4,11 @@ import { useAppStore } from '../stores/appStore';
 export function useDataLoader() {
   const setSchools = useAppStore((state) => state.setSchools);
   const setCatchments = useAppStore((state) => state.setCatchments);
+  const setDisplayCatchments = useAppStore((state) => state.setDisplayCatchments);
+  const setCatchmentTileIndex = useAppStore((state) => state.setCatchmentTileIndex);
+  const setCatchmentChanges = useAppStore((state) => state.setCatchmentChanges);
   const setPropertySales = useAppStore((state) => state.setPropertySales);
-  const setPrimarySchoolRankings = useAppStore((state) => state.setPrimarySchoolRankings);
-  const setSecondarySchoolRankings = useAppStore((state) => state.setSecondarySchoolRankings);
+  const setSalesPoints = useAppStore((state) => state.setSalesPoints);
   const setError = useAppStore((state) => state.setError);
   const setLoading = useAppStore((state) => state.setLoading);
 
@@ -15,43 +17,35 @@ export function useDataLoader() {
       setLoading(true);
       
       try {
-        // Load all data in parallel
         const base = import.meta.env.BASE_URL;
-        const [schoolsRes, primaryRes, secondaryRes, futureRes] = await Promise.all([
+        const [schoolsRes, tileIndex] = await Promise.all([
           fetch(`${base}data/schools.json`),
-          fetch(`${base}data/catchments_primary.geojson`),
-          fetch(`${base}data/catchments_secondary.geojson`),
-          fetch(`${base}data/catchments_future.geojson`),
+          loadCatchmentTileIndex(),
         ]);
 
-        // Check for errors
         if (!schoolsRes.ok) throw new Error('Failed to load schools data');
-        if (!primaryRes.ok) throw new Error('Failed to load primary catchments');
-        if (!secondaryRes.ok) throw new Error('Failed to load secondary catchments');
-        if (!futureRes.ok) throw new Error('Failed to load future catchments');
-
-        // Parse JSON
-        const [schools, primary, secondary, future] = await Promise.all([
-          schoolsRes.json(),
-          primaryRes.json(),
-          secondaryRes.json(),
-          futureRes.json(),
-        ]);
-
-        // Update store
+        const schools = await schoolsRes.json();
+
+        // With a tile index the map fetches catchment tiles for its viewport
+        // and lookups fetch the most detailed tiles at a point; the small
+        // future file is still loaded whole for the timeline. Otherwise fall
+        // back to the full GeoJSON files.
+        if (tileIndex) {
+          setCatchmentTileIndex(tileIndex);
+          console.log(`Using catchment tiles for ${Object.keys(tileIndex.layers).join(', ')}`);
+          await loadFullCatchments(['future'], setCatchments);
+        } else {
+          await loadFullCatchments(['primary', 'secondary', 'future'], setCatchments, setDisplayCatchments);
+        }
+
+        // Rankings are scored from the school records as they're set
         setSchools(schools);
-        setCatchments('primary', primary);
-        setCatchments('secondary', secondary);
-        setCatchments('future', future);
-
         console.log(`Loaded ${schools.length} schools`);
-        console.log(`Loaded ${primary.features?.length || 0} primary catchments`);
-        console.log(`Loaded ${secondary.features?.length || 0} secondary catchments`);
-        console.log(`Loaded ${future.features?.length || 0} future catchments`);
         
-        // Load rankings and property sales (non-blocking)
-        loadSchoolRankings(setPrimarySchoolRankings, setSecondarySchoolRankings);
+        // Load property sales (non-blocking)
         loadPropertySalesData(setPropertySales);
+        loadSalesPoints(setSalesPoints);
+        loadCatchmentChanges(setCatchmentChanges);
         
       } catch (error) {
         console.error('Error loading data:', error);
@@ -60,46 +54,57 @@ export function useDataLoader() {
     }
 
     loadData();
-  }, [setSchools, setCatchments, setPropertySales, setPrimarySchoolRankings, setSecondarySchoolRankings, setError, setLoading]);
+  }, [setSchools, setCatchments, setDisplayCatchments, setCatchmentTileIndex, setCatchmentChanges, setPropertySales, setSalesPoints, setError, setLoading]);
 }
 
-async function loadSchoolRankings(setPrimarySchoolRankings, setSecondarySchoolRankings) {
-  const base = import.meta.env.BASE_URL;
+/**
+ * Load the catchment tile index, or null if tiles have not been built
+ */
+async function loadCatchmentTileIndex() {
+  try {
+    const base = import.meta.env.BASE_URL;
+    const res = await fetch(`${base}data/catchments/index.json`);
+    return res.ok ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
 
-  const loadRankingFile = async (url) => {
-    const res = await fetch(url);
-    if (!res.ok) return null;
-    const ranked = await res.json();
-    const lookup = {};
-    for (const s of ranked) {
-      if (s.ranking) {
-        lookup[String(s.School_code)] = {
-          rank: s.ranking.rank,
-          percentage_score: s.ranking.percentage_score,
-          total_score: s.ranking.total_score,
-          max_possible_score: s.ranking.max_possible_score,
-        };
-      }
-    }
-    return { lookup, total: ranked.length };
-  };
+/**
+ * Load full catchment GeoJSON files
+ * @param {string[]} types - Catchment types to load
+ * @param {Function} setCatchments - Full-detail store setter
+ * @param {Function} [setDisplayCatchments] - Also show them on the map
+ */
+async function loadFullCatchments(types, setCatchments, setDisplayCatchments) {
+  const base = import.meta.env.BASE_URL;
+  const collections = await Promise.all(types.map(async (type) => {
+    const res = await fetch(`${base}data/catchments_${type}.geojson`);
+    if (!res.ok) throw new Error(`Failed to load ${type} catchments`);
+    return res.json();
+  }));
+
+  types.forEach((type, i) => {
+    setCatchments(type, collections[i]);
+    setDisplayCatchments?.(type, collections[i]);
+    console.log(`Loaded ${collections[i].features?.length || 0} ${type} catchments`);
+  });
+}
 
+/**
+ * Load the current vs future boundary diff built by scripts/buildCatchmentChanges.js
+ */
+async function loadCatchmentChanges(setCatchmentChanges) {
   try {
-    const [primary, secondary] = await Promise.all([
-      loadRankingFile(`${base}data/schools/primary_schools_ranked.json`).catch(() => null),
-      loadRankingFile(`${base}data/schools/secondary_schools_ranked.json`).catch(() => null),
-    ]);
+    const base = import.meta.env.BASE_URL;
+    const res = await fetch(`${base}data/catchment_changes.geojson`);
+    if (!res.ok) return;
 
-    if (primary) {
-      setPrimarySchoolRankings(primary.lookup, primary.total);
-      console.log(`Loaded primary rankings for ${Object.keys(primary.lookup).length} schools`);
-    }
-    if (secondary) {
-      setSecondarySchoolRankings(secondary.lookup, secondary.total);
-      console.log(`Loaded secondary rankings for ${Object.keys(secondary.lookup).length} schools`);
-    }
+    const changes = await res.json();
+    setCatchmentChanges(changes);
+    console.log(`Loaded ${changes.features?.length || 0} catchment change areas`);
   } catch (error) {
-    console.warn('School rankings not available:', error.message);
+    console.warn('Catchment changes not available:', error.message);
   }
 }
 
@@ -110,10 +115,21 @@ async function loadSchoolRankings(setPrimarySchoolRankings, setSecondarySchoolRa
 async function loadPropertySalesData(setPropertySales) {
   try {
     const base = import.meta.env.BASE_URL;
-    const [recentSalesRes, suburbStatsRes, postcodeStatsRes, metadataRes] = await Promise.all([
+    const [
+      recentSalesRes,
+      suburbStatsRes,
+      postcodeStatsRes,
+      catchmentStatsRes,
+      priceTrendsRes,
+      repeatSalesIndexRes,
+      metadataRes,
+    ] = await Promise.all([
       fetch(`${base}data/sales/recent_sales.json`),
       fetch(`${base}data/sales/suburb_stats.json`),
       fetch(`${base}data/sales/postcode_stats.json`),
+      fetch(`${base}data/sales/catchment_stats.json`),
+      fetch(`${base}data/sales/price_trends.json`),
+      fetch(`${base}data/sales/repeat_sales_index.json`),
       fetch(`${base}data/sales/metadata.json`),
     ]);
 
@@ -134,6 +150,21 @@ async function loadPropertySalesData(setPropertySales) {
       console.log(`Loaded stats for ${salesData.postcodeStats.length} postcodes`);
     }
 
+    if (catchmentStatsRes.ok) {
+      salesData.catchmentStats = await catchmentStatsRes.json();
+      console.log(`Loaded stats for ${salesData.catchmentStats.length} catchments`);
+    }
+
+    if (priceTrendsRes.ok) {
+      salesData.priceTrends = await priceTrendsRes.json();
+      console.log(`Loaded price trends for ${Object.keys(salesData.priceTrends.suburbs).length} suburbs`);
+    }
+
+    if (repeatSalesIndexRes.ok) {
+      salesData.repeatSalesIndex = await repeatSalesIndexRes.json();
+      console.log(`Loaded repeat-sales index for ${Object.keys(salesData.repeatSalesIndex.catchments).length} catchments`);
+    }
+
     if (metadataRes.ok) {
       salesData.metadata = await metadataRes.json();
     }
@@ -144,3 +175,22 @@ async function loadPropertySalesData(setPropertySales) {
   }
 }
 
+/**
+ * Load geocoded sale points (written by scripts/exportSalesData.js)
+ */
+async function loadSalesPoints(setSalesPoints) {
+  try {
+    const base = import.meta.env.BASE_URL;
+    const res = await fetch(`${base}data/sales/sales_points.geojson`);
+    if (!res.ok) return;
+
+    // Exports from before geocoding carry features without geometry
+    const data = await res.json();
+    const points = { ...data, features: (data.features || []).filter((f) => f.geometry) };
+    setSalesPoints(points);
+    console.log(`Loaded ${points.features.length} geocoded sales`);
+  } catch (error) {
+    console.warn('Sale points not available:', error.message);
+  }
+}
+
@@ -0,0 +1,45 @@
+import { useEffect } from 'react';
+import { useAppStore } from '../stores/appStore';
+import { getMapHash, parseHash, parseMapState } from '../utils/mapUrlState';
+
+/**
+ * Keeps the map route's URL in step with the store: restores the view from
+ * the link once data has loaded, then rewrites the hash as the view changes
+ * (replaceState, so panning doesn't fill the back button history). Editing or
+ * pasting a new link into the address bar restores that view too.
+ */
+export function useMapUrlState() {
+  const isLoading = useAppStore((state) => state.isLoading);
+
+  useEffect(() => {
+    if (isLoading) return undefined;
+
+    let writtenHash = null;
+
+    const restoreFromHash = () => {
+      const { path, query } = parseHash(window.location.hash);
+      if (path !== '/' || !query || window.location.hash === writtenHash) return;
+      const { layers, restoreMapState } = useAppStore.getState();
+      restoreMapState(parseMapState(query, Object.keys(layers)));
+    };
+
+    const writeHash = (state) => {
+      // Leave the URL alone while navigating away to another route
+      if (parseHash(window.location.hash).path !== '/') return;
+      const hash = getMapHash(state);
+      if (hash === window.location.hash) return;
+      writtenHash = hash;
+      window.history.replaceState(null, '', hash);
+    };
+
+    restoreFromHash();
+    writeHash(useAppStore.getState());
+
+    const unsubscribe = useAppStore.subscribe(writeHash);
+    window.addEventListener('hashchange', restoreFromHash);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('hashchange', restoreFromHash);
+    };
+  }, [isLoading]);
+}
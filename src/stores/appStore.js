@@ -1,6 +1,139 @@
 import { create } from 'zustand';
 import { calculatePriceRange } from '../utils/priceHeatMap';
 import { calculateRankingRange } from '../utils/rankingHeatMap';
+import { calculateGrowthRange } from '../utils/growthHeatMap';
+import { calculateValueAdd } from '../utils/valueAdd';
+import { findFeaturesContainingPoint, getGeometryAreaKm2, getDistanceKm } from '../utils/geometry';
+import { getLookupLevel, lngLatToTile, mergeTileFeatures } from '../utils/catchmentTiles';
+import { loadCatchmentTile } from '../utils/catchmentTileCache';
+import { DEFAULT_FILTERS, filterSchools } from '../utils/schoolFilters';
+import { searchSchools } from '../utils/schoolSearch';
+import { DEFAULT_PRICE_METRIC, getPriceMetricValue } from '../utils/priceStats';
+import { getRankPercentile, meetsRankThreshold } from '../utils/catchmentFinder';
+import {
+  createShortlist,
+  createShortlistAddress,
+  createShortlistSchool,
+  loadShortlists,
+  mergeShortlists,
+  saveShortlists,
+} from '../utils/shortlists';
+import {
+  calculateSchoolRankings,
+  DEFAULT_RANKING_WEIGHTS,
+  getRankingLevel,
+  normalizeRankingWeights,
+} from '../utils/schoolRanking';
+import {
+  createRankingPreset,
+  loadRankingPresets,
+  loadRankingWeights,
+  saveRankingPresets,
+  saveRankingWeights,
+} from '../utils/rankingPresets';
+
+// Lookup tiles ("type/level/x_y") already merged into the full-detail catchments
+const lookupTilesLoaded = new Set();
+
+// Catchment stats indexed by "catchmentType:useId", built once per loaded array
+const catchmentStatsLookups = new WeakMap();
+
+function getCatchmentStatsLookup(catchmentStats = []) {
+  if (!catchmentStatsLookups.has(catchmentStats)) {
+    catchmentStatsLookups.set(catchmentStats, new Map(
+      catchmentStats.map((row) => [`${row.catchmentType}:${row.useId}`, row])
+    ));
+  }
+  return catchmentStatsLookups.get(catchmentStats);
+}
+
+// The heat map scale follows whichever stats colour the catchments:
+// per-catchment figures when exported, otherwise suburb stats
+function getPriceScale({ catchmentStats, suburbStats }, priceMetric) {
+  const scaleStats = catchmentStats?.length > 0 ? catchmentStats : suburbStats;
+  if (!scaleStats?.length) return null;
+  return calculatePriceRange(scaleStats, 10, 90, (row) => getPriceMetricValue(row, priceMetric));
+}
+
+// Like the price scale, growth is scaled by catchment figures when there are any
+function getGrowthScale(repeatSalesIndex) {
+  if (!repeatSalesIndex) return null;
+  const catchments = Object.values(repeatSalesIndex.catchments || {});
+  return calculateGrowthRange(catchments.length > 0 ? catchments : Object.values(repeatSalesIndex.suburbs || {}));
+}
+
+// Price fields shared by catchment and suburb rows of getCatchmentPriceData
+function getPriceSummary(stats, priceMetric) {
+  return {
+    price: getPriceMetricValue(stats, priceMetric),
+    avgPrice: stats.avgPrice,
+    medianPrice: stats.medianPrice ?? null,
+    p25Price: stats.p25Price ?? null,
+    p75Price: stats.p75Price ?? null,
+    trimmedMeanPrice: stats.trimmedMeanPrice ?? null,
+    byPropertyType: stats.byPropertyType || {},
+  };
+}
+
+// Apply `update` to one shortlist and stamp it as modified
+function updateShortlist(shortlists, id, update) {
+  return shortlists.map((shortlist) => (shortlist.id === id
+    ? { ...update(shortlist), updatedAt: new Date().toISOString() }
+    : shortlist));
+}
+
+// Shortlist changes are written through to localStorage as they happen
+function persistShortlists(changes) {
+  saveShortlists(changes.shortlists);
+  return changes;
+}
+
+// The shortlist that "save" buttons add to: the active one, else the first,
+// else a new default list
+function getTargetShortlist({ shortlists, activeShortlistId }) {
+  const existing = shortlists.find((s) => s.id === activeShortlistId) || shortlists[0];
+  if (existing) return { shortlists, target: existing };
+  const target = createShortlist();
+  return { shortlists: [target], target };
+}
+
+// Catchment and ranking level of a school, by the ranking engine's level
+// rules (central schools count as secondary). Unranked schools, such as
+// schools for specific purposes, have no local catchment; they fall back to
+// primary so lookups still have a level to read.
+export function getSchoolLevel(school) {
+  return getRankingLevel(school) || 'primary';
+}
+
+// Ranks for both levels, scored in the browser with the same module the export
+// scripts use, so the default weights reproduce the published rankings
+function getRankingState(schools, weights) {
+  const rankLevel = (level) => {
+    const lookup = {};
+    const ranked = calculateSchoolRankings(schools, { filterByLevel: level, weights });
+    ranked.forEach(({ School_code: code, ranking }) => {
+      lookup[String(code)] = {
+        rank: ranking.rank,
+        percentage_score: ranking.percentage_score,
+        total_score: ranking.total_score,
+        max_possible_score: ranking.max_possible_score,
+        breakdown: ranking.breakdown,
+      };
+    });
+    return { lookup, total: ranked.length };
+  };
+
+  const primary = rankLevel('primary');
+  const secondary = rankLevel('secondary');
+  return {
+    primarySchoolRankings: primary.lookup,
+    totalPrimaryRankedSchools: primary.total,
+    primaryRankingRange: calculateRankingRange(primary.lookup),
+    secondarySchoolRankings: secondary.lookup,
+    totalSecondaryRankedSchools: secondary.total,
+    secondaryRankingRange: calculateRankingRange(secondary.lookup),
+  };
+}
 
 // Sydney CBD coordinates
 const SYDNEY_CENTER = [-33.8688, 151.2093];
@@ -10,6 +143,8 @@ export const useAppStore = create((set, get) => ({
   // ============ MAP STATE ============
   mapCenter: SYDNEY_CENTER,
   mapZoom: DEFAULT_ZOOM,
+  // Bounds the map should fit to: { bounds: [[south, west], [north, east]], requestedAt }
+  fitBoundsRequest: null,
   
   // ============ LAYER VISIBILITY ============
   layers: {
@@ -17,49 +152,116 @@ export const useAppStore = create((set, get) => ({
     secondary: true,
     future: false,
     schoolMarkers: true,
+    catchmentChanges: false,
+    salesPoints: false,
     priceHeatMap: false,
+    growthHeatMap: false,
     primaryRankingHeatMap: false,
     secondaryRankingHeatMap: false,
+    valueAddHeatMap: false,
   },
 
   // ============ HEAT MAP STATE ============
   activeHeatMap: 'none',
   priceRange: null,
+  // Which price statistic colours the price heat map: { metric, propertyType }
+  priceHeatMapMetric: { ...DEFAULT_PRICE_METRIC },
+  growthRange: null,
   
   // ============ SELECTION STATE ============
   selectedSchool: null,
   highlightedSchools: [], // Array of school codes for multi-select highlighting
+  // Side-by-side comparison drawer for the highlighted schools
+  isComparisonOpen: false,
   hoveredCatchment: null,
+
+  // ============ SHORTLIST STATE ============
+  // Named lists of schools and addresses with notes, saved in localStorage
+  // (utils/shortlists.js)
+  shortlists: loadShortlists(),
+  activeShortlistId: null,
+
+  // ============ RANKING WEIGHTS STATE ============
+  // Primary weight per ranking factor ({ [factorKey]: weight }, 0 = switched
+  // off) and named presets, both saved in localStorage (utils/rankingPresets.js)
+  rankingWeights: loadRankingWeights(),
+  rankingPresets: loadRankingPresets(),
+
+  // ============ ADDRESS SEARCH STATE ============
+  // Geocoded search result: { query, label, lat, lng, quality, suburb, postcode }
+  addressSearch: null,
+
+  // ============ POINT LOOKUP STATE ============
+  // When enabled, clicking the map lists every catchment covering the clicked point
+  pointLookupMode: false,
+  pointLookup: null, // { lat, lng }
   
-  // ============ FILTER STATE ============
-  filters: {
-    schoolLevel: 'all', // 'all' | 'primary' | 'secondary' | 'infants'
-    selective: 'all',   // 'all' | 'yes' | 'no'
-    searchQuery: '',
+  // ============ CATCHMENT TIMELINE STATE ============
+  // Show only the boundaries that apply to one grade in one calendar year
+  catchmentTimeline: {
+    enabled: false,
+    grade: 'KINDERGART',
+    year: new Date().getFullYear(),
   },
   
+  // ============ FILTER STATE ============
+  filters: { ...DEFAULT_FILTERS },
+  
   // ============ DATA STATE ============
   schools: [],
+  // Full-detail boundaries for point lookups, areas and the timeline. Without
+  // a tile index these are the full GeoJSON files. With one, future
+  // catchments are still loaded whole, but primary and secondary only hold
+  // the most detailed tiles fetched so far by loadCatchmentsAtPoint.
   catchments: {
     primary: null,
     secondary: null,
     future: null,
   },
-  // School rankings lookup: { schoolCode: { rank, percentage_score, total_score, max_possible_score } }
+  // What the map draws. With a tile index, only the tiles around the current
+  // view, simplified for the zoom (CatchmentTileLoader); otherwise the same
+  // collections as `catchments`.
+  displayCatchments: {
+    primary: null,
+    secondary: null,
+    future: null,
+  },
+  // Simplified catchment tile index (scripts/buildCatchmentTiles.js)
+  catchmentTileIndex: null,
+  // Current vs future boundary diff: FeatureCollection with CHANGE = 'added' | 'removed' | 'unchanged'
+  catchmentChanges: null,
+  // School rankings lookup: { schoolCode: { rank, percentage_score, total_score, max_possible_score, breakdown } },
+  // recomputed from `schools` whenever the ranking weights change
   primarySchoolRankings: {},
   secondarySchoolRankings: {},
   primaryRankingRange: null,
   secondaryRankingRange: null,
   totalPrimaryRankedSchools: 0,
   totalSecondaryRankedSchools: 0,
+  // NAPLAN/HSC position relative to what ICSEA and LBOTE predict (utils/valueAdd.js):
+  // { schoolCode: { test, year, rank, expectedRank, residual, z } }, independent of the ranking weights
+  schoolValueAdd: {},
+  valueAddModels: {},
 
   // Property sales data
   propertySales: {
     recentSales: [],
     suburbStats: [],
     postcodeStats: [],
+    // Sales inside each catchment polygon (scripts/assignSalesToCatchments.js),
+    // one row per { catchmentType, useId }
+    catchmentStats: [],
+    // Monthly median price and volume series (price_trends.json):
+    // { startMonth, endMonth, suburbs: { SUBURB: byType }, catchments: { 'type:useId': byType } }
+    priceTrends: null,
+    // Repeat-sales growth index (repeat_sales_index.json):
+    // { suburbs: { SUBURB: entry }, catchments: { 'type:useId': entry } }
+    repeatSalesIndex: null,
     metadata: null,
   },
+  // Geocoded recent sales (scripts/geocodeSales.js): Point FeatureCollection
+  // with price, date, propertyType and matchQuality properties
+  salesPoints: null,
   isLoading: true,
   error: null,
   
@@ -69,10 +271,27 @@ export const useAppStore = create((set, get) => ({
     mapZoom: zoom 
   }),
   
+  fitMapToBounds: (bounds) => set({
+    fitBoundsRequest: bounds ? { bounds, requestedAt: Date.now() } : null,
+  }),
+
   resetMapView: () => set({
     mapCenter: SYDNEY_CENTER,
     mapZoom: DEFAULT_ZOOM,
   }),
+
+  // Apply a view read from a shared link (utils/mapUrlState.js parseMapState).
+  // Call once schools are loaded so the selected school can be resolved.
+  restoreMapState: ({ selectedSchoolCode, activeHeatMap, priceHeatMapMetric, ...mapState }) => {
+    set((state) => ({
+      ...mapState,
+      layers: { ...state.layers, ...mapState.layers },
+      catchmentTimeline: { ...state.catchmentTimeline, ...mapState.catchmentTimeline },
+      selectedSchool: selectedSchoolCode ? state.getSchoolByCode(selectedSchoolCode) || null : null,
+    }));
+    get().setActiveHeatMap(activeHeatMap);
+    get().setPriceHeatMapMetric(priceHeatMapMetric);
+  },
   
   // ============ LAYER ACTIONS ============
   toggleLayer: (layerName) => set((state) => ({
@@ -87,11 +306,22 @@ export const useAppStore = create((set, get) => ({
     layers: {
       ...state.layers,
       priceHeatMap: mode === 'price',
+      growthHeatMap: mode === 'growth',
       primaryRankingHeatMap: mode === 'primaryRanking',
       secondaryRankingHeatMap: mode === 'secondaryRanking',
+      valueAddHeatMap: mode === 'valueAdd',
     },
   })),
 
+  // Change the price heat map statistic and rescale the legend to it
+  setPriceHeatMapMetric: (partial) => {
+    const priceHeatMapMetric = { ...get().priceHeatMapMetric, ...partial };
+    set({
+      priceHeatMapMetric,
+      priceRange: getPriceScale(get().propertySales, priceHeatMapMetric),
+    });
+  },
+
   setLayerVisibility: (layerName, visible) => set((state) => ({
     layers: {
       ...state.layers,
@@ -105,23 +335,178 @@ export const useAppStore = create((set, get) => ({
   // Toggle highlight for a school (Alt+Click multi-select)
   toggleHighlightSchool: (schoolCode) => set((state) => {
     const isHighlighted = state.highlightedSchools.includes(schoolCode);
+    const highlightedSchools = isHighlighted
+      ? state.highlightedSchools.filter((code) => code !== schoolCode)
+      : [...state.highlightedSchools, schoolCode];
     return {
-      highlightedSchools: isHighlighted
-        ? state.highlightedSchools.filter((code) => code !== schoolCode)
-        : [...state.highlightedSchools, schoolCode],
+      highlightedSchools,
+      isComparisonOpen: state.isComparisonOpen && highlightedSchools.length > 0,
     };
   }),
   
   // Clear all highlighted schools
-  clearHighlightedSchools: () => set({ highlightedSchools: [] }),
+  clearHighlightedSchools: () => set({ highlightedSchools: [], isComparisonOpen: false }),
+
+  // Replace the highlighted schools, e.g. with catchment finder matches
+  setHighlightedSchools: (schoolCodes) => set({ highlightedSchools: [...schoolCodes] }),
+
+  setComparisonOpen: (isOpen) => set({ isComparisonOpen: isOpen }),
   
   clearSelection: () => set({ 
     selectedSchool: null,
     highlightedSchools: [],
+    isComparisonOpen: false,
     hoveredCatchment: null,
   }),
   
   setHoveredCatchment: (catchment) => set({ hoveredCatchment: catchment }),
+
+  // ============ SHORTLIST ACTIONS ============
+  createShortlist: (name) => {
+    const shortlist = createShortlist(name);
+    set((state) => persistShortlists({
+      shortlists: [...state.shortlists, shortlist],
+      activeShortlistId: shortlist.id,
+    }));
+    return shortlist.id;
+  },
+
+  setActiveShortlist: (id) => set({ activeShortlistId: id }),
+
+  renameShortlist: (id, name) => set((state) => persistShortlists({
+    shortlists: updateShortlist(state.shortlists, id, (s) => ({ ...s, name: name.trim() || s.name })),
+  })),
+
+  setShortlistNotes: (id, notes) => set((state) => persistShortlists({
+    shortlists: updateShortlist(state.shortlists, id, (s) => ({ ...s, notes })),
+  })),
+
+  deleteShortlist: (id) => set((state) => persistShortlists({
+    shortlists: state.shortlists.filter((s) => s.id !== id),
+    activeShortlistId: state.activeShortlistId === id ? null : state.activeShortlistId,
+  })),
+
+  // Add a school to the active shortlist (creating one if there are none)
+  addSchoolToShortlist: (school) => set((state) => {
+    const { shortlists, target } = getTargetShortlist(state);
+    if (target.schools.some((s) => s.code === school.School_code)) return {};
+    return persistShortlists({
+      shortlists: updateShortlist(shortlists, target.id, (s) => ({
+        ...s,
+        schools: [...s.schools, createShortlistSchool(school)],
+      })),
+      activeShortlistId: target.id,
+    });
+  }),
+
+  removeSchoolFromShortlist: (id, schoolCode) => set((state) => persistShortlists({
+    shortlists: updateShortlist(state.shortlists, id, (s) => ({
+      ...s,
+      schools: s.schools.filter((school) => school.code !== schoolCode),
+    })),
+  })),
+
+  setShortlistSchoolNote: (id, schoolCode, note) => set((state) => persistShortlists({
+    shortlists: updateShortlist(state.shortlists, id, (s) => ({
+      ...s,
+      schools: s.schools.map((school) => (school.code === schoolCode ? { ...school, note } : school)),
+    })),
+  })),
+
+  // Add an address search result to the active shortlist
+  addAddressToShortlist: (address) => set((state) => {
+    const { shortlists, target } = getTargetShortlist(state);
+    if (target.addresses.some((a) => a.lat === address.lat && a.lng === address.lng)) return {};
+    return persistShortlists({
+      shortlists: updateShortlist(shortlists, target.id, (s) => ({
+        ...s,
+        addresses: [...s.addresses, createShortlistAddress(address)],
+      })),
+      activeShortlistId: target.id,
+    });
+  }),
+
+  removeAddressFromShortlist: (id, addressId) => set((state) => persistShortlists({
+    shortlists: updateShortlist(state.shortlists, id, (s) => ({
+      ...s,
+      addresses: s.addresses.filter((address) => address.id !== addressId),
+    })),
+  })),
+
+  setShortlistAddressNote: (id, addressId, note) => set((state) => persistShortlists({
+    shortlists: updateShortlist(state.shortlists, id, (s) => ({
+      ...s,
+      addresses: s.addresses.map((address) => (address.id === addressId ? { ...address, note } : address)),
+    })),
+  })),
+
+  // Add shortlists read from an export file (see parseShortlistFile)
+  importShortlists: (imported) => set((state) => {
+    const shortlists = mergeShortlists(state.shortlists, imported);
+    return persistShortlists({
+      shortlists,
+      activeShortlistId: shortlists[state.shortlists.length]?.id ?? state.activeShortlistId,
+    });
+  }),
+
+  // ============ RANKING WEIGHTS ACTIONS ============
+  setRankingWeights: (weights) => {
+    const rankingWeights = normalizeRankingWeights(weights);
+    saveRankingWeights(rankingWeights);
+    set({ rankingWeights, ...getRankingState(get().schools, rankingWeights) });
+  },
+
+  setRankingWeight: (factorKey, weight) => {
+    get().setRankingWeights({ ...get().rankingWeights, [factorKey]: weight });
+  },
+
+  resetRankingWeights: () => get().setRankingWeights(DEFAULT_RANKING_WEIGHTS),
+
+  // Saving under an existing name replaces that preset
+  saveRankingPreset: (name) => {
+    if (!name.trim()) return;
+    const preset = createRankingPreset(name, get().rankingWeights);
+    const rankingPresets = [
+      ...get().rankingPresets.filter((p) => p.name.toLowerCase() !== preset.name.toLowerCase()),
+      preset,
+    ];
+    saveRankingPresets(rankingPresets);
+    set({ rankingPresets });
+  },
+
+  applyRankingPreset: (id) => {
+    const preset = get().rankingPresets.find((p) => p.id === id);
+    if (preset) get().setRankingWeights(preset.weights);
+  },
+
+  deleteRankingPreset: (id) => {
+    const rankingPresets = get().rankingPresets.filter((p) => p.id !== id);
+    saveRankingPresets(rankingPresets);
+    set({ rankingPresets });
+  },
+
+  // ============ ADDRESS SEARCH ACTIONS ============
+  setAddressSearch: (result) => set({ addressSearch: result }),
+
+  clearAddressSearch: () => set({ addressSearch: null }),
+
+  // ============ POINT LOOKUP ACTIONS ============
+  togglePointLookupMode: () => set((state) => ({
+    pointLookupMode: !state.pointLookupMode,
+    pointLookup: null,
+  })),
+
+  setPointLookup: (point) => set({ pointLookup: point }),
+
+  clearPointLookup: () => set({ pointLookup: null }),
+  
+  // ============ CATCHMENT TIMELINE ACTIONS ============
+  setCatchmentTimeline: (updates) => set((state) => ({
+    catchmentTimeline: {
+      ...state.catchmentTimeline,
+      ...updates,
+    },
+  })),
   
   // ============ FILTER ACTIONS ============
   setFilter: (filterName, value) => set((state) => ({
@@ -131,18 +516,31 @@ export const useAppStore = create((set, get) => ({
     },
   })),
   
+  // Set a filter builder value; null or an empty selection removes it
+  setAdvancedFilter: (key, value) => set((state) => {
+    const advanced = { ...state.filters.advanced };
+    if (value === null || (Array.isArray(value) && value.length === 0)) {
+      delete advanced[key];
+    } else {
+      advanced[key] = value;
+    }
+    return { filters: { ...state.filters, advanced } };
+  }),
+
   clearFilters: () => set({
-    filters: {
-      schoolLevel: 'all',
-      selective: 'all',
-      searchQuery: '',
-    },
+    filters: { ...DEFAULT_FILTERS },
   }),
   
   // ============ DATA ACTIONS ============
-  setSchools: (schools) => set({ 
-    schools, 
-    isLoading: false 
+  setSchools: (schools) => set((state) => {
+    const valueAdd = calculateValueAdd(schools);
+    return {
+      schools,
+      isLoading: false,
+      ...getRankingState(schools, state.rankingWeights),
+      schoolValueAdd: valueAdd.schools,
+      valueAddModels: valueAdd.models,
+    };
   }),
   
   setCatchments: (type, data) => set((state) => ({
@@ -152,23 +550,55 @@ export const useAppStore = create((set, get) => ({
     },
   })),
   
+  setDisplayCatchments: (type, data) => set((state) => ({
+    displayCatchments: {
+      ...state.displayCatchments,
+      [type]: data,
+    },
+  })),
+
+  setCatchmentTileIndex: (index) => set({ catchmentTileIndex: index }),
+
+  // With a tile index, fetch the most detailed primary and secondary tiles
+  // covering a point into `catchments`. A feature is written whole into every
+  // tile its bounding box touches, so that tile holds every catchment
+  // containing the point. The most detailed level is simplified by about 5 m.
+  loadCatchmentsAtPoint: async (lat, lng) => {
+    const { catchmentTileIndex } = get();
+    if (!catchmentTileIndex) return;
+
+    const level = getLookupLevel(catchmentTileIndex.levels);
+    const key = lngLatToTile(lng, lat, level.tileZoom).join('_');
+
+    await Promise.all(['primary', 'secondary'].map(async (type) => {
+      const tileKey = `${type}/${level.id}/${key}`;
+      if (lookupTilesLoaded.has(tileKey)) return;
+      if (!catchmentTileIndex.layers[type]?.tiles[level.id]?.includes(key)) return;
+
+      try {
+        const tile = await loadCatchmentTile(type, level.id, key);
+        if (lookupTilesLoaded.has(tileKey)) return;
+        lookupTilesLoaded.add(tileKey);
+        set((state) => ({
+          catchments: {
+            ...state.catchments,
+            [type]: mergeTileFeatures([state.catchments[type], tile]),
+          },
+        }));
+      } catch (error) {
+        console.warn(`Catchment tile not available for ${type}:`, error.message);
+      }
+    }));
+  },
+
+  setCatchmentChanges: (data) => set({ catchmentChanges: data }),
+
+  setSalesPoints: (data) => set({ salesPoints: data }),
+
   setLoading: (isLoading) => set({ isLoading }),
   
   setError: (error) => set({ error, isLoading: false }),
   
-  // School rankings actions
-  setPrimarySchoolRankings: (rankings, total) => set({
-    primarySchoolRankings: rankings,
-    totalPrimaryRankedSchools: total,
-    primaryRankingRange: calculateRankingRange(rankings),
-  }),
-
-  setSecondarySchoolRankings: (rankings, total) => set({
-    secondarySchoolRankings: rankings,
-    totalSecondaryRankedSchools: total,
-    secondaryRankingRange: calculateRankingRange(rankings),
-  }),
-
   getSchoolRanking: (schoolCode, type) => {
     if (!schoolCode) return null;
     const state = get();
@@ -181,63 +611,18 @@ export const useAppStore = create((set, get) => ({
 
   // Property sales actions
   setPropertySales: (salesData) => {
-    // Calculate price range when suburb stats are loaded
-    const suburbStats = salesData.suburbStats || get().propertySales.suburbStats;
-    const priceRange = suburbStats?.length > 0 
-      ? calculatePriceRange(suburbStats)
-      : null;
-    
-    set((state) => ({
-      propertySales: {
-        ...state.propertySales,
-        ...salesData,
-      },
-      priceRange,
-    }));
+    const propertySales = { ...get().propertySales, ...salesData };
+    set({
+      propertySales,
+      priceRange: getPriceScale(propertySales, get().priceHeatMapMetric),
+      growthRange: getGrowthScale(propertySales.repeatSalesIndex),
+    });
   },
   
   // ============ SELECTORS ============
   getFilteredSchools: () => {
     const { schools, filters } = get();
-    
-    return schools.filter((school) => {
-      // Search query filter
-      if (filters.searchQuery) {
-        const query = filters.searchQuery.toLowerCase();
-        const name = (school.School_name || '').toLowerCase();
-        const suburb = (school.Town_suburb || '').toLowerCase();
-        if (!name.includes(query) && !suburb.includes(query)) {
-          return false;
-        }
-      }
-      
-      // School level filter
-      if (filters.schoolLevel !== 'all') {
-        const level = (school.Level_of_schooling || '').toLowerCase();
-        if (filters.schoolLevel === 'primary' && !level.includes('primary')) {
-          return false;
-        }
-        if (filters.schoolLevel === 'secondary' && !level.includes('secondary')) {
-          return false;
-        }
-        if (filters.schoolLevel === 'infants' && !level.includes('infants')) {
-          return false;
-        }
-      }
-      
-      // Selective filter
-      if (filters.selective !== 'all') {
-        const selective = (school.Selective_school || '').toLowerCase();
-        if (filters.selective === 'yes' && !selective.includes('selective')) {
-          return false;
-        }
-        if (filters.selective === 'no' && selective.includes('selective') && !selective.includes('not')) {
-          return false;
-        }
-      }
-      
-      return true;
-    });
+    return filterSchools(schools, filters);
   },
   
   getSchoolByCode: (code) => {
@@ -261,32 +646,11 @@ export const useAppStore = create((set, get) => ({
   },
   
   // Get autocomplete suggestions for school search
+  // Fuzzy matches for the search box: [{ school, score, highlights }]
   getSchoolSuggestions: (query, maxResults = 10) => {
-    if (!query || query.length < 1) return [];
-    
+    if (!query || query.trim().length < 1) return [];
     const { schools } = get();
-    const lowerQuery = query.toLowerCase();
-    
-    // Sort by relevance: starts with query first, then contains query
-    const suggestions = schools
-      .filter((school) => {
-        const name = (school.School_name || '').toLowerCase();
-        const suburb = (school.Town_suburb || '').toLowerCase();
-        return name.includes(lowerQuery) || suburb.includes(lowerQuery);
-      })
-      .sort((a, b) => {
-        const aName = (a.School_name || '').toLowerCase();
-        const bName = (b.School_name || '').toLowerCase();
-        const aStartsWith = aName.startsWith(lowerQuery);
-        const bStartsWith = bName.startsWith(lowerQuery);
-        
-        if (aStartsWith && !bStartsWith) return -1;
-        if (!aStartsWith && bStartsWith) return 1;
-        return aName.localeCompare(bName);
-      })
-      .slice(0, maxResults);
-    
-    return suggestions;
+    return searchSchools(schools, query, maxResults);
   },
   
   // Get property sales for a suburb
@@ -309,6 +673,24 @@ export const useAppStore = create((set, get) => ({
     );
   },
   
+  // Get monthly price trend series for a suburb and, when exported, the school's catchment
+  // Returns { startMonth, endMonth, suburb, catchment } where suburb/catchment map
+  // property type group → series, or null when no trends are loaded
+  getPriceTrends: (suburb, schoolCode) => {
+    const { priceTrends } = get().propertySales;
+    if (!priceTrends) return null;
+
+    const code = schoolCode != null ? String(schoolCode) : null;
+    return {
+      startMonth: priceTrends.startMonth,
+      endMonth: priceTrends.endMonth,
+      suburb: suburb ? priceTrends.suburbs[suburb.toUpperCase()] || null : null,
+      catchment: code
+        ? priceTrends.catchments[`primary:${code}`] || priceTrends.catchments[`secondary:${code}`] || null
+        : null,
+    };
+  },
+
   // Get postcode stats
   getPostcodeStats: (postcode) => {
     if (!postcode) return null;
@@ -318,14 +700,51 @@ export const useAppStore = create((set, get) => ({
     );
   },
   
+  // Get every catchment polygon covering a point, across all catchment layers,
+  // from the full-detail boundaries (see loadCatchmentsAtPoint for tile mode)
+  // Returns [{ type: 'primary'|'secondary'|'future', feature, school }]
+  getCatchmentsAtPoint: (lat, lng) => {
+    const { catchments, schools } = get();
+
+    return ['primary', 'secondary', 'future'].flatMap((type) =>
+      findFeaturesContainingPoint(catchments[type], [lng, lat]).map((feature) => ({
+        type,
+        feature,
+        school: schools.find(
+          (s) => String(s.School_code) === String(feature.properties?.USE_ID)
+        ) || null,
+      }))
+    );
+  },
+  
   // ============ HEAT MAP SELECTORS ============
   
   // Get price data for a catchment by school code
-  // Linkage: Catchment (USE_ID) → School (School_code) → School.Town_suburb → suburb_stats
-  getCatchmentPriceData: (schoolCode) => {
+  // Uses sales inside the catchment polygon when catchment_stats.json is available
+  // (source: 'catchment'); otherwise falls back to the school's suburb
+  // (source: 'suburb'): USE_ID → School_code → School.Town_suburb → suburb_stats
+  // `price` is the statistic selected for the heat map (priceHeatMapMetric)
+  getCatchmentPriceData: (schoolCode, catchmentType, priceMetric = get().priceHeatMapMetric) => {
     if (!schoolCode) return null;
     
     const { schools, propertySales } = get();
+
+    const catchmentStats = getCatchmentStatsLookup(propertySales.catchmentStats);
+    const inCatchment = catchmentType
+      ? catchmentStats.get(`${catchmentType}:${schoolCode}`)
+      : catchmentStats.get(`primary:${schoolCode}`) || catchmentStats.get(`secondary:${schoolCode}`);
+    if (inCatchment) {
+      return {
+        source: 'catchment',
+        suburbs: inCatchment.suburbs,
+        ...getPriceSummary(inCatchment, priceMetric),
+        avgPricePerSqm: inCatchment.avgPricePerSqm,
+        totalSales: inCatchment.totalSales,
+        salesLast3Months: inCatchment.salesLast3Months,
+        minPrice: inCatchment.minPrice,
+        maxPrice: inCatchment.maxPrice,
+      };
+    }
     
     // Find the school by code
     const school = schools.find(s => 
@@ -343,8 +762,9 @@ export const useAppStore = create((set, get) => ({
     if (!stats) return null;
     
     return {
+      source: 'suburb',
       suburb: school.Town_suburb,
-      avgPrice: stats.avgPrice,
+      ...getPriceSummary(stats, priceMetric),
       avgPricePerSqm: stats.avgPricePerSqm,
       totalSales: stats.totalSales,
       salesLast3Months: stats.salesLast3Months,
@@ -353,6 +773,148 @@ export const useAppStore = create((set, get) => ({
     };
   },
   
+  // Get repeat-sales growth for a catchment by school code, from sales inside
+  // the catchment when indexed (source: 'catchment'), else the school's suburb
+  getCatchmentGrowthData: (schoolCode, catchmentType) => {
+    const { schools, propertySales } = get();
+    const index = propertySales.repeatSalesIndex;
+    if (!schoolCode || !index) return null;
+
+    const inCatchment = catchmentType
+      ? index.catchments[`${catchmentType}:${schoolCode}`]
+      : index.catchments[`primary:${schoolCode}`] || index.catchments[`secondary:${schoolCode}`];
+    if (inCatchment) return { source: 'catchment', ...inCatchment };
+
+    const school = schools.find(s => String(s.School_code) === String(schoolCode));
+    const inSuburb = school?.Town_suburb && index.suburbs[school.Town_suburb.toUpperCase()];
+    return inSuburb ? { source: 'suburb', suburb: school.Town_suburb, ...inSuburb } : null;
+  },
+
+  // Catchment finder: ranked schools of criteria.level whose typical (median)
+  // catchment price for criteria.propertyType is within criteria.budget
+  // Returns [{ school, rank, percentile, price, source, suburb, totalSales }], unsorted
+  findCatchmentsWithinBudget: (criteria) => {
+    const state = get();
+    const isPrimary = criteria.level === 'primary';
+    const rankings = isPrimary ? state.primarySchoolRankings : state.secondarySchoolRankings;
+    const totalRanked = isPrimary ? state.totalPrimaryRankedSchools : state.totalSecondaryRankedSchools;
+    const schoolsByCode = new Map(state.schools.map((s) => [String(s.School_code), s]));
+    const priceMetric = { metric: 'medianPrice', propertyType: criteria.propertyType };
+
+    const results = [];
+    Object.entries(rankings).forEach(([code, ranking]) => {
+      if (!meetsRankThreshold(ranking.rank, totalRanked, criteria)) return;
+      const school = schoolsByCode.get(code);
+      if (!school) return;
+
+      const priceData = state.getCatchmentPriceData(code, criteria.level, priceMetric);
+      if (!priceData?.price || priceData.price > criteria.budget) return;
+
+      results.push({
+        school,
+        rank: ranking.rank,
+        percentile: getRankPercentile(ranking.rank, totalRanked),
+        price: priceData.price,
+        source: priceData.source,
+        suburb: priceData.suburb,
+        totalSales: priceData.totalSales,
+      });
+    });
+    return results;
+  },
+
+  // Everything the comparison drawer shows for one school. Catchment level
+  // follows Level_of_schooling as in SchoolInfoPanel; the area comes from the
+  // full-detail boundaries, so it is null until the catchment is loaded (in
+  // tile mode, by loadCatchmentsAtPoint at the school) or when the school has
+  // no catchment
+  getSchoolComparisonEntry: (schoolCode) => {
+    const state = get();
+    const school = state.schools.find((s) => String(s.School_code) === String(schoolCode));
+    if (!school) return null;
+
+    const level = getSchoolLevel(school);
+    const features = state.getSchoolCatchmentFeatures(schoolCode, level);
+
+    return {
+      school,
+      level,
+      ranking: state.getSchoolRanking(schoolCode, level),
+      totalRanked: level === 'secondary' ? state.totalSecondaryRankedSchools : state.totalPrimaryRankedSchools,
+      catchmentAreaKm2: features.length > 0
+        ? features.reduce((sum, f) => sum + getGeometryAreaKm2(f.geometry), 0)
+        : null,
+      priceData: state.getCatchmentPriceData(schoolCode, level, { metric: 'medianPrice', propertyType: 'all' }),
+      growthData: state.getCatchmentGrowthData(schoolCode, level),
+    };
+  },
+
+  // Full-detail current catchment features of a school (in tile mode, only
+  // those in the tiles fetched so far by loadCatchmentsAtPoint)
+  getSchoolCatchmentFeatures: (schoolCode, catchmentType) => {
+    const { catchments } = get();
+    const types = catchmentType ? [catchmentType] : ['primary', 'secondary'];
+    return types.flatMap((type) => (catchments[type]?.features || []).filter(
+      (f) => String(f.properties?.USE_ID) === String(schoolCode)
+    ));
+  },
+
+  // Closest schools to a school, optionally only those of the same level
+  // Returns [{ school, distanceKm, ranking }] nearest first
+  getNearbySchools: (schoolCode, { limit = 8, sameLevel = false } = {}) => {
+    const state = get();
+    const school = state.schools.find((s) => String(s.School_code) === String(schoolCode));
+    if (!school?.Latitude || !school?.Longitude) return [];
+
+    const level = getSchoolLevel(school);
+    const origin = [school.Longitude, school.Latitude];
+    return state.schools
+      .filter((s) => s !== school && s.Latitude && s.Longitude && (!sameLevel || getSchoolLevel(s) === level))
+      .map((s) => ({ school: s, distanceKm: getDistanceKm(origin, [s.Longitude, s.Latitude]) }))
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, limit)
+      .map((nearby) => ({
+        ...nearby,
+        ranking: state.getSchoolRanking(nearby.school.School_code, getSchoolLevel(nearby.school)),
+      }));
+  },
+
+  // Closest schools of the same level that rank above a school, nearest first
+  getNearbyHigherRankedSchools: (schoolCode, { limit = 3 } = {}) => {
+    const state = get();
+    const school = state.schools.find((s) => String(s.School_code) === String(schoolCode));
+    const ranking = school && state.getSchoolRanking(schoolCode, getSchoolLevel(school));
+    if (!ranking) return [];
+
+    return state.getNearbySchools(schoolCode, { limit: Infinity, sameLevel: true })
+      .filter((nearby) => nearby.ranking && nearby.ranking.rank < ranking.rank)
+      .slice(0, limit);
+  },
+
+  // Summarise a school's boundary changes: km² per change type and affected suburbs
+  getSchoolCatchmentChanges: (schoolCode) => {
+    const { catchmentChanges } = get();
+    if (!schoolCode || !catchmentChanges?.features) return null;
+
+    const features = catchmentChanges.features.filter(
+      (f) => String(f.properties?.USE_ID) === String(schoolCode)
+    );
+    if (features.length === 0) return null;
+
+    const summary = {
+      added: { areaKm2: 0, suburbs: [] },
+      removed: { areaKm2: 0, suburbs: [] },
+      unchanged: { areaKm2: 0, suburbs: [] },
+    };
+    features.forEach(({ properties }) => {
+      const change = summary[properties.CHANGE];
+      if (!change) return;
+      change.areaKm2 += properties.AREA_KM2 || 0;
+      change.suburbs.push(...(properties.SUBURBS || []).map((s) => s.suburb));
+    });
+    return summary;
+  },
+
   // Get price range for the heat map scale
   getPriceRange: () => {
     return get().priceRange;
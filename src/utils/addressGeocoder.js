@@ -0,0 +1,139 @@
+/**
+ * Offline Address Geocoder
+ *
+ * Resolves typed addresses against the locality shards written by
+ * scripts/exportAddressData.js. Nothing leaves the browser: the index is
+ * fetched once and each locality file is fetched the first time it is needed.
+ */
+
+import { parseAddressQuery, formatAddress, normalizeSuburb } from './addressParser';
+import { MATCH_QUALITY, MATCH_QUALITY_LABELS, matchAddressRows } from './addressMatcher';
+
+const baseUrl = import.meta.env.BASE_URL;
+
+export { MATCH_QUALITY, MATCH_QUALITY_LABELS };
+
+let indexPromise = null;
+const localityCache = new Map();
+
+/**
+ * Load the locality index (cached)
+ * @returns {Promise<object>} { totalAddresses, localities: [...] }
+ */
+export function loadAddressIndex() {
+  if (!indexPromise) {
+    indexPromise = fetch(`${baseUrl}data/addresses/index.json`)
+      .then((res) => {
+        if (!res.ok) throw new Error('Address data not available');
+        return res.json();
+      })
+      .catch((err) => {
+        indexPromise = null;
+        throw err;
+      });
+  }
+  return indexPromise;
+}
+
+async function loadLocality(entry) {
+  if (!localityCache.has(entry.file)) {
+    const promise = fetch(`${baseUrl}data/addresses/localities/${entry.file}`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Failed to load addresses for ${entry.suburb}`);
+        return res.json();
+      })
+      .catch((err) => {
+        localityCache.delete(entry.file);
+        throw err;
+      });
+    localityCache.set(entry.file, promise);
+  }
+  return localityCache.get(entry.file);
+}
+
+// Suburb names in the index, built once per loaded index
+const localityNames = new WeakMap();
+
+function hasLocality(index, suburb) {
+  if (!localityNames.has(index)) {
+    localityNames.set(index, new Set((index.localities || []).map((l) => l.suburb)));
+  }
+  return localityNames.get(index).has(suburb);
+}
+
+/**
+ * Find index entries for the parsed suburb/postcode
+ */
+function findLocalities(index, { suburb, postcode }) {
+  const localities = index.localities || [];
+
+  if (suburb) {
+    const named = localities.filter((l) => l.suburb === suburb);
+    const withPostcode = postcode ? named.filter((l) => l.postcode === postcode) : [];
+    if (withPostcode.length > 0) return withPostcode;
+    if (named.length > 0) return named;
+
+    const partial = localities.filter((l) => l.suburb.startsWith(suburb));
+    if (partial.length > 0) return partial;
+  }
+
+  if (postcode) {
+    return localities.filter((l) => l.postcode === postcode);
+  }
+
+  return [];
+}
+
+/**
+ * Geocode a free-text address
+ * @param {string} query - e.g. "12 Smith St, Epping 2121"
+ * @returns {Promise<object|null>} { lat, lng, label, quality, suburb, postcode } or null
+ */
+export async function geocodeAddress(query) {
+  const index = await loadAddressIndex();
+  const parsed = parseAddressQuery(query, { isLocality: (suburb) => hasLocality(index, suburb) });
+  if (!parsed) return null;
+
+  // A lone word with no number is most likely a suburb name
+  if (!parsed.suburb && !parsed.number && parsed.street) {
+    parsed.suburb = normalizeSuburb(parsed.street);
+    parsed.street = null;
+  }
+
+  const localities = findLocalities(index, parsed);
+  if (localities.length === 0) return null;
+
+  if (parsed.street) {
+    for (const entry of localities) {
+      const shard = await loadLocality(entry);
+      const match = matchAddressRows(shard.addresses, parsed);
+      if (match) {
+        const [unit, number, street, lat, lng] = match.row;
+        return {
+          lat,
+          lng,
+          quality: match.quality,
+          suburb: shard.suburb,
+          postcode: shard.postcode,
+          label: formatAddress({
+            unit: match.quality === MATCH_QUALITY.EXACT ? unit : null,
+            number: parsed.number ? number : null,
+            street,
+            suburb: shard.suburb,
+            postcode: shard.postcode,
+          }),
+        };
+      }
+    }
+  }
+
+  const [entry] = localities;
+  return {
+    lat: entry.center[0],
+    lng: entry.center[1],
+    quality: MATCH_QUALITY.LOCALITY,
+    suburb: entry.suburb,
+    postcode: entry.postcode,
+    label: formatAddress({ suburb: entry.suburb, postcode: entry.postcode }),
+  };
+}
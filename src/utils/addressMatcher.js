@@ -0,0 +1,69 @@
+/**
+ * Address Matching
+ *
+ * Matches a parsed address against gazetteer rows of one locality. Shared by
+ * the browser geocoder (src/utils/addressGeocoder.js) and the sales geocoding
+ * script (scripts/geocodeSales.js), so both report the same match quality.
+ *
+ * Gazetteer rows use the locality shard layout: [unit, number, street, lat, lng]
+ */
+
+// Match quality, best first
+export const MATCH_QUALITY = {
+  EXACT: 'exact',
+  STREET: 'street',
+  LOCALITY: 'locality',
+  NONE: 'none',
+};
+
+export const MATCH_QUALITY_LABELS = {
+  [MATCH_QUALITY.EXACT]: 'Exact address',
+  [MATCH_QUALITY.STREET]: 'Nearest number on street',
+  [MATCH_QUALITY.LOCALITY]: 'Suburb centre',
+  [MATCH_QUALITY.NONE]: 'Not located',
+};
+
+function houseNumberValue(number) {
+  return parseInt(number, 10);
+}
+
+/**
+ * Find the best gazetteer row for an address within one locality
+ * @param {Array} rows - [unit, number, street, lat, lng] rows for the locality
+ * @param {object} address - { unit, number, street } normalised with addressParser
+ * @returns {object|null} { row, quality } or null when the street is not found
+ */
+export function matchAddressRows(rows, { unit, number, street }) {
+  const onStreet = rows.filter((row) => row[2] === street);
+  if (onStreet.length === 0) return null;
+
+  if (number) {
+    const sameNumber = onStreet.filter((row) => row[1] === number);
+    if (sameNumber.length > 0) {
+      const row = sameNumber.find((r) => r[0] === unit) ||
+        sameNumber.find((r) => !r[0]) ||
+        sameNumber[0];
+      return { row, quality: MATCH_QUALITY.EXACT };
+    }
+
+    // Prefer the closest number on the same side of the street
+    const target = houseNumberValue(number);
+    if (!isNaN(target)) {
+      let best = null;
+      let bestScore = Infinity;
+      onStreet.forEach((row) => {
+        const value = houseNumberValue(row[1]);
+        if (isNaN(value)) return;
+        const score = Math.abs(value - target) + (value % 2 === target % 2 ? 0 : 1000);
+        if (score < bestScore) {
+          best = row;
+          bestScore = score;
+        }
+      });
+      if (best) return { row: best, quality: MATCH_QUALITY.STREET };
+    }
+  }
+
+  // Street only: use the middle address as a representative point
+  return { row: onStreet[Math.floor(onStreet.length / 2)], quality: MATCH_QUALITY.STREET };
+}
@@ -0,0 +1,217 @@
+/**
+ * Address Parsing & Normalisation
+ *
+ * Shared by the browser address search and the gazetteer pipeline scripts so
+ * that "12 Smith Street, Epping" typed by a user, "12 SMITH ST" from the Valuer
+ * General sales data and "SMITH STREET" from G-NAF all reduce to the same key.
+ */
+
+// Full street type → abbreviation used by NSW Valuer General sales data
+export const STREET_TYPE_ABBREVIATIONS = {
+  ALLEY: 'ALLY',
+  ARCADE: 'ARC',
+  AVENUE: 'AVE',
+  AV: 'AVE',
+  BOULEVARD: 'BVD',
+  BOULEVARDE: 'BVD',
+  BLVD: 'BVD',
+  CIRCUIT: 'CCT',
+  CIRCLE: 'CIR',
+  CLOSE: 'CL',
+  CORNER: 'CNR',
+  COURT: 'CT',
+  CRESCENT: 'CRES',
+  CRS: 'CRES',
+  DRIVE: 'DR',
+  DRIVEWAY: 'DRWY',
+  ESPLANADE: 'ESP',
+  GLADE: 'GLD',
+  GROVE: 'GR',
+  HIGHWAY: 'HWY',
+  LN: 'LANE',
+  PARADE: 'PDE',
+  PARKWAY: 'PKWY',
+  PLACE: 'PL',
+  QUAY: 'QY',
+  RIDGE: 'RDGE',
+  ROAD: 'RD',
+  ROADWAY: 'RDWY',
+  SQUARE: 'SQ',
+  STREET: 'ST',
+  TERRACE: 'TCE',
+  TRACK: 'TRK',
+  WALKWAY: 'WKWY',
+};
+
+const STREET_TYPES = new Set([
+  ...Object.keys(STREET_TYPE_ABBREVIATIONS),
+  ...Object.values(STREET_TYPE_ABBREVIATIONS),
+  'WAY', 'LANE', 'LOOP', 'MALL', 'MEWS', 'RISE', 'ROW', 'RUN', 'VIEW', 'CH',
+]);
+
+const DIRECTION_SUFFIXES = new Set(['N', 'S', 'E', 'W', 'NORTH', 'SOUTH', 'EAST', 'WEST']);
+
+function cleanText(value) {
+  return String(value || '')
+    .toUpperCase()
+    .replace(/[.,'’]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalise a street name so the street type is always abbreviated
+ * e.g. "Smith Street" → "SMITH ST", "Pacific Highway North" → "PACIFIC HWY NORTH"
+ * @param {string} streetName
+ * @returns {string}
+ */
+export function normalizeStreetName(streetName) {
+  const words = cleanText(streetName).split(' ').filter(Boolean);
+  if (words.length < 2) return words.join(' ');
+
+  // The type sits before an optional direction suffix
+  const typeIndex = DIRECTION_SUFFIXES.has(words[words.length - 1]) && words.length > 2
+    ? words.length - 2
+    : words.length - 1;
+
+  const type = words[typeIndex];
+  words[typeIndex] = STREET_TYPE_ABBREVIATIONS[type] || type;
+  return words.join(' ');
+}
+
+/**
+ * Normalise a house number: "20 B" → "20B", "20-22" → "20"
+ * @param {string|number} houseNumber
+ * @returns {string}
+ */
+export function normalizeHouseNumber(houseNumber) {
+  const value = cleanText(houseNumber).replace(/\s+/g, '');
+  const match = value.match(/^(\d+[A-Z]?)/);
+  return match ? match[1] : value;
+}
+
+/**
+ * Normalise a suburb/locality name
+ * @param {string} suburb
+ * @returns {string}
+ */
+export function normalizeSuburb(suburb) {
+  return cleanText(suburb);
+}
+
+/**
+ * Build a file-safe slug for a locality shard, e.g. "epping-2121"
+ * @param {string} suburb
+ * @param {string|number} postcode
+ * @returns {string}
+ */
+export function localitySlug(suburb, postcode) {
+  const name = normalizeSuburb(suburb).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return postcode ? `${name}-${postcode}` : name;
+}
+
+const UNIT_PREFIX = /^(UNIT|APARTMENT|APT|FLAT|SHOP|SUITE|U)\s+/;
+
+/**
+ * Split the street portion of an address into unit, number and street
+ * e.g. "Unit 3/12 Smith St" or "Unit 3 12 Smith St" →
+ *   { unit: '3', number: '12', street: 'SMITH ST' }
+ */
+function parseStreetPart(text) {
+  const cleaned = cleanText(text);
+  const hasUnitPrefix = UNIT_PREFIX.test(cleaned);
+  const value = cleaned.replace(UNIT_PREFIX, '');
+
+  // "3/12 Smith St", or "3 12 Smith St" after a unit keyword
+  const unitPattern = hasUnitPrefix
+    ? /^([0-9A-Z]+)\s*(?:\/\s*|\s)(\d+[A-Z]?(?:\s*-\s*\d+[A-Z]?)?)\s+(.+)$/
+    : /^([0-9A-Z]+)\s*\/\s*(\d+[A-Z]?(?:\s*-\s*\d+[A-Z]?)?)\s+(.+)$/;
+  const withUnit = value.match(unitPattern);
+  if (withUnit) {
+    return {
+      unit: withUnit[1],
+      number: normalizeHouseNumber(withUnit[2]),
+      street: withUnit[3],
+    };
+  }
+
+  const withNumber = value.match(/^(\d+\s?[A-Z]?(?:\s*-\s*\d+[A-Z]?)?)\s+(.+)$/);
+  if (withNumber) {
+    return { unit: null, number: normalizeHouseNumber(withNumber[1]), street: withNumber[2] };
+  }
+
+  return { unit: null, number: null, street: value };
+}
+
+/**
+ * Parse a free-text address query
+ * e.g. "12 Smith St, Epping NSW 2121" →
+ *   { unit: null, number: '12', street: 'SMITH ST', suburb: 'EPPING', postcode: '2121' }
+ *
+ * Without a comma a direction word after the street type is ambiguous:
+ * "5 Pacific Highway North Sydney" is in North Sydney, not Sydney. It stays
+ * with the suburb unless isLocality says only the shorter suburb exists.
+ * @param {string} query
+ * @param {object} [options]
+ * @param {function} [options.isLocality] - (normalised suburb) => whether it is a known locality
+ * @returns {object|null} Parsed address or null if nothing usable was found
+ */
+export function parseAddressQuery(query, { isLocality } = {}) {
+  let text = String(query || '').toUpperCase().trim();
+  if (!text) return null;
+
+  // Postcode and state are optional and always trail the address
+  let postcode = null;
+  const postcodeMatch = text.match(/\b(\d{4})\s*$/);
+  if (postcodeMatch) {
+    postcode = postcodeMatch[1];
+    text = text.slice(0, postcodeMatch.index).trim();
+  }
+  text = text.replace(/[,\s]+(NSW|NEW SOUTH WALES)\s*$/, '').replace(/,\s*$/, '').trim();
+
+  let streetPart = text;
+  let suburb = '';
+
+  if (text.includes(',')) {
+    const commaIndex = text.lastIndexOf(',');
+    streetPart = text.slice(0, commaIndex);
+    suburb = text.slice(commaIndex + 1);
+  } else {
+    // No comma: the suburb is whatever follows the last street type word
+    const words = cleanText(text).split(' ');
+    let typeIndex = -1;
+    words.forEach((word, index) => {
+      if (index > 0 && STREET_TYPES.has(word)) typeIndex = index;
+    });
+    if (typeIndex > 0 && typeIndex < words.length - 1) {
+      const hasDirection = DIRECTION_SUFFIXES.has(words[typeIndex + 1]) && typeIndex + 2 < words.length;
+      const absorbDirection = hasDirection && Boolean(isLocality)
+        && !isLocality(words.slice(typeIndex + 1).join(' '))
+        && isLocality(words.slice(typeIndex + 2).join(' '));
+      const splitAt = absorbDirection ? typeIndex + 2 : typeIndex + 1;
+      streetPart = words.slice(0, splitAt).join(' ');
+      suburb = words.slice(splitAt).join(' ');
+    }
+  }
+
+  const { unit, number, street } = parseStreetPart(streetPart);
+
+  return {
+    unit,
+    number,
+    street: street ? normalizeStreetName(street) : null,
+    suburb: normalizeSuburb(suburb) || null,
+    postcode,
+  };
+}
+
+/**
+ * Format a parsed address for display
+ * @param {object} address - { unit, number, street, suburb, postcode }
+ * @returns {string}
+ */
+export function formatAddress({ unit, number, street, suburb, postcode }) {
+  const streetLine = [unit && number ? `${unit}/${number}` : number, street].filter(Boolean).join(' ');
+  const localityLine = [suburb, postcode].filter(Boolean).join(' ');
+  return [streetLine, localityLine].filter(Boolean).join(', ');
+}
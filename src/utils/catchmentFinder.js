@@ -0,0 +1,52 @@
+/**
+ * Catchment Finder
+ *
+ * Answers "which catchments of well-ranked schools fit this budget?" by
+ * combining the school rankings with the typical (median) price of sales in
+ * each catchment, or in the school's suburb when the catchment has none.
+ */
+
+export const RANK_FILTER_OPTIONS = [
+  { value: 'top', label: 'Top N' },
+  { value: 'percentile', label: 'Min percentile' },
+];
+
+export const DEFAULT_FINDER_CRITERIA = {
+  budget: 1500000,
+  propertyType: 'all', // 'all' or a PROPERTY_TYPE_GROUPS key
+  level: 'secondary',  // 'primary' | 'secondary'
+  rankFilter: 'top',   // 'top' | 'percentile'
+  rankValue: 50,       // top N ranks, or minimum percentile (0-100)
+};
+
+/**
+ * Share of ranked schools a rank beats, 100 for rank 1
+ * @param {number} rank - 1 = best
+ * @param {number} totalRanked
+ * @returns {number} Percentile 0-100, rounded
+ */
+export function getRankPercentile(rank, totalRanked) {
+  if (!rank || !totalRanked) return null;
+  if (totalRanked <= 1) return 100;
+  return Math.round((1 - (rank - 1) / (totalRanked - 1)) * 100);
+}
+
+/**
+ * Whether a school's rank passes the finder's ranking threshold
+ */
+export function meetsRankThreshold(rank, totalRanked, { rankFilter, rankValue }) {
+  if (!rank) return false;
+  if (rankFilter === 'percentile') return getRankPercentile(rank, totalRanked) >= rankValue;
+  return rank <= rankValue;
+}
+
+/**
+ * Sort finder results in place
+ * @param {Array} results - { rank, price } rows
+ * @param {string} sortBy - 'rank' | 'price'
+ */
+export function sortFinderResults(results, sortBy = 'rank') {
+  return results.sort((a, b) => (sortBy === 'price'
+    ? a.price - b.price || a.rank - b.rank
+    : a.rank - b.rank || a.price - b.price));
+}
@@ -0,0 +1,49 @@
+/**
+ * Catchment Tile Cache
+ *
+ * Fetches each catchment tile (see utils/catchmentTiles.js) once per session,
+ * shared by the map's viewport loader and the full-detail lookups in appStore.
+ */
+
+import { getTilePath } from './catchmentTiles';
+
+const tileCache = new Map();
+
+// A feature spanning tiles is parsed once per tile. Keeping one object per
+// type, level and id lets CatchmentLayer keep the layers of features that
+// stay in view while tiles come and go.
+const canonicalFeatures = new Map();
+
+function toCanonicalFeatures(type, levelId, tile) {
+  const features = (tile.features || []).map((feature) => {
+    const id = `${type}:${levelId}:${feature.id}`;
+    if (!canonicalFeatures.has(id)) canonicalFeatures.set(id, feature);
+    return canonicalFeatures.get(id);
+  });
+  return { ...tile, features };
+}
+
+/**
+ * Load one catchment tile
+ * @param {string} type - 'primary' | 'secondary' | 'future'
+ * @param {number} levelId
+ * @param {string} key - Tile key "x_y"
+ * @returns {Promise<object>} FeatureCollection
+ */
+export function loadCatchmentTile(type, levelId, key) {
+  const path = getTilePath(type, levelId, key);
+  if (!tileCache.has(path)) {
+    const promise = fetch(`${import.meta.env.BASE_URL}data/${path}`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Failed to load ${path}`);
+        return res.json();
+      })
+      .then((tile) => toCanonicalFeatures(type, levelId, tile))
+      .catch((err) => {
+        tileCache.delete(path);
+        throw err;
+      });
+    tileCache.set(path, promise);
+  }
+  return tileCache.get(path);
+}
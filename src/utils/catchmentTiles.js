@@ -0,0 +1,107 @@
+/**
+ * Catchment Tiles
+ *
+ * Catchment boundaries are pre-simplified into a few detail levels and each
+ * level is split into Web Mercator tiles (see scripts/buildCatchmentTiles.js),
+ * so the map only downloads the vertices it can actually show.
+ *
+ * A feature is written whole into every tile its bounding box touches, so
+ * features spanning tiles appear more than once and are de-duplicated by id
+ * when tiles are merged.
+ */
+
+export const CATCHMENT_TILE_TYPES = ['primary', 'secondary', 'future'];
+
+// Detail levels, coarsest first. Each applies from its minZoom until the next
+// level's minZoom. Tolerance is in degrees (0.001° ≈ 100 m in Sydney).
+export const CATCHMENT_TILE_LEVELS = [
+  { id: 0, minZoom: 0, tolerance: 0.002, precision: 4, tileZoom: 7 },
+  { id: 1, minZoom: 11, tolerance: 0.0004, precision: 5, tileZoom: 9 },
+  { id: 2, minZoom: 14, tolerance: 0.00005, precision: 6, tileZoom: 11 },
+];
+
+/**
+ * Pick the detail level for a map zoom
+ * @param {Array} levels - Levels from the tile index, coarsest first
+ * @param {number} zoom - Map zoom
+ * @returns {object} Level definition
+ */
+export function getTileLevel(levels, zoom) {
+  return levels.reduce((match, level) => (zoom >= level.minZoom ? level : match), levels[0]);
+}
+
+/**
+ * The most detailed level, used to look up which catchments cover a point
+ * and to measure them, rather than whatever the map is currently showing
+ * @param {Array} levels - Levels from the tile index, coarsest first
+ * @returns {object} Level definition
+ */
+export function getLookupLevel(levels) {
+  return levels[levels.length - 1];
+}
+
+/**
+ * Web Mercator tile containing a position
+ * @param {number} lng
+ * @param {number} lat
+ * @param {number} zoom - Tile zoom
+ * @returns {number[]} [x, y]
+ */
+export function lngLatToTile(lng, lat, zoom) {
+  const n = 2 ** zoom;
+  const clampedLat = Math.max(-85.0511, Math.min(85.0511, lat));
+  const latRad = (clampedLat * Math.PI) / 180;
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
+  return [Math.min(Math.max(x, 0), n - 1), Math.min(Math.max(y, 0), n - 1)];
+}
+
+/**
+ * Keys ("x_y") of every tile covering a bounding box
+ * @param {number[]} bounds - [minLng, minLat, maxLng, maxLat]
+ * @param {number} zoom - Tile zoom
+ * @returns {string[]}
+ */
+export function getTileKeysForBounds([minLng, minLat, maxLng, maxLat], zoom) {
+  const [minX, minY] = lngLatToTile(minLng, maxLat, zoom);
+  const [maxX, maxY] = lngLatToTile(maxLng, minLat, zoom);
+
+  const keys = [];
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      keys.push(`${x}_${y}`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Path of a tile file relative to the data directory
+ * @param {string} type - 'primary' | 'secondary' | 'future'
+ * @param {number} levelId
+ * @param {string} key - Tile key "x_y"
+ * @returns {string}
+ */
+export function getTilePath(type, levelId, key) {
+  return `catchments/${type}/${levelId}/${key}.json`;
+}
+
+/**
+ * Merge tile FeatureCollections, keeping one copy of each feature
+ * @param {Array} tiles - FeatureCollections
+ * @returns {object} FeatureCollection
+ */
+export function mergeTileFeatures(tiles) {
+  const seen = new Set();
+  const features = [];
+
+  tiles.forEach((tile) => {
+    (tile?.features || []).forEach((feature) => {
+      if (seen.has(feature.id)) return;
+      seen.add(feature.id);
+      features.push(feature);
+    });
+  });
+
+  return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,176 @@
+/**
+ * Future Catchment Timeline
+ *
+ * Future catchment features carry the calendar year from which the new
+ * boundary applies to each grade (KINDERGART, YEAR1 ... YEAR12; 0 = not
+ * applicable). Until that year the school's current boundary still applies
+ * to that grade.
+ */
+
+export const GRADE_OPTIONS = [
+  { value: 'KINDERGART', label: 'Kindergarten' },
+  { value: 'YEAR1', label: 'Year 1' },
+  { value: 'YEAR2', label: 'Year 2' },
+  { value: 'YEAR3', label: 'Year 3' },
+  { value: 'YEAR4', label: 'Year 4' },
+  { value: 'YEAR5', label: 'Year 5' },
+  { value: 'YEAR6', label: 'Year 6' },
+  { value: 'YEAR7', label: 'Year 7' },
+  { value: 'YEAR8', label: 'Year 8' },
+  { value: 'YEAR9', label: 'Year 9' },
+  { value: 'YEAR10', label: 'Year 10' },
+  { value: 'YEAR11', label: 'Year 11' },
+  { value: 'YEAR12', label: 'Year 12' },
+];
+
+const GRADE_FIELDS = GRADE_OPTIONS.map((g) => g.value);
+const SECONDARY_GRADES = new Set(['YEAR7', 'YEAR8', 'YEAR9', 'YEAR10', 'YEAR11', 'YEAR12']);
+
+/**
+ * Get the catchment level ('primary' | 'secondary') a grade belongs to
+ * @param {string} grade - Grade field name, e.g. 'YEAR7'
+ * @returns {string}
+ */
+export function getGradeLevel(grade) {
+  return SECONDARY_GRADES.has(grade) ? 'secondary' : 'primary';
+}
+
+/**
+ * Get the display label for a grade field
+ * @param {string} grade
+ * @returns {string}
+ */
+export function getGradeLabel(grade) {
+  return GRADE_OPTIONS.find((g) => g.value === grade)?.label || grade;
+}
+
+/**
+ * Start year of a future catchment, for one grade or the earliest across all grades
+ * @param {object} properties - Future catchment feature properties
+ * @param {string} [grade] - Grade field name
+ * @returns {number|null} Calendar year, or null if the boundary never applies
+ */
+export function getFutureStartYear(properties, grade) {
+  if (!properties) return null;
+
+  if (grade) {
+    const year = Number(properties[grade]);
+    return year > 0 ? year : null;
+  }
+
+  const years = GRADE_FIELDS.map((field) => Number(properties[field])).filter((y) => y > 0);
+  return years.length > 0 ? Math.min(...years) : null;
+}
+
+/**
+ * Check whether a future boundary is in force for a grade in a given year
+ * @param {object} properties - Future catchment feature properties
+ * @param {string} grade - Grade field name
+ * @param {number} year - Calendar year
+ * @returns {boolean}
+ */
+export function isFutureCatchmentActive(properties, grade, year) {
+  const startYear = getFutureStartYear(properties, grade);
+  return startYear !== null && year >= startYear;
+}
+
+/**
+ * Earliest and latest start years found in the future catchments
+ * @param {object} futureCollection - Future catchments FeatureCollection
+ * @returns {object|null} { min, max }
+ */
+export function getFutureYearRange(futureCollection) {
+  const years = [];
+  (futureCollection?.features || []).forEach((feature) => {
+    GRADE_FIELDS.forEach((field) => {
+      const year = Number(feature.properties?.[field]);
+      if (year > 0) years.push(year);
+    });
+  });
+
+  if (years.length === 0) return null;
+  return { min: Math.min(...years), max: Math.max(...years) };
+}
+
+/**
+ * Work out which boundaries apply to a grade in a given year.
+ * Current boundaries are dropped for schools whose future boundary has taken
+ * effect for that grade, and only future boundaries already in force are kept.
+ * @param {object} catchments - { primary, secondary, future } FeatureCollections
+ * @param {string} grade - Grade field name
+ * @param {number} year - Calendar year
+ * @returns {object} { level, current, future } where current/future are FeatureCollections
+ */
+export function getCatchmentsForYear(catchments, grade, year) {
+  const level = getGradeLevel(grade);
+
+  const activeFuture = (catchments.future?.features || []).filter((feature) =>
+    isFutureCatchmentActive(feature.properties, grade, year)
+  );
+  const supersededCodes = new Set(activeFuture.map((f) => String(f.properties?.USE_ID)));
+
+  const currentFeatures = (catchments[level]?.features || []).filter(
+    (feature) => !supersededCodes.has(String(feature.properties?.USE_ID))
+  );
+
+  return {
+    level,
+    current: { type: 'FeatureCollection', features: currentFeatures },
+    future: { type: 'FeatureCollection', features: activeFuture },
+  };
+}
+
+/**
+ * Summarise a school's future boundary start years, grouping consecutive grades
+ * that change in the same year, e.g. [{ from: 'Kindergarten', to: 'Year 2', year: 2026 }]
+ * @param {object} futureCollection - Future catchments FeatureCollection
+ * @param {string|number} schoolCode - School code (USE_ID)
+ * @returns {Array} Grade ranges with their start year and priority flag
+ */
+export function getSchoolTimeline(futureCollection, schoolCode) {
+  const features = (futureCollection?.features || []).filter(
+    (f) => String(f.properties?.USE_ID) === String(schoolCode)
+  );
+
+  const ranges = [];
+  features.forEach((feature) => {
+    let current = null;
+    GRADE_OPTIONS.forEach((grade) => {
+      const year = getFutureStartYear(feature.properties, grade.value);
+      if (year && current && current.year === year) {
+        current.to = grade.label;
+        return;
+      }
+      if (current) ranges.push(current);
+      current = year ? {
+        from: grade.label,
+        to: grade.label,
+        year,
+        priority: feature.properties?.PRIORITY === 'Y',
+      } : null;
+    });
+    if (current) ranges.push(current);
+  });
+
+  return ranges;
+}
+
+/**
+ * Which boundary a school uses for a grade in a given year
+ * @param {object} futureCollection - Future catchments FeatureCollection
+ * @param {string|number} schoolCode - School code (USE_ID)
+ * @param {string} grade - Grade field name
+ * @param {number} year - Calendar year
+ * @returns {object} { boundary: 'future' | 'current' | 'unchanged', startYear }
+ */
+export function getSchoolBoundaryForYear(futureCollection, schoolCode, grade, year) {
+  const startYears = (futureCollection?.features || [])
+    .filter((f) => String(f.properties?.USE_ID) === String(schoolCode))
+    .map((f) => getFutureStartYear(f.properties, grade))
+    .filter(Boolean);
+
+  if (startYears.length === 0) return { boundary: 'unchanged', startYear: null };
+
+  const startYear = Math.min(...startYears);
+  return { boundary: year >= startYear ? 'future' : 'current', startYear };
+}
@@ -33,6 +33,25 @@ export const CATCHMENT_COLORS = {
   },
 };
 
+// Current vs future boundary change colors
+export const CATCHMENT_CHANGE_COLORS = {
+  added: {
+    fill: '#0d9488',
+    stroke: '#0f766e',
+    label: 'Added',
+  },
+  removed: {
+    fill: '#dc2626',
+    stroke: '#b91c1c',
+    label: 'Removed',
+  },
+  unchanged: {
+    fill: '#94a3b8',
+    stroke: '#64748b',
+    label: 'Unchanged',
+  },
+};
+
 // Catchment hover colors
 export const CATCHMENT_HOVER_COLORS = {
   primary: {
@@ -76,6 +95,7 @@ export const SELECTIVE_OPTIONS = [
 
 // Catchment type labels
 export const CATCHMENT_TYPE_LABELS = {
+  PRIMARY: 'Primary',
   PRIMARY_COED: 'Primary (Coed)',
   PRIMARY_BOYS: 'Primary (Boys)',
   PRIMARY_GIRLS: 'Primary (Girls)',
@@ -0,0 +1,283 @@
+/**
+ * Geometry Utilities
+ *
+ * Lightweight GeoJSON helpers for working with catchment polygons without a
+ * GIS dependency. Coordinates follow GeoJSON order: [longitude, latitude].
+ */
+
+/**
+ * Ray-casting test for a point inside a single linear ring
+ * @param {number[]} point - [lng, lat]
+ * @param {Array} ring - Array of [lng, lat] positions
+ * @returns {boolean}
+ */
+function pointInRing(point, ring) {
+  const [x, y] = point;
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = (yi > y) !== (yj > y) &&
+      x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Test a point against polygon rings (outer ring first, then holes)
+ * @param {number[]} point - [lng, lat]
+ * @param {Array} rings - Polygon coordinates
+ * @returns {boolean}
+ */
+function pointInPolygonRings(point, rings) {
+  if (!rings?.length || !pointInRing(point, rings[0])) return false;
+  for (let i = 1; i < rings.length; i++) {
+    if (pointInRing(point, rings[i])) return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether a GeoJSON Polygon/MultiPolygon geometry contains a point
+ * @param {object} geometry - GeoJSON geometry
+ * @param {number[]} point - [lng, lat]
+ * @returns {boolean}
+ */
+export function geometryContainsPoint(geometry, point) {
+  if (!geometry) return false;
+
+  if (geometry.type === 'Polygon') {
+    return pointInPolygonRings(point, geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some((rings) => pointInPolygonRings(point, rings));
+  }
+  return false;
+}
+
+/**
+ * Compute the bounding box of a GeoJSON geometry
+ * @param {object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {number[]|null} [minLng, minLat, maxLng, maxLat]
+ */
+export function getGeometryBounds(geometry) {
+  if (!geometry) return null;
+
+  const polygons = geometry.type === 'Polygon'
+    ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  polygons.forEach((rings) => {
+    (rings[0] || []).forEach(([x, y]) => {
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+    });
+  });
+
+  return minX === Infinity ? null : [minX, minY, maxX, maxY];
+}
+
+// Bounding boxes are cached per feature object so repeated lookups against the
+// same FeatureCollection only pay for the bbox scan once.
+const boundsCache = new WeakMap();
+
+function getFeatureBounds(feature) {
+  if (!boundsCache.has(feature)) {
+    boundsCache.set(feature, getGeometryBounds(feature.geometry));
+  }
+  return boundsCache.get(feature);
+}
+
+/**
+ * Find every feature in a FeatureCollection whose polygon contains a point
+ * @param {object} collection - GeoJSON FeatureCollection
+ * @param {number[]} point - [lng, lat]
+ * @returns {Array} Matching features
+ */
+export function findFeaturesContainingPoint(collection, point) {
+  if (!collection?.features) return [];
+
+  const [x, y] = point;
+  return collection.features.filter((feature) => {
+    const bounds = getFeatureBounds(feature);
+    if (!bounds) return false;
+    if (x < bounds[0] || x > bounds[2] || y < bounds[1] || y > bounds[3]) return false;
+    return geometryContainsPoint(feature.geometry, point);
+  });
+}
+
+const EARTH_RADIUS_M = 6378137;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Approximate area of a linear ring on the sphere, in square metres
+ * @param {Array} ring - Array of [lng, lat] positions
+ * @returns {number} Absolute area
+ */
+function ringArea(ring) {
+  const n = ring.length;
+  if (n < 3) return 0;
+
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    const [lngPrev] = ring[(i + n - 1) % n];
+    const [, lat] = ring[i];
+    const [lngNext] = ring[(i + 1) % n];
+    total += (toRadians(lngNext) - toRadians(lngPrev)) * Math.sin(toRadians(lat));
+  }
+
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+/**
+ * Great-circle (haversine) distance between two positions, in km
+ * @param {number[]} from - [lng, lat]
+ * @param {number[]} to - [lng, lat]
+ * @returns {number}
+ */
+export function getDistanceKm([lng1, lat1], [lng2, lat2]) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return (2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a))) / 1000;
+}
+
+/**
+ * Area of a GeoJSON Polygon/MultiPolygon geometry in km² (holes subtracted)
+ * @param {object} geometry - GeoJSON geometry
+ * @returns {number}
+ */
+export function getGeometryAreaKm2(geometry) {
+  if (!geometry) return 0;
+
+  const polygons = geometry.type === 'Polygon'
+    ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+  const squareMetres = polygons.reduce((sum, rings) => {
+    const [outer, ...holes] = rings;
+    return sum + ringArea(outer || []) - holes.reduce((h, ring) => h + ringArea(ring), 0);
+  }, 0);
+
+  return squareMetres / 1e6;
+}
+
+/**
+ * Squared distance from a point to a segment, in coordinate units
+ */
+function segmentDistanceSq([px, py], [ax, ay], [bx, by]) {
+  let dx = bx - ax;
+  let dy = by - ay;
+  let x = ax;
+  let y = ay;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      x = bx;
+      y = by;
+    } else if (t > 0) {
+      x = ax + dx * t;
+      y = ay + dy * t;
+    }
+  }
+
+  dx = px - x;
+  dy = py - y;
+  return dx * dx + dy * dy;
+}
+
+/**
+ * Douglas-Peucker simplification of a closed ring (iterative, so long
+ * coastline rings don't overflow the stack)
+ * @param {Array} ring - Closed array of [lng, lat] positions
+ * @param {number} tolerance - Maximum deviation in degrees
+ * @returns {Array} Simplified closed ring
+ */
+function simplifyRing(ring, tolerance) {
+  const last = ring.length - 1;
+  if (last < 4) return ring;
+
+  const toleranceSq = tolerance * tolerance;
+  const keep = new Uint8Array(ring.length);
+  keep[0] = 1;
+  keep[last] = 1;
+
+  // The ring is closed, so split it at its farthest vertex from the start
+  let split = 1;
+  let splitDistance = -1;
+  for (let i = 1; i < last; i++) {
+    const dx = ring[i][0] - ring[0][0];
+    const dy = ring[i][1] - ring[0][1];
+    if (dx * dx + dy * dy > splitDistance) {
+      splitDistance = dx * dx + dy * dy;
+      split = i;
+    }
+  }
+  keep[split] = 1;
+
+  const stack = [[0, split], [split, last]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDistance = toleranceSq;
+    let index = -1;
+
+    for (let i = start + 1; i < end; i++) {
+      const distance = segmentDistanceSq(ring[i], ring[start], ring[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1) {
+      keep[index] = 1;
+      stack.push([start, index], [index, end]);
+    }
+  }
+
+  return ring.filter((_, i) => keep[i]);
+}
+
+/**
+ * Simplify a Polygon/MultiPolygon and round its coordinates.
+ * Holes that collapse are dropped; outer rings that collapse keep their
+ * original vertices so no catchment disappears at low zoom.
+ * @param {object} geometry - GeoJSON geometry
+ * @param {number} tolerance - Maximum deviation in degrees
+ * @param {number} [precision=6] - Decimal places to keep
+ * @returns {object} New geometry
+ */
+export function simplifyGeometry(geometry, tolerance, precision = 6) {
+  if (!geometry) return geometry;
+
+  const factor = 10 ** precision;
+  const round = ([x, y]) => [Math.round(x * factor) / factor, Math.round(y * factor) / factor];
+
+  const simplifyRings = (rings) => rings
+    .map((ring, i) => {
+      const simplified = simplifyRing(ring, tolerance).map(round);
+      if (simplified.length >= 4) return simplified;
+      return i === 0 ? ring.map(round) : null;
+    })
+    .filter(Boolean);
+
+  if (geometry.type === 'Polygon') {
+    return { type: 'Polygon', coordinates: simplifyRings(geometry.coordinates) };
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(simplifyRings) };
+  }
+  return geometry;
+}
@@ -0,0 +1,106 @@
+/**
+ * Growth Heat Map Utilities
+ *
+ * Colours catchments by annual price growth from the repeat-sales index
+ * (repeat_sales_index.json). The scale diverges around zero: red for falling
+ * prices, pale slate for flat, teal for rising.
+ */
+
+const NO_DATA_COLOR = '#94a3b8';
+
+const GROWTH_COLORS = {
+  fall: { r: 220, g: 38, b: 38 },   // Red - #dc2626
+  flat: { r: 241, g: 245, b: 249 }, // Slate - #f1f5f9
+  rise: { r: 15, g: 118, b: 110 },  // Teal - #0f766e
+};
+
+// Used until growth figures are loaded: ±8% a year
+export const DEFAULT_GROWTH_RANGE = { maxAbs: 0.08 };
+
+function interpolateColor(color1, color2, factor) {
+  return {
+    r: Math.round(color1.r + (color2.r - color1.r) * factor),
+    g: Math.round(color1.g + (color2.g - color1.g) * factor),
+    b: Math.round(color1.b + (color2.b - color1.b) * factor),
+  };
+}
+
+function rgbToHex({ r, g, b }) {
+  return `#${((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1)}`;
+}
+
+/**
+ * Get heat map color for an annual growth rate
+ * @param {number} growth - Annual growth as a fraction (0.05 = 5% a year)
+ * @param {object} range - { maxAbs } growth at which the colour saturates
+ * @returns {string} Hex color string
+ */
+export function getGrowthColor(growth, range = DEFAULT_GROWTH_RANGE) {
+  if (growth == null || isNaN(growth)) return NO_DATA_COLOR;
+
+  const t = Math.max(-1, Math.min(1, growth / (range?.maxAbs || DEFAULT_GROWTH_RANGE.maxAbs)));
+  const color = t < 0
+    ? interpolateColor(GROWTH_COLORS.flat, GROWTH_COLORS.fall, -t)
+    : interpolateColor(GROWTH_COLORS.flat, GROWTH_COLORS.rise, t);
+  return rgbToHex(color);
+}
+
+export function getGrowthOpacity(hasData) {
+  return hasData ? 0.6 : 0.15;
+}
+
+/**
+ * Symmetric scale from the 90th percentile of absolute growth, so a few
+ * thinly traded areas don't wash out the rest
+ * @param {Array} rows - Index entries with annualGrowth
+ * @returns {object} { maxAbs }
+ */
+export function calculateGrowthRange(rows) {
+  const values = (rows || [])
+    .map((row) => row.annualGrowth)
+    .filter((g) => g != null && !isNaN(g))
+    .map(Math.abs)
+    .sort((a, b) => a - b);
+
+  if (values.length === 0) return DEFAULT_GROWTH_RANGE;
+
+  const maxAbs = values[Math.min(values.length - 1, Math.ceil(values.length * 0.9) - 1)];
+  return { maxAbs: maxAbs > 0 ? maxAbs : DEFAULT_GROWTH_RANGE.maxAbs };
+}
+
+/**
+ * Format annual growth, e.g. "+4.2% p.a."
+ */
+export function formatGrowth(growth) {
+  if (growth == null || isNaN(growth)) return 'N/A';
+  const percent = (growth * 100).toFixed(1);
+  return `${growth > 0 ? '+' : ''}${percent}% p.a.`;
+}
+
+/**
+ * Generate legend stops from the largest fall to the largest rise
+ * @returns {Array} Array of { growth, color, label } objects
+ */
+export function generateGrowthLegendStops(range = DEFAULT_GROWTH_RANGE, stops = 5) {
+  const maxAbs = range?.maxAbs || DEFAULT_GROWTH_RANGE.maxAbs;
+  const result = [];
+  for (let i = 0; i < stops; i++) {
+    const growth = -maxAbs + (2 * maxAbs * i) / (stops - 1);
+    result.push({
+      growth,
+      color: getGrowthColor(growth, range),
+      label: `${growth > 0 ? '+' : ''}${(growth * 100).toFixed(0)}%`,
+    });
+  }
+  return result;
+}
+
+export function getGrowthTier(growth, range = DEFAULT_GROWTH_RANGE) {
+  if (growth == null || isNaN(growth)) return 'No data';
+  const t = growth / (range?.maxAbs || DEFAULT_GROWTH_RANGE.maxAbs);
+  if (t >= 0.6) return 'Strong growth';
+  if (t >= 0.2) return 'Growing';
+  if (t > -0.2) return 'Flat';
+  if (t > -0.6) return 'Softening';
+  return 'Falling';
+}
@@ -0,0 +1,188 @@
+/**
+ * Map URL State
+ *
+ * Encodes the map view in the query part of the hash route (`#/?c=...&z=...`)
+ * so a copied link reopens the same view: centre and zoom, visible layers,
+ * heat map mode and price statistic, filters, catchment timeline, and the
+ * selected and highlighted schools. Defaults are left out to keep links short.
+ */
+
+import { DEFAULT_FILTERS, ADVANCED_FILTER_FIELDS } from './schoolFilters';
+import { DEFAULT_PRICE_METRIC, PRICE_METRICS, PROPERTY_TYPE_GROUPS } from './priceStats';
+import { GRADE_OPTIONS } from './catchmentTimeline';
+import { MIN_ZOOM, MAX_ZOOM } from './constants';
+
+export const HEAT_MAP_MODES = ['none', 'price', 'growth', 'primaryRanking', 'secondaryRanking', 'valueAdd'];
+
+// Layers switched by the heat map mode rather than listed in `layers`
+const HEAT_MAP_LAYERS = new Set([
+  'priceHeatMap',
+  'growthHeatMap',
+  'primaryRankingHeatMap',
+  'secondaryRankingHeatMap',
+  'valueAddHeatMap',
+]);
+
+const COORDINATE_DECIMALS = 5;
+
+/**
+ * Split a location hash into route path and query, e.g.
+ * "#/school/8205?x=1" → { path: '/school/8205', query: 'x=1' }
+ */
+export function parseHash(hash) {
+  const route = (hash || '').replace(/^#/, '') || '/';
+  const queryStart = route.indexOf('?');
+  return queryStart === -1
+    ? { path: route, query: '' }
+    : { path: route.slice(0, queryStart) || '/', query: route.slice(queryStart + 1) };
+}
+
+function parseCodes(value) {
+  return (value || '')
+    .split(',')
+    .map((code) => parseInt(code, 10))
+    .filter((code) => Number.isInteger(code) && code > 0);
+}
+
+// Keep only filter builder values of the shape filterSchools expects
+function parseAdvancedFilters(json) {
+  let raw;
+  try {
+    raw = JSON.parse(json || '{}');
+  } catch {
+    return {};
+  }
+  if (!raw || typeof raw !== 'object') return {};
+
+  const bound = (value) => (Number.isFinite(value) ? value : null);
+  const advanced = {};
+  ADVANCED_FILTER_FIELDS.forEach(({ key, type }) => {
+    const value = raw[key];
+    if (type === 'range' && value && typeof value === 'object') {
+      const range = { min: bound(value.min), max: bound(value.max) };
+      if (range.min !== null || range.max !== null) advanced[key] = range;
+    } else if (type === 'multi' && Array.isArray(value)) {
+      const values = value.filter((v) => typeof v === 'string');
+      if (values.length > 0) advanced[key] = values;
+    }
+  });
+  return advanced;
+}
+
+/**
+ * Query string for the map state held in the store
+ * @param {object} state - App store state
+ * @returns {string} Query without the leading "?"
+ */
+export function serializeMapState(state) {
+  const params = new URLSearchParams();
+  const [lat, lng] = state.mapCenter;
+  params.set('c', `${lat.toFixed(COORDINATE_DECIMALS)},${lng.toFixed(COORDINATE_DECIMALS)}`);
+  params.set('z', String(state.mapZoom));
+  params.set('layers', Object.keys(state.layers)
+    .filter((name) => state.layers[name] && !HEAT_MAP_LAYERS.has(name))
+    .join(','));
+
+  if (state.activeHeatMap !== 'none') params.set('heat', state.activeHeatMap);
+  const { metric, propertyType } = state.priceHeatMapMetric;
+  if (metric !== DEFAULT_PRICE_METRIC.metric) params.set('metric', metric);
+  if (propertyType !== DEFAULT_PRICE_METRIC.propertyType) params.set('type', propertyType);
+
+  const { filters } = state;
+  if (filters.schoolLevel !== DEFAULT_FILTERS.schoolLevel) params.set('level', filters.schoolLevel);
+  if (filters.selective !== DEFAULT_FILTERS.selective) params.set('selective', filters.selective);
+  if (filters.searchQuery) params.set('q', filters.searchQuery);
+  if (Object.keys(filters.advanced).length > 0) params.set('filters', JSON.stringify(filters.advanced));
+
+  if (state.catchmentTimeline.enabled) {
+    params.set('timeline', `${state.catchmentTimeline.grade}:${state.catchmentTimeline.year}`);
+  }
+
+  if (state.selectedSchool) params.set('school', String(state.selectedSchool.School_code));
+  if (state.highlightedSchools.length > 0) params.set('highlight', state.highlightedSchools.join(','));
+
+  // Commas and colons are safe in a query; leaving them readable keeps links legible
+  return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+/**
+ * Read map state from a query string. Settings missing from the link take
+ * their defaults (no heat map, no filters, nothing selected), except the view
+ * and layers which keep the current values. Invalid values are dropped, so a
+ * mangled link still opens with whatever parts survive.
+ * @param {string} query - Query without the leading "?"
+ * @param {Array} layerNames - Layer keys known to the store
+ * @returns {object} { mapCenter?, mapZoom?, layers?, activeHeatMap, priceHeatMapMetric,
+ *   filters, catchmentTimeline, selectedSchoolCode, highlightedSchools }
+ */
+export function parseMapState(query, layerNames) {
+  const params = new URLSearchParams(query);
+  const result = {};
+
+  const [lat, lng] = (params.get('c') || '').split(',').map(Number);
+  if (Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+    result.mapCenter = [lat, lng];
+  }
+  const zoom = Number(params.get('z'));
+  if (params.has('z') && Number.isFinite(zoom)) {
+    result.mapZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+  }
+
+  if (params.has('layers')) {
+    const visible = new Set(params.get('layers').split(','));
+    result.layers = Object.fromEntries(layerNames
+      .filter((name) => !HEAT_MAP_LAYERS.has(name))
+      .map((name) => [name, visible.has(name)]));
+  }
+
+  const heat = params.get('heat');
+  result.activeHeatMap = HEAT_MAP_MODES.includes(heat) ? heat : 'none';
+
+  const metric = params.get('metric');
+  const propertyType = params.get('type');
+  result.priceHeatMapMetric = {
+    metric: PRICE_METRICS[metric] ? metric : DEFAULT_PRICE_METRIC.metric,
+    propertyType: PROPERTY_TYPE_GROUPS[propertyType] ? propertyType : DEFAULT_PRICE_METRIC.propertyType,
+  };
+
+  const filters = { ...DEFAULT_FILTERS, advanced: parseAdvancedFilters(params.get('filters')) };
+  if (['primary', 'secondary', 'infants'].includes(params.get('level'))) filters.schoolLevel = params.get('level');
+  if (['yes', 'no'].includes(params.get('selective'))) filters.selective = params.get('selective');
+  if (params.get('q')) filters.searchQuery = params.get('q');
+  result.filters = filters;
+
+  const [grade, year] = (params.get('timeline') || '').split(':');
+  result.catchmentTimeline = GRADE_OPTIONS.some((option) => option.value === grade) && /^\d{4}$/.test(year || '')
+    ? { enabled: true, grade, year: Number(year) }
+    : { enabled: false };
+
+  result.selectedSchoolCode = parseCodes(params.get('school'))[0] || null;
+  result.highlightedSchools = parseCodes(params.get('highlight'));
+
+  return result;
+}
+
+/**
+ * Hash for the map route carrying the current state, e.g. "#/?c=...&z=..."
+ */
+export function getMapHash(state) {
+  return `#/?${serializeMapState(state)}`;
+}
+
+/**
+ * Hash for the map centred on a school with it selected
+ */
+export function getSchoolMapHash(school, zoom = 14) {
+  const params = new URLSearchParams({ z: String(zoom), school: String(school.School_code) });
+  if (school.Latitude && school.Longitude) {
+    params.set('c', `${school.Latitude.toFixed(COORDINATE_DECIMALS)},${school.Longitude.toFixed(COORDINATE_DECIMALS)}`);
+  }
+  return `#/?${params.toString().replace(/%2C/g, ',')}`;
+}
+
+/**
+ * Hash for a school's profile page
+ */
+export function getSchoolProfileHash(schoolCode) {
+  return `#/school/${schoolCode}`;
+}
@@ -89,16 +89,17 @@ export function getPriceOpacity(hasData) {
  * @param {Array} suburbStats - Array of suburb statistics
  * @param {number} percentileLow - Lower percentile (default 10)
  * @param {number} percentileHigh - Upper percentile (default 90)
+ * @param {Function} getPrice - Reads the price to scale by from a stats row (default avgPrice)
  * @returns {object} { min, max } price range
  */
-export function calculatePriceRange(suburbStats, percentileLow = 10, percentileHigh = 90) {
+export function calculatePriceRange(suburbStats, percentileLow = 10, percentileHigh = 90, getPrice = s => s.avgPrice) {
   if (!suburbStats || suburbStats.length === 0) {
     return DEFAULT_PRICE_RANGE;
   }
 
   // Extract valid prices and sort
   const prices = suburbStats
-    .map(s => s.avgPrice)
+    .map(getPrice)
     .filter(p => p && p > 0)
     .sort((a, b) => a - b);
 
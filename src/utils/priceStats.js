@@ -0,0 +1,89 @@
+/**
+ * Price Distribution Statistics
+ *
+ * Robust price summaries (median, quartiles, trimmed mean) shared by
+ * scripts/exportSalesData.js, which writes them into the suburb, postcode and
+ * catchment stats files, and the app, which picks one as the heat-map metric.
+ *
+ * Definitions match the v_suburb_stats view in scripts/db/schema.sql:
+ * quartiles use the nearest rank (ceil(p * n)), the median averages the two
+ * middle prices when n is even, and the trimmed mean drops floor(n * 10%)
+ * sales from each end.
+ */
+
+export const TRIM_FRACTION = 0.1;
+
+// Valuer General property_type values summarised separately
+export const PROPERTY_TYPE_GROUPS = {
+  residence: { propertyType: 'RESIDENCE', label: 'Houses' },
+  strata: { propertyType: 'STRATA', label: 'Units' },
+  vacantLand: { propertyType: 'VACANT LAND', label: 'Vacant land' },
+};
+
+// Metrics selectable for the price heat map; each is a field of a stats row
+export const PRICE_METRICS = {
+  medianPrice: { label: 'Median', shortLabel: 'median' },
+  trimmedMeanPrice: { label: 'Trimmed mean', shortLabel: 'trimmed mean' },
+  avgPrice: { label: 'Average', shortLabel: 'avg' },
+  p25Price: { label: '25th percentile', shortLabel: 'p25' },
+  p75Price: { label: '75th percentile', shortLabel: 'p75' },
+};
+
+export const DEFAULT_PRICE_METRIC = { metric: 'medianPrice', propertyType: 'all' };
+
+/**
+ * Property type group key for a Valuer General property_type, or null
+ * @param {string} propertyType
+ * @returns {string|null} 'residence' | 'strata' | 'vacantLand' | null
+ */
+export function getPropertyTypeGroup(propertyType) {
+  const entry = Object.entries(PROPERTY_TYPE_GROUPS)
+    .find(([, group]) => group.propertyType === propertyType);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Summarise a list of sale prices
+ * @param {number[]} prices - Prices in any order
+ * @returns {object|null} { count, avgPrice, medianPrice, p25Price, p75Price, trimmedMeanPrice }
+ */
+export function summarizePrices(prices) {
+  const sorted = prices.filter((p) => p > 0).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n === 0) return null;
+
+  const nearestRank = (p) => sorted[Math.max(0, Math.ceil(p * n) - 1)];
+  const median = n % 2 === 1
+    ? sorted[(n - 1) / 2]
+    : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+
+  const trim = Math.floor(n * TRIM_FRACTION);
+  const kept = sorted.slice(trim, n - trim);
+  const mean = (values) => values.reduce((sum, p) => sum + p, 0) / values.length;
+
+  return {
+    count: n,
+    avgPrice: Math.round(mean(sorted)),
+    medianPrice: Math.round(median),
+    p25Price: nearestRank(0.25),
+    p75Price: nearestRank(0.75),
+    trimmedMeanPrice: Math.round(mean(kept)),
+  };
+}
+
+/**
+ * Read a price metric from a suburb, postcode or catchment stats row
+ * Falls back to avgPrice for rows exported before the distribution fields.
+ * @param {object} stats - Stats row
+ * @param {object} [selection] - { metric, propertyType } (propertyType 'all' or a PROPERTY_TYPE_GROUPS key)
+ * @returns {number|null}
+ */
+export function getPriceMetricValue(stats, { metric, propertyType } = DEFAULT_PRICE_METRIC) {
+  if (!stats) return null;
+
+  const allTypes = !propertyType || propertyType === 'all';
+  const source = allTypes ? stats : stats.byPropertyType?.[propertyType];
+  if (!source) return null;
+
+  return source[metric] ?? (allTypes ? source.avgPrice : null) ?? null;
+}
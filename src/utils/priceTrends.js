@@ -0,0 +1,72 @@
+/**
+ * Price Trend Utilities
+ *
+ * Month arithmetic and year-on-year change for the monthly price series in
+ * price_trends.json. The series are written by scripts/exportSalesData.js and
+ * charted in the PropertySalesPanel.
+ *
+ * Months are 'YYYY-MM' strings. Each monthly point is [month, medianPrice, sales].
+ */
+
+// Property type groups (src/utils/priceStats.js) that get a trend series
+export const TREND_PROPERTY_TYPES = ['residence', 'strata'];
+
+// Fewer sales than this in either 12-month window gives no year-on-year figure
+export const MIN_YOY_SALES = 5;
+
+/**
+ * Shift a 'YYYY-MM' month by a number of months
+ * @param {string} month
+ * @param {number} offset - May be negative
+ * @returns {string}
+ */
+export function addMonths(month, offset) {
+  const [year, mon] = month.split('-').map(Number);
+  const index = year * 12 + (mon - 1) + offset;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Every month from start to end inclusive
+ * @returns {string[]}
+ */
+export function getMonthRange(startMonth, endMonth) {
+  const months = [];
+  for (let month = startMonth; month <= endMonth; month = addMonths(month, 1)) {
+    months.push(month);
+  }
+  return months;
+}
+
+/**
+ * Expand a sparse monthly series to one entry per month, with null medians and
+ * zero sales for months without sales
+ * @param {Array} monthly - [month, medianPrice, sales] points
+ * @returns {Array} { month, medianPrice, sales }
+ */
+export function fillMonths(monthly, startMonth, endMonth) {
+  const byMonth = new Map(monthly.map(([month, medianPrice, sales]) => [month, { medianPrice, sales }]));
+  return getMonthRange(startMonth, endMonth).map((month) => ({
+    month,
+    medianPrice: byMonth.get(month)?.medianPrice ?? null,
+    sales: byMonth.get(month)?.sales ?? 0,
+  }));
+}
+
+/**
+ * Year-on-year change of the 12-month median price
+ * @param {object} series - Trend series with last12Months and prior12Months summaries
+ * @returns {object|null} { current, previous, change } with change as a fraction, or null
+ */
+export function getYearOnYearChange(series) {
+  const current = series?.last12Months;
+  const previous = series?.prior12Months;
+  if (!current?.medianPrice || !previous?.medianPrice) return null;
+  if (current.sales < MIN_YOY_SALES || previous.sales < MIN_YOY_SALES) return null;
+
+  return {
+    current: current.medianPrice,
+    previous: previous.medianPrice,
+    change: (current.medianPrice - previous.medianPrice) / previous.medianPrice,
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * Ranking Explanation
+ *
+ * Breaks a school's ranking into the points each factor contributed, for the
+ * "Why ranked here?" section of the school panel. Works on the ranking lookups
+ * in appStore ({ schoolCode: { rank, percentage_score, breakdown } }), whose
+ * breakdown comes from utils/schoolRanking.js.
+ */
+
+import { RANKING_FACTORS } from './schoolRanking';
+
+// Value at a dotted path such as 'academicPerformance.naplan'
+function getInputValue(school, path) {
+  return path.split('.').reduce((value, key) => value?.[key], school);
+}
+
+/**
+ * Whether the data a factor scores is missing for a school
+ * @param {Object} school
+ * @param {Object} factor - Entry of RANKING_FACTORS
+ * @returns {string|null} 'np' (not published), 'none' (no data) or null when present
+ */
+export function getMissingFactorData(school, factor) {
+  const value = getInputValue(school, factor.input || factor.key);
+  if (value === 'np') return 'np';
+  if (value === null || value === undefined || value === '') return 'none';
+  return null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n === 0) return null;
+  return n % 2 === 1 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+}
+
+/**
+ * The median school of a level: its rank, the median score, and the median
+ * points of each factor among schools the factor applies to
+ * @param {Object} rankings - Ranking lookup for one level
+ * @returns {Object|null} { rank, percentage_score, factors: { [factorKey]: points } }
+ */
+export function getMedianRanking(rankings) {
+  const entries = Object.values(rankings || {});
+  if (entries.length === 0) return null;
+
+  return {
+    rank: Math.ceil(entries.length / 2),
+    percentage_score: median(entries.map((entry) => entry.percentage_score)),
+    factors: Object.fromEntries(RANKING_FACTORS.map(({ key }) => [
+      key,
+      median(entries.filter((entry) => entry.breakdown?.[key]?.applicable).map((entry) => entry.breakdown[key].score)),
+    ])),
+  };
+}
+
+/**
+ * Points each applicable factor added to a school's score, in factor order
+ * @param {Object} school
+ * @param {Object} ranking - The school's ranking lookup entry
+ * @param {Object} [medianRanking] - From getMedianRanking for the school's level
+ * @returns {Array} [{ key, label, points, maxPossible, missing, medianPoints }]
+ */
+export function explainRanking(school, ranking, medianRanking = null) {
+  if (!ranking?.breakdown) return [];
+
+  return RANKING_FACTORS
+    .filter(({ key }) => ranking.breakdown[key]?.applicable)
+    .map((factor) => {
+      const { score, maxPossible } = ranking.breakdown[factor.key];
+      return {
+        key: factor.key,
+        label: factor.label,
+        points: score,
+        maxPossible,
+        missing: getMissingFactorData(school, factor),
+        medianPoints: medianRanking?.factors[factor.key] ?? null,
+      };
+    });
+}
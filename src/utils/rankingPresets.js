@@ -0,0 +1,75 @@
+/**
+ * Ranking Weights and Presets
+ *
+ * The primary weights a family has chosen for the school ranking
+ * (utils/schoolRanking.js), plus named presets of weights they have saved,
+ * both kept in localStorage.
+ *
+ * Preset: { id, name, weights, savedAt }
+ */
+
+import { DEFAULT_RANKING_WEIGHTS, normalizeRankingWeights } from './schoolRanking';
+
+export const RANKING_WEIGHTS_STORAGE_KEY = 'sydney-catchment-explorer:ranking-weights';
+export const RANKING_PRESETS_STORAGE_KEY = 'sydney-catchment-explorer:ranking-presets';
+
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createRankingPreset(name, weights) {
+  return {
+    id: createId(),
+    name: name.trim(),
+    weights: normalizeRankingWeights(weights),
+    savedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Read the saved weights; the published defaults when none are saved or
+ * storage is unavailable
+ */
+export function loadRankingWeights(storage = globalThis.localStorage) {
+  try {
+    const saved = storage?.getItem(RANKING_WEIGHTS_STORAGE_KEY);
+    return saved ? normalizeRankingWeights(JSON.parse(saved)) : { ...DEFAULT_RANKING_WEIGHTS };
+  } catch (err) {
+    console.warn('Could not read saved ranking weights:', err.message);
+    return { ...DEFAULT_RANKING_WEIGHTS };
+  }
+}
+
+export function saveRankingWeights(weights, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(RANKING_WEIGHTS_STORAGE_KEY, JSON.stringify(weights));
+  } catch (err) {
+    console.warn('Could not save ranking weights:', err.message);
+  }
+}
+
+export function loadRankingPresets(storage = globalThis.localStorage) {
+  try {
+    const saved = storage?.getItem(RANKING_PRESETS_STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return (Array.isArray(parsed) ? parsed : [])
+      .filter((preset) => preset && typeof preset.name === 'string' && preset.name.trim())
+      .map((preset) => ({
+        id: typeof preset.id === 'string' && preset.id ? preset.id : createId(),
+        name: preset.name.trim(),
+        weights: normalizeRankingWeights(preset.weights),
+        savedAt: typeof preset.savedAt === 'string' ? preset.savedAt : new Date().toISOString(),
+      }));
+  } catch (err) {
+    console.warn('Could not read saved ranking presets:', err.message);
+    return [];
+  }
+}
+
+export function saveRankingPresets(presets, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(RANKING_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  } catch (err) {
+    console.warn('Could not save ranking presets:', err.message);
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Ranking Sensitivity
+ *
+ * The primary weights in docs/SCHOOL_RANKING_WEIGHTS.md are judgement calls,
+ * so this re-ranks schools many times with every weight nudged at random and
+ * reports how far each school's rank moves. Shared by
+ * scripts/analyzeRankingSensitivity.js and the app.
+ *
+ * Each run multiplies every switched-on primary weight by a factor drawn
+ * uniformly from [1 - spread, 1 + spread]. Runs are seeded, so the same
+ * weights and options always give the same result.
+ *
+ * Works on a ranking lookup for one level, as held in appStore:
+ * { schoolCode: { rank, percentage_score, breakdown } }, where breakdown comes
+ * from utils/schoolRanking.js and already holds each factor's secondary weight.
+ * Pass the weights the lookup was ranked with (DEFAULT_RANKING_WEIGHTS for the
+ * published ranks).
+ */
+
+export const SENSITIVITY_DEFAULTS = {
+  runs: 200,
+  spread: 0.25,
+  seed: 1,
+};
+
+// Share of runs the "likely" rank range covers (5th to 95th percentile)
+export const LIKELY_RANK_BAND = 0.9;
+
+// mulberry32: small, fast and good enough to spread weight samples evenly
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Randomly perturbed copies of a set of primary weights
+ * @param {Object} weights - { [factorKey]: weight }
+ * @param {Object} options - { runs, spread, seed }
+ * @returns {Array} One weights object per run
+ */
+export function sampleRankingWeights(weights, { runs, spread, seed }) {
+  const random = createRandom(seed);
+  return Array.from({ length: runs }, () => Object.fromEntries(Object.entries(weights).map(([key, weight]) => (
+    [key, weight * (1 + spread * (2 * random() - 1))]
+  ))));
+}
+
+// A school's applicable factors as parallel arrays of factor index and
+// secondary weight. Factors that don't apply to the school (or are switched
+// off) stay out of its score, as in the engine.
+function toFactorScores(breakdown = {}, factorKeys) {
+  const indexes = [];
+  const secondaryWeights = [];
+  factorKeys.forEach((key, index) => {
+    if (!breakdown[key]?.applicable) return;
+    indexes.push(index);
+    secondaryWeights.push(breakdown[key].secondaryWeight);
+  });
+  return { indexes, secondaryWeights };
+}
+
+// Percentage score under one run's weights (an array in factor order)
+function scoreWithWeights({ indexes, secondaryWeights }, weights) {
+  let total = 0;
+  let max = 0;
+  for (let i = 0; i < indexes.length; i++) {
+    const weight = weights[indexes[i]];
+    total += weight * secondaryWeights[i];
+    max += weight * 10;
+  }
+  return max > 0 ? (total / max) * 100 : 0;
+}
+
+// Value at fraction p of an ascending list (nearest rank)
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+}
+
+/**
+ * Rank spread of schools under perturbed weights
+ * @param {Object} rankings - Ranking lookup for one level
+ * @param {Object} weights - Primary weights the rankings were made with
+ * @param {Object} [options]
+ * @param {Array} [options.schoolCodes] - Only these schools (faster); all by default
+ * @param {number} [options.runs]
+ * @param {number} [options.spread] - Largest relative change to a weight, e.g. 0.25
+ * @param {number} [options.seed]
+ * @returns {Object} { [schoolCode]: { rank, median, likelyLow, likelyHigh, best, worst } }
+ */
+export function analyzeRankingSensitivity(rankings, weights, options = {}) {
+  const {
+    schoolCodes = null,
+    runs = SENSITIVITY_DEFAULTS.runs,
+    spread = SENSITIVITY_DEFAULTS.spread,
+    seed = SENSITIVITY_DEFAULTS.seed,
+  } = options;
+
+  const codes = Object.keys(rankings || {});
+  const targets = schoolCodes ? schoolCodes.map(String).filter((code) => rankings[code]) : codes;
+  if (targets.length === 0) return {};
+
+  const ranksByCode = Object.fromEntries(targets.map((code) => [code, []]));
+  const factorKeys = Object.keys(weights);
+  const factorScores = codes.map((code) => toFactorScores(rankings[code].breakdown, factorKeys));
+  const scores = new Float64Array(codes.length);
+  // Schools with the same score keep their published order, so a run with
+  // unchanged weights reproduces the published ranks
+  const baseRanks = codes.map((code) => rankings[code].rank);
+  const isAhead = (i, j) => scores[i] > scores[j] || (scores[i] === scores[j] && baseRanks[i] < baseRanks[j]);
+
+  const targetIndexes = targets.map((code) => codes.indexOf(code));
+
+  sampleRankingWeights(weights, { runs, spread, seed }).forEach((sample) => {
+    const sampleWeights = factorKeys.map((key) => sample[key]);
+    for (let i = 0; i < codes.length; i++) {
+      scores[i] = scoreWithWeights(factorScores[i], sampleWeights);
+    }
+
+    if (schoolCodes) {
+      // Counting the schools ahead beats sorting when only a few are wanted
+      targets.forEach((code, t) => {
+        const own = targetIndexes[t];
+        let ahead = 0;
+        for (let i = 0; i < scores.length; i++) {
+          if (isAhead(i, own)) ahead++;
+        }
+        ranksByCode[code].push(ahead + 1);
+      });
+    } else {
+      codes
+        .map((code, i) => i)
+        .sort((a, b) => (isAhead(a, b) ? -1 : isAhead(b, a) ? 1 : 0))
+        .forEach((index, position) => ranksByCode[codes[index]].push(position + 1));
+    }
+  });
+
+  const tail = (1 - LIKELY_RANK_BAND) / 2;
+  return Object.fromEntries(targets.map((code) => {
+    const ranks = ranksByCode[code].sort((a, b) => a - b);
+    return [code, {
+      rank: rankings[code].rank,
+      median: percentile(ranks, 0.5),
+      likelyLow: percentile(ranks, tail),
+      likelyHigh: percentile(ranks, 1 - tail),
+      best: ranks[0],
+      worst: ranks[ranks.length - 1],
+    }];
+  }));
+}
+
+/**
+ * "likely 9–22" for a rank spread, or null when the rank never moves
+ */
+export function formatLikelyRankRange(sensitivity) {
+  if (!sensitivity || sensitivity.likelyLow === sensitivity.likelyHigh) return null;
+  return `likely ${sensitivity.likelyLow}–${sensitivity.likelyHigh}`;
+}
@@ -0,0 +1,154 @@
+/**
+ * Repeat-Sales Price Index
+ *
+ * Measures price growth from properties sold more than once (same
+ * district_code + property_id), so changes in the mix of stock sold each year
+ * don't show up as growth. Each pair of consecutive sales gives
+ * ln(later price / earlier price) = index(later year) - index(earlier year),
+ * and the annual index is the least-squares fit over all pairs
+ * (Bailey, Muth & Nourse, 1963).
+ *
+ * Used by scripts/exportSalesData.js to write repeat_sales_index.json.
+ */
+
+// Resales within this many days are usually re-contracts or flips
+export const MIN_HOLD_DAYS = 180;
+
+// Pairs whose price moved more than this per year (in log terms, about
+// +49% / -33%) are most likely renovations or non-market transfers
+export const MAX_ANNUAL_LOG_CHANGE = 0.4;
+
+// Fewest pairs an area needs before an index is published for it
+export const MIN_PAIRS = 10;
+
+// Annual growth is measured over at most this many of the latest index years
+export const GROWTH_YEARS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pair each sale with the previous sale of the same property
+ * @param {Array} sales - { propertyKey, date ('YYYY-MM-DD'), price }, sorted by propertyKey then date
+ * @returns {Array} { fromYear, toYear, logReturn, sale } where sale is the later sale
+ */
+export function buildRepeatSalePairs(sales) {
+  const pairs = [];
+
+  for (let i = 1; i < sales.length; i++) {
+    const earlier = sales[i - 1];
+    const later = sales[i];
+    if (earlier.propertyKey !== later.propertyKey) continue;
+    if (!(earlier.price > 0) || !(later.price > 0)) continue;
+
+    const days = (Date.parse(later.date) - Date.parse(earlier.date)) / DAY_MS;
+    if (days < MIN_HOLD_DAYS) continue;
+
+    const logReturn = Math.log(later.price / earlier.price);
+    if (Math.abs(logReturn / (days / 365.25)) > MAX_ANNUAL_LOG_CHANGE) continue;
+
+    pairs.push({
+      fromYear: Number(earlier.date.slice(0, 4)),
+      toYear: Number(later.date.slice(0, 4)),
+      logReturn,
+      sale: later,
+    });
+  }
+
+  return pairs;
+}
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ * @returns {number[]|null} null when A is singular
+ */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-9) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+/**
+ * Fit an annual repeat-sales index (first year = 100)
+ * Only years that start or end a pair get an index value.
+ * @param {Array} pairs - From buildRepeatSalePairs
+ * @returns {object|null} { pairs, baseYear, index: [[year, value]] }, or null when
+ *   there are too few pairs or the years are not linked by any pair
+ */
+export function estimateRepeatSalesIndex(pairs) {
+  const usable = pairs.filter((p) => p.toYear > p.fromYear);
+  if (usable.length < MIN_PAIRS) return null;
+
+  const years = [...new Set(usable.flatMap((p) => [p.fromYear, p.toYear]))].sort((a, b) => a - b);
+  // The base year is fixed at 0 and left out of the system
+  const column = new Map(years.slice(1).map((year, i) => [year, i]));
+  const size = column.size;
+
+  const A = Array.from({ length: size }, () => new Array(size).fill(0));
+  const b = new Array(size).fill(0);
+
+  usable.forEach(({ fromYear, toYear, logReturn }) => {
+    const i = column.get(toYear);
+    const j = column.get(fromYear);
+    A[i][i] += 1;
+    b[i] += logReturn;
+    if (j !== undefined) {
+      A[j][j] += 1;
+      A[i][j] -= 1;
+      A[j][i] -= 1;
+      b[j] -= logReturn;
+    }
+  });
+
+  const beta = solveLinearSystem(A, b);
+  if (!beta) return null;
+
+  return {
+    pairs: usable.length,
+    baseYear: years[0],
+    index: years.map((year) => [
+      year,
+      Math.round(100 * Math.exp(column.has(year) ? beta[column.get(year)] : 0) * 10) / 10,
+    ]),
+  };
+}
+
+/**
+ * Compound annual growth over the latest index years
+ * @param {Array} index - [[year, value]] sorted by year
+ * @returns {object|null} { annualGrowth, fromYear, toYear } with annualGrowth as a fraction
+ */
+export function getIndexGrowth(index, years = GROWTH_YEARS) {
+  if (!index || index.length < 2) return null;
+
+  const [toYear, toValue] = index[index.length - 1];
+  // Earliest year inside the window, else the latest year before it
+  const inWindow = index.filter(([year]) => year >= toYear - years && year < toYear);
+  const [fromYear, fromValue] = inWindow[0] || index[index.length - 2];
+
+  return {
+    annualGrowth: Math.pow(toValue / fromValue, 1 / (toYear - fromYear)) - 1,
+    fromYear,
+    toYear,
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * School Comparison
+ *
+ * Row definitions for the comparison drawer (one column per highlighted
+ * school) and the best/worst marking within each row. Rows read from a
+ * comparison entry built by getSchoolComparisonEntry in appStore:
+ * { school, level, ranking, totalRanked, catchmentAreaKm2, priceData, growthData }
+ *
+ * Each row has get(entry) → number | null, and either format(value) or, for
+ * rows that aren't a single number, display(entry).
+ *
+ * `better` says which end of a row is best; rows without it are context only.
+ * `optional` rows are left out when none of the schools has a value.
+ */
+
+import { formatPriceShort } from './priceHeatMap';
+import { formatGrowth } from './growthHeatMap';
+import { RANKING_FACTORS } from './schoolRanking';
+
+// Numeric value of a school field; 'np' (not published) and blanks are null
+export function toComparableNumber(value) {
+  if (value === null || value === undefined || value === '' || value === 'np') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+const formatNumber = (digits = 0) => (value) => value.toLocaleString('en-AU', {
+  minimumFractionDigits: digits,
+  maximumFractionDigits: digits,
+});
+const formatPercent = (value) => `${formatNumber(0)(value)}%`;
+
+export const COMPARISON_SECTIONS = [
+  {
+    title: 'School',
+    rows: [
+      { key: 'enrolment', label: 'Enrolment (FTE)', get: (e) => toComparableNumber(e.school.latest_year_enrolment_FTE), format: formatNumber(0) },
+      { key: 'icsea', label: 'ICSEA', get: (e) => toComparableNumber(e.school.ICSEA_value), format: formatNumber(0), better: 'higher' },
+      // FOEI rises with educational disadvantage
+      { key: 'foei', label: 'FOEI', get: (e) => toComparableNumber(e.school.FOEI_Value), format: formatNumber(0), better: 'lower' },
+      { key: 'lbote', label: 'LBOTE', get: (e) => toComparableNumber(e.school.LBOTE_pct), format: formatPercent },
+      { key: 'indigenous', label: 'Indigenous', get: (e) => toComparableNumber(e.school.Indigenous_pct), format: formatPercent },
+    ],
+  },
+  {
+    title: 'Ranking',
+    rows: [
+      { key: 'rank', label: 'Rank', get: (e) => e.ranking?.rank ?? null, format: (v) => `#${v}`, better: 'lower' },
+      { key: 'score', label: 'Score', get: (e) => toComparableNumber(e.ranking?.percentage_score), format: formatPercent, better: 'higher' },
+      ...RANKING_FACTORS.map(({ key, label }) => ({
+        key: `factor-${key}`,
+        label: `${label} points`,
+        get: (e) => {
+          const factor = e.ranking?.breakdown?.[key];
+          return factor?.applicable ? factor.score : null;
+        },
+        format: formatNumber(0),
+        better: 'higher',
+        optional: true,
+      })),
+    ],
+  },
+  {
+    title: 'NAPLAN / HSC',
+    rows: [
+      { key: 'naplanRanking', label: 'NAPLAN ranking', get: (e) => toComparableNumber(e.school.academicPerformance?.naplan?.ranking), format: (v) => `#${v}`, better: 'lower' },
+      { key: 'naplanScore', label: 'NAPLAN score', get: (e) => toComparableNumber(e.school.academicPerformance?.naplan?.score), format: formatNumber(2) },
+      { key: 'hscRanking', label: 'HSC ranking', get: (e) => toComparableNumber(e.school.academicPerformance?.hsc?.ranking), format: (v) => `#${v}`, better: 'lower' },
+      { key: 'hscScore', label: 'HSC score', get: (e) => toComparableNumber(e.school.academicPerformance?.hsc?.score), format: formatNumber(2) },
+    ],
+  },
+  {
+    title: 'Catchment',
+    rows: [
+      { key: 'area', label: 'Area', get: (e) => e.catchmentAreaKm2, format: (v) => `${formatNumber(1)(v)} km²` },
+      // Cheaper is marked best: the drawer is used to weigh schools against house prices
+      { key: 'medianPrice', label: 'Median price', get: (e) => e.priceData?.price ?? null, format: formatPriceShort, better: 'lower' },
+      { key: 'p25p75', label: 'Middle 50%', get: () => null, display: (e) => (e.priceData?.p25Price ? `${formatPriceShort(e.priceData.p25Price)} – ${formatPriceShort(e.priceData.p75Price)}` : null) },
+      { key: 'sales', label: 'Sales', get: (e) => e.priceData?.totalSales ?? null, format: formatNumber(0) },
+      { key: 'growth', label: 'Annual growth', get: (e) => e.growthData?.annualGrowth ?? null, format: formatGrowth, better: 'higher' },
+    ],
+  },
+];
+
+/**
+ * Best and worst values of a row, or nulls when the row isn't ranked or fewer
+ * than two schools have distinct values
+ * @param {Array} values - Row values, null for missing
+ * @param {string} [better] - 'higher' | 'lower'
+ * @returns {object} { best, worst }
+ */
+export function getBestWorst(values, better) {
+  const present = values.filter((v) => v !== null && v !== undefined);
+  if (!better || present.length < 2) return { best: null, worst: null };
+
+  const max = Math.max(...present);
+  const min = Math.min(...present);
+  if (max === min) return { best: null, worst: null };
+
+  return better === 'higher' ? { best: max, worst: min } : { best: min, worst: max };
+}
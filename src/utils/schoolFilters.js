@@ -0,0 +1,192 @@
+/**
+ * School Filters
+ *
+ * Applies the ControlPanel filters (see `filters` in appStore) to schools and
+ * to the catchment polygons drawn for them.
+ */
+
+import { searchSchools } from './schoolSearch';
+import { getRankingLevel } from './schoolRanking';
+
+export const DEFAULT_FILTERS = {
+  schoolLevel: 'all', // 'all' | 'primary' | 'secondary' | 'infants'
+  selective: 'all',   // 'all' | 'yes' | 'no'
+  searchQuery: '',
+  // Filter builder values keyed by ADVANCED_FILTER_FIELDS key:
+  // range -> { min, max } (null = open ended), multi -> array of allowed values
+  advanced: {},
+};
+
+// Fields offered by the filter builder. All active filters combine with AND.
+export const ADVANCED_FILTER_FIELDS = [
+  { key: 'icsea', field: 'ICSEA_value', label: 'ICSEA', type: 'range', step: 10 },
+  { key: 'enrolment', field: 'latest_year_enrolment_FTE', label: 'Enrolment (FTE)', type: 'range', step: 10 },
+  {
+    key: 'opportunityClass',
+    field: 'Opportunity_class',
+    label: 'Opportunity Class',
+    type: 'multi',
+    valueLabels: { Y: 'Has OC', N: 'No OC' },
+  },
+  { key: 'gender', field: 'School_gender', label: 'Gender', type: 'multi' },
+  { key: 'specialty', field: 'School_specialty_type', label: 'Specialty', type: 'multi' },
+  { key: 'supportClasses', field: 'Support_classes', label: 'Support Classes', type: 'multi', listField: true },
+  { key: 'lga', field: 'LGA', label: 'LGA', type: 'multi' },
+  { key: 'sa4', field: 'SA4', label: 'SA4 Region', type: 'multi' },
+];
+
+const FIELDS_BY_KEY = Object.fromEntries(ADVANCED_FILTER_FIELDS.map((def) => [def.key, def]));
+
+// Values of a field; list fields such as Support_classes hold several, comma/semicolon separated
+function getFieldValues(school, def) {
+  const raw = school[def.field];
+  if (raw === null || raw === undefined || raw === '') return [];
+  if (!def.listField) return [String(raw)];
+  return String(raw).split(/[,;]/).map((v) => v.trim()).filter(Boolean);
+}
+
+function matchesAdvancedFilter(school, def, value) {
+  if (def.type === 'range') {
+    const raw = school[def.field];
+    const number = Number(raw);
+    if (raw === null || raw === undefined || raw === '' || !Number.isFinite(number)) return false;
+    if (value.min !== null && value.min !== undefined && number < value.min) return false;
+    if (value.max !== null && value.max !== undefined && number > value.max) return false;
+    return true;
+  }
+
+  return getFieldValues(school, def).some((v) => value.includes(v));
+}
+
+/**
+ * Range bounds or selectable values for a filter builder field
+ * @param {Array} schools
+ * @param {object} def - Entry from ADVANCED_FILTER_FIELDS
+ * @returns {object} { min, max } for ranges, { options: [{ value, label, count }] } for multi-selects
+ */
+export function getFilterDomain(schools, def) {
+  if (def.type === 'range') {
+    const values = schools
+      .map((s) => s[def.field])
+      .filter((v) => v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v)))
+      .map(Number);
+    if (values.length === 0) return { min: null, max: null };
+    return {
+      min: Math.floor(Math.min(...values) / def.step) * def.step,
+      max: Math.ceil(Math.max(...values) / def.step) * def.step,
+    };
+  }
+
+  const counts = new Map();
+  schools.forEach((school) => {
+    getFieldValues(school, def).forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  });
+
+  const options = [...counts.entries()]
+    .map(([value, count]) => ({ value, label: def.valueLabels?.[value] || value, count }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+  return { options };
+}
+
+/**
+ * Number of filter builder fields in use
+ * @param {object} filters
+ * @returns {number}
+ */
+export function countAdvancedFilters(filters) {
+  return Object.keys(filters.advanced || {}).filter((key) => FIELDS_BY_KEY[key]).length;
+}
+
+function isSelective(school) {
+  const selective = (school.Selective_school || '').toLowerCase();
+  return selective.includes('selective') && !selective.includes('not');
+}
+
+/**
+ * Check whether any filter narrows the school list
+ * @param {object} filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return filters.schoolLevel !== DEFAULT_FILTERS.schoolLevel ||
+    filters.selective !== DEFAULT_FILTERS.selective ||
+    filters.searchQuery !== DEFAULT_FILTERS.searchQuery ||
+    countAdvancedFilters(filters) > 0;
+}
+
+/**
+ * Schools matching every active filter
+ * @param {Array} schools
+ * @param {object} filters
+ * @returns {Array}
+ */
+export function filterSchools(schools, filters) {
+  if (!hasActiveFilters(filters)) return schools;
+
+  const query = filters.searchQuery.trim();
+  const searchMatches = query
+    ? new Set(searchSchools(schools, query).map((result) => result.school.School_code))
+    : null;
+  const advanced = Object.entries(filters.advanced || {})
+    .filter(([key]) => FIELDS_BY_KEY[key])
+    .map(([key, value]) => [FIELDS_BY_KEY[key], value]);
+
+  return schools.filter((school) => {
+    // Search query filter
+    if (searchMatches && !searchMatches.has(school.School_code)) {
+      return false;
+    }
+
+    // School level filter, by the ranking engine's levels (central schools
+    // are secondary) apart from infants, which narrows primary
+    if (filters.schoolLevel === 'infants') {
+      const level = (school.Level_of_schooling || '').toLowerCase();
+      if (!level.includes('infants')) {
+        return false;
+      }
+    } else if (filters.schoolLevel !== 'all' && getRankingLevel(school) !== filters.schoolLevel) {
+      return false;
+    }
+
+    // Selective filter
+    if (filters.selective === 'yes' && !isSelective(school)) return false;
+    if (filters.selective === 'no' && isSelective(school)) return false;
+
+    // Filter builder fields
+    return advanced.every(([def, value]) => matchesAdvancedFilter(school, def, value));
+  });
+}
+
+/**
+ * Keep only catchment features belonging to the given school codes
+ * @param {object} collection - GeoJSON FeatureCollection
+ * @param {Set|null} schoolCodes - Codes to keep, or null to keep everything
+ * @returns {object} The same collection when nothing is removed
+ */
+export function filterCatchmentsBySchools(collection, schoolCodes) {
+  if (!collection?.features || !schoolCodes) return collection;
+
+  return {
+    ...collection,
+    features: collection.features.filter(
+      (feature) => schoolCodes.has(parseInt(feature.properties?.USE_ID))
+    ),
+  };
+}
+
+/**
+ * Bounding box of schools with coordinates, in Leaflet order
+ * @param {Array} schools
+ * @returns {Array|null} [[south, west], [north, east]]
+ */
+export function getSchoolsBounds(schools) {
+  const located = schools.filter((s) => s.Latitude && s.Longitude);
+  if (located.length === 0) return null;
+
+  const lats = located.map((s) => s.Latitude);
+  const lngs = located.map((s) => s.Longitude);
+  return [
+    [Math.min(...lats), Math.min(...lngs)],
+    [Math.max(...lats), Math.max(...lngs)],
+  ];
+}
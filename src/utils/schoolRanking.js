@@ -1,6 +1,9 @@
 /**
- * School Ranking Utility
- * Implements the two-tier weighting system defined in SCHOOL_RANKING_WEIGHTS.md
+ * School Ranking Engine
+ * Implements the two-tier weighting system defined in docs/SCHOOL_RANKING_WEIGHTS.md.
+ * This is the only place schools are scored: every ranking script and the
+ * browser (which re-ranks when a family changes the primary weights) use it,
+ * and every ranked output records RANKING_METHODOLOGY.version.
  */
 
 /**
@@ -80,19 +83,15 @@ function getSpecialtyTypeWeight(specialtyType) {
 /**
  * Calculate Enrolment secondary weight based on school type and size
  * @param {number} enrolment - FTE enrolment
- * @param {string} schoolLevel - Level of schooling
+ * @param {string|null} rankingLevel - Level from getRankingLevel
  * @returns {number} Secondary weight (0-9)
  */
-function getEnrolmentWeight(enrolment, schoolLevel) {
+function getEnrolmentWeight(enrolment, rankingLevel) {
   if (!enrolment || enrolment === null) return 0;
   const value = parseInt(enrolment);
   if (isNaN(value)) return 0;
   
-  const level = String(schoolLevel || '').toLowerCase();
-  const isPrimary = level.includes('primary') || level.includes('infants') || level.includes('k-6');
-  const isSecondary = level.includes('secondary') || level.includes('high') || level.includes('7-12');
-  
-  if (isPrimary) {
+  if (rankingLevel === 'primary') {
     // Primary school thresholds
     if (value >= 800) return 9;
     if (value >= 600) return 8;
@@ -101,7 +100,7 @@ function getEnrolmentWeight(enrolment, schoolLevel) {
     if (value >= 150) return 5;
     if (value >= 80) return 4;
     return 3;
-  } else if (isSecondary) {
+  } else if (rankingLevel === 'secondary') {
     // Secondary school thresholds
     if (value >= 1500) return 9;
     if (value >= 1200) return 8;
@@ -277,70 +276,223 @@ function getStudentDiversityWeight(demographics) {
   return 2; // No diversity data or very homogeneous
 }
 
+// Bump the version whenever a change would move a school's score: factor
+// weights, secondary weight scales or level rules
+const METHODOLOGY_VERSION = '2.1.0';
+
+// Highest primary weight offered by the weights editor
+export const MAX_RANKING_WEIGHT = 20;
+
+/**
+ * Ranking factors with their default primary weight. `level` restricts a
+ * factor to primary or secondary schools; `input` names the school field read
+ * when it isn't the key itself; getSecondaryWeight scores a school on the
+ * factor (0-10).
+ */
+export const RANKING_FACTORS = [
+  // Academic Performance (High Priority)
+  {
+    key: 'NAPLAN_performance',
+    label: 'NAPLAN results',
+    weight: 15,
+    level: 'primary',
+    input: 'academicPerformance.naplan',
+    getSecondaryWeight: (school) => getNAPLANWeight(school.academicPerformance?.naplan),
+  },
+  {
+    key: 'HSC_performance',
+    label: 'HSC results',
+    weight: 15,
+    level: 'secondary',
+    input: 'academicPerformance.hsc',
+    getSecondaryWeight: (school) => getHSCWeight(school.academicPerformance?.hsc),
+  },
+
+  // Existing high-priority weights (adjusted)
+  { key: 'ICSEA_value', label: 'ICSEA', weight: 10, getSecondaryWeight: (school) => getICSEAWeight(school.ICSEA_value) },
+  {
+    key: 'Selective_school',
+    label: 'Selective status',
+    weight: 9,
+    level: 'secondary',
+    getSecondaryWeight: (school) => getSelectiveWeight(school.Selective_school),
+  },
+  { key: 'FOEI_Value', label: 'FOEI (lower is better)', weight: 8, getSecondaryWeight: (school) => getFOEIWeight(school.FOEI_Value) },
+
+  // Teacher quality and school environment
+  {
+    key: 'Teacher_student_ratio',
+    label: 'Teacher-student ratio',
+    weight: 7,
+    input: 'teacherStudentRatio',
+    getSecondaryWeight: (school) => getTeacherStudentRatioWeight(school.teacherStudentRatio),
+  },
+  {
+    key: 'Opportunity_class',
+    label: 'Opportunity classes',
+    weight: 7,
+    level: 'primary',
+    getSecondaryWeight: (school) => getOpportunityClassWeight(school.Opportunity_class),
+  },
+
+  // School characteristics
+  {
+    key: 'School_specialty_type',
+    label: 'Specialty programs',
+    weight: 6,
+    getSecondaryWeight: (school) => getSpecialtyTypeWeight(school.School_specialty_type),
+  },
+  {
+    key: 'Student_diversity',
+    label: 'Student diversity',
+    weight: 5,
+    input: 'demographics',
+    getSecondaryWeight: (school) => getStudentDiversityWeight(school.demographics),
+  },
+  {
+    key: 'latest_year_enrolment_FTE',
+    label: 'Enrolment size',
+    weight: 0,
+    getSecondaryWeight: (school) => getEnrolmentWeight(school.latest_year_enrolment_FTE, getRankingLevel(school)),
+  },
+  { key: 'ASGS_remoteness', label: 'Remoteness', weight: 4, getSecondaryWeight: (school) => getRemoteness(school.ASGS_remoteness) },
+
+  // Demographic factors (lower priority)
+  { key: 'LBOTE_pct', label: 'LBOTE mix', weight: 3, getSecondaryWeight: (school) => getLBOTEWeight(school.LBOTE_pct) },
+  { key: 'Indigenous_pct', label: 'Indigenous students', weight: 2, getSecondaryWeight: (school) => getIndigenousWeight(school.Indigenous_pct) },
+  {
+    key: 'Preschool_ind',
+    label: 'Preschool',
+    weight: 2,
+    level: 'primary',
+    getSecondaryWeight: (school) => getYesNoWeight(school.Preschool_ind, 7, 4),
+  },
+  {
+    key: 'Intensive_english_centre',
+    label: 'Intensive English centre',
+    weight: 2,
+    getSecondaryWeight: (school) => getYesNoWeight(school.Intensive_english_centre, 7, 5),
+  },
+  {
+    key: 'Distance_education',
+    label: 'Distance education',
+    weight: 1,
+    getSecondaryWeight: (school) => getDistanceEducationWeight(school.Distance_education),
+  },
+];
+
+// Primary weight per factor as published: { [factorKey]: weight }
+export const DEFAULT_RANKING_WEIGHTS = Object.freeze(
+  Object.fromEntries(RANKING_FACTORS.map((factor) => [factor.key, factor.weight]))
+);
+
+/**
+ * The methodology as data, written into ranked outputs so a file says how it
+ * was scored
+ */
+export const RANKING_METHODOLOGY = Object.freeze({
+  name: 'Two-tier weighted score',
+  version: METHODOLOGY_VERSION,
+  document: 'docs/SCHOOL_RANKING_WEIGHTS.md',
+  score: 'Sum of primary weight × secondary weight (0-10) over applicable factors, as a percentage of the maximum',
+  levels: {
+    primary: 'Level_of_schooling contains "primary" or "infants"',
+    secondary: 'Level_of_schooling contains "secondary", "high" or "central" (K-12 central/community schools)',
+  },
+  factors: RANKING_FACTORS.map((factor) => ({
+    key: factor.key,
+    label: factor.label,
+    weight: factor.weight,
+    level: factor.level || 'all',
+    input: factor.input || factor.key,
+  })),
+});
+
+/**
+ * Coerce saved or edited weights into a full weights object: whole numbers
+ * from 0 to MAX_RANKING_WEIGHT, with the default for anything missing
+ * @param {Object} weights - { [factorKey]: weight }
+ * @returns {Object} Weights for every factor
+ */
+function normalizeRankingWeights(weights) {
+  return Object.fromEntries(RANKING_FACTORS.map(({ key, weight }) => {
+    const value = Number(weights?.[key]);
+    if (weights?.[key] === null || weights?.[key] === '' || !Number.isFinite(value)) return [key, weight];
+    return [key, Math.min(MAX_RANKING_WEIGHT, Math.max(0, Math.round(value)))];
+  }));
+}
+
+function isDefaultRankingWeights(weights) {
+  return RANKING_FACTORS.every(({ key, weight }) => (weights?.[key] ?? weight) === weight);
+}
+
+/**
+ * Provenance block for a ranked output: the methodology version, the weights
+ * used and the inputs they were applied to
+ * @param {Object} options
+ * @param {Object} [options.weights] - Primary weights, defaults to the published ones
+ * @param {Object} [options.inputs] - Input name → description, e.g. { file, records }
+ * @returns {Object}
+ */
+function getRankingProvenance({ weights = DEFAULT_RANKING_WEIGHTS, inputs = {} } = {}) {
+  return {
+    methodology: RANKING_METHODOLOGY.name,
+    version: RANKING_METHODOLOGY.version,
+    document: RANKING_METHODOLOGY.document,
+    weights: normalizeRankingWeights(weights),
+    customWeights: !isDefaultRankingWeights(weights),
+    inputs,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * The level a school is ranked in. Central/community schools (K-12) rank
+ * with secondary schools: their HSC results and senior years are what set
+ * them apart, and they serve secondary catchments. Schools for specific
+ * purposes, environmental education centres and the like aren't ranked.
+ * @param {Object} school
+ * @returns {string|null} 'primary', 'secondary' or null
+ */
+function getRankingLevel(school) {
+  const level = (school?.Level_of_schooling || '').toLowerCase();
+  if (level.includes('primary') || level.includes('infants')) return 'primary';
+  if (level.includes('secondary') || level.includes('high') || level.includes('central')) return 'secondary';
+  return null;
+}
+
+/**
+ * Schools that have a catchment but no ranking level, so the map, school
+ * panel and comparison would show them unranked
+ * @param {Array} schools
+ * @param {Array} catchmentFeatures - Catchment features keyed by properties.USE_ID
+ * @returns {Array} Those schools, each listed once
+ */
+function findUnrankedCatchmentSchools(schools, catchmentFeatures) {
+  const codes = new Set(catchmentFeatures.map((feature) => String(feature.properties?.USE_ID)));
+  return schools.filter((school) => codes.has(String(school.School_code)) && !getRankingLevel(school));
+}
+
 /**
  * Calculate school ranking score based on all weighted criteria
  * @param {Object} school - School data object
+ * @param {Object} rankingWeights - Primary weight per factor; a weight of 0 switches the factor off
  * @returns {Object} Ranking result with score, breakdown, and metadata
  */
-function calculateSchoolRankingScore(school) {
+function calculateSchoolRankingScore(school, rankingWeights = DEFAULT_RANKING_WEIGHTS) {
   const schoolLevel = school.Level_of_schooling || '';
-  const isPrimary = schoolLevel.toLowerCase().includes('primary') || 
-                   schoolLevel.toLowerCase().includes('infants') || 
-                   schoolLevel.toLowerCase().includes('k-6');
-  const isSecondary = schoolLevel.toLowerCase().includes('secondary') || 
-                     schoolLevel.toLowerCase().includes('high') || 
-                     schoolLevel.toLowerCase().includes('7-12');
-
-  // Extract academic performance data
-  const academicPerformance = school.academicPerformance || {};
-  const naplanData = academicPerformance.naplan;
-  const hscData = academicPerformance.hsc;
-  const teacherRatio = school.teacherStudentRatio;
-  const demographics = school.demographics;
-
-  // Define weights based on documentation (updated with academic performance)
-  const weights = {
-    // Academic Performance (High Priority)
-    NAPLAN_performance: { 
-      primary: isPrimary ? 15 : 0, // Only for primary schools
-      secondary: getNAPLANWeight(naplanData) 
-    },
-    HSC_performance: { 
-      primary: isSecondary ? 15 : 0, // Only for secondary schools
-      secondary: getHSCWeight(hscData) 
-    },
-    
-    // Existing high-priority weights (adjusted)
-    ICSEA_value: { primary: 10, secondary: getICSEAWeight(school.ICSEA_value) },
-    Selective_school: { 
-      primary: isSecondary ? 9 : 0, // Only relevant for secondary schools
-      secondary: getSelectiveWeight(school.Selective_school) 
-    },
-    FOEI_Value: { primary: 8, secondary: getFOEIWeight(school.FOEI_Value) },
-    
-    // Teacher quality and school environment
-    Teacher_student_ratio: { primary: 7, secondary: getTeacherStudentRatioWeight(teacherRatio) },
-    Opportunity_class: { 
-      primary: isPrimary ? 7 : 0, // Only relevant for primary schools
-      secondary: getOpportunityClassWeight(school.Opportunity_class) 
-    },
-    
-    // School characteristics
-    School_specialty_type: { primary: 6, secondary: getSpecialtyTypeWeight(school.School_specialty_type) },
-    Student_diversity: { primary: 5, secondary: getStudentDiversityWeight(demographics) },
-    latest_year_enrolment_FTE: { primary: 0, secondary: getEnrolmentWeight(school.latest_year_enrolment_FTE, schoolLevel) },
-    ASGS_remoteness: { primary: 4, secondary: getRemoteness(school.ASGS_remoteness) },
-    
-    // Demographic factors (lower priority)
-    LBOTE_pct: { primary: 3, secondary: getLBOTEWeight(school.LBOTE_pct) },
-    Indigenous_pct: { primary: 2, secondary: getIndigenousWeight(school.Indigenous_pct) },
-    Preschool_ind: { 
-      primary: isPrimary ? 2 : 0, // Only relevant for primary schools
-      secondary: getYesNoWeight(school.Preschool_ind, 7, 4) 
-    },
-    Intensive_english_centre: { primary: 2, secondary: getYesNoWeight(school.Intensive_english_centre, 7, 5) },
-    Distance_education: { primary: 1, secondary: getDistanceEducationWeight(school.Distance_education) }
-  };
+  const rankingLevel = getRankingLevel(school);
+  const isPrimary = rankingLevel === 'primary';
+  const isSecondary = rankingLevel === 'secondary';
+
+  // Level-specific factors carry no weight for the other level
+  const weights = Object.fromEntries(RANKING_FACTORS.map((factor) => {
+    const applies = !factor.level || (factor.level === 'primary' ? isPrimary : isSecondary);
+    return [factor.key, {
+      primary: applies ? rankingWeights[factor.key] ?? factor.weight : 0,
+      secondary: factor.getSecondaryWeight(school),
+    }];
+  }));
 
   // Calculate scores
   let totalScore = 0;
@@ -376,6 +528,7 @@ function calculateSchoolRankingScore(school) {
     percentage_score: Math.round(percentageScore * 100) / 100, // Round to 2 decimal places
     breakdown: breakdown,
     metadata: {
+      methodology_version: RANKING_METHODOLOGY.version,
       is_primary: isPrimary,
       is_secondary: isSecondary,
       calculated_at: new Date().toISOString(),
@@ -395,26 +548,19 @@ function calculateSchoolRankings(schools, options = {}) {
   const { 
     filterByLevel = null, // 'primary', 'secondary', or null for all
     sortBy = 'percentage_score', // 'percentage_score' or 'total_score'
-    limit = null 
+    limit = null,
+    weights = DEFAULT_RANKING_WEIGHTS
   } = options;
 
   // Filter schools if specified
   let filteredSchools = schools;
   if (filterByLevel) {
-    filteredSchools = schools.filter(school => {
-      const level = (school.Level_of_schooling || '').toLowerCase();
-      if (filterByLevel === 'primary') {
-        return level.includes('primary') || level.includes('infants');
-      } else if (filterByLevel === 'secondary') {
-        return level.includes('secondary') || level.includes('high');
-      }
-      return true;
-    });
+    filteredSchools = schools.filter(school => getRankingLevel(school) === filterByLevel);
   }
 
   // Calculate ranking scores
   const rankedSchools = filteredSchools.map(school => {
-    const ranking = calculateSchoolRankingScore(school);
+    const ranking = calculateSchoolRankingScore(school, weights);
     return {
       ...school,
       ranking: ranking
@@ -433,9 +579,43 @@ function calculateSchoolRankings(schools, options = {}) {
   return limit ? rankedSchools.slice(0, limit) : rankedSchools;
 }
 
+/**
+ * One row of top_schools.json (and the Data Explorer's top-school tables)
+ * @param {Object} school - Ranked school from calculateSchoolRankings
+ * @returns {Object}
+ */
+function toTopSchoolEntry(school) {
+  return {
+    school_code: school.School_code,
+    rank: school.ranking.rank,
+    name: school.School_name,
+    level: school.Level_of_schooling,
+    suburb: school.Town_suburb,
+    score: school.ranking.percentage_score,
+    icsea: school.ICSEA_value,
+    selective: school.Selective_school,
+    opportunity_class: school.Opportunity_class,
+    naplan_ranking: school.academicPerformance?.naplan?.ranking || null,
+    naplan_score: school.academicPerformance?.naplan?.score || null,
+    hsc_ranking: school.academicPerformance?.hsc?.ranking || null,
+    hsc_score: school.academicPerformance?.hsc?.score || null,
+    value_add: school.valueAdd || null,
+    teacherStudentRatio: school.teacherStudentRatio || null,
+    studentsEnglish: school.demographics?.studentsEnglish || null,
+    studentsNonEnglish: school.demographics?.studentsNonEnglish || null,
+    propertyPrices: school.propertyPrices || null
+  };
+}
+
 export {
   calculateSchoolRankingScore,
   calculateSchoolRankings,
+  normalizeRankingWeights,
+  isDefaultRankingWeights,
+  getRankingProvenance,
+  getRankingLevel,
+  findUnrankedCatchmentSchools,
+  toTopSchoolEntry,
   getICSEAWeight,
   getSelectiveWeight,
   getFOEIWeight,
@@ -451,4 +631,4 @@ export {
   getHSCWeight,
   getTeacherStudentRatioWeight,
   getStudentDiversityWeight
-};
\ No newline at end of file
+};
@@ -0,0 +1,204 @@
+/**
+ * School Search
+ *
+ * Typo-tolerant search over school names, suburbs, postcodes and LGAs.
+ * Queries are tokenised, common abbreviations are expanded ("Epping Boys HS"
+ * -> "epping boys high school"), and every query word must match a word in
+ * the school's fields exactly, as a prefix, or within a small edit distance.
+ */
+
+// Abbreviations people type for NSW government school names
+export const SEARCH_ABBREVIATIONS = {
+  ps: ['public', 'school'],
+  pub: ['public'],
+  hs: ['high', 'school'],
+  bhs: ['boys', 'high', 'school'],
+  ghs: ['girls', 'high', 'school'],
+  shs: ['selective', 'high', 'school'],
+  boy: ['boys'],
+  girl: ['girls'],
+  sch: ['school'],
+  coll: ['college'],
+  ssp: ['school', 'for', 'specific', 'purposes'],
+};
+
+const FIELDS = [
+  { key: 'name', property: 'School_name', weight: 1 },
+  { key: 'suburb', property: 'Town_suburb', weight: 0.8 },
+  { key: 'postcode', property: 'Postcode', weight: 0.7 },
+  { key: 'lga', property: 'LGA', weight: 0.5 },
+];
+
+const WORD_PATTERN = /[a-z0-9]+/g;
+
+/**
+ * Split text into lower-case words with their character offsets
+ */
+function tokenize(text) {
+  const lower = String(text ?? '').toLowerCase();
+  const tokens = [];
+  for (const match of lower.matchAll(WORD_PATTERN)) {
+    tokens.push({ token: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 1; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * How well a query word matches an indexed word
+ * @returns {object|null} { score, prefix } where prefix marks a partial-word match
+ */
+function matchWord(query, word) {
+  if (word === query) return { score: 1, prefix: false };
+  if (word.startsWith(query)) return { score: 0.7 + 0.2 * (query.length / word.length), prefix: true };
+
+  // Numbers (postcodes) only match exactly or by prefix
+  if (/^\d+$/.test(query)) return null;
+
+  const maxEdits = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+  if (maxEdits === 0) return null;
+
+  // Compare against the whole word and, for words still being typed, its start
+  const wordDistance = Math.abs(word.length - query.length) <= maxEdits ? editDistance(query, word) : Infinity;
+  if (wordDistance <= maxEdits) return { score: 0.6 - 0.15 * (wordDistance - 1), prefix: false };
+
+  if (word.length > query.length) {
+    const startDistance = editDistance(query, word.slice(0, query.length));
+    if (startDistance <= maxEdits) return { score: 0.55 - 0.15 * (startDistance - 1), prefix: false };
+  }
+  return null;
+}
+
+/**
+ * Normalise a query into words, expanding abbreviations
+ * @param {string} query
+ * @returns {Array} [{ text, expanded }]
+ */
+export function expandSearchQuery(query) {
+  return tokenize(query).flatMap(({ token }) => (
+    SEARCH_ABBREVIATIONS[token]
+      ? SEARCH_ABBREVIATIONS[token].map((text) => ({ text, expanded: true }))
+      : [{ text: token, expanded: false }]
+  ));
+}
+
+// Indexes are cached per schools array, which the store replaces wholesale on load
+const indexCache = new WeakMap();
+
+function getSearchIndex(schools) {
+  if (!indexCache.has(schools)) {
+    const vocabulary = new Set();
+    const docs = schools.map((school) => {
+      const tokens = FIELDS.flatMap((field) =>
+        tokenize(school[field.property]).map((t) => {
+          vocabulary.add(t.token);
+          return { ...t, field: field.key, weight: field.weight };
+        })
+      );
+      return { school, tokens };
+    });
+    indexCache.set(schools, { docs, vocabulary: [...vocabulary] });
+  }
+  return indexCache.get(schools);
+}
+
+function addHighlight(highlights, field, range) {
+  if (!highlights[field]) highlights[field] = [];
+  highlights[field].push(range);
+}
+
+// Sort and merge overlapping [start, end] ranges
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  return sorted.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Search schools by name, suburb, postcode and LGA
+ * @param {Array} schools
+ * @param {string} query
+ * @param {number} [maxResults]
+ * @returns {Array} [{ school, score, highlights: { name, suburb, postcode, lga } }],
+ *   best first; highlights are [start, end] character ranges per field
+ */
+export function searchSchools(schools, query, maxResults = Infinity) {
+  const queryWords = expandSearchQuery(query);
+  if (queryWords.length === 0 || schools.length === 0) return [];
+
+  const index = getSearchIndex(schools);
+
+  // Score each query word against the vocabulary once rather than per school
+  const wordMatches = queryWords.map(({ text }) => {
+    const matches = new Map();
+    index.vocabulary.forEach((word) => {
+      const match = matchWord(text, word);
+      if (match) matches.set(word, match);
+    });
+    return matches;
+  });
+
+  const results = [];
+  index.docs.forEach(({ school, tokens }) => {
+    const highlights = {};
+    let total = 0;
+
+    for (let i = 0; i < queryWords.length; i++) {
+      let best = null;
+      tokens.forEach((token) => {
+        const match = wordMatches[i].get(token.token);
+        if (match && (!best || match.score * token.weight > best.score)) {
+          best = { score: match.score * token.weight, match, token };
+        }
+      });
+      if (!best) return;
+
+      total += best.score;
+      const { token, match } = best;
+      const end = match.prefix && !queryWords[i].expanded
+        ? token.start + queryWords[i].text.length
+        : token.end;
+      addHighlight(highlights, token.field, [token.start, end]);
+    }
+
+    // Prefer names that start with what was typed
+    const firstWord = tokens.find((t) => t.field === 'name');
+    const startsWithQuery = firstWord && wordMatches[0].has(firstWord.token);
+
+    Object.keys(highlights).forEach((field) => {
+      highlights[field] = mergeRanges(highlights[field]);
+    });
+    results.push({ school, score: total / queryWords.length + (startsWithQuery ? 0.1 : 0), highlights });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || (a.school.School_name || '').localeCompare(b.school.School_name || ''))
+    .slice(0, maxResults);
+}
@@ -0,0 +1,187 @@
+/**
+ * Shortlists
+ *
+ * Named lists of schools and addresses with free-text notes, kept in
+ * localStorage so they survive a reload, and exported/imported as a JSON file
+ * so a shortlist can be handed to someone else.
+ *
+ * Shortlist: { id, name, notes, createdAt, updatedAt, schools, addresses }
+ *   schools:   [{ code, name, suburb, note }]
+ *   addresses: [{ id, label, lat, lng, suburb, postcode, quality, note }]
+ * Names are stored alongside codes so an exported file still reads sensibly
+ * without the school data.
+ */
+
+export const SHORTLISTS_STORAGE_KEY = 'sydney-catchment-explorer:shortlists';
+
+const FILE_FORMAT = 'sydney-catchment-explorer/shortlists';
+const FILE_VERSION = 1;
+
+export const DEFAULT_SHORTLIST_NAME = 'My shortlist';
+
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createShortlist(name = DEFAULT_SHORTLIST_NAME) {
+  const now = new Date().toISOString();
+  return {
+    id: createId(),
+    name: name.trim() || DEFAULT_SHORTLIST_NAME,
+    notes: '',
+    createdAt: now,
+    updatedAt: now,
+    schools: [],
+    addresses: [],
+  };
+}
+
+export function createShortlistSchool(school) {
+  return {
+    code: school.School_code,
+    name: school.School_name,
+    suburb: school.Town_suburb || '',
+    note: '',
+  };
+}
+
+// From an address search result: { label, lat, lng, suburb, postcode, quality }
+export function createShortlistAddress(address) {
+  return {
+    id: createId(),
+    label: address.label,
+    lat: address.lat,
+    lng: address.lng,
+    suburb: address.suburb || '',
+    postcode: address.postcode || '',
+    quality: address.quality || '',
+    note: '',
+  };
+}
+
+/**
+ * Coerce one stored or imported shortlist into the current shape, dropping
+ * entries without the fields the app needs
+ * @returns {object|null} Shortlist, or null when it isn't one
+ */
+function normalizeShortlist(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string') return null;
+
+  const now = new Date().toISOString();
+  const text = (value) => (typeof value === 'string' ? value : '');
+  return {
+    id: text(raw.id) || createId(),
+    name: raw.name.trim() || DEFAULT_SHORTLIST_NAME,
+    notes: text(raw.notes),
+    createdAt: text(raw.createdAt) || now,
+    updatedAt: text(raw.updatedAt) || now,
+    schools: (Array.isArray(raw.schools) ? raw.schools : [])
+      .filter((s) => s && Number.isFinite(Number(s.code)))
+      .map((s) => ({ code: Number(s.code), name: text(s.name), suburb: text(s.suburb), note: text(s.note) })),
+    addresses: (Array.isArray(raw.addresses) ? raw.addresses : [])
+      .filter((a) => a && Number.isFinite(a.lat) && Number.isFinite(a.lng))
+      .map((a) => ({
+        id: text(a.id) || createId(),
+        label: text(a.label) || `${a.lat.toFixed(5)}, ${a.lng.toFixed(5)}`,
+        lat: a.lat,
+        lng: a.lng,
+        suburb: text(a.suburb),
+        postcode: text(a.postcode),
+        quality: text(a.quality),
+        note: text(a.note),
+      })),
+  };
+}
+
+/**
+ * Read saved shortlists; an empty list when storage is unavailable or corrupt
+ */
+export function loadShortlists(storage = globalThis.localStorage) {
+  try {
+    const saved = storage?.getItem(SHORTLISTS_STORAGE_KEY);
+    if (!saved) return [];
+    const parsed = JSON.parse(saved);
+    return (Array.isArray(parsed) ? parsed : []).map(normalizeShortlist).filter(Boolean);
+  } catch (err) {
+    console.warn('Could not read saved shortlists:', err.message);
+    return [];
+  }
+}
+
+export function saveShortlists(shortlists, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(SHORTLISTS_STORAGE_KEY, JSON.stringify(shortlists));
+  } catch (err) {
+    // Private browsing or a full quota: keep working in memory
+    console.warn('Could not save shortlists:', err.message);
+  }
+}
+
+/**
+ * JSON file contents for exporting shortlists
+ * @param {Array} shortlists
+ * @returns {string}
+ */
+export function serializeShortlists(shortlists) {
+  return JSON.stringify({
+    format: FILE_FORMAT,
+    version: FILE_VERSION,
+    exported: new Date().toISOString(),
+    shortlists,
+  }, null, 2);
+}
+
+/**
+ * Parse an exported shortlist file
+ * @param {string} text - File contents
+ * @returns {Array} Shortlists
+ * @throws {Error} When the file isn't a shortlist export
+ */
+export function parseShortlistFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (data?.format !== FILE_FORMAT || !Array.isArray(data.shortlists)) {
+    throw new Error('The file is not a shortlist export.');
+  }
+  if (data.version > FILE_VERSION) {
+    throw new Error('The file was exported by a newer version of the app.');
+  }
+
+  const shortlists = data.shortlists.map(normalizeShortlist).filter(Boolean);
+  if (shortlists.length === 0) {
+    throw new Error('The file contains no shortlists.');
+  }
+  return shortlists;
+}
+
+/**
+ * Add imported shortlists to the existing ones. Imports never overwrite: a
+ * clashing id gets a new one and a clashing name gets an "(imported)" suffix.
+ * @returns {Array} Combined shortlists
+ */
+export function mergeShortlists(existing, imported) {
+  const ids = new Set(existing.map((s) => s.id));
+  const names = new Set(existing.map((s) => s.name));
+
+  const added = imported.map((shortlist) => {
+    const id = ids.has(shortlist.id) ? createId() : shortlist.id;
+    const name = names.has(shortlist.name) ? `${shortlist.name} (imported)` : shortlist.name;
+    ids.add(id);
+    names.add(name);
+    return { ...shortlist, id, name };
+  });
+  return [...existing, ...added];
+}
+
+/**
+ * File name for exporting one shortlist, e.g. "shortlist-inner-west-2025-03-14.json"
+ */
+export function getShortlistFileName(name, date = new Date()) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `shortlist-${slug ? `${slug}-` : ''}${date.toISOString().slice(0, 10)}.json`;
+}
@@ -0,0 +1,212 @@
+/**
+ * Value-Add
+ *
+ * NAPLAN and HSC league positions largely follow a school's intake: schools
+ * with a higher ICSEA_value place higher. This fits, across every school with
+ * results, the position its ICSEA and LBOTE_pct predict (least squares,
+ * rank ~ ICSEA + LBOTE) and reports how far the actual position beats or
+ * misses it. Shared by the ranking export scripts and the app.
+ *
+ * Primary schools are measured on NAPLAN and secondary schools on HSC, the
+ * same results the ranking engine scores at each level. Schools whose level
+ * doesn't match the results they were matched to, or that lack ICSEA or LBOTE,
+ * get no value-add and stay out of the fit.
+ *
+ * Only league-table schools have a position, so the sample is already cut off
+ * by the ranking and a fit can explain very little. A model below
+ * RELIABLE_VALUE_ADD is kept (so its R² and n can be shown) but flagged
+ * unreliable, and the app doesn't present its residuals as above or below
+ * expected.
+ */
+
+// With the extension so the node export scripts can load this module too
+import { getRankingLevel } from './schoolRanking.js';
+
+export const VALUE_ADD_TESTS = {
+  naplan: { label: 'NAPLAN', level: 'primary' },
+  hsc: { label: 'HSC', level: 'secondary' },
+};
+
+// Fewest schools a test needs before its model is fitted
+export const MIN_VALUE_ADD_SCHOOLS = 10;
+
+// Smallest sample and share of variance explained for a model to be shown
+export const RELIABLE_VALUE_ADD = { minSchools: 20, minR2: 0.2 };
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '' || value === 'np') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * The test a school is measured on and the values the model needs
+ * @param {Object} school
+ * @returns {Object|null} { test, year, rank, icsea, lbote }, null when anything is missing
+ */
+function getObservation(school) {
+  const level = getRankingLevel(school);
+  const test = Object.keys(VALUE_ADD_TESTS).find((key) => VALUE_ADD_TESTS[key].level === level);
+  const result = test && school.academicPerformance?.[test];
+  const rank = toNumber(result?.ranking);
+  const icsea = toNumber(school.ICSEA_value);
+  const lbote = toNumber(school.LBOTE_pct);
+  if (!rank || !icsea || lbote === null) return null;
+  return { test, year: result.year ?? null, rank, icsea, lbote };
+}
+
+// Solve the square system a·x = b by Gaussian elimination with partial
+// pivoting; null when it is singular (e.g. every school has the same ICSEA)
+function solve(a, b) {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-9) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+}
+
+/**
+ * Least-squares fit of rank on ICSEA and LBOTE
+ * @param {Array} observations - [{ rank, icsea, lbote }]
+ * @returns {Object|null} { n, coefficients: { intercept, icsea, lbote }, r2, residualSd, reliable }
+ */
+export function fitValueAddModel(observations) {
+  const n = observations.length;
+  if (n < MIN_VALUE_ADD_SCHOOLS) return null;
+
+  // Normal equations XᵀX·β = Xᵀy with X = [1, icsea, lbote]
+  const xtx = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const xty = [0, 0, 0];
+  observations.forEach(({ rank, icsea, lbote }) => {
+    const x = [1, icsea, lbote];
+    for (let i = 0; i < 3; i++) {
+      xty[i] += x[i] * rank;
+      for (let j = 0; j < 3; j++) xtx[i][j] += x[i] * x[j];
+    }
+  });
+  const beta = solve(xtx, xty);
+  if (!beta) return null;
+
+  const coefficients = { intercept: beta[0], icsea: beta[1], lbote: beta[2] };
+  const meanRank = observations.reduce((sum, { rank }) => sum + rank, 0) / n;
+  let sse = 0;
+  let sst = 0;
+  observations.forEach((observation) => {
+    sse += (observation.rank - predictRank(coefficients, observation)) ** 2;
+    sst += (observation.rank - meanRank) ** 2;
+  });
+
+  const r2 = sst > 0 ? 1 - sse / sst : 0;
+  return {
+    n,
+    coefficients,
+    r2,
+    residualSd: Math.sqrt(sse / Math.max(1, n - 3)),
+    reliable: n >= RELIABLE_VALUE_ADD.minSchools && r2 >= RELIABLE_VALUE_ADD.minR2,
+  };
+}
+
+function predictRank({ intercept, icsea, lbote }, observation) {
+  return intercept + icsea * observation.icsea + lbote * observation.lbote;
+}
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Value-add of every school with results, one model per test
+ * @param {Array} schools - School records with academicPerformance
+ * @returns {Object} { models: { [test]: model|null }, schools: { [schoolCode]: valueAdd } }
+ *   where valueAdd is { test, year, rank, expectedRank, residual, z, reliable }.
+ *   residual is expected minus actual position, so positive means better than
+ *   the intake predicts; z is the residual in residual standard deviations;
+ *   reliable copies the model's flag.
+ */
+export function calculateValueAdd(schools) {
+  const observationsByTest = Object.fromEntries(Object.keys(VALUE_ADD_TESTS).map((test) => [test, []]));
+  (schools || []).forEach((school) => {
+    const observation = getObservation(school);
+    if (observation) observationsByTest[observation.test].push({ code: String(school.School_code), ...observation });
+  });
+
+  const models = {};
+  const lookup = {};
+  Object.entries(observationsByTest).forEach(([test, observations]) => {
+    const model = fitValueAddModel(observations);
+    models[test] = model;
+    if (!model) return;
+
+    observations.forEach((observation) => {
+      const expectedRank = predictRank(model.coefficients, observation);
+      const residual = expectedRank - observation.rank;
+      lookup[observation.code] = {
+        test,
+        year: observation.year,
+        rank: observation.rank,
+        expectedRank: round(expectedRank, 1),
+        residual: round(residual, 1),
+        z: model.residualSd > 0 ? round(residual / model.residualSd, 2) : 0,
+        reliable: model.reliable,
+      };
+    });
+  });
+
+  return { models, schools: lookup };
+}
+
+/**
+ * Copies of the schools with a `valueAdd` field (null when there is none)
+ * @param {Array} schools
+ * @returns {Object} { models, schools }
+ */
+export function withValueAdd(schools) {
+  const { models, schools: lookup } = calculateValueAdd(schools);
+  return {
+    models,
+    schools: schools.map((school) => ({ ...school, valueAdd: lookup[String(school.School_code)] || null })),
+  };
+}
+
+/**
+ * Signed value-add in standard deviations, e.g. "+1.3"
+ */
+export function formatValueAdd(valueAdd) {
+  if (!valueAdd) return '-';
+  const z = valueAdd.z.toFixed(1);
+  return valueAdd.z > 0 ? `+${z}` : z;
+}
+
+/**
+ * How well a model fits, e.g. "R² 0.72, n = 26"
+ */
+export function formatValueAddFit(model) {
+  if (!model) return 'no model';
+  return `R² ${model.r2.toFixed(2)}, n = ${model.n}`;
+}
+
+/**
+ * "NAPLAN #9, expected #23 from ICSEA and LBOTE (R² 0.72, n = 26)", with a
+ * warning when the model is too weak to go by
+ * @param {Object} valueAdd - Entry from calculateValueAdd
+ * @param {Object} [models] - calculateValueAdd models, for the fit
+ */
+export function describeValueAdd(valueAdd, models = {}) {
+  if (!valueAdd) return 'No NAPLAN or HSC results matched to ICSEA and LBOTE';
+  const { label } = VALUE_ADD_TESTS[valueAdd.test];
+  const expected = Math.max(1, Math.round(valueAdd.expectedRank));
+  const fit = models[valueAdd.test] ? ` (${formatValueAddFit(models[valueAdd.test])})` : '';
+  const description = `${label} #${valueAdd.rank}, expected #${expected} from ICSEA and LBOTE${fit}`;
+  return valueAdd.reliable
+    ? description
+    : `${description}. ICSEA and LBOTE explain too little of ${label} positions to say whether this is above or below expected.`;
+}
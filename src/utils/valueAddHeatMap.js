@@ -0,0 +1,76 @@
+/**
+ * Value-Add Heat Map Utilities
+ *
+ * Colours catchments by their school's value-add (utils/valueAdd.js), in
+ * standard deviations from the position ICSEA and LBOTE predict. The scale
+ * diverges around zero: pink below expectations, pale slate as expected,
+ * green above.
+ */
+
+const NO_DATA_COLOR = '#94a3b8';
+
+const VALUE_ADD_COLORS = {
+  below: { r: 190, g: 24, b: 93 },     // Pink - #be185d
+  expected: { r: 241, g: 245, b: 249 }, // Slate - #f1f5f9
+  above: { r: 21, g: 128, b: 61 },     // Green - #15803d
+};
+
+// Value-add (in standard deviations) at which the colour saturates
+export const VALUE_ADD_SCALE = 2;
+
+function interpolateColor(color1, color2, factor) {
+  return {
+    r: Math.round(color1.r + (color2.r - color1.r) * factor),
+    g: Math.round(color1.g + (color2.g - color1.g) * factor),
+    b: Math.round(color1.b + (color2.b - color1.b) * factor),
+  };
+}
+
+function rgbToHex({ r, g, b }) {
+  return `#${((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1)}`;
+}
+
+/**
+ * Get heat map color for a value-add
+ * @param {number} z - Value-add in residual standard deviations
+ * @returns {string} Hex color string
+ */
+export function getValueAddColor(z) {
+  if (z == null || isNaN(z)) return NO_DATA_COLOR;
+
+  const t = Math.max(-1, Math.min(1, z / VALUE_ADD_SCALE));
+  const color = t < 0
+    ? interpolateColor(VALUE_ADD_COLORS.expected, VALUE_ADD_COLORS.below, -t)
+    : interpolateColor(VALUE_ADD_COLORS.expected, VALUE_ADD_COLORS.above, t);
+  return rgbToHex(color);
+}
+
+export function getValueAddOpacity(hasData) {
+  return hasData ? 0.6 : 0.1;
+}
+
+/**
+ * Generate legend stops from well below to well above expectations
+ * @returns {Array} Array of { z, color, label } objects
+ */
+export function generateValueAddLegendStops(stops = 5) {
+  const result = [];
+  for (let i = 0; i < stops; i++) {
+    const z = -VALUE_ADD_SCALE + (2 * VALUE_ADD_SCALE * i) / (stops - 1);
+    result.push({
+      z,
+      color: getValueAddColor(z),
+      label: `${z > 0 ? '+' : ''}${z.toFixed(0)} SD`,
+    });
+  }
+  return result;
+}
+
+export function getValueAddTier(z) {
+  if (z == null || isNaN(z)) return 'No data';
+  if (z >= 1) return 'Well above expected';
+  if (z >= 0.33) return 'Above expected';
+  if (z > -0.33) return 'As expected';
+  if (z > -1) return 'Below expected';
+  return 'Well below expected';
+}